@@ -0,0 +1,23 @@
+const config = require('./config');
+
+// Whether the missing admin chat has been logged, so it is only logged once.
+let warnedNoAdminChat = false;
+
+/**
+ * Post a notice to the admin chat chosen with /setadminchat. Notices are English-only,
+ * like the admin reports. `extra` is passed on to sendMessage (e.g. a reply_markup).
+ * Returns false when no admin chat is set; the notice is dropped.
+ */
+async function notifyAdmins(telegram, text, extra = {}) {
+  const chatId = config.getAdminChatId();
+  if (!chatId) {
+    if (!warnedNoAdminChat) console.warn('No admin chat set (/setadminchat), admin notices are not sent');
+    warnedNoAdminChat = true;
+    return false;
+  }
+  const topicId = config.getAdminTopicId();
+  await telegram.sendMessage(chatId, text, topicId ? { ...extra, message_thread_id: topicId } : extra);
+  return true;
+}
+
+module.exports = { notifyAdmins };
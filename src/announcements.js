@@ -0,0 +1,115 @@
+const config = require('./config');
+const db = require('./db');
+const i18n = require('./i18n');
+const { extractTags } = require('./introTags');
+const { getMention, logError } = require('./utils');
+
+// Members accepted since the last announcement, waiting for the next one. Held in memory:
+// a restart drops the queue, which only costs those members their greeting.
+let queue = [];
+let lastAnnouncedAt = 0;
+let flushTimer = null;
+
+// Greetings and small talk that make a poor summary on their own ("Hi everyone!").
+const MIN_SENTENCE_LENGTH = 20;
+
+function truncate(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.lastIndexOf(' ', max - 1);
+  return `${text.slice(0, cut > max / 2 ? cut : max - 1).replace(/[\s,;:–—-]+$/, '')}…`;
+}
+
+/**
+ * A few words about a member for their announcement, in `locale`: their skills, role and
+ * place as their intro words them ("Rust developer from Penang"), or, when the intro names
+ * no skill or role the tag dictionary knows, its first real sentence.
+ */
+function summarizeIntro(text, locale) {
+  const tags = extractTags(text);
+  const first = (kind) => tags.find((t) => t.kind === kind)?.match ?? null;
+  const skills = tags.filter((t) => t.kind === 'skill').slice(0, 2).map((t) => t.match);
+  const role = first('role');
+  if (skills.length > 0 || role) {
+    return i18n.messages(locale).INTRO_ANNOUNCEMENT_SUMMARY({ skills, role, location: first('location') });
+  }
+
+  const sentences = text.split(/(?<=[.!?。！？])\s*|\n+/).map((s) => s.trim()).filter(Boolean);
+  const sentence = sentences.find((s) => s.length >= MIN_SENTENCE_LENGTH) ?? sentences[0] ?? '';
+  return truncate(sentence.replace(/\s+/g, ' '), config.INTRO_ANNOUNCE_SUMMARY_LENGTH);
+}
+
+// One announcement for a lone member, or a digest that fits in a single message.
+function buildAnnouncement(entries, locale) {
+  const m = i18n.messages(locale);
+  if (entries.length === 1) {
+    const [{ mention, summary, link }] = entries;
+    return m.INTRO_ANNOUNCEMENT_MESSAGE(mention, summary, link);
+  }
+
+  const lines = entries.map(({ mention, summary, link }) => m.INTRO_ANNOUNCEMENT_DIGEST_LINE(mention, summary, link));
+  let kept = lines.length;
+  const textFor = (count) => m.INTRO_ANNOUNCEMENT_DIGEST_MESSAGE(
+    count < lines.length ? [...lines.slice(0, count), m.INTRO_ANNOUNCEMENT_DIGEST_MORE(lines.length - count)] : lines
+  );
+  while (kept > 1 && textFor(kept).length > config.MESSAGE_MAX_LENGTH) kept--;
+  return textFor(kept);
+}
+
+async function flush(telegram) {
+  const mainGroupId = config.getMainGroupId();
+  // Members reset, removed or gone since they were accepted are left out.
+  const entries = queue.filter(({ userId }) => {
+    const user = db.getUser(userId);
+    return user?.introduced && !user.left_at;
+  });
+  queue = [];
+  if (!mainGroupId || entries.length === 0) return;
+
+  lastAnnouncedAt = Date.now();
+  const text = buildAnnouncement(entries, config.getDefaultLocale());
+  try {
+    await telegram.sendMessage(mainGroupId, text);
+  } catch (err) {
+    console.error('Failed to announce new members:', err.message);
+  }
+}
+
+/**
+ * Introduce a newly accepted member to the main group (/announce). The first announcement
+ * goes out at once; members accepted within INTRO_ANNOUNCE_INTERVAL_MS of the last one
+ * wait and are announced together when the interval runs out.
+ * `intro` is the chat and message the accepted intro was posted as, and its text.
+ */
+function announceIntro(telegram, user, { chatId, msgId, text }) {
+  if (!config.isIntroAnnounceEnabled() || !config.getMainGroupId()) return;
+  if (queue.some((entry) => entry.userId === user.user_id)) return;
+
+  queue.push({
+    userId: user.user_id,
+    mention: getMention(user),
+    summary: summarizeIntro(text, config.getDefaultLocale()),
+    link: config.messageLink(chatId, msgId),
+  });
+  if (flushTimer) return;
+
+  const wait = lastAnnouncedAt + config.INTRO_ANNOUNCE_INTERVAL_MS - Date.now();
+  if (wait <= 0) {
+    logError(flush(telegram), 'Failed to announce new members');
+    return;
+  }
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    logError(flush(telegram), 'Failed to announce new members');
+  }, wait);
+  flushTimer.unref();
+}
+
+// Stop the pending digest, e.g. on shutdown. Members still queued are not announced.
+function stopAnnouncements() {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = null;
+  queue = [];
+  lastAnnouncedAt = 0;
+}
+
+module.exports = { announceIntro, summarizeIntro, stopAnnouncements };
@@ -2,10 +2,21 @@ const { Telegraf } = require('telegraf');
 const config = require('./config');
 const db = require('./db');
 const adminCache = require('./adminCache');
+const deadline = require('./deadline');
+const announcements = require('./announcements');
 const welcome = require('./handlers/welcome');
+const captcha = require('./handlers/captcha');
 const intro = require('./handlers/intro');
+const review = require('./handlers/review');
 const gatekeeper = require('./handlers/gatekeeper');
+const wizard = require('./handlers/wizard');
+const joinRequest = require('./handlers/joinRequest');
+const language = require('./handlers/language');
+const directory = require('./handlers/directory');
 const security = require('./handlers/security');
+const invites = require('./handlers/invites');
+const leave = require('./handlers/leave');
+const dmStatus = require('./handlers/dmStatus');
 const admin = require('./handlers/admin');
 
 const bot = new Telegraf(config.BOT_TOKEN);
@@ -19,16 +30,28 @@ bot.catch((err, ctx) => {
 });
 
 // Register handlers -- order matters:
+// 0. Private chat tracking, which sees every update and passes it on
 // 1. Admin commands first (so admins are not blocked)
-// 2. Welcome handler for new members
-// 3. Intro channel listener
+// 2. Welcome handler for new members, plus the CAPTCHA answer callback it hands off to,
+//    join requests in 'request' gate mode, invite-link attribution and departures
+// 3. Intro channel listener, plus the admin review queue's button callbacks
 // 4. Gatekeeper (filters messages in main group)
 // 5. Security (flags suspicious links from introduced users/admins)
+// 6. DM intro wizard, /language and /find (private chats only)
+dmStatus.register(bot);
 admin.register(bot);
 welcome.register(bot);
+captcha.register(bot, welcome.welcomeVerifiedMember);
+joinRequest.register(bot);
+invites.register(bot);
+leave.register(bot);
 intro.register(bot);
+review.register(bot, intro.acceptReviewedIntro);
 gatekeeper.register(bot);
 security.register(bot);
+language.register(bot);
+directory.register(bot);
+wizard.register(bot);
 
 db.initialize();
 
@@ -42,16 +65,131 @@ function loadIntegerSetting(key, getter, setter) {
 }
 
 loadIntegerSetting('MAIN_GROUP_ID',    config.getMainGroupId,    config.setMainGroupId);
-loadIntegerSetting('INTRO_CHANNEL_ID', config.getIntroChannelId, config.setIntroChannelId);
-loadIntegerSetting('INTRO_TOPIC_ID',   config.getIntroTopicId,   config.setIntroTopicId);
+loadIntegerSetting('ADMIN_CHAT_ID',    config.getAdminChatId,    config.setAdminChatId);
+loadIntegerSetting('ADMIN_TOPIC_ID',   config.getAdminTopicId,   config.setAdminTopicId);
 
-bot.launch();
+// Intro locations (/setintro, /removeintro). Bots set up before there could be several kept
+// a single INTRO_CHANNEL_ID and INTRO_TOPIC_ID, loaded as the only location until the list is saved.
+const savedIntroLocations = db.getSetting('INTRO_LOCATIONS');
+if (savedIntroLocations) {
+  try {
+    config.setIntroLocations(JSON.parse(savedIntroLocations));
+  } catch (err) {
+    console.error('Ignoring saved intro locations:', err.message);
+  }
+} else {
+  loadIntegerSetting('INTRO_CHANNEL_ID', config.getIntroChannelId, config.setIntroChannelId);
+  loadIntegerSetting('INTRO_TOPIC_ID',   config.getIntroTopicId,   config.setIntroTopicId);
+}
+
+// Feature flags: a value saved via an admin command overrides the env default.
+function loadBooleanSetting(key, setter) {
+  const saved = db.getSetting(key);
+  if (saved === '1' || saved === '0') setter(saved === '1');
+}
+
+loadBooleanSetting('CAPTCHA_ENABLED', config.setCaptchaEnabled);
+loadBooleanSetting('INTRO_DEADLINE_ENABLED', config.setIntroDeadlineEnabled);
+loadBooleanSetting('INTRO_ANNOUNCE_ENABLED', config.setIntroAnnounceEnabled);
+
+const savedGateMode = db.getSetting('GATE_MODE');
+if (config.GATE_MODES.includes(savedGateMode)) config.setGateMode(savedGateMode);
+
+const savedEditPolicy = db.getSetting('INTRO_EDIT_POLICY');
+if (config.INTRO_EDIT_POLICIES.includes(savedEditPolicy)) config.setIntroEditPolicy(savedEditPolicy);
+
+const savedReviewMode = db.getSetting('INTRO_REVIEW_MODE');
+if (config.INTRO_REVIEW_MODES.includes(savedReviewMode)) config.setIntroReviewMode(savedReviewMode);
+
+const savedRejoinPolicy = db.getSetting('REJOIN_REINTRO_DAYS');
+if (savedRejoinPolicy !== null) config.setRejoinReintroDays(config.parseRejoinReintroDays(savedRejoinPolicy));
+
+// Forum topics where pending members may post (/gateexempt).
+const savedGateExemptTopics = db.getSetting('GATE_EXEMPT_TOPICS');
+if (savedGateExemptTopics) {
+  try {
+    config.setGateExemptTopics(JSON.parse(savedGateExemptTopics));
+  } catch (err) {
+    console.error('Ignoring saved gate exempt topics:', err.message);
+  }
+}
+
+// Grace period for new members (/grace).
+const savedGracePolicy = db.getSetting('GRACE_POLICY');
+if (savedGracePolicy) {
+  try {
+    config.setGracePolicy(JSON.parse(savedGracePolicy));
+  } catch (err) {
+    console.error('Ignoring saved grace policy:', err.message);
+  }
+}
+
+// Escalation ladder for members who keep posting without an intro (/ladder).
+const savedViolationLadder = db.getSetting('VIOLATION_LADDER');
+if (savedViolationLadder) {
+  const ladder = config.parseViolationLadder(savedViolationLadder);
+  if (ladder) config.setViolationLadder(ladder);
+  else console.error('Ignoring saved violation ladder:', savedViolationLadder);
+}
+
+// Intro rubric tuning (/rubric).
+const savedRubricWeights = db.getSetting('INTRO_RUBRIC_WEIGHTS');
+if (savedRubricWeights) {
+  try {
+    for (const [section, weight] of Object.entries(JSON.parse(savedRubricWeights))) {
+      config.setIntroRubricWeight(section, weight);
+    }
+  } catch (err) {
+    console.error('Ignoring saved intro rubric weights:', err.message);
+  }
+}
+const savedPassThreshold = Number(db.getSetting('INTRO_PASS_THRESHOLD'));
+if (Number.isInteger(savedPassThreshold) && savedPassThreshold > 0) config.setIntroPassThreshold(savedPassThreshold);
+
+// Intro tag dictionary (/tags).
+const savedIntroTags = db.getSetting('INTRO_TAGS');
+if (savedIntroTags) {
+  try {
+    config.setIntroTags(JSON.parse(savedIntroTags));
+  } catch (err) {
+    console.error('Ignoring saved intro tags:', err.message);
+  }
+}
+
+const savedLocale = db.getSetting('DEFAULT_LOCALE');
+if (config.LOCALES.includes(savedLocale)) config.setDefaultLocale(savedLocale);
+
+// Kicks members whose CAPTCHA timed out, including while the bot was offline.
+captcha.startExpirySweep(bot.telegram);
+// Warns, then removes, members who never introduce themselves (when /deadline is on).
+deadline.startSweep(bot.telegram);
+// Declines join requests whose requester never introduced ('request' gate mode).
+joinRequest.startExpirySweep(bot.telegram);
+
+// Welcome messages edited outside an update (intro accepted, deadline kick) need the
+// username for their wizard button.
+bot.telegram.getMe()
+  .then((me) => welcome.setBotUsername(me.username))
+  .catch((err) => console.error('Failed to fetch bot info:', err.message));
+
+// chat_member is not in Telegram's default update set; it reports bans and removals
+// that produce no service message. my_chat_member reports users blocking the bot.
+bot.launch({
+  allowedUpdates: [
+    'message', 'edited_message', 'channel_post', 'callback_query', 'chat_join_request', 'chat_member', 'my_chat_member',
+    'message_reaction',
+  ],
+});
 console.log('Bot started');
 
 // ---- Graceful shutdown ----
 function shutdown(signal) {
   console.log(`Received ${signal}, shutting down...`);
   bot.stop(signal);
+  captcha.stopExpirySweep();
+  deadline.stopSweep();
+  joinRequest.stopExpirySweep();
+  announcements.stopAnnouncements();
   db.close();
   adminCache.destroy();
 }
@@ -8,31 +8,486 @@ const { sanitizeName } = require('./utils');
 
 // ---- Mutable chat IDs with getter/setter ----
 let _mainGroupId = process.env.MAIN_GROUP_ID ? Number(process.env.MAIN_GROUP_ID) : null;
-let _introChannelId = process.env.INTRO_CHANNEL_ID ? Number(process.env.INTRO_CHANNEL_ID) : null;
 const _mainGroupFromEnv = !!process.env.MAIN_GROUP_ID;
 const _introChannelFromEnv = !!process.env.INTRO_CHANNEL_ID;
-// No _introTopicFromEnv — INTRO_TOPIC_ID is not settable via env; use /setintro in a forum topic.
-let _introTopicId = null;
+// Where members post intros (see INTRO_LOCATIONS_MAX). The first is the primary location,
+// which INTRO_CHANNEL_ID pins when set — a topic is not settable via env; use /setintro in it.
+let _introLocations = _introChannelFromEnv ? [introLocation(Number(process.env.INTRO_CHANNEL_ID))] : [];
+// Optional chat (or forum topic) for admin notices, e.g. intros edited after acceptance.
+let _adminChatId = process.env.ADMIN_CHAT_ID ? Number(process.env.ADMIN_CHAT_ID) : null;
+const _adminChatFromEnv = !!process.env.ADMIN_CHAT_ID;
+let _adminTopicId = null;
 
 function getMainGroupId() { return _mainGroupId; }
 function setMainGroupId(id) { _mainGroupId = id; }
-function getIntroChannelId() { return _introChannelId; }
-function setIntroChannelId(id) { _introChannelId = id; }
-function getIntroTopicId() { return _introTopicId; }
-function setIntroTopicId(id) { _introTopicId = id; }
+// The primary intro location's chat and topic. Setting the chat replaces the primary
+// location (null removes it); setting the topic moves it to another topic of its chat.
+function getIntroChannelId() { return _introLocations[0]?.chatId ?? null; }
+function setIntroChannelId(id) {
+  const rest = _introLocations.slice(1).filter((l) => !(l.chatId === id && l.topicId === null));
+  _introLocations = id == null ? rest : [introLocation(id), ...rest];
+}
+function getIntroTopicId() { return _introLocations[0]?.topicId ?? null; }
+function setIntroTopicId(id) {
+  if (_introLocations.length > 0) _introLocations[0] = { ..._introLocations[0], topicId: id ?? null };
+}
 function isMainGroupFromEnv() { return _mainGroupFromEnv; }
 function isIntroChannelFromEnv() { return _introChannelFromEnv; }
+function getAdminChatId() { return _adminChatId; }
+function setAdminChatId(id) { _adminChatId = id; }
+function getAdminTopicId() { return _adminTopicId; }
+function setAdminTopicId(id) { _adminTopicId = id; }
+function isAdminChatFromEnv() { return _adminChatFromEnv; }
+
+// ---- Mutable feature flags (env default, overridable via admin commands) ----
+let _captchaEnabled = process.env.CAPTCHA_ENABLED !== 'false';
+
+function isCaptchaEnabled() { return _captchaEnabled; }
+function setCaptchaEnabled(enabled) { _captchaEnabled = !!enabled; }
+
+// 'delete':  pending members may post, gatekeeper deletes their messages.
+// 'mute':    pending members are restricted via Telegram permissions until introduced.
+// 'request': join requests are held until the requester's intro is accepted (the group
+//            must have "Approve new members" on); anyone let in otherwise is delete-gated.
+const GATE_MODES = ['delete', 'mute', 'request'];
+let _gateMode = GATE_MODES.includes(process.env.GATE_MODE) ? process.env.GATE_MODE : 'delete';
+
+function getGateMode() { return _gateMode; }
+function setGateMode(mode) {
+  if (!GATE_MODES.includes(mode)) throw new Error(`Invalid gate mode: ${mode}`);
+  _gateMode = mode;
+}
+
+// What the gate does with each kind of interaction from a member without an intro (see
+// gatekeeper.js). 'block': remove it and remind them. 'report': leave it and tell the admin
+// chat. 'allow': leave it. A bot cannot remove someone's reaction, so reactions can only be
+// reported or allowed; votes in other people's polls never reach a bot and cannot be gated.
+const INTERACTION_KINDS = ['message', 'poll', 'story', 'web_app_data', 'reaction'];
+const INTERACTION_POLICIES = ['block', 'report', 'allow'];
+
+function validateInteractionPolicy(policy) {
+  for (const kind of INTERACTION_KINDS) {
+    const allowed = kind === 'reaction' ? ['report', 'allow'] : INTERACTION_POLICIES;
+    if (!allowed.includes(policy[kind])) throw new Error(`Invalid interaction policy for ${kind}: ${policy[kind]}`);
+  }
+  return Object.freeze({ ...policy });
+}
+
+const PENDING_INTERACTION_POLICY = validateInteractionPolicy({
+  message: 'block',      // text, media, stickers and anything else posted
+  poll: 'block',         // a new poll
+  story: 'block',        // a story shared into the group
+  web_app_data: 'block', // data sent from a Web App keyboard button
+  reaction: 'report',    // a reaction added to a message
+});
+
+// Forum topics of the main group where pending members may post anyway (/gateexempt), e.g. a
+// help topic for newcomers, by message_thread_id.
+const GATE_EXEMPT_TOPICS_MAX = 20;
+
+function isValidGateExemptTopics(topics) {
+  return Array.isArray(topics) && topics.length <= GATE_EXEMPT_TOPICS_MAX &&
+    topics.every((id) => Number.isSafeInteger(id) && id > 0) && new Set(topics).size === topics.length;
+}
+
+const _envGateExemptTopics = (process.env.GATE_EXEMPT_TOPICS || '').split(',').filter((id) => id.trim()).map(Number);
+let _gateExemptTopics = isValidGateExemptTopics(_envGateExemptTopics) ? _envGateExemptTopics : [];
+
+function getGateExemptTopics() { return [..._gateExemptTopics]; }
+function setGateExemptTopics(topics) {
+  if (!isValidGateExemptTopics(topics)) throw new Error(`Invalid gate exempt topics: ${JSON.stringify(topics)}`);
+  _gateExemptTopics = [...topics];
+}
+function isGateExemptTopic(topicId) { return topicId != null && _gateExemptTopics.includes(topicId); }
+
+// Off by default: enabling it starts removing members who have been pending for a week.
+let _introDeadlineEnabled = process.env.INTRO_DEADLINE_ENABLED === 'true';
+
+function isIntroDeadlineEnabled() { return _introDeadlineEnabled; }
+function setIntroDeadlineEnabled(enabled) { _introDeadlineEnabled = !!enabled; }
+
+// Off by default: when on, accepted members are introduced to the main group (see announcements.js).
+let _introAnnounceEnabled = process.env.INTRO_ANNOUNCE_ENABLED === 'true';
+
+function isIntroAnnounceEnabled() { return _introAnnounceEnabled; }
+function setIntroAnnounceEnabled(enabled) { _introAnnounceEnabled = !!enabled; }
+
+// Whether members who leave and come back keep their introduced status. null: always
+// keep it. A number: members away for at least that many days must introduce again (0 = always).
+function parseRejoinReintroDays(value) {
+  if (value == null || value === '' || value === 'keep') return null;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 ? days : null;
+}
+
+let _rejoinReintroDays = parseRejoinReintroDays(process.env.REJOIN_REINTRO_DAYS);
+
+function getRejoinReintroDays() { return _rejoinReintroDays; }
+function setRejoinReintroDays(days) {
+  if (days !== null && !(Number.isInteger(days) && days >= 0)) throw new Error(`Invalid rejoin absence: ${days}`);
+  _rejoinReintroDays = days;
+}
+
+// Grace period for pending members (see gatekeeper.js): their first `messages` messages, sent
+// within `minutes` of first joining, get past the gate if they are plain text. 0 leaves that
+// limit out; both 0 turns grace off.
+const GRACE_MESSAGES_MAX = 20;
+const GRACE_MINUTES_MAX = 24 * 60;
+
+function isValidGraceLimit(value, max) {
+  return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+function validateGracePolicy(policy) {
+  const { messages, minutes } = policy ?? {};
+  if (!isValidGraceLimit(messages, GRACE_MESSAGES_MAX) || !isValidGraceLimit(minutes, GRACE_MINUTES_MAX)) {
+    throw new Error(`Invalid grace policy: ${messages} messages, ${minutes} minutes`);
+  }
+  return { messages, minutes };
+}
+
+const _envGraceMessages = Number(process.env.GRACE_MESSAGES || 0);
+const _envGraceMinutes = Number(process.env.GRACE_MINUTES || 0);
+let _gracePolicy = isValidGraceLimit(_envGraceMessages, GRACE_MESSAGES_MAX) && isValidGraceLimit(_envGraceMinutes, GRACE_MINUTES_MAX)
+  ? { messages: _envGraceMessages, minutes: _envGraceMinutes }
+  : { messages: 0, minutes: 0 };
+
+function getGracePolicy() { return { ..._gracePolicy }; }
+function setGracePolicy(policy) { _gracePolicy = validateGracePolicy(policy); }
+function isGraceEnabled() { return _gracePolicy.messages > 0 || _gracePolicy.minutes > 0; }
+
+// Escalation ladder for pending members who keep posting (see handlers/gatekeeper.js). A step fires
+// when a member's count of removed messages reaches its `at`: 'mute' for `minutes`, or 'kick'.
+// Counts in between just get the usual reminder, and past the last step it fires again.
+// Written "3:mute:60,5:mute:1440,7:kick"; 'off' (no steps) only ever reminds.
+const VIOLATION_ACTIONS = ['mute', 'kick'];
+const VIOLATION_LADDER_MAX_STEPS = 10;
+const VIOLATION_MUTE_MINUTES_MAX = 7 * 24 * 60;
+const DEFAULT_VIOLATION_LADDER = '3:mute:60,5:mute:1440,7:kick';
+
+function parseViolationLadder(spec) {
+  const value = String(spec ?? '').trim().toLowerCase();
+  if (value === 'off') return [];
+
+  const steps = value.split(',').map((part) => part.trim().split(':'));
+  if (steps.length > VIOLATION_LADDER_MAX_STEPS) return null;
+  const ladder = [];
+  for (const [at, action, minutes, ...rest] of steps) {
+    const count = Number(at);
+    const previous = ladder[ladder.length - 1];
+    if (rest.length > 0 || !/^\d+$/.test(at) || count < 1 || (previous && count <= previous.at)) return null;
+    if (!VIOLATION_ACTIONS.includes(action) || previous?.action === 'kick') return null;
+    if (action === 'kick') {
+      if (minutes !== undefined) return null;
+      ladder.push({ at: count, action });
+    } else {
+      if (!/^\d+$/.test(minutes ?? '') || Number(minutes) < 1 || Number(minutes) > VIOLATION_MUTE_MINUTES_MAX) return null;
+      ladder.push({ at: count, action, minutes: Number(minutes) });
+    }
+  }
+  return ladder;
+}
+
+function formatViolationLadder(ladder) {
+  if (ladder.length === 0) return 'off';
+  return ladder.map(({ at, action, minutes }) => (action === 'mute' ? `${at}:mute:${minutes}` : `${at}:${action}`)).join(',');
+}
+
+let _violationLadder = parseViolationLadder(process.env.VIOLATION_LADDER || DEFAULT_VIOLATION_LADDER)
+  ?? parseViolationLadder(DEFAULT_VIOLATION_LADDER);
+
+function getViolationLadder() { return structuredClone(_violationLadder); }
+function setViolationLadder(ladder) {
+  const valid = Array.isArray(ladder) ? parseViolationLadder(formatViolationLadder(ladder)) : null;
+  if (!valid) throw new Error(`Invalid violation ladder: ${JSON.stringify(ladder)}`);
+  _violationLadder = valid;
+}
+
+// What happens when an introduced member edits their intro so that it no longer passes.
+// 'ignore': nothing. 'notify': tell the admin chat. 'reset': make them pending again and
+// tell the admin chat.
+const INTRO_EDIT_POLICIES = ['ignore', 'notify', 'reset'];
+let _introEditPolicy = INTRO_EDIT_POLICIES.includes(process.env.INTRO_EDIT_POLICY)
+  ? process.env.INTRO_EDIT_POLICY
+  : 'notify';
+
+function getIntroEditPolicy() { return _introEditPolicy; }
+function setIntroEditPolicy(policy) {
+  if (!INTRO_EDIT_POLICIES.includes(policy)) throw new Error(`Invalid intro edit policy: ${policy}`);
+  _introEditPolicy = policy;
+}
+
+// Who decides on intros that pass the rubric. 'auto': the bot accepts them. 'review': every
+// one waits for an admin in the admin chat (see handlers/review.js). 'hybrid': the bot accepts
+// clear passes and sends borderline ones — within INTRO_REVIEW_MARGIN of the threshold — to review.
+const INTRO_REVIEW_MODES = ['auto', 'review', 'hybrid'];
+let _introReviewMode = INTRO_REVIEW_MODES.includes(process.env.INTRO_REVIEW_MODE)
+  ? process.env.INTRO_REVIEW_MODE
+  : 'auto';
+
+function getIntroReviewMode() { return _introReviewMode; }
+function setIntroReviewMode(mode) {
+  if (!INTRO_REVIEW_MODES.includes(mode)) throw new Error(`Invalid intro review mode: ${mode}`);
+  _introReviewMode = mode;
+}
+
+// Intro scoring rubric (see introScore.js). Each section found in an intro adds its
+// weight to the score; an intro passes at the threshold. Both are tuned with /rubric.
+const INTRO_RUBRIC_SECTIONS = ['identity', 'role', 'location', 'fun_fact', 'contribution'];
+const INTRO_RUBRIC_MAX_WEIGHT = 10;
+const _introRubricWeights = Object.fromEntries(INTRO_RUBRIC_SECTIONS.map((section) => [section, 1]));
+let _introPassThreshold = 2;
+
+function getIntroRubricWeights() { return { ..._introRubricWeights }; }
+function setIntroRubricWeight(section, weight) {
+  if (!INTRO_RUBRIC_SECTIONS.includes(section)) throw new Error(`Unknown rubric section: ${section}`);
+  if (!Number.isInteger(weight) || weight < 0 || weight > INTRO_RUBRIC_MAX_WEIGHT) {
+    throw new Error(`Invalid rubric weight: ${weight}`);
+  }
+  _introRubricWeights[section] = weight;
+}
+
+function getIntroPassThreshold() { return _introPassThreshold; }
+function setIntroPassThreshold(score) {
+  if (!Number.isInteger(score) || score < 1) throw new Error(`Invalid pass threshold: ${score}`);
+  _introPassThreshold = score;
+}
+
+// Intro locations: chats or forum topics where intros are accepted, e.g. one topic per track
+// for builders, designers and regional chapters. Each may carry a `track` name shown in the
+// welcome message, its own rubric — `weights` replacing some of the /rubric weights and a
+// pass `threshold` — and its own `accepted` message template. null means the group-wide one.
+const INTRO_LOCATIONS_MAX = 10;
+const INTRO_TRACK_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]{0,23}$/u;
+
+function introLocation(chatId, topicId = null) {
+  return { chatId, topicId, track: null, weights: null, threshold: null, accepted: null };
+}
+
+// Check a list of intro locations and return a copy with every field present.
+function validateIntroLocations(locations) {
+  if (!Array.isArray(locations) || locations.length > INTRO_LOCATIONS_MAX) {
+    throw new Error('Invalid intro locations');
+  }
+  const seen = new Set();
+  return locations.map((location) => {
+    const { chatId, topicId = null, track = null, weights = null, threshold = null, accepted = null } = location ?? {};
+    if (!Number.isSafeInteger(chatId) || chatId === 0) throw new Error(`Invalid intro chat: ${chatId}`);
+    if (topicId !== null && !(Number.isSafeInteger(topicId) && topicId > 0)) throw new Error(`Invalid intro topic: ${topicId}`);
+    const key = `${chatId}:${topicId}`;
+    if (seen.has(key)) throw new Error(`Duplicate intro location: ${key}`);
+    seen.add(key);
+    if (track !== null && !INTRO_TRACK_PATTERN.test(track)) throw new Error(`Invalid intro track: ${track}`);
+    if (weights !== null) {
+      for (const [section, weight] of Object.entries(weights)) {
+        if (!INTRO_RUBRIC_SECTIONS.includes(section)) throw new Error(`Unknown rubric section: ${section}`);
+        if (!Number.isInteger(weight) || weight < 0 || weight > INTRO_RUBRIC_MAX_WEIGHT) {
+          throw new Error(`Invalid rubric weight: ${weight}`);
+        }
+      }
+    }
+    if (threshold !== null && !(Number.isInteger(threshold) && threshold >= 1)) {
+      throw new Error(`Invalid pass threshold: ${threshold}`);
+    }
+    if (accepted !== null && (typeof accepted !== 'string' || !accepted.trim())) throw new Error('Invalid accepted message');
+    return { chatId, topicId, track, weights: weights && { ...weights }, threshold, accepted };
+  });
+}
+
+function getIntroLocations() { return structuredClone(_introLocations); }
+function setIntroLocations(locations) {
+  const validated = validateIntroLocations(locations);
+  if (_introChannelFromEnv) {
+    // The env location stays primary, keeping any overrides saved for it.
+    const envId = Number(process.env.INTRO_CHANNEL_ID);
+    const isEnv = (l) => l.chatId === envId && l.topicId === null;
+    _introLocations = [validated.find(isEnv) ?? introLocation(envId), ...validated.filter((l) => !isEnv(l))];
+    return;
+  }
+  _introLocations = validated;
+}
+
+/**
+ * The intro location a message in `chatId` (and forum topic `topicId`) was posted in, or null.
+ * A location set in a topic takes only that topic; one set in a plain chat takes the whole chat.
+ */
+function findIntroLocation(chatId, topicId = null) {
+  const inChat = _introLocations.filter((l) => l.chatId === chatId);
+  const match = inChat.find((l) => l.topicId !== null && l.topicId === topicId) ??
+    inChat.find((l) => l.topicId === null);
+  return match ? structuredClone(match) : null;
+}
+
+function isValidTrackName(track) { return INTRO_TRACK_PATTERN.test(track ?? ''); }
+
+// Intro tags (see introTags.js): skills, locations and roles picked out of accepted intros
+// for /find. Each tag lists the keywords that give it, in any language. Admins maintain the
+// dictionary with /tags add and /tags remove.
+const INTRO_TAG_KINDS = ['skill', 'location', 'role'];
+const INTRO_TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}+#.-]{0,31}$/u;
+const DEFAULT_INTRO_TAGS = {
+  rust: { kind: 'skill', keywords: ['rust'] },
+  anchor: { kind: 'skill', keywords: ['anchor'] },
+  solidity: { kind: 'skill', keywords: ['solidity'] },
+  react: { kind: 'skill', keywords: ['react', 'reactjs', 'react.js', 'react native'] },
+  typescript: { kind: 'skill', keywords: ['typescript', 'javascript', 'node.js', 'nodejs'] },
+  python: { kind: 'skill', keywords: ['python'] },
+  design: { kind: 'skill', keywords: ['design', 'ui/ux', 'ux', 'figma', 'reka bentuk', '设计'] },
+  bd: { kind: 'skill', keywords: ['bd', 'business development', 'partnerships'] },
+  marketing: { kind: 'skill', keywords: ['marketing', 'growth', 'pemasaran', '营销'] },
+  content: { kind: 'skill', keywords: ['content', 'copywriting', 'writing', 'kandungan'] },
+  community: { kind: 'skill', keywords: ['community', 'komuniti', '社区'] },
+  kl: { kind: 'location', keywords: ['kl', 'kuala lumpur', '吉隆坡'] },
+  pj: { kind: 'location', keywords: ['pj', 'petaling jaya', '八打灵再也'] },
+  selangor: { kind: 'location', keywords: ['selangor', 'shah alam', 'subang', '雪兰莪'] },
+  cyberjaya: { kind: 'location', keywords: ['cyberjaya', 'putrajaya'] },
+  penang: { kind: 'location', keywords: ['penang', 'pulau pinang', '槟城'] },
+  jb: { kind: 'location', keywords: ['jb', 'johor bahru', 'johor', '新山', '柔佛'] },
+  ipoh: { kind: 'location', keywords: ['ipoh', 'perak', '怡保'] },
+  melaka: { kind: 'location', keywords: ['melaka', 'malacca', '马六甲'] },
+  sabah: { kind: 'location', keywords: ['sabah', 'kota kinabalu', '沙巴'] },
+  sarawak: { kind: 'location', keywords: ['sarawak', 'kuching', '砂拉越', '古晋'] },
+  developer: { kind: 'role', keywords: ['developer', 'engineer', 'programmer', 'dev', 'pembangun', 'jurutera',
+    '开发者', '工程师', '程序员'] },
+  designer: { kind: 'role', keywords: ['designer', 'pereka', '设计师'] },
+  founder: { kind: 'role', keywords: ['founder', 'co-founder', 'cofounder', 'pengasas', '创始人'] },
+  student: { kind: 'role', keywords: ['student', 'pelajar', '学生'] },
+  researcher: { kind: 'role', keywords: ['researcher', 'penyelidik', '研究员'] },
+  investor: { kind: 'role', keywords: ['investor', 'pelabur', '投资人'] },
+};
+let _introTags = validateIntroTags(DEFAULT_INTRO_TAGS);
+
+// Check a tag dictionary and return a copy with lowercased, de-duplicated keywords.
+function validateIntroTags(tags) {
+  const result = {};
+  for (const [tag, entry] of Object.entries(tags ?? {})) {
+    if (!INTRO_TAG_PATTERN.test(tag) || tag !== tag.toLowerCase()) throw new Error(`Invalid tag: ${tag}`);
+    if (!INTRO_TAG_KINDS.includes(entry?.kind)) throw new Error(`Invalid tag kind: ${entry?.kind}`);
+    const keywords = [...new Set((entry.keywords ?? []).map((k) => String(k).trim().toLowerCase()).filter(Boolean))];
+    if (keywords.length === 0) throw new Error(`Tag ${tag} has no keywords`);
+    result[tag] = { kind: entry.kind, keywords };
+  }
+  return result;
+}
+
+function getIntroTags() { return structuredClone(_introTags); }
+function setIntroTags(tags) { _introTags = validateIntroTags(tags); }
+function isValidTagName(tag) { return INTRO_TAG_PATTERN.test(tag ?? ''); }
+
+// Group default language, used when neither the user's own preference nor their Telegram
+// language is one we have a catalog for. English strings live in this file; see locales/.
+const LOCALES = ['en', 'ms', 'zh'];
+const LOCALE_NAMES = { en: 'English', ms: 'Bahasa Melayu', zh: '中文' };
+let _defaultLocale = LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+function getDefaultLocale() { return _defaultLocale; }
+function setDefaultLocale(locale) {
+  if (!LOCALES.includes(locale)) throw new Error(`Invalid locale: ${locale}`);
+  _defaultLocale = locale;
+}
 
 // ---- Operator-tunable constants ----
-const WELCOME_COOLDOWN_MS = 5_000;
+// Members who join within this window of the first one share a single welcome message,
+// which is edited to mention each new arrival. A full message starts a new one.
+const WELCOME_BURST_WINDOW_MS = 60_000;
+const WELCOME_BURST_MAX_MEMBERS = 10;
 const MAX_NEW_MEMBERS_PER_EVENT = 10;
 const INTRO_RATE_LIMIT_WINDOW_MS = 60_000;
 const INTRO_RATE_LIMIT_MAX = 5;
-const INTRO_KEYWORD_BYPASS_LENGTH = 80;
 const REMINDER_COOLDOWN_MS = 30_000;
+// Reports of reactions and other interactions (PENDING_INTERACTION_POLICY) per member and kind.
+const INTERACTION_REPORT_COOLDOWN_MS = 60 * 60_000;
 const REMINDER_AUTO_DELETE_MS = 15_000;
+// The one-time grace-ended notice explains more than a reminder, so it stays up longer.
+const GRACE_ENDED_AUTO_DELETE_MS = 60_000;
+const VIOLATION_NOTICE_AUTO_DELETE_MS = 60_000;
+// Longest copy of a removed message quoted back in a DM reminder; the rest is cut off.
+const REMINDER_DM_QUOTE_MAX_LENGTH = 3000;
 const EPHEMERAL_REPLY_TTL_MS = 30_000;
 const PENDING_PAGE_SIZE = 50;
+// /search lines carry a snippet of the intro, so fewer fit in one message.
+const SEARCH_PAGE_SIZE = 10;
+// /whois splits intros longer than this into pages.
+const WHOIS_PAGE_LENGTH = 3000;
+const FIND_PAGE_SIZE = 20;
+const CAPTCHA_TIMEOUT_MS = 2 * 60_000;
+const CAPTCHA_SWEEP_INTERVAL_MS = 15_000;
+const CAPTCHA_CHOICES = 4;
+// Gap between the challenges of a mass join, to stay under Telegram's limit of about 20
+// bot messages a minute in a group. Each member's time to answer starts with their own challenge.
+const CAPTCHA_MASS_JOIN_SPACING_MS = 3_000;
+// Shortest intro (or intro caption) that can pass.
+const INTRO_MIN_LENGTH = 50;
+// Pending members are warned on each of these days after joining, then removed on the
+// deadline day. The removal never happens sooner than the minimum notice after the last warning.
+const INTRO_WARNING_DAYS = [3, 6];
+const INTRO_DEADLINE_DAYS = 7;
+const INTRO_DEADLINE_MIN_NOTICE_MS = 24 * 60 * 60_000;
+const INTRO_DEADLINE_SWEEP_INTERVAL_MS = 60 * 60_000;
+const WIZARD_ANSWER_MAX_LENGTH = 500;
+// At most one intro announcement per interval in the main group; members accepted in
+// between are introduced together in a digest when it runs out.
+const INTRO_ANNOUNCE_INTERVAL_MS = 10 * 60_000;
+// Longest first sentence quoted in an announcement.
+const INTRO_ANNOUNCE_SUMMARY_LENGTH = 120;
+// In 'request' gate mode, a join request with no accepted intro is declined after this long.
+const JOIN_REQUEST_TIMEOUT_HOURS = Number(process.env.JOIN_REQUEST_TIMEOUT_HOURS) > 0
+  ? Number(process.env.JOIN_REQUEST_TIMEOUT_HOURS)
+  : 48;
+const JOIN_REQUEST_TIMEOUT_MS = JOIN_REQUEST_TIMEOUT_HOURS * 60 * 60_000;
+const JOIN_REQUEST_SWEEP_INTERVAL_MS = 5 * 60_000;
+// How long an invite link is held for a joiner who is not tracked yet (mid-CAPTCHA).
+const INVITE_LINK_CLAIM_TTL_MS = 5 * CAPTCHA_TIMEOUT_MS;
+const INVITE_LINK_NAME_MAX_LENGTH = 32; // Telegram's limit for createChatInviteLink
+const MESSAGE_MAX_LENGTH = 4096; // Telegram's limit for a single text message
+
+function introLink(introChannelId, introTopicId) {
+  if (!introChannelId) return null;
+  return `https://t.me/c/${String(introChannelId).replace(/^-100/, '')}${introTopicId ? `/${introTopicId}` : ''}`;
+}
+
+// "1 hour", "24 hours" or "90 minutes", for member messages.
+function formatMinutes(minutes) {
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Link to a single message in a private supergroup or channel.
+function messageLink(chatId, messageId) {
+  return `https://t.me/c/${String(chatId).replace(/^-100/, '')}/${messageId}`;
+}
+
+// The sample intro shown in the welcome message. Intros too close to it are rejected as
+// copies (see introFingerprint.js).
+const INTRO_EXAMPLE = 'Hi! I\'m Ali, a frontend dev from KL. I\'ve been building on Solana for about a year ' +
+  'and I\'m excited about DeFi. Fun fact: I once mass-adopted a dozen stray cats. ' +
+  'I\'d love to help with community tooling and hackathon projects!';
+
+// Everything after the greeting line — shared by single and combined welcomes. `introLinks`
+// has a { track, link } entry per intro location (see introLinks in templates.js).
+function welcomeBody(introLinks) {
+  return `Before you can chat here, please introduce yourself in our intro channel.\n\n` +
+    `Here's a suggested format:\n` +
+    `- Who are you?\n` +
+    `- What do you do?\n` +
+    `- Where are you based?\n` +
+    `- A fun fact about you\n` +
+    `- How would you like to contribute to Superteam Malaysia?\n\n` +
+    `Example:\n"${INTRO_EXAMPLE}"\n\n` +
+    welcomePointer(introLinks);
+}
+
+// Where to post, for the welcome: one link, or one per intro location named by its track.
+function welcomePointer(introLinks = []) {
+  if (introLinks.length === 0) return 'Post your intro in the intro channel!';
+  if (introLinks.length === 1) return `Post your intro here: ${introLinks[0].link}`;
+  return 'Post your intro where it fits best:\n' +
+    introLinks.map(({ track, link }) => (track ? `- ${track}: ${link}` : `- ${link}`)).join('\n');
+}
+
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+}
 
 module.exports = {
   BOT_TOKEN: process.env.BOT_TOKEN,
@@ -46,58 +501,357 @@ module.exports = {
   setIntroTopicId,
   isMainGroupFromEnv,
   isIntroChannelFromEnv,
+  getIntroLocations,
+  setIntroLocations,
+  findIntroLocation,
+  isValidTrackName,
+  INTRO_LOCATIONS_MAX,
+  getAdminChatId,
+  setAdminChatId,
+  getAdminTopicId,
+  setAdminTopicId,
+  isAdminChatFromEnv,
+
+  // Feature flags
+  isCaptchaEnabled,
+  setCaptchaEnabled,
+  GATE_MODES,
+  getGateMode,
+  setGateMode,
+  INTERACTION_KINDS,
+  INTERACTION_POLICIES,
+  validateInteractionPolicy,
+  PENDING_INTERACTION_POLICY,
+  GATE_EXEMPT_TOPICS_MAX,
+  getGateExemptTopics,
+  setGateExemptTopics,
+  isGateExemptTopic,
+  isIntroDeadlineEnabled,
+  setIntroDeadlineEnabled,
+  isIntroAnnounceEnabled,
+  setIntroAnnounceEnabled,
+  parseRejoinReintroDays,
+  GRACE_MESSAGES_MAX,
+  GRACE_MINUTES_MAX,
+  getGracePolicy,
+  setGracePolicy,
+  isGraceEnabled,
+  VIOLATION_ACTIONS,
+  VIOLATION_LADDER_MAX_STEPS,
+  VIOLATION_MUTE_MINUTES_MAX,
+  parseViolationLadder,
+  formatViolationLadder,
+  getViolationLadder,
+  setViolationLadder,
+  getRejoinReintroDays,
+  setRejoinReintroDays,
+  INTRO_EDIT_POLICIES,
+  getIntroEditPolicy,
+  setIntroEditPolicy,
+  INTRO_REVIEW_MODES,
+  getIntroReviewMode,
+  setIntroReviewMode,
+  INTRO_RUBRIC_SECTIONS,
+  INTRO_RUBRIC_MAX_WEIGHT,
+  getIntroRubricWeights,
+  setIntroRubricWeight,
+  getIntroPassThreshold,
+  setIntroPassThreshold,
+  INTRO_TAG_KINDS,
+  getIntroTags,
+  setIntroTags,
+  isValidTagName,
+  LOCALES,
+  LOCALE_NAMES,
+  getDefaultLocale,
+  setDefaultLocale,
 
   // Timing / rate-limit constants
-  WELCOME_COOLDOWN_MS,
+  WELCOME_BURST_WINDOW_MS,
+  WELCOME_BURST_MAX_MEMBERS,
   MAX_NEW_MEMBERS_PER_EVENT,
   INTRO_RATE_LIMIT_WINDOW_MS,
   INTRO_RATE_LIMIT_MAX,
-  INTRO_KEYWORD_BYPASS_LENGTH,
   REMINDER_COOLDOWN_MS,
+  INTERACTION_REPORT_COOLDOWN_MS,
   REMINDER_AUTO_DELETE_MS,
+  GRACE_ENDED_AUTO_DELETE_MS,
+  VIOLATION_NOTICE_AUTO_DELETE_MS,
+  REMINDER_DM_QUOTE_MAX_LENGTH,
   EPHEMERAL_REPLY_TTL_MS,
   PENDING_PAGE_SIZE,
+  SEARCH_PAGE_SIZE,
+  WHOIS_PAGE_LENGTH,
+  FIND_PAGE_SIZE,
+  CAPTCHA_TIMEOUT_MS,
+  CAPTCHA_SWEEP_INTERVAL_MS,
+  CAPTCHA_CHOICES,
+  CAPTCHA_MASS_JOIN_SPACING_MS,
+  INTRO_WARNING_DAYS,
+  INTRO_DEADLINE_DAYS,
+  INTRO_DEADLINE_MIN_NOTICE_MS,
+  INTRO_DEADLINE_SWEEP_INTERVAL_MS,
+  WIZARD_ANSWER_MAX_LENGTH,
+  INTRO_ANNOUNCE_INTERVAL_MS,
+  INTRO_ANNOUNCE_SUMMARY_LENGTH,
+  JOIN_REQUEST_TIMEOUT_HOURS,
+  JOIN_REQUEST_TIMEOUT_MS,
+  JOIN_REQUEST_SWEEP_INTERVAL_MS,
+  INVITE_LINK_CLAIM_TTL_MS,
+  INVITE_LINK_NAME_MAX_LENGTH,
+  MESSAGE_MAX_LENGTH,
 
   // Intro validation
-  INTRO_MIN_LENGTH: 50,
+  INTRO_MIN_LENGTH,
   INTRO_MAX_LENGTH: 4000,
-  INTRO_KEYWORDS: [
-    'who are you',
-    'what do you do',
-    'where are you based',
-    'fun fact',
-    'contribute',
-  ],
-
-  // Message templates
-  WELCOME_MESSAGE: (firstName, introChannelId, introTopicId) =>
+  // Copy detection (see introFingerprint.js). An intro at least this similar (estimated
+  // Jaccard similarity of its character shingles) to the example or to another member's
+  // intro is rejected; admins are alerted once this many accounts have posted the same text.
+  // Accepted intros are always compared; rejected copies only for this many days.
+  INTRO_COPY_SIMILARITY: 0.8,
+  INTRO_COPY_ALERT_ACCOUNTS: 3,
+  INTRO_COPY_WINDOW_DAYS: 30,
+  // Anti-gaming guards (see introGuards.js), checked before an intro is scored. Shares are
+  // of the intro's visible characters. The entropy and repetition checks skip intros too
+  // short to pass anyway, whose letters are naturally few.
+  INTRO_LINK_MAX_SHARE: 0.5,
+  INTRO_EMOJI_MAX_SHARE: 0.5,
+  INTRO_MIN_ENTROPY_BITS: 3.2, // real intros score about 3.8 and up; home-row mashing under 3.2
+  INTRO_MIN_UNIQUE_SHINGLES: 0.6, // share of distinct 4-character runs; "hello hello…" scores 0.1
+  INTRO_MIN_VOWEL_SHARE: 0.2, // of Latin letters; "xcvbnm sdfghjk" has almost none
+  INTRO_EXAMPLE,
+  // In 'hybrid' review mode, passing intros scoring below threshold + margin go to review.
+  INTRO_REVIEW_MARGIN: 1,
+  // Longest stretch of an intro quoted in the admin chat's review request.
+  INTRO_REVIEW_QUOTE_LENGTH: 3000,
+  // Rubric section detection. A section counts as covered when the intro contains one of
+  // its synonyms (case-insensitive, in any language — each catalog adds its own) or
+  // matches one of its patterns.
+  INTRO_RUBRIC_SYNONYMS: {
+    identity: ['who are you', 'my name', 'about me'],
+    role: ['what do you do', 'my role', 'my job', 'i work', 'working as', 'working at', 'i study', 'studying'],
+    location: ['where are you based', 'based in', 'based at', 'based out of', 'live in', 'living in', 'located in'],
+    fun_fact: ['fun fact', 'hobby', 'hobbies', 'in my free time', 'in my spare time', 'passionate about'],
+    contribution: ['contribute', 'contribution', 'give back', 'collaborate', 'help out', 'help with'],
+  },
+  INTRO_RUBRIC_PATTERNS: {
+    identity: [/\b(?:i am|i'm|i’m|im|name is|call me)\s+\p{L}/iu],
+    role: [
+      /\b(?:engineer|developer|dev|designer|founder|co-?founder|ceo|cto|student|manager|marketer|writer|researcher|analyst|consultant|freelancer|builder|trader|artist|lawyer|intern)s?\b/i,
+      /\bwork(?:ing)? (?:as|at|in|on|for)\b/i,
+    ],
+    location: [
+      /\b(?:i'm|i’m|am|come|coming|originally) from\b/i,
+      /\b(?:kuala lumpur|kl|penang|johor|selangor|petaling jaya|pj|cyberjaya|putrajaya|ipoh|melaka|malacca|sabah|sarawak|kuching|kota kinabalu|malaysia|singapore)\b/i,
+    ],
+    fun_fact: [/\bi (?:really )?(?:love|like|enjoy)\b/i],
+    contribution: [/\b(?:hope|hoping|looking|want|would like|keen|excited|love) to (?:help|contribute|build|share|learn|meet|connect)\b/i],
+  },
+
+  // How each section is named in the nudge that lists what an intro is missing.
+  INTRO_SECTION_NAMES: {
+    identity: 'who you are',
+    role: 'what you do',
+    location: 'where you\'re based',
+    fun_fact: 'a fun fact about you',
+    contribution: 'how you\'d like to contribute',
+  },
+
+  // DM intro wizard: one question per rubric section. `label` heads the answer in the
+  // composed intro and contains a synonym of its section, so the result scores like a typed intro.
+  INTRO_WIZARD_PROMPTS: {
+    identity: { prompt: 'Who are you? Tell us your name and a line about yourself.', label: 'Who are you?' },
+    role: { prompt: 'What do you do? Your role, work or studies.', label: 'What do you do?' },
+    location: { prompt: 'Where are you based?', label: 'Where are you based?' },
+    fun_fact: { prompt: 'Share a fun fact about yourself.', label: 'Fun fact:' },
+    contribution: {
+      prompt: 'How would you like to contribute to Superteam Malaysia?',
+      label: 'How I\'d like to contribute:',
+    },
+  },
+
+  // Message templates (defaults — welcome, reminder, accepted and nudge can be overridden
+  // by admins with /settemplate; see templates.js)
+  WELCOME_MESSAGE: (firstName, introLinks) =>
     `Hey ${sanitizeName(firstName)}! Welcome to Superteam Malaysia!\n\n` +
-    `Before you can chat here, please introduce yourself in our intro channel.\n\n` +
-    `Here's a suggested format:\n` +
-    `- Who are you?\n` +
-    `- What do you do?\n` +
-    `- Where are you based?\n` +
-    `- A fun fact about you\n` +
-    `- How would you like to contribute to Superteam Malaysia?\n\n` +
-    `Example:\n` +
-    `"Hi! I'm Ali, a frontend dev from KL. I've been building on Solana for about a year ` +
-    `and I'm excited about DeFi. Fun fact: I once mass-adopted a dozen stray cats. ` +
-    `I'd love to help with community tooling and hackathon projects!"\n\n` +
-    (introChannelId
-      ? `Post your intro here: https://t.me/c/${String(introChannelId).replace(/^-100/, '')}${introTopicId ? `/${introTopicId}` : ''}`
-      : 'Post your intro in the intro channel!'),
+    welcomeBody(introLinks),
+
+  // Combined welcome for several members who joined close together. `mentions` are
+  // already-formatted mentions (see getMention).
+  WELCOME_BURST_MESSAGE: (mentions, introLinks) =>
+    `Hey ${listNames(mentions)}! Welcome to Superteam Malaysia!\n\n` +
+    welcomeBody(introLinks),
 
   REMINDER_MESSAGE:
     'You need to introduce yourself in the intro channel before you can post here. ' +
     'Check the pinned message for the format!',
 
+  // The reminder by DM, for members with a private chat open with the bot. `text` is what they
+  // tried to post, quoted back so they can reuse it; null for media without a caption.
+  REMINDER_DM_MESSAGE: (firstName, introChannelId, introTopicId, text) =>
+    `Hi ${sanitizeName(firstName)}! Your message in the group was removed because you haven't introduced ` +
+    'yourself yet. ' +
+    (introChannelId
+      ? `Post your intro here: ${introLink(introChannelId, introTopicId)}`
+      : 'Post your intro in the intro channel!') +
+    (text ? `\n\nHere's what you wrote, so you can post it again once you're in:\n\n${text}` : ''),
+
   INTRO_ACCEPTED_MESSAGE: (firstName) =>
     `Thanks for the intro, ${sanitizeName(firstName)}! You can now chat in the main group. Welcome aboard!`,
 
-  INTRO_NUDGE_MESSAGE:
-    'Thanks for posting! Your intro is a little short — aim for at least 2-3 sentences. ' +
-    'Tell us: who you are, what you do, where you\'re based, and how you\'d like to contribute. ' +
+  // `missing` names the rubric sections the intro did not cover (see INTRO_SECTION_NAMES).
+  // Empty when every section was there but the intro was too short or too long.
+  INTRO_NUDGE_MESSAGE: (missing) =>
+    'Thanks for posting! ' +
+    (missing.length > 0
+      ? `Your intro doesn't tell us ${listNames(missing)} yet — please add ${missing.length === 1 ? 'it' : 'them'} ` +
+        'and post your intro again. '
+      : 'Your intro is a little short — aim for at least 2-3 sentences. ') +
     'The more you share, the better the community can get to know you!',
 
+  // Reply to an accepted intro that was edited into one that no longer passes, under the
+  // 'reset' edit policy. `missing` as in INTRO_NUDGE_MESSAGE.
+  INTRO_REVOKED_MESSAGE: (missing) =>
+    'Your edited intro no longer ' +
+    (missing.length > 0 ? `tells us ${listNames(missing)}` : 'fits our intro guidelines') +
+    ', so you can\'t chat in the main group for now. Edit it again or post a new intro to get back in.',
+
+  // Replies to a rejected copy: of the welcome message example, or of another member's intro.
+  INTRO_EXAMPLE_COPY_MESSAGE: 'That looks like the example from the welcome message. Please write your intro ' +
+    'in your own words — tell us who you really are and what you do!',
+  INTRO_COPY_MESSAGE: 'That intro is almost the same as one another member has already posted. ' +
+    'Please write your own, in your own words.',
+
+  // Nudges for intros turned away by the anti-gaming guards (see introGuards.js).
+  INTRO_FORWARDED_MESSAGE: 'Forwarded messages do not count as an intro. Please write your own, in your own words.',
+  INTRO_SUSPICIOUS_LINK_MESSAGE: 'Your intro has a shortened or disguised link. Please use a full, direct URL, ' +
+    'or leave the link out.',
+  INTRO_LINKS_MESSAGE: 'Your intro is mostly links and @mentions. Please tell us about yourself in words — ' +
+    'one link to your work is plenty.',
+  INTRO_EMOJI_MESSAGE: 'Your intro is mostly emoji. A few are fine, but please tell us about yourself in words.',
+  INTRO_GIBBERISH_MESSAGE: 'That does not look like an intro. Please tell us who you are, what you do and how ' +
+    'you’d like to contribute, in your own words.',
+
+  // Replies about intros in the admin review queue (/reviewmode).
+  INTRO_IN_REVIEW_MESSAGE: 'Thanks for your intro! An admin will take a quick look, and you can chat in the ' +
+    'main group as soon as it is approved.',
+  INTRO_REVIEW_REJECTED_MESSAGE: 'An admin has reviewed your intro and could not accept it. Please post a new ' +
+    'intro in your own words — who you are, what you do and how you\'d like to take part.',
+  INTRO_REVIEW_MORE_MESSAGE: 'An admin would like to hear a bit more about you before letting you in. ' +
+    'Please edit your intro or post a new one with more detail.',
+
+  // Main group announcements of accepted intros (/announce). `summary` describes the member
+  // in a few words (INTRO_ANNOUNCEMENT_SUMMARY, or the intro's first sentence); `link` opens
+  // their intro. The digest introduces several members at once, one `lines` entry each.
+  INTRO_ANNOUNCEMENT_MESSAGE: (mention, summary, link) => `🎉 Say hi to ${mention} — ${summary}\n${link}`,
+  INTRO_ANNOUNCEMENT_DIGEST_MESSAGE: (lines) => `🎉 Say hi to our newest members!\n\n${lines.join('\n')}`,
+  INTRO_ANNOUNCEMENT_DIGEST_LINE: (mention, summary, link) => `• ${mention} — ${summary} (${link})`,
+  INTRO_ANNOUNCEMENT_DIGEST_MORE: (count) => `…and ${count} more. Say hi in the intro channel!`,
+  // Words from the intro itself: skills such as "Rust", a role such as "developer", a place
+  // such as "Penang". Any of them may be missing, but not all three.
+  INTRO_ANNOUNCEMENT_SUMMARY: ({ skills, role, location }) =>
+    [skills.join(' & '), role, location && `from ${location}`].filter(Boolean).join(' '),
+
+  INTRO_MEDIA_NUDGE_MESSAGE: 'A photo, video or file is welcome with your intro, but the intro itself must be in ' +
+    `the caption, at least ${INTRO_MIN_LENGTH} characters long — or post it as a text message. ` +
+    'Stickers and voice notes are not accepted as intros.',
+
+  WIZARD_BUTTON_TEXT: '✍️ Introduce yourself',
+
+  WIZARD_START_MESSAGE: (count) =>
+    `Let's write your intro together! I'll ask ${count} quick questions — answer each one in a message. ` +
+    'Send /cancel at any time to stop.',
+
+  WIZARD_NOT_MEMBER_MESSAGE:
+    'Join the Superteam Malaysia group first, then tap "Introduce yourself" in the welcome message.',
+
+  WIZARD_ALREADY_INTRODUCED_MESSAGE: 'You have already introduced yourself — you\'re all set!',
+
+  WIZARD_CANCELLED_MESSAGE: 'Cancelled. Send /start whenever you\'re ready to try again.',
+
+  WIZARD_TEXT_ONLY_MESSAGE: 'Please answer with a text message.',
+
+  WIZARD_TOO_SHORT_MESSAGE:
+    'Your answers are a little short for an intro. Let\'s go through the questions once more — ' +
+    'a sentence or two for each works best.',
+
+  WIZARD_INTRO_HEADER: (mention) => `Intro from ${mention}:`,
+
+  WIZARD_PASTE_MESSAGE: (introChannelId, introTopicId) =>
+    'Here\'s your intro! I couldn\'t post it for you, so please copy the message below and post it ' +
+    (introChannelId ? `here: ${introLink(introChannelId, introTopicId)}` : 'in the intro channel.'),
+
+  WIZARD_POSTED_MESSAGE: (firstName) =>
+    `Your intro has been posted in the intro channel. Thanks, ${sanitizeName(firstName)} — ` +
+    'you can now chat in the main group. Welcome aboard!',
+
+  // Sent once, when a pending member's grace period (/grace) is over and the gate applies.
+  GRACE_ENDED_MESSAGE: (mention, introChannelId, introTopicId) =>
+    `${mention}, new members can say a few words here before introducing themselves, and your ` +
+    'welcome allowance is now used up. Until you post your intro, your messages here will be removed. ' +
+    (introChannelId
+      ? `Post your intro here: ${introLink(introChannelId, introTopicId)}`
+      : 'Post your intro in the intro channel!'),
+
+  // Posted when the escalation ladder (/ladder) mutes a pending member for `minutes`.
+  VIOLATION_MUTED_MESSAGE: (mention, minutes, introChannelId, introTopicId) =>
+    `${mention}, your messages keep being removed because you haven't introduced yourself yet, so ` +
+    `you can't post here for the next ${formatMinutes(minutes)}. ` +
+    'Keep posting without an intro and you may be removed from the group. ' +
+    (introChannelId
+      ? `Post your intro here: ${introLink(introChannelId, introTopicId)}`
+      : 'Post your intro in the intro channel!'),
+
+  INTRO_DEADLINE_WARNING_MESSAGE: (mention, daysLeft, introChannelId, introTopicId) =>
+    `${mention}, you haven't introduced yourself yet. Members who don't post an intro within ` +
+    `${INTRO_DEADLINE_DAYS} days of joining are removed from the group — you have ${daysLeft} ` +
+    `day${daysLeft === 1 ? '' : 's'} left. ` +
+    (introChannelId
+      ? `Post your intro here: ${introLink(introChannelId, introTopicId)}`
+      : 'Post your intro in the intro channel!'),
+
+  // DM to someone who asked to join. `introUrl` is null when the intro channel is a topic
+  // of the main group, which a requester cannot open yet — the wizard button is their way in.
+  JOIN_REQUEST_MESSAGE: (firstName, introUrl) =>
+    `Hi ${sanitizeName(firstName)}! Thanks for asking to join Superteam Malaysia.\n\n` +
+    `Your request will be approved as soon as you introduce yourself: who you are, what you do, ` +
+    `where you're based, a fun fact and how you'd like to contribute.\n\n` +
+    (introUrl
+      ? `Post your intro here: ${introUrl} — or tap the button below and I'll help you write it.`
+      : 'Tap the button below and I\'ll help you write it.') +
+    `\n\nRequests without an intro are declined after ${JOIN_REQUEST_TIMEOUT_HOURS} hours — you can always ask again.`,
+
+  CAPTCHA_MESSAGE: (firstName, question) =>
+    `Hi ${sanitizeName(firstName)}! Before you can join the conversation, please confirm you're human.\n\n` +
+    `What is ${question}? Tap the correct answer within ${Math.round(CAPTCHA_TIMEOUT_MS / 60_000)} minutes.`,
+
+  LANGUAGE_CURRENT_MESSAGE: (languageName, codes) =>
+    `I'm talking to you in ${languageName}. To change it, send /language followed by one of: ${codes.join(', ')} — ` +
+    'or /language auto to follow your Telegram app language.',
+
+  LANGUAGE_SET_MESSAGE: (languageName) => `Done — I'll talk to you in ${languageName} from now on.`,
+
+  LANGUAGE_AUTO_MESSAGE: 'Done — I\'ll follow your Telegram app language from now on.',
+
+  // /find — the member directory, by the tags picked out of intros. `tagList` lists the known
+  // tags by kind, one kind per line.
+  FIND_USAGE_MESSAGE: (tagList) =>
+    'Find members by what their intros mention: /find followed by one or more tags, e.g. /find rust penang.\n\n' +
+    `Tags:\n${tagList}`,
+  FIND_NOT_MEMBER_MESSAGE: 'The member directory is open to members who have introduced themselves.',
+  FIND_UNKNOWN_TAGS_MESSAGE: (terms) => `I don't know the tag${terms.length === 1 ? '' : 's'} ${terms.join(', ')}. ` +
+    'Send /find on its own to see them all.',
+  FIND_NO_RESULTS_MESSAGE: 'Nobody\'s intro matches all of those tags yet.',
+  FIND_RESULTS_MESSAGE: (tags, count, page, totalPages) =>
+    `Members tagged ${tags.join(' + ')} (${count})${totalPages > 1 ? ` — page ${page}/${totalPages}` : ''}:`,
+  FIND_NEXT_PAGE_MESSAGE: (command) => `Send ${command} for the next page.`,
+
+  CAPTCHA_NOT_YOURS_MESSAGE: 'This challenge is for someone else.',
+  CAPTCHA_EXPIRED_MESSAGE: 'This challenge has expired.',
+  CAPTCHA_PASSED_MESSAGE: 'Verified — welcome!',
+  CAPTCHA_FAILED_MESSAGE: 'Wrong answer. You have been removed from the group, but you can rejoin and try again.',
+
+  introLink,
+  messageLink,
   sanitizeName,
 };
@@ -7,7 +7,7 @@ const DB_PATH = process.env.DB_PATH
   ? path.resolve(process.env.DB_PATH)
   : path.join(DEFAULT_DB_DIR, 'bot.sqlite');
 
-// Maximum number of pending users returned at once to prevent memory exhaustion.
+// Maximum number of pending users (or search results) returned at once to prevent memory exhaustion.
 const MAX_PENDING_RESULTS = 200;
 
 let db;
@@ -42,12 +42,31 @@ function initialize() {
       joined_at     TEXT DEFAULT (datetime('now')),
       intro_msg_id   INTEGER,
       welcome_msg_id INTEGER,
-      updated_at     TEXT DEFAULT (datetime('now'))
+      updated_at     TEXT DEFAULT (datetime('now')),
+      deadline_warnings INTEGER DEFAULT 0,
+      last_warned_at    TEXT,
+      left_at     TEXT,
+      left_reason TEXT,
+      invite_link TEXT,
+      intro_score INTEGER,
+      intro_media TEXT
     )
   `);
 
   // Migration: add welcome_msg_id to databases that predate this column.
   try { db.exec('ALTER TABLE users ADD COLUMN welcome_msg_id INTEGER'); } catch (_) {}
+  // Migration: intro-deadline warning tracking.
+  try { db.exec('ALTER TABLE users ADD COLUMN deadline_warnings INTEGER DEFAULT 0'); } catch (_) {}
+  try { db.exec('ALTER TABLE users ADD COLUMN last_warned_at TEXT'); } catch (_) {}
+  // Migration: departure tracking.
+  try { db.exec('ALTER TABLE users ADD COLUMN left_at TEXT'); } catch (_) {}
+  try { db.exec('ALTER TABLE users ADD COLUMN left_reason TEXT'); } catch (_) {}
+  // Migration: invite-link attribution.
+  try { db.exec('ALTER TABLE users ADD COLUMN invite_link TEXT'); } catch (_) {}
+  // Migration: rubric score of the accepted intro.
+  try { db.exec('ALTER TABLE users ADD COLUMN intro_score INTEGER'); } catch (_) {}
+  // Migration: media type of a captioned intro.
+  try { db.exec('ALTER TABLE users ADD COLUMN intro_media TEXT'); } catch (_) {}
 
   db.exec(`
     CREATE TABLE IF NOT EXISTS settings (
@@ -55,6 +74,207 @@ function initialize() {
       value TEXT NOT NULL
     )
   `);
+
+  // Outstanding join CAPTCHAs. expires_at is a Unix timestamp in milliseconds so the
+  // expiry sweep can compare against Date.now() and pick up where it left off after a restart.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS captcha_challenges (
+      user_id    INTEGER PRIMARY KEY,
+      chat_id    INTEGER NOT NULL,
+      answer     INTEGER NOT NULL,
+      message_id INTEGER,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+
+  // Join requests held open until the requester's intro is accepted ('request' gate mode).
+  // expires_at is a Unix timestamp in milliseconds, like captcha_challenges.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS join_requests (
+      user_id    INTEGER PRIMARY KEY,
+      chat_id    INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+
+  // In-progress DM intro wizard conversations. answers is a JSON array of strings.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS wizard_sessions (
+      user_id    INTEGER PRIMARY KEY,
+      step       INTEGER NOT NULL DEFAULT 0,
+      answers    TEXT NOT NULL DEFAULT '[]',
+      updated_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Language chosen with /language in a DM. Separate from users: anyone can set it,
+  // including people who have not joined the group yet.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_locales (
+      user_id INTEGER PRIMARY KEY,
+      locale  TEXT NOT NULL
+    )
+  `);
+
+  // Members removed by the bot. Kept after the users row is deleted, so it stores
+  // the identifying fields itself.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kicks (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id    INTEGER NOT NULL,
+      username   TEXT,
+      first_name TEXT,
+      joined_at  TEXT,
+      reason     TEXT NOT NULL,
+      kicked_at  TEXT DEFAULT (datetime('now')),
+      invite_link TEXT
+    )
+  `);
+  try { db.exec('ALTER TABLE kicks ADD COLUMN invite_link TEXT'); } catch (_) {}
+
+  // Named invite links created with /newlink. Links created elsewhere only show up in
+  // /links through the members who joined with them.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS invite_links (
+      link       TEXT PRIMARY KEY,
+      name       TEXT NOT NULL,
+      created_by INTEGER,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+
+  // MinHash signatures of intro submissions (see introFingerprint.js): accepted intros,
+  // and rejected copies, which count towards the repeated-text alert.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS intro_fingerprints (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id    INTEGER NOT NULL,
+      msg_id     INTEGER,
+      signature  TEXT NOT NULL,
+      accepted   INTEGER NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_intro_fingerprints_accepted ON intro_fingerprints (accepted, created_at)');
+
+  // How much of the grace period (/grace) each pending member has used. Kept apart from users,
+  // whose row a kick deletes, so leaving and rejoining does not start the grace period over.
+  // started_at is when the member first joined, recorded then (startGracePeriod) and never reset;
+  // reminded is set once the grace-ended notice went out.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS grace_usage (
+      user_id    INTEGER PRIMARY KEY,
+      started_at TEXT NOT NULL,
+      messages   INTEGER NOT NULL DEFAULT 0,
+      reminded   INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+
+  // Escalation ladder (see handlers/gatekeeper.js): how many messages of a pending member the gate
+  // removed, kept apart from users like grace_usage so a kick does not wipe the slate clean.
+  // muted_until is when the ladder's latest mute ends.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS violations (
+      user_id     INTEGER PRIMARY KEY,
+      count       INTEGER NOT NULL DEFAULT 0,
+      last_at     TEXT NOT NULL DEFAULT (datetime('now')),
+      muted_until TEXT
+    )
+  `);
+
+  // Members the gate restricted in 'mute' gate mode, so the mute can be lifted on acceptance
+  // even after an admin switches modes — and a restriction from anyone else is left alone.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gate_mutes (
+      user_id  INTEGER PRIMARY KEY,
+      muted_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Every ladder step taken ('remind', 'mute', 'kick'), and every /clearviolations ('cleared',
+  // with the admin who cleared it and the count cleared), for /status.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS violation_steps (
+      id        INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id   INTEGER NOT NULL,
+      violation INTEGER NOT NULL,
+      action    TEXT NOT NULL,
+      minutes   INTEGER,
+      admin_id  INTEGER,
+      taken_at  TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_violation_steps_user ON violation_steps (user_id)');
+
+  // Whether each user has a private chat open with the bot (see handlers/dmStatus.js): set by
+  // their private messages and by my_chat_member when they block or unblock the bot.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS dm_chats (
+      user_id    INTEGER PRIMARY KEY,
+      open       INTEGER NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Intro submissions turned away by the anti-gaming guards (see introGuards.js), shown in
+  // /status. chat_id and msg_id are NULL for intros composed in the DM wizard.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS intro_rejections (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id     INTEGER NOT NULL,
+      chat_id     INTEGER,
+      msg_id      INTEGER,
+      reason      TEXT NOT NULL,
+      rejected_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Intros waiting for, or decided by, an admin in the review queue (/reviewmode).
+  // decision is NULL while pending. submitted_at and decided_at are Unix timestamps in
+  // milliseconds, so the review latency is their difference.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS intro_reviews (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      INTEGER NOT NULL,
+      chat_id      INTEGER NOT NULL,
+      topic_id     INTEGER,
+      msg_id       INTEGER NOT NULL,
+      text         TEXT NOT NULL,
+      score        INTEGER,
+      media        TEXT,
+      submitted_at INTEGER NOT NULL,
+      decision     TEXT,
+      decided_by   INTEGER,
+      decided_at   INTEGER
+    )
+  `);
+  // Migration: the forum topic, which picks the intro location's accepted message.
+  try { db.exec('ALTER TABLE intro_reviews ADD COLUMN topic_id INTEGER'); } catch (_) {}
+
+  // Text of each member's accepted intro, full-text indexed for /search. The rowid is the
+  // user ID, so a member has one row, replaced when their intro is edited. Prefix queries
+  // make "dev" find "developer"; scripts without spaces (Chinese) index a whole run as one token.
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS intro_texts USING fts5(
+      text,
+      chat_id UNINDEXED,
+      msg_id  UNINDEXED,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  // Tags picked out of each member's intro (see introTags.js), for /find and /tags.
+  // source is 'intro' for tags from the intro text, 'added' for tags an admin gave the member
+  // and 'removed' for intro tags an admin took away (/tag), which re-tagging must not bring back.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS intro_tags (
+      user_id INTEGER NOT NULL,
+      tag     TEXT NOT NULL,
+      kind    TEXT NOT NULL,
+      source  TEXT NOT NULL,
+      PRIMARY KEY (user_id, tag)
+    )
+  `);
 }
 
 function getSetting(key) {
@@ -62,7 +282,14 @@ function getSetting(key) {
   return row ? row.value : null;
 }
 
-const VALID_SETTING_KEYS = ['MAIN_GROUP_ID', 'INTRO_CHANNEL_ID', 'INTRO_TOPIC_ID'];
+const VALID_SETTING_KEYS = [
+  'MAIN_GROUP_ID', 'INTRO_CHANNEL_ID', 'INTRO_TOPIC_ID', 'CAPTCHA_ENABLED', 'GATE_MODE',
+  'INTRO_DEADLINE_ENABLED', 'TEMPLATE_WELCOME', 'TEMPLATE_REMINDER', 'TEMPLATE_ACCEPTED',
+  'TEMPLATE_NUDGE', 'DEFAULT_LOCALE', 'REJOIN_REINTRO_DAYS', 'INTRO_RUBRIC_WEIGHTS', 'INTRO_PASS_THRESHOLD',
+  'ADMIN_CHAT_ID', 'ADMIN_TOPIC_ID', 'INTRO_EDIT_POLICY', 'INTRO_REVIEW_MODE', 'INTRO_TAGS',
+  'INTRO_ANNOUNCE_ENABLED', 'INTRO_LOCATIONS', 'GRACE_POLICY', 'VIOLATION_LADDER',
+  'GATE_EXEMPT_TOPICS',
+];
 
 function setSetting(key, value) {
   if (!VALID_SETTING_KEYS.includes(key)) {
@@ -74,6 +301,13 @@ function setSetting(key, value) {
   `).run(key, String(value));
 }
 
+function deleteSetting(key) {
+  if (!VALID_SETTING_KEYS.includes(key)) {
+    throw new Error(`Invalid setting key: ${key}`);
+  }
+  db.prepare('DELETE FROM settings WHERE key = ?').run(key);
+}
+
 /**
  * Validate that a value is a safe positive integer suitable for use as a user ID.
  */
@@ -83,6 +317,15 @@ function assertSafeInteger(value, label) {
   }
 }
 
+/**
+ * Validate a Telegram chat ID. Group and channel IDs are negative, so only require a non-zero integer.
+ */
+function assertChatId(value) {
+  if (!Number.isInteger(value) || value === 0) {
+    throw new Error(`Invalid chatId: must be a non-zero integer, got ${typeof value}(${value})`);
+  }
+}
+
 function getUser(userId) {
   assertSafeInteger(userId, 'userId');
   return db.prepare('SELECT * FROM users WHERE user_id = ?').get(userId) || null;
@@ -110,19 +353,29 @@ function upsertUser(userId, username, firstName) {
   `).run(userId, safeUsername, safeFirstName);
 }
 
-function markIntroduced(userId, msgId) {
+const INTRO_MEDIA_TYPES = ['photo', 'video', 'document'];
+
+/**
+ * `score` is the intro's rubric score; null for manual approvals. `media` is the type of
+ * media a captioned intro was posted with; null for text intros.
+ */
+function markIntroduced(userId, msgId, score = null, media = null) {
   assertSafeInteger(userId, 'userId');
   if (msgId != null) {
     assertSafeInteger(msgId, 'msgId');
   }
+  if (score != null && !Number.isInteger(score)) throw new Error(`Invalid score: ${score}`);
+  if (media != null && !INTRO_MEDIA_TYPES.includes(media)) throw new Error(`Invalid intro media: ${media}`);
   db.prepare(`
     UPDATE users SET
       introduced = 1,
       introduced_at = datetime('now'),
       intro_msg_id = ?,
+      intro_score = ?,
+      intro_media = ?,
       updated_at = datetime('now')
     WHERE user_id = ?
-  `).run(msgId ?? null, userId);
+  `).run(msgId ?? null, score ?? null, media ?? null, userId);
 }
 
 function setWelcomeMsgId(userId, msgId) {
@@ -133,14 +386,30 @@ function setWelcomeMsgId(userId, msgId) {
   `).run(msgId ?? null, userId);
 }
 
+// Re-scored after the member edited their intro.
+function setIntroScore(userId, score) {
+  assertSafeInteger(userId, 'userId');
+  if (!Number.isInteger(score)) throw new Error(`Invalid score: ${score}`);
+  db.prepare(`
+    UPDATE users SET intro_score = ?, updated_at = datetime('now') WHERE user_id = ?
+  `).run(score, userId);
+}
+
 function resetUser(userId) {
   assertSafeInteger(userId, 'userId');
+  db.prepare('DELETE FROM intro_texts WHERE rowid = ?').run(userId);
+  // Admin corrections outlive the intro; they apply again once the member re-introduces.
+  db.prepare("DELETE FROM intro_tags WHERE user_id = ? AND source = 'intro'").run(userId);
   db.prepare(`
     UPDATE users SET
       introduced = 0,
       introduced_at = NULL,
       intro_msg_id = NULL,
+      intro_score = NULL,
+      intro_media = NULL,
       welcome_msg_id = NULL,
+      deadline_warnings = 0,
+      last_warned_at = NULL,
       updated_at = datetime('now')
     WHERE user_id = ?
   `).run(userId);
@@ -148,10 +417,639 @@ function resetUser(userId) {
 
 function getPending() {
   return db
-    .prepare('SELECT * FROM users WHERE introduced = 0 ORDER BY joined_at ASC LIMIT ?')
+    .prepare('SELECT * FROM users WHERE introduced = 0 AND left_at IS NULL ORDER BY joined_at ASC LIMIT ?')
     .all(MAX_PENDING_RESULTS);
 }
 
+/**
+ * Members still waiting to introduce who are greeted by the given welcome message.
+ * A combined burst welcome is shared by several members.
+ */
+function getPendingByWelcomeMsgId(msgId) {
+  assertSafeInteger(msgId, 'msgId');
+  return db
+    .prepare(`
+      SELECT * FROM users WHERE welcome_msg_id = ? AND introduced = 0 AND left_at IS NULL ORDER BY joined_at ASC
+    `)
+    .all(msgId);
+}
+
+// ---- Departures ----
+
+const LEAVE_REASONS = ['left', 'kicked', 'banned'];
+
+/**
+ * Record that a member is no longer in the group. The first departure time is kept if
+ * called again (e.g. a ban later lifted is re-recorded as a kick). Their welcome message
+ * is forgotten; the caller deletes or edits it.
+ */
+function markLeft(userId, reason) {
+  assertSafeInteger(userId, 'userId');
+  if (!LEAVE_REASONS.includes(reason)) throw new Error(`Invalid leave reason: ${reason}`);
+  db.prepare(`
+    UPDATE users SET
+      left_at = COALESCE(left_at, datetime('now')),
+      left_reason = ?,
+      welcome_msg_id = NULL,
+      updated_at = datetime('now')
+    WHERE user_id = ?
+  `).run(reason, userId);
+}
+
+/**
+ * Clear the departure of a member who is back. The join time restarts so the intro
+ * deadline counts from this visit.
+ */
+function markRejoined(userId) {
+  assertSafeInteger(userId, 'userId');
+  db.prepare(`
+    UPDATE users SET
+      left_at = NULL,
+      left_reason = NULL,
+      joined_at = datetime('now'),
+      deadline_warnings = 0,
+      last_warned_at = NULL,
+      updated_at = datetime('now')
+    WHERE user_id = ?
+  `).run(userId);
+}
+
+// ---- Intro deadline ----
+
+function recordDeadlineWarning(userId, warningCount) {
+  assertSafeInteger(userId, 'userId');
+  db.prepare(`
+    UPDATE users SET
+      deadline_warnings = ?,
+      last_warned_at = datetime('now'),
+      updated_at = datetime('now')
+    WHERE user_id = ?
+  `).run(warningCount, userId);
+}
+
+/**
+ * Record that a member was removed and drop their users row, so they no longer
+ * appear in /pending and start fresh if they rejoin.
+ */
+function recordKick(userId, reason) {
+  assertSafeInteger(userId, 'userId');
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO kicks (user_id, username, first_name, joined_at, reason, invite_link)
+      SELECT user_id, username, first_name, joined_at, ?, invite_link FROM users WHERE user_id = ?
+    `).run(String(reason).slice(0, 64), userId);
+    db.prepare('DELETE FROM users WHERE user_id = ?').run(userId);
+    db.prepare('DELETE FROM intro_texts WHERE rowid = ?').run(userId);
+    db.prepare('DELETE FROM intro_tags WHERE user_id = ?').run(userId);
+  })();
+}
+
+function getKickHistory(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('SELECT * FROM kicks WHERE user_id = ? ORDER BY id DESC').all(userId);
+}
+
+// ---- Invite links ----
+
+/**
+ * Record the invite link a member joined with. Returns false if the user has no row yet
+ * (e.g. still answering the CAPTCHA).
+ */
+function setInviteLink(userId, link) {
+  assertSafeInteger(userId, 'userId');
+  const result = db.prepare(`
+    UPDATE users SET invite_link = ?, updated_at = datetime('now') WHERE user_id = ?
+  `).run(String(link).slice(0, 256), userId);
+  return result.changes > 0;
+}
+
+function saveInviteLink(link, name, createdBy) {
+  db.prepare(`
+    INSERT INTO invite_links (link, name, created_by) VALUES (?, ?, ?)
+    ON CONFLICT(link) DO UPDATE SET name = excluded.name
+  `).run(String(link).slice(0, 256), String(name).slice(0, 64), createdBy ?? null);
+}
+
+/**
+ * Joins and completed intros per invite link, busiest first. Members the bot removed
+ * still count as joins (from the kicks table), so the rate reflects everyone a link
+ * brought in.
+ */
+function getInviteLinkStats() {
+  return db.prepare(`
+    WITH joins AS (
+      SELECT invite_link, introduced FROM users WHERE invite_link IS NOT NULL
+      UNION ALL
+      SELECT invite_link, 0 FROM kicks WHERE invite_link IS NOT NULL
+    ),
+    links AS (
+      SELECT link FROM invite_links
+      UNION
+      SELECT invite_link FROM joins
+    )
+    SELECT
+      links.link AS link,
+      invite_links.name AS name,
+      COUNT(joins.invite_link) AS joins,
+      COALESCE(SUM(joins.introduced), 0) AS intros
+    FROM links
+    LEFT JOIN invite_links ON invite_links.link = links.link
+    LEFT JOIN joins ON joins.invite_link = links.link
+    GROUP BY links.link
+    ORDER BY joins DESC, invite_links.created_at DESC
+  `).all();
+}
+
+// ---- Intro fingerprints (copy detection) ----
+
+function addIntroFingerprint(userId, msgId, signature, accepted) {
+  assertSafeInteger(userId, 'userId');
+  if (msgId != null) assertSafeInteger(msgId, 'msgId');
+  if (!Array.isArray(signature) || !signature.every(Number.isInteger)) throw new Error('Invalid intro signature');
+  db.prepare(`
+    INSERT INTO intro_fingerprints (user_id, msg_id, signature, accepted) VALUES (?, ?, ?, ?)
+  `).run(userId, msgId ?? null, JSON.stringify(signature), accepted ? 1 : 0);
+}
+
+/**
+ * The fingerprints to compare a new intro with, oldest first, with their signatures parsed:
+ * every accepted intro, and the rejected copies of the last `rejectedDays` days.
+ */
+function getIntroFingerprints(rejectedDays) {
+  assertSafeInteger(rejectedDays, 'rejectedDays');
+  return db.prepare(`
+    SELECT user_id, msg_id, signature, accepted FROM intro_fingerprints
+    WHERE accepted = 1 OR created_at >= datetime('now', '-' || ? || ' days')
+    ORDER BY id
+  `).all(rejectedDays).map((row) => ({ ...row, signature: JSON.parse(row.signature) }));
+}
+
+// ---- Grace period ----
+
+function getGraceUsage(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('SELECT * FROM grace_usage WHERE user_id = ?').get(userId) || null;
+}
+
+/**
+ * Start a member's grace period from their users row's join time, the first time they
+ * join. Later calls, after leaving or being removed and rejoining, leave it as it was.
+ */
+function startGracePeriod(userId) {
+  assertSafeInteger(userId, 'userId');
+  db.prepare(`
+    INSERT INTO grace_usage (user_id, started_at) SELECT user_id, joined_at FROM users WHERE user_id = ?
+    ON CONFLICT(user_id) DO NOTHING
+  `).run(userId);
+}
+
+// Count one message let through by the grace period. `startedAt` only applies to a member's first.
+function recordGraceMessage(userId, startedAt) {
+  assertSafeInteger(userId, 'userId');
+  db.prepare(`
+    INSERT INTO grace_usage (user_id, started_at, messages) VALUES (?, ?, 1)
+    ON CONFLICT(user_id) DO UPDATE SET messages = messages + 1
+  `).run(userId, String(startedAt));
+}
+
+/**
+ * Note that a member was told their grace period is over. Returns true only the first
+ * time, so the notice goes out once even when messages arrive together.
+ */
+function markGraceReminded(userId, startedAt) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare(`
+    INSERT INTO grace_usage (user_id, started_at, reminded) VALUES (?, ?, 1)
+    ON CONFLICT(user_id) DO UPDATE SET reminded = 1 WHERE reminded = 0
+  `).run(userId, String(startedAt)).changes > 0;
+}
+
+// ---- Escalation ladder ----
+
+const VIOLATION_STEP_ACTIONS = ['remind', 'mute', 'kick'];
+
+// Count one removed message from a pending member. Returns their new count.
+function recordViolation(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.transaction(() => {
+    db.prepare(`
+      INSERT INTO violations (user_id, count) VALUES (?, 1)
+      ON CONFLICT(user_id) DO UPDATE SET count = count + 1, last_at = datetime('now')
+    `).run(userId);
+    return db.prepare('SELECT count FROM violations WHERE user_id = ?').get(userId).count;
+  })();
+}
+
+// Log the ladder step taken at a member's `violation`th removed message; a mute also sets muted_until.
+function recordViolationStep(userId, violation, action, minutes = null) {
+  assertSafeInteger(userId, 'userId');
+  assertSafeInteger(violation, 'violation');
+  if (!VIOLATION_STEP_ACTIONS.includes(action)) throw new Error(`Invalid violation step: ${action}`);
+  if (action === 'mute') assertSafeInteger(minutes, 'minutes');
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO violation_steps (user_id, violation, action, minutes) VALUES (?, ?, ?, ?)
+    `).run(userId, violation, action, action === 'mute' ? minutes : null);
+    if (action === 'mute') {
+      db.prepare(`UPDATE violations SET muted_until = datetime('now', '+' || ? || ' minutes') WHERE user_id = ?`)
+        .run(minutes, userId);
+    }
+  })();
+}
+
+function getViolations(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('SELECT * FROM violations WHERE user_id = ?').get(userId) || null;
+}
+
+// A member's ladder steps and clears, newest first.
+function getViolationSteps(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('SELECT * FROM violation_steps WHERE user_id = ? ORDER BY id DESC').all(userId);
+}
+
+/**
+ * Reset a member's count (/clearviolations), logging who did it. Returns the count
+ * cleared, 0 if there was nothing to clear.
+ */
+function clearViolations(userId, adminId) {
+  assertSafeInteger(userId, 'userId');
+  assertSafeInteger(adminId, 'adminId');
+  return db.transaction(() => {
+    const row = db.prepare('SELECT count FROM violations WHERE user_id = ?').get(userId);
+    if (!row) return 0;
+    db.prepare('DELETE FROM violations WHERE user_id = ?').run(userId);
+    db.prepare(`
+      INSERT INTO violation_steps (user_id, violation, action, admin_id) VALUES (?, ?, 'cleared', ?)
+    `).run(userId, row.count, adminId);
+    return row.count;
+  })();
+}
+
+// ---- Gate mutes ----
+
+function recordGateMute(userId) {
+  assertSafeInteger(userId, 'userId');
+  db.prepare(`
+    INSERT INTO gate_mutes (user_id) VALUES (?)
+    ON CONFLICT(user_id) DO UPDATE SET muted_at = datetime('now')
+  `).run(userId);
+}
+
+function isGateMuted(userId) {
+  assertSafeInteger(userId, 'userId');
+  return Boolean(db.prepare('SELECT 1 FROM gate_mutes WHERE user_id = ?').get(userId));
+}
+
+function clearGateMute(userId) {
+  assertSafeInteger(userId, 'userId');
+  db.prepare('DELETE FROM gate_mutes WHERE user_id = ?').run(userId);
+}
+
+// ---- Private chats with the bot ----
+
+function setDmOpen(userId, open) {
+  assertSafeInteger(userId, 'userId');
+  db.prepare(`
+    INSERT INTO dm_chats (user_id, open) VALUES (?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET open = excluded.open, updated_at = datetime('now')
+  `).run(userId, open ? 1 : 0);
+}
+
+// Whether the bot can message the user privately, as far as it knows.
+function isDmOpen(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('SELECT open FROM dm_chats WHERE user_id = ?').get(userId)?.open === 1;
+}
+
+// ---- Intro rejections (anti-gaming guards) ----
+
+const INTRO_REJECTION_REASONS = ['forwarded', 'suspicious_link', 'links', 'emoji', 'gibberish'];
+
+function recordIntroRejection(userId, chatId, msgId, reason) {
+  assertSafeInteger(userId, 'userId');
+  if (chatId != null) assertChatId(chatId);
+  if (msgId != null) assertSafeInteger(msgId, 'msgId');
+  if (!INTRO_REJECTION_REASONS.includes(reason)) throw new Error(`Invalid rejection reason: ${reason}`);
+  db.prepare(`
+    INSERT INTO intro_rejections (user_id, chat_id, msg_id, reason) VALUES (?, ?, ?, ?)
+  `).run(userId, chatId ?? null, msgId ?? null, reason);
+}
+
+// A member's rejected intro submissions, newest first.
+function getIntroRejections(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('SELECT * FROM intro_rejections WHERE user_id = ? ORDER BY id DESC').all(userId);
+}
+
+// ---- Intro archive (/whois, /search) ----
+
+// Store (or replace) the text of a member's accepted intro.
+function saveIntroText(userId, chatId, msgId, text) {
+  assertSafeInteger(userId, 'userId');
+  assertChatId(chatId);
+  assertSafeInteger(msgId, 'msgId');
+  db.transaction(() => {
+    db.prepare('DELETE FROM intro_texts WHERE rowid = ?').run(userId);
+    db.prepare('INSERT INTO intro_texts (rowid, text, chat_id, msg_id) VALUES (?, ?, ?, ?)')
+      .run(userId, String(text), chatId, msgId);
+  })();
+}
+
+function getIntroText(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('SELECT text, chat_id, msg_id FROM intro_texts WHERE rowid = ?').get(userId) || null;
+}
+
+/**
+ * Members still in the group whose intro contains every term (as a word prefix), best
+ * match first, with a short snippet around the match. Terms are quoted, so FTS5 query
+ * syntax typed by an admin is searched for literally.
+ */
+function searchIntros(terms) {
+  const query = terms
+    .map((term) => String(term).replace(/"/g, '').trim())
+    .filter(Boolean)
+    .map((term) => `"${term}"*`)
+    .join(' ');
+  if (!query) return [];
+  return db.prepare(`
+    SELECT users.*, intro_texts.chat_id AS intro_chat_id, intro_texts.msg_id AS intro_msg_id,
+      snippet(intro_texts, 0, '', '', '…', 12) AS snippet
+    FROM intro_texts
+    JOIN users ON users.user_id = intro_texts.rowid
+    WHERE intro_texts MATCH ? AND users.left_at IS NULL
+    ORDER BY rank
+    LIMIT ?
+  `).all(query, MAX_PENDING_RESULTS);
+}
+
+// Every archived intro, for re-tagging after the tag dictionary changes.
+function getAllIntroTexts() {
+  return db.prepare('SELECT rowid AS user_id, text FROM intro_texts').all();
+}
+
+// ---- Intro tags (/find, /tags, /tag) ----
+
+const TAG_SOURCES = ['intro', 'added', 'removed'];
+
+/**
+ * Replace the tags taken from a member's intro with `tags` ([{ tag, kind }]). Tags an
+ * admin added or removed for the member are left as the admin set them.
+ */
+function setIntroTags(userId, tags) {
+  assertSafeInteger(userId, 'userId');
+  const insert = db.prepare(`
+    INSERT INTO intro_tags (user_id, tag, kind, source) VALUES (?, ?, ?, 'intro')
+    ON CONFLICT(user_id, tag) DO NOTHING
+  `);
+  db.transaction(() => {
+    db.prepare("DELETE FROM intro_tags WHERE user_id = ? AND source = 'intro'").run(userId);
+    for (const { tag, kind } of tags) insert.run(userId, String(tag), String(kind));
+  })();
+}
+
+/**
+ * Record an admin's correction of a member's tags: `source` 'added' gives them the tag
+ * whatever their intro says, 'removed' takes it away.
+ */
+function setTagCorrection(userId, tag, kind, source) {
+  assertSafeInteger(userId, 'userId');
+  if (source === 'intro' || !TAG_SOURCES.includes(source)) throw new Error(`Invalid tag correction: ${source}`);
+  db.prepare(`
+    INSERT INTO intro_tags (user_id, tag, kind, source) VALUES (?, ?, ?, ?)
+    ON CONFLICT(user_id, tag) DO UPDATE SET kind = excluded.kind, source = excluded.source
+  `).run(userId, String(tag), String(kind), source);
+}
+
+function getUserTags(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare(`
+    SELECT tag, kind, source FROM intro_tags WHERE user_id = ? AND source != 'removed' ORDER BY kind, tag
+  `).all(userId);
+}
+
+/**
+ * Introduced members still in the group who have every one of `tags`, most recently
+ * introduced first, each with all of their tags (comma-separated, A–Z) and, when their intro is
+ * archived, the chat it was posted in.
+ */
+function findMembersByTags(tags) {
+  const unique = [...new Set(tags.map(String))];
+  if (unique.length === 0) return [];
+  const placeholders = unique.map(() => '?').join(', ');
+  return db.prepare(`
+    SELECT users.*, intro_texts.chat_id AS intro_chat_id,
+      (SELECT group_concat(tag, ', ') FROM (
+        SELECT tag FROM intro_tags AS t WHERE t.user_id = users.user_id AND t.source != 'removed' ORDER BY tag
+      )) AS tags
+    FROM users
+    LEFT JOIN intro_texts ON intro_texts.rowid = users.user_id
+    WHERE users.introduced = 1 AND users.left_at IS NULL AND users.user_id IN (
+      SELECT user_id FROM intro_tags WHERE tag IN (${placeholders}) AND source != 'removed'
+      GROUP BY user_id HAVING COUNT(*) = ?
+    )
+    ORDER BY users.introduced_at DESC
+    LIMIT ?
+  `).all(...unique, unique.length, MAX_PENDING_RESULTS);
+}
+
+// How many introduced members still in the group carry each tag, as { tag: count }.
+function getTagCounts() {
+  const rows = db.prepare(`
+    SELECT tag, COUNT(*) AS count FROM intro_tags
+    JOIN users ON users.user_id = intro_tags.user_id
+    WHERE intro_tags.source != 'removed' AND users.introduced = 1 AND users.left_at IS NULL
+    GROUP BY tag
+  `).all();
+  return Object.fromEntries(rows.map((row) => [row.tag, row.count]));
+}
+
+// ---- Intro review queue ----
+
+const REVIEW_DECISIONS = ['approved', 'rejected', 'more'];
+
+// Returns the new review's ID. `topicId` is the forum topic the intro was posted in, if any.
+function createIntroReview(userId, chatId, msgId, text, score, media = null, topicId = null) {
+  assertSafeInteger(userId, 'userId');
+  assertChatId(chatId);
+  assertSafeInteger(msgId, 'msgId');
+  if (media != null && !INTRO_MEDIA_TYPES.includes(media)) throw new Error(`Invalid intro media: ${media}`);
+  if (topicId != null) assertSafeInteger(topicId, 'topicId');
+  const result = db.prepare(`
+    INSERT INTO intro_reviews (user_id, chat_id, topic_id, msg_id, text, score, media, submitted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, chatId, topicId ?? null, msgId, String(text), score ?? null, media ?? null, Date.now());
+  return Number(result.lastInsertRowid);
+}
+
+function getIntroReview(reviewId) {
+  assertSafeInteger(reviewId, 'reviewId');
+  return db.prepare('SELECT * FROM intro_reviews WHERE id = ?').get(reviewId) || null;
+}
+
+// The user's intro still waiting for an admin, if any.
+function getPendingIntroReview(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare(`
+    SELECT * FROM intro_reviews WHERE user_id = ? AND decision IS NULL ORDER BY id DESC LIMIT 1
+  `).get(userId) || null;
+}
+
+// The user's most recently decided review, for /status.
+function getLatestIntroReview(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare(`
+    SELECT * FROM intro_reviews WHERE user_id = ? AND decision IS NOT NULL ORDER BY decided_at DESC, id DESC LIMIT 1
+  `).get(userId) || null;
+}
+
+/**
+ * Record an admin's decision on a pending review. Returns true only for the caller that
+ * decided it, so two admins tapping at once cannot both act on the same intro.
+ */
+function decideIntroReview(reviewId, decision, adminId) {
+  assertSafeInteger(reviewId, 'reviewId');
+  assertSafeInteger(adminId, 'adminId');
+  if (!REVIEW_DECISIONS.includes(decision)) throw new Error(`Invalid review decision: ${decision}`);
+  return db.prepare(`
+    UPDATE intro_reviews SET decision = ?, decided_by = ?, decided_at = ? WHERE id = ? AND decision IS NULL
+  `).run(decision, adminId, Date.now(), reviewId).changes > 0;
+}
+
+// Withdraw a review that never reached the admin chat.
+function deleteIntroReview(reviewId) {
+  assertSafeInteger(reviewId, 'reviewId');
+  db.prepare('DELETE FROM intro_reviews WHERE id = ?').run(reviewId);
+}
+
+// ---- DM intro wizard ----
+
+function getWizardSession(userId) {
+  assertSafeInteger(userId, 'userId');
+  const row = db.prepare('SELECT * FROM wizard_sessions WHERE user_id = ?').get(userId);
+  if (!row) return null;
+  let answers;
+  try {
+    answers = JSON.parse(row.answers);
+  } catch (_) {
+    answers = [];
+  }
+  return { ...row, answers: Array.isArray(answers) ? answers : [] };
+}
+
+function saveWizardSession(userId, step, answers) {
+  assertSafeInteger(userId, 'userId');
+  db.prepare(`
+    INSERT INTO wizard_sessions (user_id, step, answers) VALUES (?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      step = excluded.step,
+      answers = excluded.answers,
+      updated_at = datetime('now')
+  `).run(userId, step, JSON.stringify(answers));
+}
+
+function deleteWizardSession(userId) {
+  assertSafeInteger(userId, 'userId');
+  db.prepare('DELETE FROM wizard_sessions WHERE user_id = ?').run(userId);
+}
+
+// ---- Language preferences ----
+
+function getUserLocale(userId) {
+  assertSafeInteger(userId, 'userId');
+  const row = db.prepare('SELECT locale FROM user_locales WHERE user_id = ?').get(userId);
+  return row ? row.locale : null;
+}
+
+/**
+ * Store a user's language preference. Passing null clears it.
+ */
+function setUserLocale(userId, locale) {
+  assertSafeInteger(userId, 'userId');
+  if (locale === null) {
+    db.prepare('DELETE FROM user_locales WHERE user_id = ?').run(userId);
+    return;
+  }
+  db.prepare(`
+    INSERT INTO user_locales (user_id, locale) VALUES (?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET locale = excluded.locale
+  `).run(userId, locale);
+}
+
+// ---- CAPTCHA challenges ----
+
+function createCaptchaChallenge(userId, chatId, answer, expiresAt) {
+  assertSafeInteger(userId, 'userId');
+  assertChatId(chatId);
+  db.prepare(`
+    INSERT INTO captcha_challenges (user_id, chat_id, answer, message_id, expires_at)
+    VALUES (?, ?, ?, NULL, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      chat_id = excluded.chat_id,
+      answer = excluded.answer,
+      message_id = NULL,
+      expires_at = excluded.expires_at
+  `).run(userId, chatId, answer, expiresAt);
+}
+
+function setCaptchaMsgId(userId, msgId) {
+  assertSafeInteger(userId, 'userId');
+  assertSafeInteger(msgId, 'msgId');
+  db.prepare('UPDATE captcha_challenges SET message_id = ? WHERE user_id = ?').run(msgId, userId);
+}
+
+function getCaptchaChallenge(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('SELECT * FROM captcha_challenges WHERE user_id = ?').get(userId) || null;
+}
+
+/**
+ * Delete a challenge. Returns true only for the caller that actually removed the row,
+ * so concurrent callbacks (double-taps, sweep vs. answer) can use it as a claim.
+ */
+function deleteCaptchaChallenge(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('DELETE FROM captcha_challenges WHERE user_id = ?').run(userId).changes > 0;
+}
+
+function getExpiredCaptchaChallenges(now) {
+  return db
+    .prepare('SELECT * FROM captcha_challenges WHERE expires_at <= ? ORDER BY expires_at ASC LIMIT ?')
+    .all(now, MAX_PENDING_RESULTS);
+}
+
+// ---- Join requests ----
+
+function createJoinRequest(userId, chatId, expiresAt) {
+  assertSafeInteger(userId, 'userId');
+  assertChatId(chatId);
+  db.prepare(`
+    INSERT INTO join_requests (user_id, chat_id, expires_at) VALUES (?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET chat_id = excluded.chat_id, expires_at = excluded.expires_at
+  `).run(userId, chatId, expiresAt);
+}
+
+function getJoinRequest(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('SELECT * FROM join_requests WHERE user_id = ?').get(userId) || null;
+}
+
+/**
+ * Delete a join request. Returns true only for the caller that removed the row — the
+ * intro handler approving and the expiry sweep declining use it as a claim.
+ */
+function deleteJoinRequest(userId) {
+  assertSafeInteger(userId, 'userId');
+  return db.prepare('DELETE FROM join_requests WHERE user_id = ?').run(userId).changes > 0;
+}
+
+function getExpiredJoinRequests(now) {
+  return db
+    .prepare('SELECT * FROM join_requests WHERE expires_at <= ? ORDER BY expires_at ASC LIMIT ?')
+    .all(now, MAX_PENDING_RESULTS);
+}
+
 /**
  * Gracefully close the database connection.
  */
@@ -168,10 +1066,68 @@ module.exports = {
   getUserByUsername,
   upsertUser,
   markIntroduced,
+  setIntroScore,
   setWelcomeMsgId,
   resetUser,
   getPending,
+  getPendingByWelcomeMsgId,
+  markLeft,
+  markRejoined,
   getSetting,
   setSetting,
+  deleteSetting,
+  recordDeadlineWarning,
+  recordKick,
+  getKickHistory,
+  setInviteLink,
+  saveInviteLink,
+  getInviteLinkStats,
+  addIntroFingerprint,
+  getIntroFingerprints,
+  getGraceUsage,
+  startGracePeriod,
+  recordGraceMessage,
+  markGraceReminded,
+  setDmOpen,
+  isDmOpen,
+  recordViolation,
+  recordViolationStep,
+  getViolations,
+  getViolationSteps,
+  clearViolations,
+  recordGateMute,
+  isGateMuted,
+  clearGateMute,
+  recordIntroRejection,
+  getIntroRejections,
+  saveIntroText,
+  getIntroText,
+  searchIntros,
+  getAllIntroTexts,
+  setIntroTags,
+  setTagCorrection,
+  getUserTags,
+  findMembersByTags,
+  getTagCounts,
+  createIntroReview,
+  getIntroReview,
+  getPendingIntroReview,
+  getLatestIntroReview,
+  decideIntroReview,
+  deleteIntroReview,
+  getUserLocale,
+  setUserLocale,
+  getWizardSession,
+  saveWizardSession,
+  deleteWizardSession,
+  createCaptchaChallenge,
+  setCaptchaMsgId,
+  getCaptchaChallenge,
+  deleteCaptchaChallenge,
+  getExpiredCaptchaChallenges,
+  createJoinRequest,
+  getJoinRequest,
+  deleteJoinRequest,
+  getExpiredJoinRequests,
   close,
 };
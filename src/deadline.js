@@ -0,0 +1,143 @@
+const config = require('./config');
+const db = require('./db');
+const adminCache = require('./adminCache');
+const i18n = require('./i18n');
+const { kickMember } = require('./permissions');
+const { releaseWelcome } = require('./handlers/welcome');
+const { getMention, logError, sanitizeName, parseSqliteDate } = require('./utils');
+
+const DAY_MS = 24 * 60 * 60_000;
+
+let sweepInterval = null;
+
+/**
+ * Work out what the deadline sweep should do next for a pending user.
+ * Returns { action: 'warn' | 'kick' | null, warningCount, removeAt }.
+ *
+ * Warnings that fell due while the feature was off (or the bot was down) collapse into
+ * a single catch-up warning, and removal always waits for the minimum notice period
+ * after the last warning — nobody is kicked without being told first.
+ */
+function planFor(user, now) {
+  const joinedAt = parseSqliteDate(user.joined_at) ?? now;
+  const totalWarnings = config.INTRO_WARNING_DAYS.length;
+  const sent = user.deadline_warnings || 0;
+  const deadline = joinedAt + config.INTRO_DEADLINE_DAYS * DAY_MS;
+
+  const due = deadline <= now
+    ? totalWarnings
+    : config.INTRO_WARNING_DAYS.filter((days) => joinedAt + days * DAY_MS <= now).length;
+
+  const lastWarnedAt = sent >= totalWarnings ? parseSqliteDate(user.last_warned_at) : null;
+  const removeAt = Math.max(deadline, (lastWarnedAt ?? now) + config.INTRO_DEADLINE_MIN_NOTICE_MS);
+
+  if (sent >= totalWarnings && removeAt <= now) return { action: 'kick', warningCount: sent, removeAt };
+  if (due > sent) return { action: 'warn', warningCount: due, removeAt };
+  return { action: null, warningCount: sent, removeAt };
+}
+
+/**
+ * Pending users ordered by when they would be removed. Used by the /kickpreview dry run.
+ * Join requesters are left out, as the sweep leaves them to the join request timeout.
+ */
+function getRemovalSchedule(now = Date.now()) {
+  return db.getPending()
+    .filter((user) => !db.getJoinRequest(user.user_id))
+    .map((user) => ({ user, ...planFor(user, now) }))
+    .sort((a, b) => a.removeAt - b.removeAt);
+}
+
+async function sendWarning(telegram, mainGroupId, user, removeAt, now) {
+  const daysLeft = Math.max(1, Math.ceil((removeAt - now) / DAY_MS));
+  const introChannelId = config.getIntroChannelId();
+  const introTopicId = config.getIntroTopicId();
+  // No language_code is stored for users, so this is their /language choice or the group default.
+  const messages = i18n.messages(i18n.localeFor(user));
+
+  // Prefer a DM; it only works if the user has started a chat with the bot.
+  if (db.isDmOpen(user.user_id)) {
+    try {
+      await telegram.sendMessage(
+        user.user_id,
+        messages.INTRO_DEADLINE_WARNING_MESSAGE(sanitizeName(user.first_name), daysLeft, introChannelId, introTopicId)
+      );
+      return;
+    } catch (err) {
+      // 403: the member blocked the bot without a my_chat_member update reaching us.
+      if (err.code === 403) db.setDmOpen(user.user_id, false);
+      // Fall through to a group mention.
+    }
+  }
+
+  await telegram.sendMessage(
+    mainGroupId,
+    messages.INTRO_DEADLINE_WARNING_MESSAGE(getMention(user), daysLeft, introChannelId, introTopicId)
+  );
+}
+
+async function processUser(telegram, mainGroupId, user, now) {
+  const plan = planFor(user, now);
+  if (!plan.action) return;
+
+  // Join requesters are not in the group yet; the join request timeout covers them.
+  if (db.getJoinRequest(user.user_id)) return;
+
+  // Admins never need to introduce themselves — leave them alone.
+  if (await adminCache.isAdmin(telegram, mainGroupId, user.user_id)) return;
+
+  if (plan.action === 'warn') {
+    try {
+      await sendWarning(telegram, mainGroupId, user, plan.removeAt, now);
+      db.recordDeadlineWarning(user.user_id, plan.warningCount);
+    } catch (err) {
+      console.error('Failed to send intro deadline warning:', err.message);
+    }
+    return;
+  }
+
+  try {
+    await kickMember(telegram, mainGroupId, user.user_id);
+    db.recordKick(user.user_id, 'intro_deadline');
+    await releaseWelcome(telegram, user);
+  } catch (err) {
+    console.error('Failed to remove member after intro deadline:', err.message);
+  }
+}
+
+/**
+ * One pass over the pending list: send due warnings and remove members past the deadline.
+ */
+async function runSweep(telegram) {
+  const mainGroupId = config.getMainGroupId();
+  if (!mainGroupId || !config.isIntroDeadlineEnabled()) return;
+
+  const now = Date.now();
+  for (const user of db.getPending()) {
+    await processUser(telegram, mainGroupId, user, now);
+  }
+}
+
+/**
+ * Sweep on an interval and once at startup, so warnings and removals that fell due while
+ * the bot was down are not held back a full interval.
+ */
+function startSweep(telegram) {
+  stopSweep();
+  logError(runSweep(telegram), 'Intro deadline sweep failed');
+  sweepInterval = setInterval(() => {
+    logError(runSweep(telegram), 'Intro deadline sweep failed');
+  }, config.INTRO_DEADLINE_SWEEP_INTERVAL_MS).unref();
+}
+
+function stopSweep() {
+  clearInterval(sweepInterval);
+  sweepInterval = null;
+}
+
+module.exports = {
+  planFor,
+  getRemovalSchedule,
+  runSweep,
+  startSweep,
+  stopSweep,
+};
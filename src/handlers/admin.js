@@ -1,20 +1,76 @@
 const config = require('../config');
 const db = require('../db');
 const adminCache = require('../adminCache');
-const { getMention } = require('../utils');
+const { applyGate, liftGate, isLadderMuted, unmuteMember } = require('../permissions');
+const joinRequest = require('./joinRequest');
+const deadline = require('../deadline');
+const templates = require('../templates');
+const i18n = require('../i18n');
+const { extractTags, resolveTag } = require('../introTags');
+const { getMention, formatDuration } = require('../utils');
 
 const ERRORS = {
   PRIVATE_CHAT_SETGROUP: 'This command must be used in a group, not a private chat.',
   PRIVATE_CHAT_SETINTRO: 'This command must be used in a group or channel, not a private chat.',
   MAIN_GROUP_REASSIGN: 'A main group is already configured. Only admins of the existing main group can reassign it.',
   MAIN_GROUP_ENV: 'Main group is set via MAIN_GROUP_ID environment variable. Remove it from .env to use /setgroup instead.',
-  INTRO_CHANNEL_NO_MAIN: 'An intro channel is already configured. Set up the main group with /setgroup first before reassigning.',
-  INTRO_CHANNEL_REASSIGN: 'An intro channel is already configured. Only admins of the main group can reassign it.',
+  INTRO_CHANNEL_NO_MAIN: 'An intro channel is already configured. Set up the main group with /setgroup first before adding another.',
+  INTRO_CHANNEL_REASSIGN: 'An intro channel is already configured. Only admins of the main group can add another.',
   INTRO_SAME_AS_MAIN: 'The intro channel cannot be the same as the main group. Run /setintro inside a forum topic to use a topic as the intro channel.',
-  INTRO_CHANNEL_ENV: 'Intro channel is set via INTRO_CHANNEL_ID environment variable. Remove it from .env to use /setintro instead.',
+  INTRO_CHANNEL_ENV: 'This intro channel is set via INTRO_CHANNEL_ID environment variable. Remove it from .env to remove it here.',
+  USAGE_SETINTRO: 'Usage: /setintro [track], run in the intro channel or forum topic, e.g. /setintro builders. ' +
+    'A track name is up to 24 letters, digits, - or _',
+  INTRO_LOCATIONS_FULL: (max) => `There are already ${max} intro locations. Remove one with /removeintro first.`,
+  NO_INTRO_LOCATIONS: 'No intro locations yet. Run /setintro in the intro channel or forum topic.',
+  USAGE_REMOVEINTRO: 'Usage: /removeintro <number>, with the number from /listintros',
+  USAGE_INTRORUBRIC: 'Usage: /introrubric <number>, /introrubric <number> weight <section> <0-10>, ' +
+    '/introrubric <number> threshold <score> or /introrubric <number> reset, with the number from /listintros. ' +
+    `Sections: ${config.INTRO_RUBRIC_SECTIONS.join(', ')}`,
+  USAGE_INTROACCEPTED: 'Usage: /introaccepted <number> <text> (or reply to a message containing the text), or ' +
+    '/introaccepted <number> reset, with the number from /listintros. Placeholders: {name}, {intro_link}, {group_title}',
+  PRIVATE_CHAT_SETADMINCHAT: 'This command must be used in a group, not a private chat.',
+  ADMIN_CHAT_NO_MAIN: 'Set up the main group with /setgroup first. Only its admins can choose the admin chat.',
+  ADMIN_CHAT_SAME_AS_MAIN: 'Admin notices would be visible to every member here. Run /setadminchat in a separate admins-only group.',
+  ADMIN_CHAT_ENV: 'Admin chat is set via ADMIN_CHAT_ID environment variable. Remove it from .env to use /setadminchat instead.',
   USAGE_APPROVE: 'Usage: /approve <user_id> or reply to a message',
   USAGE_RESET: 'Usage: /reset <user_id> or reply to a message',
   USAGE_STATUS: 'Usage: /status <user_id> or reply to a message',
+  USAGE_WHOIS: 'Usage: /whois <user_id> or reply to a message',
+  USAGE_SEARCH: 'Usage: /search <terms>, e.g. /search rust hackathon',
+  USAGE_TAGS: `Usage: /tags, /tags <tag>, /tags add <${config.INTRO_TAG_KINDS.join('|')}> <tag> [keyword, keyword…], ` +
+    '/tags remove <tag> or /tags retag',
+  USAGE_TAG: 'Usage: /tag <user_id or @username> +tag -tag, or reply to a message with /tag +tag -tag',
+  UNKNOWN_TAGS: (tags) => `Unknown tag${tags.length === 1 ? '' : 's'}: ${tags.join(', ')}. ` +
+    'Add it to the dictionary with /tags add first.',
+  USAGE_CAPTCHA: 'Usage: /captcha on|off',
+  USAGE_GATEMODE: 'Usage: /gatemode mute|delete|request',
+  USAGE_DEADLINE: 'Usage: /deadline on|off',
+  USAGE_ANNOUNCE: 'Usage: /announce on|off',
+  USAGE_REJOINPOLICY: 'Usage: /rejoinpolicy keep|<days>',
+  USAGE_GRACE: `Usage: /grace off, or /grace <messages> <minutes>, e.g. /grace 3 10 — up to ${config.GRACE_MESSAGES_MAX} ` +
+    `messages and ${config.GRACE_MINUTES_MAX} minutes; 0 for no limit on one of them`,
+  USAGE_LADDER: 'Usage: /ladder, /ladder off, or /ladder <steps>, e.g. /ladder 3:mute:60,5:mute:1440,7:kick — ' +
+    `each step a count of removed messages and a mute of up to ${config.VIOLATION_MUTE_MINUTES_MAX} minutes or a kick, ` +
+    `in rising order, kick last, ${config.VIOLATION_LADDER_MAX_STEPS} steps at most`,
+  USAGE_CLEARVIOLATIONS: 'Usage: /clearviolations <user_id or @username> or reply to a message',
+  USAGE_GATEEXEMPT: 'Usage: /gateexempt, run in the forum topic to open to members without an intro, or /gateexempt <topic_id>',
+  USAGE_GATEINCLUDE: 'Usage: /gateinclude, run in an exempt forum topic, or /gateinclude <topic_id>',
+  GATE_EXEMPT_FULL: `At most ${config.GATE_EXEMPT_TOPICS_MAX} topics can be exempt. Remove one with /gateinclude first.`,
+  GATE_NOT_EXEMPT: (topicId) => `Topic ${topicId} is not exempt from the gate.`,
+  USAGE_EDITPOLICY: 'Usage: /editpolicy ignore|notify|reset',
+  USAGE_REVIEWMODE: 'Usage: /reviewmode auto|review|hybrid',
+  REVIEW_NO_ADMIN_CHAT: 'Intro reviews are posted to the admin chat. Set one with /setadminchat first.',
+  USAGE_NEWLINK: `Usage: /newlink <name>, e.g. /newlink KL meetup Oct (up to ${config.INVITE_LINK_NAME_MAX_LENGTH} characters)`,
+  USAGE_RUBRIC: 'Usage: /rubric, /rubric weight <section> <0-10> or /rubric threshold <score>. ' +
+    `Sections: ${config.INTRO_RUBRIC_SECTIONS.join(', ')}`,
+  RUBRIC_UNREACHABLE: (threshold, maxScore) => `No intro could pass: the threshold (${threshold}) would be ` +
+    `above the highest possible score (${maxScore}).`,
+  NEWLINK_FAILED: 'Could not create the invite link. Make sure the bot has the "Invite Users via Link" right.',
+  USAGE_SETTEMPLATE: `Usage: /settemplate <${templates.TEMPLATE_NAMES.join('|')}> <text>, or reply to a message ` +
+    'containing the text. Placeholders: {name}, {intro_link}, {group_title}, and {missing} in the nudge',
+  USAGE_PREVIEWTEMPLATE: `Usage: /previewtemplate <${templates.TEMPLATE_NAMES.join('|')}>`,
+  USAGE_RESETTEMPLATE: `Usage: /resettemplate <${templates.TEMPLATE_NAMES.join('|')}>`,
+  USAGE_GROUPLANGUAGE: `Usage: /grouplanguage <${config.LOCALES.join('|')}>`,
   USER_NOT_FOUND: 'User not found in database.',
 };
 
@@ -22,9 +78,87 @@ const SUCCESS = {
   MAIN_GROUP_SET: 'Main group set to this chat.',
   INTRO_TOPIC_SET: 'Intro topic set to this forum topic.',
   INTRO_CHANNEL_SET: 'Intro channel set to this chat.',
+  INTRO_LOCATION_ADDED: (count) => `Intros posted here are now accepted too — ${count} intro locations in all. ` +
+    'See them with /listintros.',
+  INTRO_TRACK_SET: (track) => (track
+    ? `Intros posted here are now the ${track} track.`
+    : 'Intros posted here no longer have a track.'),
+  INTRO_LOCATION_REMOVED: (left) => `Intro location removed; ${left} left.`,
+  INTRO_LOCATION_RUBRIC_SET: (number, threshold, maxScore) =>
+    `Intros posted in location ${number} now pass at a score of ${threshold} out of ${maxScore}.`,
+  INTRO_LOCATION_RUBRIC_RESET: (number) => `Intros posted in location ${number} are scored with the group rubric (/rubric) again.`,
+  INTRO_LOCATION_ACCEPTED_SET: (number) => `Members whose intro is accepted in location ${number} now get its own message.`,
+  INTRO_LOCATION_ACCEPTED_RESET: (number) => `Location ${number} uses the accepted template (/settemplate accepted) again.`,
+  ADMIN_CHAT_SET: 'Admin notices will be posted here.',
   NO_PENDING: 'No pending users.',
+  NO_SEARCH_RESULTS: 'No intros match that search.',
+  TAG_SAVED: (tag, kind, keywords) => `Tag ${tag} (${kind}) is given to intros that mention: ${keywords.join(', ')}. ` +
+    'Run /tags retag to apply it to intros already accepted.',
+  TAG_REMOVED: (tag) => `Tag ${tag} removed from the dictionary. Run /tags retag to take it off members' intros.`,
+  TAGS_RETAGGED: (count) => `Re-tagged ${count} archived intro${count === 1 ? '' : 's'}.`,
+  USER_TAGS: (mention, tags) => tags.length > 0 ? `Tags for ${mention}: ${tags.join(', ')}` : `${mention} has no tags.`,
+  CAPTCHA_ON: 'New members must now pass a CAPTCHA before they are welcomed.',
+  CAPTCHA_OFF: 'CAPTCHA disabled. New members are welcomed immediately.',
+  GATEMODE_MUTE: 'Gate mode set to mute: new members are restricted until their intro is accepted. ' +
+    'Make sure the bot has the "Ban Users" right, otherwise it falls back to deleting messages.',
+  DEADLINE_ON: 'Automatic removal enabled. Pending members are warned, then removed if they have not introduced by the deadline. Use /kickpreview to see who is next.',
+  DEADLINE_OFF: 'Automatic removal disabled.',
+  ANNOUNCE_ON: (minutes) => 'New members will be introduced here once their intro is accepted. When several are ' +
+    `accepted within ${minutes} minutes, they are introduced together in one message.`,
+  ANNOUNCE_OFF: 'New members will no longer be introduced in the main group.',
+  RUBRIC_WEIGHT_SET: (section, weight) => `Rubric weight for ${section} set to ${weight}.`,
+  RUBRIC_THRESHOLD_SET: (threshold, maxScore) => `Intros now pass at a score of ${threshold} out of ${maxScore}.`,
+  NO_LINKS: 'No invite links yet. Create one with /newlink <name>.',
+  LINK_CREATED: (name, link) => `Invite link "${name}" created: ${link}\nUse /links to see who joins with it.`,
+  REJOIN_KEEP: 'Members who leave and come back keep their introduced status.',
+  REJOIN_REINTRO: (days) => days === 0
+    ? 'Members who leave and come back must introduce themselves again.'
+    : `Members who come back after ${days} or more days away must introduce themselves again.`,
+  GRACE_OFF: 'Grace period off: messages from members without an intro are removed from the first one.',
+  GRACE_SET: (messages, minutes) => 'New members may now post ' +
+    (messages > 0 ? `their first ${messages} plain-text message${messages === 1 ? '' : 's'}` : 'plain-text messages') +
+    (minutes > 0 ? ` within ${minutes} minute${minutes === 1 ? '' : 's'} of joining` : '') +
+    ' before introducing themselves. Links, mentions and media are still removed.',
+  GATE_EXEMPT_ADDED: (topicId) => `Members without an intro can now post in topic ${topicId}; ` +
+    'their messages there are no longer removed. Undo with /gateinclude.',
+  GATE_EXEMPT_REMOVED: (topicId) => `Topic ${topicId} is gated again: messages from members without an intro are removed.`,
+  GATE_EXEMPT_LIST: (topics) => `Topics exempt from the gate: ${topics.join(', ')}`,
+  LADDER_OFF: 'Escalation ladder off: members who keep posting without an intro only get reminders.',
+  LADDER_SET: (spec) => `Escalation ladder set to ${spec}. See what it does with /ladder.`,
+  VIOLATIONS_CLEARED: (mention, count) => `Cleared ${mention}'s ${count} removed message${count === 1 ? '' : 's'}; ` +
+    'the escalation ladder starts over for them.',
+  NO_VIOLATIONS: (mention) => `${mention} has no removed messages on the escalation ladder.`,
+  EDIT_POLICY_IGNORE: 'Edited intros are no longer re-checked once accepted.',
+  EDIT_POLICY_NOTIFY: 'When an accepted intro is edited so it no longer passes, the admin chat is told ' +
+    '(set one with /setadminchat).',
+  EDIT_POLICY_RESET: 'When an accepted intro is edited so it no longer passes, the member is set back to pending ' +
+    'and the admin chat is told (set one with /setadminchat).',
+  REVIEW_MODE_AUTO: 'Intros that pass the rubric are accepted straight away.',
+  REVIEW_MODE_REVIEW: 'Every intro that passes the rubric now waits for an admin to approve it in the admin chat.',
+  REVIEW_MODE_HYBRID: 'Clear passes are accepted straight away; intros close to the threshold wait for an admin ' +
+    'in the admin chat.',
+  GATEMODE_DELETE: 'Gate mode set to delete: messages from members without an intro are deleted.',
+  GATEMODE_REQUEST: (hours) => 'Gate mode set to request: join requests are held until the requester\'s intro ' +
+    `is accepted, and declined after ${hours} hours. Turn on "Approve new members" for the group and make sure ` +
+    'the bot has the "Invite Users via Link" right.',
+  TEMPLATE_SAVED: (name) => `The ${name} template has been updated. Use /previewtemplate ${name} to check it.`,
+  TEMPLATE_RESET: (name) => `The ${name} template has been restored to the default.`,
+  TEMPLATE_PREVIEW: (name, isCustom) => `Preview of the ${name} template (${isCustom ? 'custom' : 'default'}), rendered for you:`,
+  APPROVED: (mention) => `${mention} has been manually approved.`,
+  RESET: (mention) => `${mention} has been reset. They will need to re-introduce themselves.`,
+  GROUP_LANGUAGE_SET: (languageName) => `Group default language set to ${languageName}. ` +
+    'Members whose Telegram language is not supported, and who have not picked one with /language, will see it.',
 };
 
+// Replies go out in the language of the admin who ran the command.
+function errorsFor(ctx) {
+  return i18n.localize(i18n.localeFor(ctx.from), 'adminErrors', ERRORS);
+}
+
+function successFor(ctx) {
+  return i18n.localize(i18n.localeFor(ctx.from), 'adminSuccess', SUCCESS);
+}
+
 async function isAdmin(ctx) {
   if (!ctx.from) return false;
   return adminCache.isAdmin(ctx.telegram, ctx.chat.id, ctx.from.id);
@@ -51,6 +185,37 @@ function formatUserDisplay(user) {
   return { name, username };
 }
 
+// A member's escalation ladder history (newest-first `steps`) for /status: reminders as a
+// total, then the latest five mutes, kicks and clears, oldest first.
+function formatViolationSteps(steps) {
+  const reminders = steps.filter((step) => step.action === 'remind').length;
+  const actions = steps.filter((step) => step.action !== 'remind').slice(0, 5).reverse();
+  const described = actions.map((step) => {
+    if (step.action === 'mute') return `muted ${step.minutes} min at ${step.violation} (${step.taken_at})`;
+    if (step.action === 'kick') return `removed at ${step.violation} (${step.taken_at})`;
+    return `cleared ${step.violation} by ID ${step.admin_id} (${step.taken_at})`;
+  });
+  return [...(reminders > 0 ? [`reminded ${reminders}`] : []), ...described].join(', ');
+}
+
+// /ladder report: the steps, one per line.
+function formatViolationLadder(ladder) {
+  const steps = ladder.map(({ at, action, minutes }) =>
+    `- ${at} removed messages: ${action === 'mute' ? `mute for ${minutes} minutes` : 'remove from the group'}`);
+  return `Escalation ladder (${config.formatViolationLadder(ladder)}), counting messages removed from members ` +
+    `without an intro:\n${steps.join('\n')}\n` +
+    'Other counts get the usual reminder; past the last step it is taken again. Clear a member with /clearviolations.';
+}
+
+// The forum topic a /gateexempt or /gateinclude is about: the one given as an argument, else
+// the one it was run in. null in the General topic (or outside a forum), NaN for an argument
+// that is not a topic ID.
+function gateTopicArg(ctx) {
+  const arg = (ctx.message.text || '').split(/\s+/)[1];
+  if (arg === undefined) return ctx.message.is_topic_message ? ctx.message.message_thread_id ?? null : null;
+  return /^\d+$/.test(arg) && Number(arg) > 0 ? Number(arg) : NaN;
+}
+
 function resolveTarget(ctx) {
   if (ctx.message.reply_to_message) {
     const from = ctx.message.reply_to_message.from;
@@ -81,6 +246,80 @@ function resolveTarget(ctx) {
   return null;
 }
 
+/**
+ * Keep as many lines as fit in `limit` characters (Telegram caps messages at 4096).
+ * Returns the kept lines and how many were dropped.
+ */
+function fitLines(lines, limit) {
+  const kept = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length + 1 > limit) break;
+    kept.push(line);
+    length += line.length + 1;
+  }
+  return { kept, omitted: lines.length - kept.length };
+}
+
+/**
+ * Split "/command <name> <text...>" into the template name and the (multi-line) text.
+ * When no text follows the name, the text of the replied-to message is used instead.
+ */
+function parseTemplateArgs(ctx) {
+  const match = (ctx.message.text || '').match(/^\/\S+\s+(\S+)(?:\s+([\s\S]*))?$/);
+  if (!match) return { name: null, text: null };
+  const text = match[2]?.trim() || ctx.message.reply_to_message?.text || null;
+  return { name: match[1].toLowerCase(), text };
+}
+
+/**
+ * The items on a 1-based page of `size`, for /pending-style paging.
+ */
+function paginate(items, pageNum, size) {
+  const start = (pageNum - 1) * size;
+  return { page: items.slice(start, start + size), totalPages: Math.ceil(items.length / size) };
+}
+
+/**
+ * Split text into pages of at most `size` characters, breaking at whitespace where possible.
+ */
+function splitPages(text, size) {
+  const pages = [];
+  let rest = text;
+  while (rest.length > size) {
+    const cut = rest.lastIndexOf(' ', size);
+    const end = cut > size / 2 ? cut : size;
+    pages.push(rest.slice(0, end).trimEnd());
+    rest = rest.slice(end).trimStart();
+  }
+  pages.push(rest);
+  return pages;
+}
+
+function formatUtc(ms) {
+  return new Date(ms).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+// Apply and persist the intro locations (/setintro, /removeintro, /introrubric, /introaccepted).
+function saveIntroLocations(locations) {
+  config.setIntroLocations(locations);
+  db.setSetting('INTRO_LOCATIONS', JSON.stringify(config.getIntroLocations()));
+}
+
+// The 0-based index of the intro location numbered `arg` in /listintros, or -1.
+function locationIndex(arg, locations) {
+  if (!/^\d+$/.test(arg ?? '')) return -1;
+  const index = Number(arg) - 1;
+  return index < locations.length ? index : -1;
+}
+
+// The rubric intros posted in `location` are scored with (see scoreIntro).
+function locationRubric(location) {
+  const weights = { ...config.getIntroRubricWeights(), ...location.weights };
+  const maxScore = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return { weights, threshold: location.threshold ?? config.getIntroPassThreshold(), maxScore };
+}
+
 /**
  * Higher-order function: wraps a command handler with main-group + admin guard.
  * Checks that the command is in the main group and the user is a main-group admin.
@@ -100,98 +339,227 @@ function register(bot) {
   // Reassignment: must be an admin of the EXISTING main group to prevent hijacking.
 
   bot.command('setgroup', async (ctx) => {
-    if (ctx.chat.type === 'private') return ephemeralReply(ctx, ERRORS.PRIVATE_CHAT_SETGROUP);
+    if (ctx.chat.type === 'private') return ephemeralReply(ctx, errorsFor(ctx).PRIVATE_CHAT_SETGROUP);
     if (!(await isAdmin(ctx))) return;
 
     // If a main group is already set, require admin of the existing group to reassign
     if (config.getMainGroupId() && config.getMainGroupId() !== ctx.chat.id) {
       const isExistingAdmin = await adminCache.isAdmin(ctx.telegram, config.getMainGroupId(), ctx.from.id);
       if (!isExistingAdmin) {
-        return ephemeralReply(ctx, ERRORS.MAIN_GROUP_REASSIGN);
+        return ephemeralReply(ctx, errorsFor(ctx).MAIN_GROUP_REASSIGN);
       }
     }
 
     if (config.isMainGroupFromEnv()) {
-      return ephemeralReply(ctx, ERRORS.MAIN_GROUP_ENV);
+      return ephemeralReply(ctx, errorsFor(ctx).MAIN_GROUP_ENV);
     }
 
     const chatId = ctx.chat.id;
     db.setSetting('MAIN_GROUP_ID', chatId);
     config.setMainGroupId(chatId);
-    ephemeralReply(ctx, SUCCESS.MAIN_GROUP_SET);
+    ephemeralReply(ctx, successFor(ctx).MAIN_GROUP_SET);
   });
 
+  // Each run adds the chat or forum topic it is run in to the intro locations, or renames its
+  // track: /setintro builders. The first location is the primary one.
   bot.command('setintro', async (ctx) => {
-    if (ctx.chat.type === 'private') return ephemeralReply(ctx, ERRORS.PRIVATE_CHAT_SETINTRO);
+    if (ctx.chat.type === 'private') return ephemeralReply(ctx, errorsFor(ctx).PRIVATE_CHAT_SETINTRO);
     if (!(await isAdmin(ctx))) return;
 
-    // If an intro channel is already set, require admin of the main group to reassign
-    if (config.getIntroChannelId() && config.getIntroChannelId() !== ctx.chat.id) {
+    const chatId = ctx.chat.id;
+    const topicId = ctx.message?.message_thread_id ?? null;
+    const locations = config.getIntroLocations();
+
+    // Intro locations in other chats exist: only main group admins may add one here
+    if (locations.some((l) => l.chatId !== chatId)) {
       if (!config.getMainGroupId()) {
-        return ephemeralReply(ctx, ERRORS.INTRO_CHANNEL_NO_MAIN);
+        return ephemeralReply(ctx, errorsFor(ctx).INTRO_CHANNEL_NO_MAIN);
       }
       const isGroupAdmin = await adminCache.isAdmin(ctx.telegram, config.getMainGroupId(), ctx.from.id);
       if (!isGroupAdmin) {
-        return ephemeralReply(ctx, ERRORS.INTRO_CHANNEL_REASSIGN);
+        return ephemeralReply(ctx, errorsFor(ctx).INTRO_CHANNEL_REASSIGN);
       }
     }
 
-    const chatId = ctx.chat.id;
-    const topicId = ctx.message?.message_thread_id ?? null;
-
     if (chatId === config.getMainGroupId() && !topicId) {
-      return ephemeralReply(ctx, ERRORS.INTRO_SAME_AS_MAIN);
+      return ephemeralReply(ctx, errorsFor(ctx).INTRO_SAME_AS_MAIN);
     }
-    if (config.isIntroChannelFromEnv()) {
-      return ephemeralReply(ctx, ERRORS.INTRO_CHANNEL_ENV);
+
+    const trackArg = (ctx.message.text || '').split(/\s+/)[1]?.toLowerCase();
+    if (trackArg && !config.isValidTrackName(trackArg)) return ephemeralReply(ctx, errorsFor(ctx).USAGE_SETINTRO);
+    const track = trackArg || null;
+
+    const existing = locations.find((l) => l.chatId === chatId && l.topicId === topicId);
+    if (existing) {
+      existing.track = track;
+      saveIntroLocations(locations);
+      return ephemeralReply(ctx, successFor(ctx).INTRO_TRACK_SET(track));
+    }
+    if (locations.length >= config.INTRO_LOCATIONS_MAX) {
+      return ephemeralReply(ctx, errorsFor(ctx).INTRO_LOCATIONS_FULL(config.INTRO_LOCATIONS_MAX));
+    }
+
+    saveIntroLocations([...locations, { chatId, topicId, track }]);
+    if (locations.length > 0) return ephemeralReply(ctx, successFor(ctx).INTRO_LOCATION_ADDED(locations.length + 1));
+    ephemeralReply(ctx, topicId ? successFor(ctx).INTRO_TOPIC_SET : successFor(ctx).INTRO_CHANNEL_SET);
+  });
+
+  bot.command('listintros', requireMainGroupAdmin((ctx) => {
+    const locations = config.getIntroLocations();
+    if (locations.length === 0) return ephemeralReply(ctx, errorsFor(ctx).NO_INTRO_LOCATIONS);
+
+    const lines = locations.map((location, i) => {
+      const name = location.track ? ` — ${location.track}` : '';
+      const entry = [`${i + 1}. ${config.introLink(location.chatId, location.topicId)}${name}${i === 0 ? ' (primary)' : ''}`];
+      if (location.weights || location.threshold) {
+        const { threshold, maxScore } = locationRubric(location);
+        const weights = Object.entries(location.weights ?? {}).map(([section, weight]) => `${section} ${weight}`);
+        entry.push(`   Rubric: passes at ${threshold} of ${maxScore}${weights.length ? ` (${weights.join(', ')})` : ''}`);
+      }
+      if (location.accepted) {
+        const accepted = location.accepted.length > 80 ? `${location.accepted.slice(0, 80)}…` : location.accepted;
+        entry.push(`   Accepted message: ${accepted}`);
+      }
+      return entry.join('\n');
+    });
+    ephemeralReply(ctx, `Intro locations (${locations.length} of ${config.INTRO_LOCATIONS_MAX}):\n\n${lines.join('\n')}`);
+  }));
+
+  bot.command('removeintro', requireMainGroupAdmin((ctx) => {
+    const locations = config.getIntroLocations();
+    const index = locationIndex((ctx.message.text || '').split(/\s+/)[1], locations);
+    if (index < 0) return ephemeralReply(ctx, errorsFor(ctx).USAGE_REMOVEINTRO);
+    if (index === 0 && config.isIntroChannelFromEnv()) {
+      return ephemeralReply(ctx, errorsFor(ctx).INTRO_CHANNEL_ENV);
     }
 
-    db.setSetting('INTRO_CHANNEL_ID', chatId);
-    config.setIntroChannelId(chatId);
-    db.setSetting('INTRO_TOPIC_ID', topicId ? String(topicId) : '0');
-    config.setIntroTopicId(topicId);
+    locations.splice(index, 1);
+    saveIntroLocations(locations);
+    ephemeralReply(ctx, successFor(ctx).INTRO_LOCATION_REMOVED(locations.length));
+  }));
+
+  // A location's own rubric: weights replacing some of the /rubric ones, and a pass threshold.
+  bot.command('introrubric', requireMainGroupAdmin((ctx) => {
+    const [number, action, ...args] = (ctx.message.text || '').split(/\s+/).slice(1).map((a) => a.toLowerCase());
+    const locations = config.getIntroLocations();
+    const index = locationIndex(number, locations);
+    if (index < 0) return ephemeralReply(ctx, errorsFor(ctx).USAGE_INTRORUBRIC);
+    const location = locations[index];
+    const { weights, threshold, maxScore } = locationRubric(location);
 
-    const message = topicId ? SUCCESS.INTRO_TOPIC_SET : SUCCESS.INTRO_CHANNEL_SET;
-    ephemeralReply(ctx, message);
+    if (!action) {
+      const lines = config.INTRO_RUBRIC_SECTIONS.map((section) => `- ${section}: ${weights[section]}`);
+      return ephemeralReply(ctx, `Intro rubric for location ${number} — passes at ${threshold} out of ${maxScore}:\n\n${lines.join('\n')}`);
+    }
+
+    if (action === 'reset') {
+      location.weights = null;
+      location.threshold = null;
+      saveIntroLocations(locations);
+      return ephemeralReply(ctx, successFor(ctx).INTRO_LOCATION_RUBRIC_RESET(index + 1));
+    }
+
+    if (action === 'weight') {
+      const [section, value] = args;
+      if (!config.INTRO_RUBRIC_SECTIONS.includes(section) || !/^\d+$/.test(value ?? '') ||
+        Number(value) > config.INTRO_RUBRIC_MAX_WEIGHT) {
+        return ephemeralReply(ctx, errorsFor(ctx).USAGE_INTRORUBRIC);
+      }
+      location.weights = { ...location.weights, [section]: Number(value) };
+    } else if (action === 'threshold' && /^\d+$/.test(args[0] ?? '') && Number(args[0]) >= 1) {
+      location.threshold = Number(args[0]);
+    } else {
+      return ephemeralReply(ctx, errorsFor(ctx).USAGE_INTRORUBRIC);
+    }
+
+    const updated = locationRubric(location);
+    if (updated.maxScore < updated.threshold) {
+      return ephemeralReply(ctx, errorsFor(ctx).RUBRIC_UNREACHABLE(updated.threshold, updated.maxScore));
+    }
+    saveIntroLocations(locations);
+    ephemeralReply(ctx, successFor(ctx).INTRO_LOCATION_RUBRIC_SET(index + 1, updated.threshold, updated.maxScore));
+  }));
+
+  // A location's own accepted message, in place of the accepted template.
+  bot.command('introaccepted', requireMainGroupAdmin((ctx) => {
+    const { name: number, text } = parseTemplateArgs(ctx);
+    const locations = config.getIntroLocations();
+    const index = locationIndex(number, locations);
+    if (index < 0 || !text) return ephemeralReply(ctx, errorsFor(ctx).USAGE_INTROACCEPTED);
+
+    if (text.toLowerCase() === 'reset') {
+      locations[index].accepted = null;
+      saveIntroLocations(locations);
+      return ephemeralReply(ctx, successFor(ctx).INTRO_LOCATION_ACCEPTED_RESET(index + 1));
+    }
+
+    const error = templates.validateTemplate(text, 'accepted');
+    if (error) return ephemeralReply(ctx, error);
+    locations[index].accepted = text;
+    saveIntroLocations(locations);
+    ephemeralReply(ctx, successFor(ctx).INTRO_LOCATION_ACCEPTED_SET(index + 1));
+  }));
+
+  // Run in an admins-only group (or one of its forum topics) to receive admin notices there.
+  bot.command('setadminchat', async (ctx) => {
+    if (ctx.chat.type === 'private') return ephemeralReply(ctx, errorsFor(ctx).PRIVATE_CHAT_SETADMINCHAT);
+    if (!ctx.from) return;
+    if (!config.getMainGroupId()) return ephemeralReply(ctx, errorsFor(ctx).ADMIN_CHAT_NO_MAIN);
+    if (!(await adminCache.isAdmin(ctx.telegram, config.getMainGroupId(), ctx.from.id))) return;
+
+    const chatId = ctx.chat.id;
+    const topicId = ctx.message?.message_thread_id ?? null;
+
+    if (isMainGroup(chatId)) return ephemeralReply(ctx, errorsFor(ctx).ADMIN_CHAT_SAME_AS_MAIN);
+    if (config.isAdminChatFromEnv()) return ephemeralReply(ctx, errorsFor(ctx).ADMIN_CHAT_ENV);
+
+    db.setSetting('ADMIN_CHAT_ID', chatId);
+    config.setAdminChatId(chatId);
+    db.setSetting('ADMIN_TOPIC_ID', topicId ? String(topicId) : '0');
+    config.setAdminTopicId(topicId);
+    ephemeralReply(ctx, successFor(ctx).ADMIN_CHAT_SET);
   });
 
   // ---- Management commands (main group only, main group admins) ----
 
-  bot.command('approve', requireMainGroupAdmin((ctx) => {
+  bot.command('approve', requireMainGroupAdmin(async (ctx) => {
     const target = resolveTarget(ctx);
-    if (!target) return ephemeralReply(ctx, ERRORS.USAGE_APPROVE);
+    if (!target) return ephemeralReply(ctx, errorsFor(ctx).USAGE_APPROVE);
     if (target.error) return ephemeralReply(ctx, target.error);
 
     if (!db.getUser(target.id)) {
       db.upsertUser(target.id, null, null);
     }
     db.markIntroduced(target.id, null);
+    await liftGate(ctx.telegram, target.id);
+    await joinRequest.approveRequest(ctx.telegram, target.id);
 
-    ephemeralReply(ctx, `${target.mention} has been manually approved.`);
+    ephemeralReply(ctx, successFor(ctx).APPROVED(target.mention));
   }));
 
-  bot.command('reset', requireMainGroupAdmin((ctx) => {
+  bot.command('reset', requireMainGroupAdmin(async (ctx) => {
     const target = resolveTarget(ctx);
-    if (!target) return ephemeralReply(ctx, ERRORS.USAGE_RESET);
+    if (!target) return ephemeralReply(ctx, errorsFor(ctx).USAGE_RESET);
     if (target.error) return ephemeralReply(ctx, target.error);
 
     const user = db.getUser(target.id);
     if (!user) {
-      return ephemeralReply(ctx, ERRORS.USER_NOT_FOUND);
+      return ephemeralReply(ctx, errorsFor(ctx).USER_NOT_FOUND);
     }
 
     db.resetUser(target.id);
-    ephemeralReply(ctx, `${target.mention} has been reset. They will need to re-introduce themselves.`);
+    await applyGate(ctx.telegram, target.id);
+    ephemeralReply(ctx, successFor(ctx).RESET(target.mention));
   }));
 
   bot.command('status', requireMainGroupAdmin((ctx) => {
     const target = resolveTarget(ctx);
-    if (!target) return ephemeralReply(ctx, ERRORS.USAGE_STATUS);
+    if (!target) return ephemeralReply(ctx, errorsFor(ctx).USAGE_STATUS);
     if (target.error) return ephemeralReply(ctx, target.error);
 
     const user = db.getUser(target.id);
     if (!user) {
-      return ephemeralReply(ctx, ERRORS.USER_NOT_FOUND);
+      return ephemeralReply(ctx, errorsFor(ctx).USER_NOT_FOUND);
     }
 
     const status = user.introduced ? 'Introduced' : 'Pending';
@@ -204,22 +572,378 @@ function register(bot) {
     ];
     if (user.introduced) {
       lines.push(`Introduced at: ${user.introduced_at}`);
+      if (user.intro_score != null) lines.push(`Intro score: ${user.intro_score}`);
+      if (user.intro_media) lines.push(`Intro posted as: ${user.intro_media} with caption`);
+    }
+    // Review queue (/reviewmode): the intro waiting for an admin, or the latest decision.
+    const pendingReview = db.getPendingIntroReview(user.user_id);
+    const lastReview = db.getLatestIntroReview(user.user_id);
+    if (pendingReview) {
+      lines.push(`Intro waiting for review since: ${formatUtc(pendingReview.submitted_at)}`);
+    } else if (lastReview) {
+      lines.push(`Review: ${lastReview.decision} by ID ${lastReview.decided_by} after ` +
+        formatDuration(lastReview.decided_at - lastReview.submitted_at));
+    }
+    // Grace period (/grace): messages let through before the gate applied to them.
+    const grace = user.introduced ? null : db.getGraceUsage(user.user_id);
+    if (grace && (grace.messages > 0 || grace.reminded)) {
+      lines.push(`Grace messages used: ${grace.messages}${grace.reminded ? ' (grace period over)' : ''}`);
+    }
+    // Escalation ladder (/ladder): messages the gate removed, and the steps taken.
+    const violations = db.getViolations(user.user_id);
+    if (violations) {
+      const muted = isLadderMuted(user.user_id) ? `; muted until ${violations.muted_until}` : '';
+      lines.push(`Removed messages: ${violations.count} (latest ${violations.last_at}${muted})`);
+    }
+    const steps = db.getViolationSteps(user.user_id);
+    if (steps.length > 0) lines.push(`Escalation steps: ${formatViolationSteps(steps)}`);
+    // Intro submissions the anti-gaming guards turned away, by reason.
+    const rejections = db.getIntroRejections(user.user_id);
+    if (rejections.length > 0) {
+      const counts = {};
+      for (const { reason } of rejections) counts[reason] = (counts[reason] ?? 0) + 1;
+      const reasons = Object.entries(counts).map(([reason, n]) => `${reason} ${n}`).join(', ');
+      lines.push(`Rejected intros: ${rejections.length} (${reasons}; latest ${rejections[0].rejected_at})`);
+    }
+    if (user.invite_link) {
+      lines.push(`Invite link: ${user.invite_link}`);
+    }
+    if (user.left_at) {
+      lines.push(`Left: ${user.left_at} (${user.left_reason})`);
     }
 
     ephemeralReply(ctx, lines.join('\n'));
   }));
 
+  bot.command('captcha', requireMainGroupAdmin((ctx) => {
+    const arg = (ctx.message.text || '').split(/\s+/)[1]?.toLowerCase();
+    if (arg !== 'on' && arg !== 'off') return ephemeralReply(ctx, errorsFor(ctx).USAGE_CAPTCHA);
+
+    const enabled = arg === 'on';
+    db.setSetting('CAPTCHA_ENABLED', enabled ? '1' : '0');
+    config.setCaptchaEnabled(enabled);
+    ephemeralReply(ctx, enabled ? successFor(ctx).CAPTCHA_ON : successFor(ctx).CAPTCHA_OFF);
+  }));
+
+  bot.command('gatemode', requireMainGroupAdmin((ctx) => {
+    const mode = (ctx.message.text || '').split(/\s+/)[1]?.toLowerCase();
+    if (!config.GATE_MODES.includes(mode)) return ephemeralReply(ctx, errorsFor(ctx).USAGE_GATEMODE);
+
+    db.setSetting('GATE_MODE', mode);
+    config.setGateMode(mode);
+    const success = successFor(ctx);
+    const replies = {
+      mute: success.GATEMODE_MUTE,
+      delete: success.GATEMODE_DELETE,
+      request: success.GATEMODE_REQUEST(config.JOIN_REQUEST_TIMEOUT_HOURS),
+    };
+    ephemeralReply(ctx, replies[mode]);
+  }));
+
+  bot.command('grouplanguage', requireMainGroupAdmin((ctx) => {
+    const locale = (ctx.message.text || '').split(/\s+/)[1]?.toLowerCase();
+    if (!config.LOCALES.includes(locale)) return ephemeralReply(ctx, errorsFor(ctx).USAGE_GROUPLANGUAGE);
+
+    db.setSetting('DEFAULT_LOCALE', locale);
+    config.setDefaultLocale(locale);
+    ephemeralReply(ctx, successFor(ctx).GROUP_LANGUAGE_SET(config.LOCALE_NAMES[locale]));
+  }));
+
+  bot.command('deadline', requireMainGroupAdmin((ctx) => {
+    const arg = (ctx.message.text || '').split(/\s+/)[1]?.toLowerCase();
+    if (arg !== 'on' && arg !== 'off') return ephemeralReply(ctx, errorsFor(ctx).USAGE_DEADLINE);
+
+    const enabled = arg === 'on';
+    db.setSetting('INTRO_DEADLINE_ENABLED', enabled ? '1' : '0');
+    config.setIntroDeadlineEnabled(enabled);
+    ephemeralReply(ctx, enabled ? successFor(ctx).DEADLINE_ON : successFor(ctx).DEADLINE_OFF);
+  }));
+
+  bot.command('announce', requireMainGroupAdmin((ctx) => {
+    const arg = (ctx.message.text || '').split(/\s+/)[1]?.toLowerCase();
+    if (arg !== 'on' && arg !== 'off') return ephemeralReply(ctx, errorsFor(ctx).USAGE_ANNOUNCE);
+
+    const enabled = arg === 'on';
+    db.setSetting('INTRO_ANNOUNCE_ENABLED', enabled ? '1' : '0');
+    config.setIntroAnnounceEnabled(enabled);
+    ephemeralReply(ctx, enabled
+      ? successFor(ctx).ANNOUNCE_ON(config.INTRO_ANNOUNCE_INTERVAL_MS / 60_000)
+      : successFor(ctx).ANNOUNCE_OFF);
+  }));
+
+  // Forum topics where pending members may post. /gateexempt in the General topic lists them.
+  bot.command('gateexempt', requireMainGroupAdmin((ctx) => {
+    const topicId = gateTopicArg(ctx);
+    const topics = config.getGateExemptTopics();
+    if (topicId === null) {
+      return ephemeralReply(ctx, topics.length > 0
+        ? successFor(ctx).GATE_EXEMPT_LIST(topics)
+        : errorsFor(ctx).USAGE_GATEEXEMPT);
+    }
+    if (Number.isNaN(topicId)) return ephemeralReply(ctx, errorsFor(ctx).USAGE_GATEEXEMPT);
+
+    if (!topics.includes(topicId)) {
+      if (topics.length >= config.GATE_EXEMPT_TOPICS_MAX) return ephemeralReply(ctx, errorsFor(ctx).GATE_EXEMPT_FULL);
+      topics.push(topicId);
+      config.setGateExemptTopics(topics);
+      db.setSetting('GATE_EXEMPT_TOPICS', JSON.stringify(topics));
+    }
+    ephemeralReply(ctx, successFor(ctx).GATE_EXEMPT_ADDED(topicId));
+  }));
+
+  bot.command('gateinclude', requireMainGroupAdmin((ctx) => {
+    const topicId = gateTopicArg(ctx);
+    if (topicId === null || Number.isNaN(topicId)) return ephemeralReply(ctx, errorsFor(ctx).USAGE_GATEINCLUDE);
+
+    const topics = config.getGateExemptTopics();
+    if (!topics.includes(topicId)) return ephemeralReply(ctx, errorsFor(ctx).GATE_NOT_EXEMPT(topicId));
+    const remaining = topics.filter((id) => id !== topicId);
+    config.setGateExemptTopics(remaining);
+    db.setSetting('GATE_EXEMPT_TOPICS', JSON.stringify(remaining));
+    ephemeralReply(ctx, successFor(ctx).GATE_EXEMPT_REMOVED(topicId));
+  }));
+
+  // Grace period: a pending member's first plain-text messages get past the gate.
+  bot.command('grace', requireMainGroupAdmin((ctx) => {
+    const args = (ctx.message.text || '').split(/\s+/).slice(1).map((a) => a.toLowerCase());
+    let policy = null;
+    if (args.length === 1 && args[0] === 'off') {
+      policy = { messages: 0, minutes: 0 };
+    } else if (args.length === 2 && args.every((a) => /^\d+$/.test(a))) {
+      policy = { messages: Number(args[0]), minutes: Number(args[1]) };
+    }
+
+    try {
+      config.setGracePolicy(policy);
+    } catch {
+      return ephemeralReply(ctx, errorsFor(ctx).USAGE_GRACE);
+    }
+    db.setSetting('GRACE_POLICY', JSON.stringify(config.getGracePolicy()));
+    const { messages, minutes } = config.getGracePolicy();
+    ephemeralReply(ctx, config.isGraceEnabled() ? successFor(ctx).GRACE_SET(messages, minutes) : successFor(ctx).GRACE_OFF);
+  }));
+
+  // Escalation ladder: mute, then remove, members who keep posting without an intro.
+  bot.command('ladder', requireMainGroupAdmin((ctx) => {
+    const arg = (ctx.message.text || '').split(/\s+/).slice(1).join('');
+    if (!arg) {
+      const ladder = config.getViolationLadder();
+      return ephemeralReply(ctx, ladder.length > 0 ? formatViolationLadder(ladder) : successFor(ctx).LADDER_OFF);
+    }
+
+    const ladder = config.parseViolationLadder(arg);
+    if (!ladder) return ephemeralReply(ctx, errorsFor(ctx).USAGE_LADDER);
+    config.setViolationLadder(ladder);
+    db.setSetting('VIOLATION_LADDER', config.formatViolationLadder(ladder));
+    ephemeralReply(ctx, ladder.length > 0
+      ? successFor(ctx).LADDER_SET(config.formatViolationLadder(ladder))
+      : successFor(ctx).LADDER_OFF);
+  }));
+
+  bot.command('clearviolations', requireMainGroupAdmin(async (ctx) => {
+    const target = resolveTarget(ctx);
+    if (!target) return ephemeralReply(ctx, errorsFor(ctx).USAGE_CLEARVIOLATIONS);
+    if (target.error) return ephemeralReply(ctx, target.error);
+
+    const muted = isLadderMuted(target.id);
+    const cleared = db.clearViolations(target.id, ctx.from.id);
+    if (cleared === 0) return ephemeralReply(ctx, successFor(ctx).NO_VIOLATIONS(target.mention));
+
+    // A ladder mute ends with the count, unless the gate itself keeps pending members muted.
+    if (muted && (config.getGateMode() !== 'mute' || db.getUser(target.id)?.introduced)) {
+      try {
+        await unmuteMember(ctx.telegram, config.getMainGroupId(), target.id);
+      } catch (err) {
+        console.error('Failed to lift escalation ladder mute:', err.message);
+      }
+    }
+    ephemeralReply(ctx, successFor(ctx).VIOLATIONS_CLEARED(target.mention, cleared));
+  }));
+
+  bot.command('rejoinpolicy', requireMainGroupAdmin((ctx) => {
+    const arg = (ctx.message.text || '').split(/\s+/)[1]?.toLowerCase();
+    const days = config.parseRejoinReintroDays(arg);
+    if (arg !== 'keep' && days === null) return ephemeralReply(ctx, errorsFor(ctx).USAGE_REJOINPOLICY);
+
+    db.setSetting('REJOIN_REINTRO_DAYS', days === null ? 'keep' : String(days));
+    config.setRejoinReintroDays(days);
+    ephemeralReply(ctx, days === null ? successFor(ctx).REJOIN_KEEP : successFor(ctx).REJOIN_REINTRO(days));
+  }));
+
+  bot.command('editpolicy', requireMainGroupAdmin((ctx) => {
+    const policy = (ctx.message.text || '').split(/\s+/)[1]?.toLowerCase();
+    if (!config.INTRO_EDIT_POLICIES.includes(policy)) return ephemeralReply(ctx, errorsFor(ctx).USAGE_EDITPOLICY);
+
+    db.setSetting('INTRO_EDIT_POLICY', policy);
+    config.setIntroEditPolicy(policy);
+    const success = successFor(ctx);
+    const replies = {
+      ignore: success.EDIT_POLICY_IGNORE,
+      notify: success.EDIT_POLICY_NOTIFY,
+      reset: success.EDIT_POLICY_RESET,
+    };
+    ephemeralReply(ctx, replies[policy]);
+  }));
+
+  bot.command('reviewmode', requireMainGroupAdmin((ctx) => {
+    const mode = (ctx.message.text || '').split(/\s+/)[1]?.toLowerCase();
+    if (!config.INTRO_REVIEW_MODES.includes(mode)) return ephemeralReply(ctx, errorsFor(ctx).USAGE_REVIEWMODE);
+    // Without an admin chat nobody would see the queue.
+    if (mode !== 'auto' && !config.getAdminChatId()) return ephemeralReply(ctx, errorsFor(ctx).REVIEW_NO_ADMIN_CHAT);
+
+    db.setSetting('INTRO_REVIEW_MODE', mode);
+    config.setIntroReviewMode(mode);
+    const success = successFor(ctx);
+    const replies = {
+      auto: success.REVIEW_MODE_AUTO,
+      review: success.REVIEW_MODE_REVIEW,
+      hybrid: success.REVIEW_MODE_HYBRID,
+    };
+    ephemeralReply(ctx, replies[mode]);
+  }));
+
+  // Intro scoring: show the rubric, or tune a section weight or the pass threshold.
+  bot.command('rubric', requireMainGroupAdmin((ctx) => {
+    const [action, ...args] = (ctx.message.text || '').split(/\s+/).slice(1).map((a) => a.toLowerCase());
+    const weights = config.getIntroRubricWeights();
+    const threshold = config.getIntroPassThreshold();
+    const maxScoreOf = (w) => Object.values(w).reduce((sum, weight) => sum + weight, 0);
+
+    if (!action) {
+      const lines = config.INTRO_RUBRIC_SECTIONS.map((section) => `- ${section}: ${weights[section]}`);
+      return ephemeralReply(ctx, `Intro rubric — passes at ${threshold} out of ${maxScoreOf(weights)}:\n\n${lines.join('\n')}`);
+    }
+
+    if (action === 'weight') {
+      const [section, value] = args;
+      const weight = Number(value);
+      if (!config.INTRO_RUBRIC_SECTIONS.includes(section) || !/^\d+$/.test(value ?? '') ||
+        weight > config.INTRO_RUBRIC_MAX_WEIGHT) {
+        return ephemeralReply(ctx, errorsFor(ctx).USAGE_RUBRIC);
+      }
+
+      const updated = { ...weights, [section]: weight };
+      if (maxScoreOf(updated) < threshold) {
+        return ephemeralReply(ctx, errorsFor(ctx).RUBRIC_UNREACHABLE(threshold, maxScoreOf(updated)));
+      }
+      config.setIntroRubricWeight(section, weight);
+      db.setSetting('INTRO_RUBRIC_WEIGHTS', JSON.stringify(updated));
+      return ephemeralReply(ctx, successFor(ctx).RUBRIC_WEIGHT_SET(section, weight));
+    }
+
+    if (action === 'threshold' && /^\d+$/.test(args[0] ?? '') && Number(args[0]) >= 1) {
+      const score = Number(args[0]);
+      if (score > maxScoreOf(weights)) {
+        return ephemeralReply(ctx, errorsFor(ctx).RUBRIC_UNREACHABLE(score, maxScoreOf(weights)));
+      }
+      config.setIntroPassThreshold(score);
+      db.setSetting('INTRO_PASS_THRESHOLD', String(score));
+      return ephemeralReply(ctx, successFor(ctx).RUBRIC_THRESHOLD_SET(score, maxScoreOf(weights)));
+    }
+
+    ephemeralReply(ctx, errorsFor(ctx).USAGE_RUBRIC);
+  }));
+
+  bot.command('newlink', requireMainGroupAdmin(async (ctx) => {
+    const name = (ctx.message.text || '').split(/\s+/).slice(1).join(' ');
+    if (!name || name.length > config.INVITE_LINK_NAME_MAX_LENGTH) {
+      return ephemeralReply(ctx, errorsFor(ctx).USAGE_NEWLINK);
+    }
+
+    let invite;
+    try {
+      // In request gate mode the link must raise join requests too, or it would skip the gate.
+      invite = await ctx.telegram.createChatInviteLink(ctx.chat.id, {
+        name,
+        creates_join_request: config.getGateMode() === 'request',
+      });
+    } catch (err) {
+      console.error('Failed to create invite link:', err.message);
+      return ephemeralReply(ctx, errorsFor(ctx).NEWLINK_FAILED);
+    }
+
+    db.saveInviteLink(invite.invite_link, name, ctx.from.id);
+    ephemeralReply(ctx, successFor(ctx).LINK_CREATED(name, invite.invite_link));
+  }));
+
+  // Onboarding funnel per invite link: how many joined, and how many went on to introduce.
+  bot.command('links', requireMainGroupAdmin((ctx) => {
+    const stats = db.getInviteLinkStats();
+    if (stats.length === 0) {
+      return ephemeralReply(ctx, successFor(ctx).NO_LINKS);
+    }
+
+    const lines = stats.map(({ link, name, joins, intros }) => {
+      const label = name ? `${config.sanitizeName(name)} (${link})` : link;
+      const rate = joins > 0 ? `${Math.round((intros / joins) * 100)}%` : 'n/a';
+      return `- ${label} -- joined: ${joins} -- introduced: ${intros} (${rate})`;
+    });
+
+    const header = 'Joins and intros by invite link:\n\n';
+    const { kept, omitted } = fitLines(lines, 3900 - header.length);
+    const truncated = omitted > 0 ? `\n(${omitted} more not shown)` : '';
+
+    ephemeralReply(ctx, header + kept.join('\n') + truncated);
+  }));
+
+  // Dry run: who the deadline sweep would warn or remove next. Never acts.
+  bot.command('kickpreview', requireMainGroupAdmin((ctx) => {
+    const schedule = deadline.getRemovalSchedule().slice(0, config.PENDING_PAGE_SIZE);
+    if (schedule.length === 0) {
+      return ephemeralReply(ctx, successFor(ctx).NO_PENDING);
+    }
+
+    const lines = schedule.map(({ user, removeAt }) => {
+      const { name, username } = formatUserDisplay(user);
+      const warnings = `${user.deadline_warnings || 0}/${config.INTRO_WARNING_DAYS.length}`;
+      return `- ${name} (@${username}) -- ID: ${user.user_id} -- warnings: ${warnings} -- removal: ${formatUtc(removeAt)}`;
+    });
+
+    const state = config.isIntroDeadlineEnabled() ? 'ON' : 'OFF — nothing will be removed until /deadline on';
+    const header = `Next removals (automatic removal is ${state}):\n\n`;
+    const { kept, omitted } = fitLines(lines, 3900 - header.length);
+    const truncated = omitted > 0 ? `\n(${omitted} more not shown)` : '';
+
+    ephemeralReply(ctx, header + kept.join('\n') + truncated);
+  }));
+
+  bot.command('settemplate', requireMainGroupAdmin((ctx) => {
+    const { name, text } = parseTemplateArgs(ctx);
+    if (!templates.isTemplateName(name) || !text) return ephemeralReply(ctx, errorsFor(ctx).USAGE_SETTEMPLATE);
+
+    const error = templates.validateTemplate(text, name);
+    if (error) return ephemeralReply(ctx, error);
+
+    templates.setCustomTemplate(name, text);
+    ephemeralReply(ctx, successFor(ctx).TEMPLATE_SAVED(name));
+  }));
+
+  bot.command('previewtemplate', requireMainGroupAdmin(async (ctx) => {
+    const { name } = parseTemplateArgs(ctx);
+    if (!templates.isTemplateName(name)) return ephemeralReply(ctx, errorsFor(ctx).USAGE_PREVIEWTEMPLATE);
+
+    // Header and preview go out separately — the rendered template alone may use the full message limit.
+    await ephemeralReply(ctx, successFor(ctx).TEMPLATE_PREVIEW(name, !!templates.getCustomTemplate(name)));
+    await ephemeralReply(ctx, templates.render(name, { firstName: ctx.from.first_name, groupTitle: ctx.chat.title }));
+  }));
+
+  bot.command('resettemplate', requireMainGroupAdmin((ctx) => {
+    const { name } = parseTemplateArgs(ctx);
+    if (!templates.isTemplateName(name)) return ephemeralReply(ctx, errorsFor(ctx).USAGE_RESETTEMPLATE);
+
+    templates.resetTemplate(name);
+    ephemeralReply(ctx, successFor(ctx).TEMPLATE_RESET(name));
+  }));
+
   bot.command('pending', requireMainGroupAdmin((ctx) => {
     const pending = db.getPending();
     if (pending.length === 0) {
-      return ephemeralReply(ctx, SUCCESS.NO_PENDING);
+      return ephemeralReply(ctx, successFor(ctx).NO_PENDING);
     }
 
     const args = (ctx.message.text || '').split(/\s+/).slice(1);
     const pageNum = Math.max(1, Number(args[0]) || 1);
-    const start = (pageNum - 1) * config.PENDING_PAGE_SIZE;
-    const page = pending.slice(start, start + config.PENDING_PAGE_SIZE);
-    const totalPages = Math.ceil(pending.length / config.PENDING_PAGE_SIZE);
+    const { page, totalPages } = paginate(pending, pageNum, config.PENDING_PAGE_SIZE);
 
     if (page.length === 0) {
       return ephemeralReply(ctx, `No results on page ${pageNum}. Total pages: ${totalPages}.`);
@@ -234,20 +958,164 @@ function register(bot) {
     const footer = pageNum < totalPages ? `\n\nUse /pending ${pageNum + 1} for next page.` : '';
 
     // Build output line-by-line to stay within Telegram's 4096-char message limit.
-    const LIMIT = 3900 - header.length - footer.length;
-    const safeLines = [];
-    let length = 0;
-    for (const line of userLines) {
-      if (length + line.length + 1 > LIMIT) break;
-      safeLines.push(line);
-      length += line.length + 1;
-    }
-    const truncated = safeLines.length < userLines.length
-      ? `\n(${userLines.length - safeLines.length} entries omitted — use /pending ${pageNum + 1})` : '';
-    const text = header + safeLines.join('\n') + truncated + footer;
+    const { kept, omitted } = fitLines(userLines, 3900 - header.length - footer.length);
+    const truncated = omitted > 0
+      ? `\n(${omitted} entries omitted — use /pending ${pageNum + 1})` : '';
+    const text = header + kept.join('\n') + truncated + footer;
 
     ephemeralReply(ctx, text);
   }));
+
+  // A member's archived intro and join details. Intros too long for one message are paged.
+  bot.command('whois', requireMainGroupAdmin((ctx) => {
+    const target = resolveTarget(ctx);
+    if (!target) return ephemeralReply(ctx, errorsFor(ctx).USAGE_WHOIS);
+    if (target.error) return ephemeralReply(ctx, target.error);
+
+    const user = db.getUser(target.id);
+    if (!user) return ephemeralReply(ctx, errorsFor(ctx).USER_NOT_FOUND);
+
+    // The page number follows the user, or comes first when replying to one of their messages.
+    const args = (ctx.message.text || '').split(/\s+/).slice(1);
+    const pageNum = Math.max(1, Number(ctx.message.reply_to_message ? args[0] : args[1]) || 1);
+
+    const { name, username } = formatUserDisplay(user);
+    const lines = [
+      `${name} (@${username}) -- ID: ${user.user_id}`,
+      `Joined: ${user.joined_at || 'N/A'}`,
+      user.introduced ? `Introduced at: ${user.introduced_at}` : 'Status: Pending',
+    ];
+    if (user.invite_link) lines.push(`Invite link: ${user.invite_link}`);
+    if (user.left_at) lines.push(`Left: ${user.left_at} (${user.left_reason})`);
+    const tags = db.getUserTags(user.user_id);
+    if (tags.length > 0) lines.push(`Tags: ${tags.map((t) => t.tag).join(', ')}`);
+
+    const intro = db.getIntroText(user.user_id);
+    if (!intro) {
+      // Intros accepted before the archive existed, and manual approvals, have no text on record.
+      if (user.intro_msg_id) lines.push(`Intro: ${config.messageLink(config.getIntroChannelId(), user.intro_msg_id)}`);
+      lines.push('', 'No intro text on record.');
+      return ephemeralReply(ctx, lines.join('\n'));
+    }
+
+    const pages = splitPages(intro.text, config.WHOIS_PAGE_LENGTH);
+    if (pageNum > pages.length) {
+      return ephemeralReply(ctx, `No results on page ${pageNum}. Total pages: ${pages.length}.`);
+    }
+    lines.push(`Intro: ${config.messageLink(intro.chat_id, intro.msg_id)}`);
+    const pageLabel = pages.length > 1 ? ` — page ${pageNum}/${pages.length}` : '';
+    const footer = pageNum < pages.length ? `\n\nUse /whois ${user.user_id} ${pageNum + 1} for next page.` : '';
+
+    ephemeralReply(ctx, `${lines.join('\n')}\n\nIntro${pageLabel}:\n${pages[pageNum - 1]}${footer}`);
+  }));
+
+  // Search the intro archive — a member directory for finding co-founders and teammates.
+  bot.command('search', requireMainGroupAdmin((ctx) => {
+    const args = (ctx.message.text || '').split(/\s+/).slice(1).filter(Boolean);
+    // A number after the terms picks the page, as in /pending 2.
+    const pageNum = args.length > 1 && /^\d+$/.test(args[args.length - 1]) ? Math.max(1, Number(args.pop())) : 1;
+    if (args.length === 0) return ephemeralReply(ctx, errorsFor(ctx).USAGE_SEARCH);
+
+    const results = db.searchIntros(args);
+    if (results.length === 0) {
+      return ephemeralReply(ctx, successFor(ctx).NO_SEARCH_RESULTS);
+    }
+
+    const terms = args.join(' ');
+    const { page, totalPages } = paginate(results, pageNum, config.SEARCH_PAGE_SIZE);
+    if (page.length === 0) {
+      return ephemeralReply(ctx, `No results on page ${pageNum}. Total pages: ${totalPages}.`);
+    }
+
+    const lines = page.map((u) => {
+      const { name, username } = formatUserDisplay(u);
+      const link = config.messageLink(u.intro_chat_id, u.intro_msg_id);
+      return `- ${name} (@${username}) -- ID: ${u.user_id} -- ${link}\n  ${u.snippet.replace(/\s+/g, ' ')}`;
+    });
+
+    const header = `Intros matching "${terms}" (${results.length}) — page ${pageNum}/${totalPages}:\n\n`;
+    const footer = pageNum < totalPages ? `\n\nUse /search ${terms} ${pageNum + 1} for next page.` : '';
+    const { kept, omitted } = fitLines(lines, 3900 - header.length - footer.length);
+    const truncated = omitted > 0 ? `\n(${omitted} more not shown)` : '';
+
+    ephemeralReply(ctx, header + kept.join('\n') + truncated + footer);
+  }));
+
+  // The tag dictionary behind /find: members per tag, one tag's keywords, or edits to it.
+  bot.command('tags', requireMainGroupAdmin((ctx) => {
+    const [action, ...args] = (ctx.message.text || '').split(/\s+/).slice(1).filter(Boolean);
+    const tags = config.getIntroTags();
+
+    if (!action) {
+      const counts = db.getTagCounts();
+      const lines = config.INTRO_TAG_KINDS.map((kind) => {
+        const entries = Object.keys(tags).filter((tag) => tags[tag].kind === kind);
+        return `${kind}: ${entries.map((tag) => `${tag} ${counts[tag] ?? 0}`).join(', ') || 'none'}`;
+      });
+      return ephemeralReply(ctx, `Members per intro tag:\n\n${lines.join('\n')}`);
+    }
+
+    const lowerAction = action.toLowerCase();
+    if (lowerAction === 'add') {
+      const [kind, tag, ...rest] = args;
+      const name = tag?.toLowerCase();
+      if (!config.INTRO_TAG_KINDS.includes(kind?.toLowerCase()) || !config.isValidTagName(name)) {
+        return ephemeralReply(ctx, errorsFor(ctx).USAGE_TAGS);
+      }
+      const keywords = [...new Set(rest.join(' ').split(',').map((k) => k.trim().toLowerCase()).filter(Boolean))];
+      const entry = { kind: kind.toLowerCase(), keywords: keywords.length > 0 ? keywords : [name] };
+      const updated = { ...tags, [name]: entry };
+      config.setIntroTags(updated);
+      db.setSetting('INTRO_TAGS', JSON.stringify(updated));
+      return ephemeralReply(ctx, successFor(ctx).TAG_SAVED(name, entry.kind, entry.keywords));
+    }
+
+    if (lowerAction === 'remove') {
+      const name = args[0]?.toLowerCase();
+      if (!name) return ephemeralReply(ctx, errorsFor(ctx).USAGE_TAGS);
+      if (!tags[name]) return ephemeralReply(ctx, errorsFor(ctx).UNKNOWN_TAGS([name]));
+      delete tags[name];
+      config.setIntroTags(tags);
+      db.setSetting('INTRO_TAGS', JSON.stringify(tags));
+      return ephemeralReply(ctx, successFor(ctx).TAG_REMOVED(name));
+    }
+
+    // Dictionary edits only apply to intros accepted afterwards until the archive is re-tagged.
+    if (lowerAction === 'retag' && args.length === 0) {
+      const intros = db.getAllIntroTexts();
+      for (const { user_id: userId, text } of intros) db.setIntroTags(userId, extractTags(text));
+      return ephemeralReply(ctx, successFor(ctx).TAGS_RETAGGED(intros.length));
+    }
+
+    const name = resolveTag(action);
+    if (!name || args.length > 0) return ephemeralReply(ctx, errorsFor(ctx).USAGE_TAGS);
+    const count = db.getTagCounts()[name] ?? 0;
+    ephemeralReply(ctx, `${name} (${tags[name].kind}), ${count} member${count === 1 ? '' : 's'}. ` +
+      `Given to intros that mention: ${tags[name].keywords.join(', ')}`);
+  }));
+
+  // Correct a member's tags: /tag @user +solidity -react. Corrections survive re-tagging.
+  bot.command('tag', requireMainGroupAdmin((ctx) => {
+    const target = resolveTarget(ctx);
+    if (!target) return ephemeralReply(ctx, errorsFor(ctx).USAGE_TAG);
+    if (target.error) return ephemeralReply(ctx, target.error);
+    if (!db.getUser(target.id)) return ephemeralReply(ctx, errorsFor(ctx).USER_NOT_FOUND);
+
+    const args = (ctx.message.text || '').split(/\s+/).slice(1).filter(Boolean);
+    const changes = ctx.message.reply_to_message ? args : args.slice(1);
+    if (changes.some((change) => !/^[+-]./.test(change))) return ephemeralReply(ctx, errorsFor(ctx).USAGE_TAG);
+
+    const resolved = changes.map((change) => ({ change, tag: resolveTag(change.slice(1)) }));
+    const unknown = resolved.filter((r) => !r.tag).map((r) => r.change.slice(1));
+    if (unknown.length > 0) return ephemeralReply(ctx, errorsFor(ctx).UNKNOWN_TAGS(unknown));
+
+    const tags = config.getIntroTags();
+    for (const { change, tag } of resolved) {
+      db.setTagCorrection(target.id, tag, tags[tag].kind, change.startsWith('+') ? 'added' : 'removed');
+    }
+    const current = db.getUserTags(target.id).map((t) => t.tag);
+    ephemeralReply(ctx, successFor(ctx).USER_TAGS(target.mention, current));
+  }));
 }
 
 module.exports = { register };
@@ -0,0 +1,194 @@
+const config = require('../config');
+const db = require('../db');
+const i18n = require('../i18n');
+const { muteMember, unmuteMember, kickMember } = require('../permissions');
+const { logError } = require('../utils');
+
+const CALLBACK_PATTERN = /^captcha:(\d+):(\d+)$/;
+
+let sweepInterval = null;
+
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomInt(0, i);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Build a single-digit addition question with one correct and several decoy answers.
+ */
+function buildChallenge() {
+  const a = randomInt(1, 9);
+  const b = randomInt(1, 9);
+  const answer = a + b;
+
+  const options = new Set([answer]);
+  while (options.size < config.CAPTCHA_CHOICES) {
+    options.add(randomInt(2, 18));
+  }
+
+  return { question: `${a} + ${b}`, answer, options: shuffle([...options]) };
+}
+
+function buildKeyboard(userId, options) {
+  return {
+    inline_keyboard: [
+      options.map((n) => ({ text: String(n), callback_data: `captcha:${userId}:${n}` })),
+    ],
+  };
+}
+
+async function postChallenge(ctx, member, question, options) {
+  const messages = i18n.messages(i18n.localeFor(member));
+  const msg = await ctx.reply(messages.CAPTCHA_MESSAGE(member.first_name, question), {
+    reply_markup: buildKeyboard(member.id, options),
+  });
+  db.setCaptchaMsgId(member.id, msg.message_id);
+}
+
+/**
+ * Restrict a new member and post an inline-keyboard challenge, after `delayMs` for the
+ * members of a mass join, whose challenges go out one by one.
+ * Returns false if the challenge could not be set up (e.g. the bot lacks the restrict
+ * right) so the caller can fall back to the plain welcome flow.
+ */
+async function startChallenge(ctx, member, delayMs = 0) {
+  const chatId = ctx.chat.id;
+
+  try {
+    await muteMember(ctx.telegram, chatId, member.id);
+  } catch (err) {
+    console.error('Failed to restrict new member for CAPTCHA:', err.message);
+    return false;
+  }
+
+  // A member who rejoins mid-challenge gets a fresh one; drop the stale prompt.
+  const previous = db.getCaptchaChallenge(member.id);
+  if (previous?.message_id) {
+    await ctx.telegram.deleteMessage(previous.chat_id, previous.message_id).catch(() => {});
+  }
+
+  const { question, answer, options } = buildChallenge();
+  db.createCaptchaChallenge(member.id, chatId, answer, Date.now() + delayMs + config.CAPTCHA_TIMEOUT_MS);
+
+  if (delayMs > 0) {
+    // The member stays restricted while the challenge waits its turn. If it cannot be sent,
+    // the expiry sweep removes them like anyone who did not answer: a bulk add is what
+    // the CAPTCHA is for, so it never falls back to letting them in.
+    setTimeout(() => {
+      if (db.getCaptchaChallenge(member.id)?.answer !== answer) return; // rejoined or gone since
+      logError(postChallenge(ctx, member, question, options), 'Failed to send CAPTCHA challenge');
+    }, delayMs).unref();
+    return true;
+  }
+
+  try {
+    await postChallenge(ctx, member, question, options);
+    return true;
+  } catch (err) {
+    console.error('Failed to send CAPTCHA challenge:', err.message);
+    // Without a visible challenge the member could never pass — undo the restriction.
+    db.deleteCaptchaChallenge(member.id);
+    await unmuteMember(ctx.telegram, chatId, member.id).catch(() => {});
+    return false;
+  }
+}
+
+async function handleAnswer(ctx, onPass) {
+  const userId = Number(ctx.match[1]);
+  const choice = Number(ctx.match[2]);
+  const messages = i18n.messages(i18n.localeFor(ctx.from));
+
+  if (ctx.from.id !== userId) {
+    logError(ctx.answerCbQuery(messages.CAPTCHA_NOT_YOURS_MESSAGE), 'Failed to answer CAPTCHA callback');
+    return;
+  }
+
+  const challenge = db.getCaptchaChallenge(userId);
+
+  // Claim the challenge before any await — a double-tap or the expiry sweep racing
+  // this callback must not be able to pass or kick the member twice.
+  if (!challenge || !db.deleteCaptchaChallenge(userId)) {
+    logError(ctx.answerCbQuery(messages.CAPTCHA_EXPIRED_MESSAGE), 'Failed to answer CAPTCHA callback');
+    return;
+  }
+
+  logError(ctx.deleteMessage(), 'Failed to delete CAPTCHA message');
+
+  if (choice !== challenge.answer) {
+    logError(ctx.answerCbQuery(messages.CAPTCHA_FAILED_MESSAGE), 'Failed to answer CAPTCHA callback');
+    await kickMember(ctx.telegram, challenge.chat_id, userId).catch((err) => {
+      console.error('Failed to kick member after wrong CAPTCHA answer:', err.message);
+    });
+    return;
+  }
+
+  logError(ctx.answerCbQuery(messages.CAPTCHA_PASSED_MESSAGE), 'Failed to answer CAPTCHA callback');
+
+  // In mute gate mode the restriction simply stays in place, as the gate's, until the
+  // intro is accepted.
+  if (config.getGateMode() === 'mute') {
+    db.recordGateMute(userId);
+  } else {
+    try {
+      await unmuteMember(ctx.telegram, challenge.chat_id, userId);
+    } catch (err) {
+      console.error('Failed to lift CAPTCHA restriction:', err.message);
+    }
+  }
+
+  await onPass(ctx, ctx.from);
+}
+
+/**
+ * Kick every member whose challenge has expired. Runs on an interval and once at
+ * startup, so challenges that timed out while the bot was down are still enforced.
+ */
+async function expireChallenges(telegram) {
+  for (const challenge of db.getExpiredCaptchaChallenges(Date.now())) {
+    if (!db.deleteCaptchaChallenge(challenge.user_id)) continue;
+
+    if (challenge.message_id) {
+      await telegram.deleteMessage(challenge.chat_id, challenge.message_id).catch(() => {});
+    }
+    await kickMember(telegram, challenge.chat_id, challenge.user_id).catch((err) => {
+      console.error('Failed to kick member after CAPTCHA timeout:', err.message);
+    });
+  }
+}
+
+function startExpirySweep(telegram) {
+  stopExpirySweep();
+  logError(expireChallenges(telegram), 'CAPTCHA expiry sweep failed');
+  sweepInterval = setInterval(() => {
+    logError(expireChallenges(telegram), 'CAPTCHA expiry sweep failed');
+  }, config.CAPTCHA_SWEEP_INTERVAL_MS).unref();
+}
+
+function stopExpirySweep() {
+  clearInterval(sweepInterval);
+  sweepInterval = null;
+}
+
+/**
+ * @param bot    Telegraf instance
+ * @param onPass async (ctx, member) => void — called once a member answers correctly
+ */
+function register(bot, onPass) {
+  bot.action(CALLBACK_PATTERN, (ctx) => handleAnswer(ctx, onPass));
+}
+
+module.exports = {
+  register,
+  startChallenge,
+  expireChallenges,
+  startExpirySweep,
+  stopExpirySweep,
+  buildChallenge,
+};
@@ -0,0 +1,55 @@
+const config = require('../config');
+const db = require('../db');
+const adminCache = require('../adminCache');
+const i18n = require('../i18n');
+const { resolveTag, formatTagList } = require('../introTags');
+const { logError, getMention } = require('../utils');
+
+// Members who have introduced themselves, and main group admins, may browse the directory.
+async function canFind(ctx) {
+  if (db.getUser(ctx.from.id)?.introduced) return true;
+  const mainGroupId = config.getMainGroupId();
+  return !!mainGroupId && adminCache.isAdmin(ctx.telegram, mainGroupId, ctx.from.id);
+}
+
+// Members approved by hand have no intro message, but may have tags an admin gave them.
+function formatMember(member) {
+  const chatId = member.intro_chat_id ?? config.getIntroChannelId();
+  const link = member.intro_msg_id ? ` — ${config.messageLink(chatId, member.intro_msg_id)}` : '';
+  return `- ${getMention(member)}: ${member.tags}${link}`;
+}
+
+function register(bot) {
+  // /find <tag> [tag…] [page] in a DM lists members whose intros carry every tag.
+  bot.command('find', async (ctx) => {
+    if (ctx.chat?.type !== 'private' || !ctx.from) return;
+    const m = i18n.messages(i18n.localeFor(ctx.from));
+    const reply = (text) => logError(ctx.reply(text), 'Failed to send find reply');
+
+    if (!(await canFind(ctx))) return reply(m.FIND_NOT_MEMBER_MESSAGE);
+
+    const args = (ctx.message.text || '').split(/\s+/).slice(1).filter(Boolean);
+    // A number after the tags picks the page, as in /search.
+    const pageNum = args.length > 1 && /^\d+$/.test(args[args.length - 1]) ? Math.max(1, Number(args.pop())) : 1;
+    if (args.length === 0) return reply(m.FIND_USAGE_MESSAGE(formatTagList()));
+
+    const tags = args.map(resolveTag);
+    const unknown = args.filter((_, i) => !tags[i]);
+    if (unknown.length > 0) return reply(m.FIND_UNKNOWN_TAGS_MESSAGE(unknown));
+
+    const members = db.findMembersByTags(tags);
+    if (members.length === 0) return reply(m.FIND_NO_RESULTS_MESSAGE);
+
+    const totalPages = Math.ceil(members.length / config.FIND_PAGE_SIZE);
+    const page = Math.min(pageNum, totalPages);
+    const lines = members
+      .slice((page - 1) * config.FIND_PAGE_SIZE, page * config.FIND_PAGE_SIZE)
+      .map(formatMember);
+    const uniqueTags = [...new Set(tags)];
+    const footer = page < totalPages ? `\n\n${m.FIND_NEXT_PAGE_MESSAGE(`/find ${args.join(' ')} ${page + 1}`)}` : '';
+
+    reply(`${m.FIND_RESULTS_MESSAGE(uniqueTags, members.length, page, totalPages)}\n\n${lines.join('\n')}${footer}`);
+  });
+}
+
+module.exports = { register };
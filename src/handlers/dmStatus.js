@@ -0,0 +1,29 @@
+const db = require('../db');
+
+// Bot statuses in a private chat that mean the user has blocked the bot or deleted the chat.
+const CLOSED_STATUSES = ['kicked', 'left'];
+
+/**
+ * Track which users have a private chat open with the bot, so the gatekeeper can remind them
+ * there instead of in the main group. Any private message or button press opens it;
+ * my_chat_member reports when the user blocks the bot, and when they unblock or restart it.
+ * Both handlers pass every update on.
+ */
+function register(bot) {
+  bot.on('my_chat_member', (ctx, next) => {
+    const update = ctx.myChatMember;
+    if (update.chat.type === 'private') {
+      db.setDmOpen(update.from.id, !CLOSED_STATUSES.includes(update.new_chat_member.status));
+    }
+    return next();
+  });
+
+  bot.use((ctx, next) => {
+    if (ctx.chat?.type === 'private' && ctx.from && !ctx.myChatMember && !db.isDmOpen(ctx.from.id)) {
+      db.setDmOpen(ctx.from.id, true);
+    }
+    return next();
+  });
+}
+
+module.exports = { register };
@@ -2,9 +2,15 @@ const config = require('../config');
 const db = require('../db');
 const adminCache = require('../adminCache');
 const CooldownMap = require('../CooldownMap');
-const { logError } = require('../utils');
+const templates = require('../templates');
+const i18n = require('../i18n');
+const { muteMember, kickMember } = require('../permissions');
+const { notifyAdmins } = require('../adminAlerts');
+const { releaseWelcome } = require('./welcome');
+const { logError, getMention, parseSqliteDate } = require('../utils');
 
 const reminderCooldowns = new CooldownMap(config.REMINDER_COOLDOWN_MS, { cleanupMultiplier: 4 });
+const reportCooldowns = new CooldownMap(config.INTERACTION_REPORT_COOLDOWN_MS);
 
 function shouldBypassGatekeeper(ctx, mainGroupId) {
   if (ctx.chat.id !== mainGroupId) return true;
@@ -12,30 +18,217 @@ function shouldBypassGatekeeper(ctx, mainGroupId) {
   return false;
 }
 
+// Posted in a forum topic admins opened to pending members (/gateexempt), such as a help topic.
+// Replies carry a message_thread_id outside forums too, so only topic messages count.
+function isInExemptTopic(message) {
+  return Boolean(message.is_topic_message) && config.isGateExemptTopic(message.message_thread_id ?? null);
+}
+
 function isServiceMessage(message) {
   return message.new_chat_members || message.left_chat_member;
 }
 
+// The PENDING_INTERACTION_POLICY kind of a message: a new poll, a shared story, Web App data
+// or an ordinary message.
+function interactionKind(message) {
+  if (message.poll) return 'poll';
+  if (message.story) return 'story';
+  if (message.web_app_data) return 'web_app_data';
+  return 'message';
+}
+
+function policyFor(kind) {
+  return config.PENDING_INTERACTION_POLICY[kind] ?? 'block';
+}
+
+// Entities that keep a message out of the grace period: links and mentions.
+const GRACE_BLOCKED_ENTITIES = new Set(['url', 'text_link', 'email', 'mention', 'text_mention']);
+
+// Plain text of the member's own — not media, a forward or an inline bot result, and no links.
+function isPlainText(message) {
+  if (!message.text || message.forward_origin || message.forward_date || message.via_bot) return false;
+  return !(message.entities ?? []).some((e) => GRACE_BLOCKED_ENTITIES.has(e.type));
+}
+
+/**
+ * Where a pending member stands in the grace period (/grace): { open, startedAt }, where
+ * `open` is false once their messages or minutes are used up. null while grace is off or
+ * for members the bot has no record of. Counted from the member's first join, recorded when
+ * they joined, so leaving and rejoining does not restore it; members who joined before
+ * that was recorded count from their users row.
+ */
+function graceState(user) {
+  if (!config.isGraceEnabled() || !user) return null;
+  const { messages, minutes } = config.getGracePolicy();
+  const usage = db.getGraceUsage(user.user_id);
+  const startedAt = usage?.started_at ?? user.joined_at;
+  const start = parseSqliteDate(startedAt);
+  if (start === null) return null;
+
+  const messagesLeft = messages === 0 || (usage?.messages ?? 0) < messages;
+  const timeLeft = minutes === 0 || Date.now() < start + minutes * 60_000;
+  return { open: messagesLeft && timeLeft, startedAt };
+}
+
 async function isUserIntroduced(ctx, mainGroupId) {
   if (await adminCache.isAdmin(ctx.telegram, mainGroupId, ctx.from.id)) return true;
   const user = db.getUser(ctx.from.id);
   return user?.introduced || false;
 }
 
-async function sendAutoDeleteReminder(ctx) {
-  if (reminderCooldowns.isLimited(ctx.from.id)) return;
-  reminderCooldowns.touch(ctx.from.id);
-
+async function replyAndAutoDelete(ctx, text, deleteAfterMs) {
   try {
-    const reminder = await ctx.reply(config.REMINDER_MESSAGE);
+    const reminder = await ctx.reply(text);
     setTimeout(() => {
       ctx.telegram.deleteMessage(ctx.chat.id, reminder.message_id).catch(() => {});
-    }, config.REMINDER_AUTO_DELETE_MS).unref();
+    }, deleteAfterMs).unref();
   } catch (err) {
     console.error('Failed to send reminder:', err.message);
   }
 }
 
+// The text a member tried to post, cut to fit a DM reminder; null when there is none.
+function quotedText(message) {
+  const text = message.text ?? message.caption;
+  if (!text) return null;
+  return text.length > config.REMINDER_DM_QUOTE_MAX_LENGTH ? `${text.slice(0, config.REMINDER_DM_QUOTE_MAX_LENGTH)}…` : text;
+}
+
+/**
+ * Remind a member by DM, with a copy of the message that was removed. Returns false when
+ * they have no private chat open with the bot, or it turns out to be closed.
+ */
+async function sendDmReminder(ctx) {
+  if (!db.isDmOpen(ctx.from.id)) return false;
+  const m = i18n.messages(i18n.localeFor(ctx.from));
+  try {
+    await ctx.telegram.sendMessage(
+      ctx.from.id,
+      m.REMINDER_DM_MESSAGE(ctx.from.first_name, config.getIntroChannelId(), config.getIntroTopicId(), quotedText(ctx.message))
+    );
+    return true;
+  } catch (err) {
+    // 403: the member blocked the bot without a my_chat_member update reaching us.
+    if (err.code === 403) db.setDmOpen(ctx.from.id, false);
+    else console.error('Failed to send reminder by DM:', err.message);
+    return false;
+  }
+}
+
+// A DM bothers nobody else and carries the removed text, so it is not rate-limited like the
+// group reminder, which is the fallback.
+async function sendAutoDeleteReminder(ctx) {
+  if (await sendDmReminder(ctx)) return;
+  if (reminderCooldowns.isLimited(ctx.from.id)) return;
+  reminderCooldowns.touch(ctx.from.id);
+
+  await replyAndAutoDelete(ctx, templates.render('reminder', {
+    firstName: ctx.from.first_name,
+    groupTitle: ctx.chat.title,
+    locale: i18n.localeFor(ctx.from),
+  }), config.REMINDER_AUTO_DELETE_MS);
+}
+
+// The one-time notice that a member's grace period is over, in place of the usual reminder.
+async function sendGraceEndedReminder(ctx) {
+  reminderCooldowns.touch(ctx.from.id);
+  const m = i18n.messages(i18n.localeFor(ctx.from));
+  await replyAndAutoDelete(
+    ctx,
+    m.GRACE_ENDED_MESSAGE(getMention(ctx.from), config.getIntroChannelId(), config.getIntroTopicId()),
+    config.GRACE_ENDED_AUTO_DELETE_MS
+  );
+}
+
+/**
+ * The escalation ladder step (/ladder) for a member's `violation`th removed message: the
+ * step whose `at` it reaches, the last step again once past the end, or null for a reminder.
+ */
+function ladderStep(ladder, violation) {
+  const last = ladder[ladder.length - 1];
+  if (last && violation > last.at) return last;
+  return ladder.find((step) => step.at === violation) ?? null;
+}
+
+// Mute or remove a pending member who keeps posting, and tell the admins. Throws if Telegram refuses.
+async function takeLadderStep(ctx, user, step, violation) {
+  const userId = ctx.from.id;
+  const mention = getMention(ctx.from);
+  if (step.action === 'kick') {
+    await kickMember(ctx.telegram, ctx.chat.id, userId);
+    db.recordViolationStep(userId, violation, 'kick');
+    db.recordKick(userId, 'violations');
+    logError(releaseWelcome(ctx.telegram, user), 'Failed to release welcome after escalation kick');
+    logError(notifyAdmins(ctx.telegram, `Removed ${mention} (ID ${userId}) after ${violation} messages ` +
+      'without an intro.'), 'Failed to notify admins of escalation');
+    return;
+  }
+
+  // In mute gate mode pending members stay restricted until their intro is accepted, so this mute has no end.
+  const untilDate = config.getGateMode() === 'mute' ? undefined : Math.floor(Date.now() / 1000) + step.minutes * 60;
+  await muteMember(ctx.telegram, ctx.chat.id, userId, untilDate);
+  db.recordViolationStep(userId, violation, 'mute', step.minutes);
+  const m = i18n.messages(i18n.localeFor(ctx.from));
+  await replyAndAutoDelete(
+    ctx,
+    m.VIOLATION_MUTED_MESSAGE(mention, step.minutes, config.getIntroChannelId(), config.getIntroTopicId()),
+    config.VIOLATION_NOTICE_AUTO_DELETE_MS
+  );
+  logError(notifyAdmins(ctx.telegram, `Muted ${mention} (ID ${userId}) for ${step.minutes} minutes after ` +
+    `${violation} messages without an intro.`), 'Failed to notify admins of escalation');
+}
+
+/**
+ * Count a removed message against the escalation ladder and take the step it reaches.
+ * Returns false when the member gets the usual reminder instead, logged as the 'remind' step.
+ */
+async function escalate(ctx, user) {
+  const ladder = config.getViolationLadder();
+  if (ladder.length === 0) return false;
+
+  const violation = db.recordViolation(ctx.from.id);
+  const step = ladderStep(ladder, violation);
+  if (step) {
+    try {
+      await takeLadderStep(ctx, user, step, violation);
+      return true;
+    } catch (err) {
+      console.error(`Failed to ${step.action} member on the escalation ladder:`, err.message);
+    }
+  }
+  db.recordViolationStep(ctx.from.id, violation, 'remind');
+  return false;
+}
+
+// How reports describe each PENDING_INTERACTION_POLICY kind posted as a message.
+const REPORT_DETAILS = {
+  message: 'posted a message',
+  poll: 'created a poll',
+  story: 'shared a story',
+  web_app_data: 'sent Web App data',
+};
+
+/**
+ * Tell the admin chat about something a pending member did that the policy leaves in place
+ * ('report'), at most once per member and kind per INTERACTION_REPORT_COOLDOWN_MS.
+ */
+function reportInteraction(ctx, kind, detail, messageId) {
+  const key = `${ctx.from.id}:${kind}`;
+  if (reportCooldowns.isLimited(key)) return;
+  reportCooldowns.touch(key);
+
+  const link = messageId ? `\n${config.messageLink(ctx.chat.id, messageId)}` : '';
+  logError(notifyAdmins(ctx.telegram, `${getMention(ctx.from)} (ID ${ctx.from.id}) ${detail} without an intro.${link}`),
+    'Failed to notify admins of pending member activity');
+}
+
+// The reactions in a message_reaction update that were not there before.
+function addedReactions(update) {
+  const key = (r) => r.emoji ?? r.custom_emoji_id ?? r.type;
+  const before = new Set((update.old_reaction ?? []).map(key));
+  return (update.new_reaction ?? []).filter((r) => !before.has(key(r)));
+}
+
 function register(bot) {
   bot.on('message', async (ctx, next) => {
     const mainGroupId = config.getMainGroupId();
@@ -44,10 +237,35 @@ function register(bot) {
     if (!mainGroupId) return;
     if (shouldBypassGatekeeper(ctx, mainGroupId)) return next();
     if (isServiceMessage(ctx.message)) return next();
+    if (isInExemptTopic(ctx.message)) return next();
     if (await isUserIntroduced(ctx, mainGroupId)) return next();
 
-    // Not introduced -- delete the message and send reminder
+    // Polls, stories and the like follow PENDING_INTERACTION_POLICY; 'block' is the gate below.
+    const kind = interactionKind(ctx.message);
+    const policy = policyFor(kind);
+    if (policy === 'allow') return next();
+    if (policy === 'report') {
+      reportInteraction(ctx, kind, REPORT_DETAILS[kind], ctx.message.message_id);
+      return next();
+    }
+
+    // A new member's first few plain-text words get through during the grace period (/grace).
+    const user = db.getUser(ctx.from.id);
+    const grace = graceState(user);
+    if (grace?.open && isPlainText(ctx.message)) {
+      db.recordGraceMessage(user.user_id, grace.startedAt);
+      return next();
+    }
+
+    // Not introduced -- delete the message and send reminder, or mute or remove members who
+    // keep at it (/ladder). In mute gate mode pending members cannot post at all; this is
+    // the fallback for anyone the bot failed to restrict.
     logError(ctx.deleteMessage(), 'Failed to delete message');
+    if (await escalate(ctx, user)) return;
+    if (grace && !grace.open && db.markGraceReminded(user.user_id, grace.startedAt)) {
+      await sendGraceEndedReminder(ctx);
+      return;
+    }
     await sendAutoDeleteReminder(ctx);
   });
 
@@ -59,11 +277,33 @@ function register(bot) {
     // Unlike the message handler, we call next() when unconfigured — there are no
     // downstream handlers for edited_message that need to be blocked.
     if (!mainGroupId || shouldBypassGatekeeper(ctx, mainGroupId)) return next();
-    if (isServiceMessage(ctx.message)) return next();
+    if (isServiceMessage(ctx.editedMessage)) return next();
+    if (isInExemptTopic(ctx.editedMessage)) return next();
     if (await isUserIntroduced(ctx, mainGroupId)) return next();
+    if (policyFor(interactionKind(ctx.editedMessage)) !== 'block') return next();
+    // Fixing a typo in a grace message is fine while the grace period lasts; it costs nothing.
+    if (graceState(db.getUser(ctx.from.id))?.open && isPlainText(ctx.editedMessage)) return next();
 
     logError(ctx.deleteMessage(), 'Failed to delete edited message from non-introduced user');
   });
+
+  // Reactions cannot be taken back by a bot or restricted by chat permissions, so a pending
+  // member's new reactions are reported to the admins, or allowed; config.js rejects 'block'
+  // for them. Anonymous reactions (from a chat, not a user) carry no member to check and pass through.
+  bot.on('message_reaction', async (ctx, next) => {
+    const mainGroupId = config.getMainGroupId();
+    if (!mainGroupId || shouldBypassGatekeeper(ctx, mainGroupId)) return next();
+    if (policyFor('reaction') === 'allow') return next();
+    if (await isUserIntroduced(ctx, mainGroupId)) return next();
+
+    const reaction = ctx.messageReaction;
+    const added = addedReactions(reaction);
+    if (added.length > 0) {
+      const shown = added.map((r) => r.emoji ?? 'a custom emoji').join(' ');
+      reportInteraction(ctx, 'reaction', `reacted ${shown}`, reaction.message_id);
+    }
+    return next();
+  });
 }
 
 module.exports = { register };
@@ -2,33 +2,39 @@ const config = require('../config');
 const db = require('../db');
 const adminCache = require('../adminCache');
 const CooldownMap = require('../CooldownMap');
-const { logError } = require('../utils');
+const { applyGate, liftGate } = require('../permissions');
+const { notifyAdmins } = require('../adminAlerts');
+const templates = require('../templates');
+const i18n = require('../i18n');
+const { scoreIntro } = require('../introScore');
+const { checkCopy, fingerprint } = require('../introFingerprint');
+const { checkIntroGuards, GUARD_NUDGES } = require('../introGuards');
+const { extractTags } = require('../introTags');
+const { announceIntro } = require('../announcements');
+const { releaseWelcome } = require('./welcome');
+const joinRequest = require('./joinRequest');
+const review = require('./review');
+const { hasSuspiciousLink, removeSuspiciousLink } = require('./security');
+const { logError, getMention } = require('../utils');
 
 const introRateLimiter = new CooldownMap(config.INTRO_RATE_LIMIT_WINDOW_MS, { cleanupMultiplier: 2 });
 
-const MEDIA_NUDGE_MESSAGE = 'Please post a text introduction — photos and media are not accepted as intros.';
+// Media that counts as an intro when its caption is long enough to be one.
+const CAPTIONED_MEDIA_TYPES = ['photo', 'video', 'document'];
 
-function isValidIntro(text) {
-  if (text.length < config.INTRO_MIN_LENGTH) return false;
-  if (text.length > config.INTRO_MAX_LENGTH) return false;
-
-  const lower = text.toLowerCase();
-  const keywordMatches = config.INTRO_KEYWORDS.filter((kw) => lower.includes(kw.toLowerCase()));
-
-  // Accept if either 2+ keywords match, or text is long enough even without keywords
-  return keywordMatches.length >= 2 || text.length >= config.INTRO_KEYWORD_BYPASS_LENGTH;
+// The posted or edited message the update is about.
+function introMessage(ctx) {
+  return ctx.message ?? ctx.editedMessage;
 }
 
-function isIntroChannel(ctx) {
-  if (ctx.chat.id !== config.getIntroChannelId()) return false;
-  const topicId = config.getIntroTopicId();
-  if (!topicId) return true;
-  return (ctx.message?.message_thread_id ?? null) === topicId;
+// The intro location (/setintro) the update was posted in, or null for any other chat or topic.
+function introLocation(ctx) {
+  return config.findIntroLocation(ctx.chat.id, introMessage(ctx)?.message_thread_id ?? null);
 }
 
 function isChannelPost(ctx) {
   // sender_chat is set when a channel (rather than a user) sends the message
-  return !!ctx.message?.sender_chat;
+  return !!introMessage(ctx)?.sender_chat;
 }
 
 async function isMainGroupAdmin(ctx) {
@@ -40,16 +46,32 @@ async function isMainGroupAdmin(ctx) {
 function sendReplyWithContext(ctx, message, errorLabel) {
   logError(
     ctx.reply(message, {
-      reply_parameters: { message_id: ctx.message.message_id },
+      reply_parameters: { message_id: introMessage(ctx).message_id },
     }),
     errorLabel
   );
 }
 
+/**
+ * The text to score for an intro-channel post: its text, or the caption of a photo, video
+ * or document. Returns { text, media }, or null for media that cannot be an intro — no
+ * caption, a caption shorter than an intro, or a type such as a sticker or voice note.
+ */
+function introSubmission(message) {
+  if (message.text) return { text: message.text, media: null };
+  const media = CAPTIONED_MEDIA_TYPES.find((type) => message[type]);
+  if (!media || (message.caption?.length ?? 0) < config.INTRO_MIN_LENGTH) return null;
+  return { text: message.caption, media };
+}
+
 function handleMediaPost(ctx) {
   const user = db.getUser(ctx.from.id);
   if (user && !user.introduced) {
-    sendReplyWithContext(ctx, MEDIA_NUDGE_MESSAGE, 'Failed to send media nudge');
+    sendReplyWithContext(
+      ctx,
+      i18n.messages(i18n.localeFor(ctx.from)).INTRO_MEDIA_NUDGE_MESSAGE,
+      'Failed to send media nudge'
+    );
   }
 }
 
@@ -62,48 +84,212 @@ function ensureUserExists(userId, username, firstName) {
   return user;
 }
 
-async function handleIntroSubmission(ctx, user, text) {
+/**
+ * Mark a user introduced and undo the onboarding gate. Shared by intro-channel posts
+ * and intros composed through the DM wizard. `score` is the intro's rubric score and
+ * `media` the type of media a captioned intro came with.
+ */
+async function completeIntro(telegram, user, introMsgId, score = null, media = null) {
+  db.markIntroduced(user.user_id, introMsgId, score, media);
+  introRateLimiter.delete(user.user_id); // clear counter — no need to track after success
+
+  await liftGate(telegram, user.user_id);
+  // 'request' gate mode: an intro written before joining is what lets the requester in.
+  await joinRequest.approveRequest(telegram, user.user_id);
+
+  // Drop the user from their welcome message, or delete it if nobody else it greets is pending
+  await releaseWelcome(telegram, user);
+}
+
+/**
+ * Keep the text of a member's accepted intro for /whois and /search, and tag it for /find.
+ * Called again when the intro is edited, so both follow the message as it reads now.
+ */
+function archiveIntro(userId, chatId, msgId, text) {
+  db.saveIntroText(userId, chatId, msgId, text);
+  db.setIntroTags(userId, extractTags(text));
+}
+
+/**
+ * Let in a member whose intro an admin approved from the review queue (see review.js),
+ * with the same record and reply as an intro accepted on the spot.
+ */
+async function acceptReviewedIntro(telegram, user, reviewed) {
+  // The location's own accepted message (/introaccepted), if it has one.
+  const location = config.findIntroLocation(reviewed.chat_id, reviewed.topic_id ?? null);
+  db.addIntroFingerprint(user.user_id, reviewed.msg_id, fingerprint(reviewed.text), true);
+  await completeIntro(telegram, user, reviewed.msg_id, reviewed.score, reviewed.media);
+  archiveIntro(user.user_id, reviewed.chat_id, reviewed.msg_id, reviewed.text);
+  announceIntro(telegram, user, { chatId: reviewed.chat_id, msgId: reviewed.msg_id, text: reviewed.text });
+
+  const vars = { firstName: user.first_name, groupTitle: null, locale: i18n.localeFor(user) };
+  review.replyToIntro(telegram, reviewed, templates.render('accepted', { ...vars, text: location?.accepted }));
+}
+
+/**
+ * Remember an intro that copies another member's (see checkCopy), and alert the admins once
+ * enough accounts have posted the same text — the mark of a spam ring. A member posting their
+ * rejected copy again is neither stored nor reported twice. `link` points to the copy; wizard
+ * intros are turned away before they are posted and have none.
+ */
+function recordCopiedIntro(telegram, from, copy, msgId = null, link = null) {
+  if (copy.repeat) return;
+  db.addIntroFingerprint(from.id, msgId, copy.signature, false);
+
+  const accounts = copy.userIds.length + 1;
+  if (accounts < config.INTRO_COPY_ALERT_ACCOUNTS) return;
+  const notice = `The same intro has now been posted by ${accounts} accounts. Latest: ${getMention(from)} ` +
+    `(ID ${from.id}). Earlier: IDs ${copy.userIds.join(', ')}.${link ? ` ${link}` : ''}`;
+  logError(notifyAdmins(telegram, notice), 'Failed to notify admins of repeated intro');
+}
+
+// Nudge a member whose intro copies the welcome example or someone else's intro.
+function rejectCopy(ctx, copy, locale) {
+  const m = i18n.messages(locale);
+  if (copy.copyOf === 'example') {
+    sendReplyWithContext(ctx, m.INTRO_EXAMPLE_COPY_MESSAGE, 'Failed to send example copy nudge');
+    return;
+  }
+
+  const msgId = introMessage(ctx).message_id;
+  sendReplyWithContext(ctx, m.INTRO_COPY_MESSAGE, 'Failed to send copied intro nudge');
+  recordCopiedIntro(ctx.telegram, ctx.from, copy, msgId, config.messageLink(ctx.chat.id, msgId));
+}
+
+/**
+ * Nudge a member whose submission an anti-gaming guard turned away (see introGuards.js),
+ * and log the reason for /status.
+ */
+function rejectGuarded(ctx, reason, locale) {
+  db.recordIntroRejection(ctx.from.id, ctx.chat.id, introMessage(ctx).message_id, reason);
+  sendReplyWithContext(ctx, i18n.messages(locale)[GUARD_NUDGES[reason]], 'Failed to send intro guard nudge');
+}
+
+/**
+ * Remove a post with a suspicious link from an intro location, whoever sent it: scammers
+ * drop phishing links here once their intro is accepted. A pending member's post is
+ * logged as a rejected intro.
+ */
+function removeIntroLink(ctx) {
+  removeSuspiciousLink(ctx);
+  const user = db.getUser(ctx.from.id);
+  if (user && !user.introduced) {
+    db.recordIntroRejection(ctx.from.id, ctx.chat.id, introMessage(ctx).message_id, 'suspicious_link');
+  }
+}
+
+async function handleIntroSubmission(ctx, user, { text, media }, location) {
   const userId = ctx.from.id;
+  // The group title is only at hand when the intro channel is a topic of the main group.
+  const vars = {
+    firstName: ctx.from.first_name,
+    groupTitle: ctx.chat.id === config.getMainGroupId() ? ctx.chat.title : null,
+    locale: i18n.localeFor(ctx.from),
+  };
 
   // Re-read from DB — a concurrent handler (multiple rapid messages) may have already
   // committed introduced=1 between when `user` was fetched and now.
   const fresh = db.getUser(userId);
   if (fresh?.introduced) return;
 
-  if (isValidIntro(text)) {
-    db.markIntroduced(userId, ctx.message.message_id);
-    introRateLimiter.delete(userId); // clear counter — no need to track after success
+  // One intro in the review queue at a time: later posts wait for the admins' decision.
+  if (db.getPendingIntroReview(userId)) {
+    sendReplyWithContext(ctx, i18n.messages(vars.locale).INTRO_IN_REVIEW_MESSAGE, 'Failed to send in-review reply');
+    return;
+  }
 
-    // Delete the welcome message from the main group
-    if (user.welcome_msg_id) {
-      await ctx.telegram.deleteMessage(config.getMainGroupId(), user.welcome_msg_id).catch(() => {});
-    }
+  const guard = checkIntroGuards(text, introMessage(ctx));
+  if (guard) {
+    rejectGuarded(ctx, guard, vars.locale);
+    return;
+  }
+
+  const msgId = introMessage(ctx).message_id;
+  const copy = checkCopy(text, userId);
+  if (copy.copyOf) {
+    rejectCopy(ctx, copy, vars.locale);
+    return;
+  }
+
+  const result = scoreIntro(text, location);
+  const queued = result.passed && review.needsReview(result.score, result.threshold) &&
+    await review.submitForReview(ctx.telegram, ctx.from, {
+      chatId: ctx.chat.id, topicId: location.topicId, msgId, text, score: result.score, maxScore: result.maxScore, media,
+    });
+  if (queued) {
+    sendReplyWithContext(ctx, i18n.messages(vars.locale).INTRO_IN_REVIEW_MESSAGE, 'Failed to send in-review reply');
+  } else if (result.passed) {
+    db.addIntroFingerprint(userId, msgId, copy.signature, true);
+    await completeIntro(ctx.telegram, user, msgId, result.score, media);
+    archiveIntro(userId, ctx.chat.id, msgId, text);
+    announceIntro(ctx.telegram, user, { chatId: ctx.chat.id, msgId, text });
 
     sendReplyWithContext(
       ctx,
-      config.INTRO_ACCEPTED_MESSAGE(ctx.from.first_name),
+      templates.render('accepted', { ...vars, text: location?.accepted }),
       'Failed to send intro accepted'
     );
   } else {
-    sendReplyWithContext(ctx, config.INTRO_NUDGE_MESSAGE, 'Failed to send intro nudge');
+    sendReplyWithContext(ctx, templates.render('nudge', { ...vars, missing: result.missing }), 'Failed to send intro nudge');
   }
 }
 
+/**
+ * Re-check an accepted intro after its author edited it — the anti-gaming guards, copy
+ * detection and the rubric, as for a new submission — and apply the edit policy
+ * (/editpolicy) if it no longer passes. Only an edit that passes replaces the archived text.
+ */
+async function handleIntroEdit(ctx, user, text, location) {
+  const edited = ctx.editedMessage;
+  const guard = checkIntroGuards(text, edited);
+  const copy = guard ? null : checkCopy(text, user.user_id);
+  const result = guard || copy.copyOf ? null : scoreIntro(text, location);
+  if (result?.passed) {
+    archiveIntro(user.user_id, ctx.chat.id, edited.message_id, text);
+    db.setIntroScore(user.user_id, result.score);
+    return;
+  }
+
+  const policy = config.getIntroEditPolicy();
+  if (policy === 'ignore') return;
+
+  const reset = policy === 'reset';
+  if (reset) {
+    db.resetUser(user.user_id);
+    await applyGate(ctx.telegram, user.user_id);
+    const m = i18n.messages(i18n.localeFor(ctx.from));
+    const names = i18n.sectionNames(m, result?.missing ?? []);
+    sendReplyWithContext(ctx, m.INTRO_REVOKED_MESSAGE(names), 'Failed to send intro revoked message');
+  }
+
+  let why;
+  if (guard) why = `turned away by the ${guard} check`;
+  else if (copy.copyOf === 'example') why = 'copies the example intro';
+  else if (copy.copyOf) why = 'copies another member\'s intro';
+  else why = `score ${result.score} of ${result.maxScore}, passes at ${result.threshold}`;
+  const notice = `${getMention(ctx.from)} (ID ${ctx.from.id}) edited their intro and it no longer passes (${why}). ` +
+    (reset ? 'They have been set back to pending. ' : 'Use /reset if it should no longer count. ') +
+    config.messageLink(ctx.chat.id, edited.message_id);
+  logError(notifyAdmins(ctx.telegram, notice), 'Failed to notify admins of edited intro');
+}
+
 function register(bot) {
   bot.on('message', async (ctx, next) => {
-    if (!isIntroChannel(ctx)) return next();
+    const location = introLocation(ctx);
+    if (!location) return next();
     if (!ctx.from) return;
     if (isChannelPost(ctx)) return;
     if (await isMainGroupAdmin(ctx)) return;
+    if (hasSuspiciousLink(ctx.message)) return removeIntroLink(ctx);
 
-    // Handle media posts separately
-    if (!ctx.message.text) {
+    // Media without a usable caption gets its own nudge
+    const submission = introSubmission(ctx.message);
+    if (!submission) {
       handleMediaPost(ctx);
       return;
     }
 
     const userId = ctx.from.id;
-    const text = ctx.message.text;
 
     // Rate-limit intro submissions per user
     if (introRateLimiter.increment(userId, config.INTRO_RATE_LIMIT_MAX)) return;
@@ -113,8 +299,38 @@ function register(bot) {
     // Already introduced users can post freely
     if (user.introduced) return;
 
-    await handleIntroSubmission(ctx, user, text);
+    await handleIntroSubmission(ctx, user, submission, location);
+  });
+
+  // Telegram reports edits but not deletions, so only edits can be re-checked.
+  bot.on('edited_message', async (ctx, next) => {
+    const location = introLocation(ctx);
+    if (!location) return next();
+    if (!ctx.from) return;
+    if (isChannelPost(ctx)) return;
+    if (await isMainGroupAdmin(ctx)) return;
+
+    const edited = ctx.editedMessage;
+    if (hasSuspiciousLink(edited)) return removeIntroLink(ctx);
+    const user = db.getUser(ctx.from.id);
+    if (!user) return;
+
+    if (user.introduced) {
+      // Only the message that got them in matters; other posts of theirs may say anything.
+      // Message IDs are per chat, so the chat it was archived from must match too.
+      // A caption cut below intro length still counts, so it gets re-scored and fails.
+      const isIntro = edited.message_id === user.intro_msg_id && db.getIntroText(user.user_id)?.chat_id === ctx.chat.id;
+      if (isIntro) await handleIntroEdit(ctx, user, edited.text ?? edited.caption ?? '', location);
+      return;
+    }
+
+    const submission = introSubmission(edited);
+    if (!submission) return;
+
+    // A pending member fixing up a rejected post: treat the edit as a new submission.
+    if (introRateLimiter.increment(user.user_id, config.INTRO_RATE_LIMIT_MAX)) return;
+    await handleIntroSubmission(ctx, user, submission, location);
   });
 }
 
-module.exports = { register };
+module.exports = { register, completeIntro, archiveIntro, acceptReviewedIntro, recordCopiedIntro };
@@ -0,0 +1,58 @@
+const config = require('../config');
+const db = require('../db');
+
+// Links seen for joiners who have no users row yet (held behind the CAPTCHA), keyed by
+// user id. Claimed by the welcome handler once the row exists.
+const unclaimedLinks = new Map();
+
+function pruneUnclaimed(now) {
+  for (const [userId, entry] of unclaimedLinks) {
+    if (entry.expiresAt <= now) unclaimedLinks.delete(userId);
+  }
+}
+
+/**
+ * Store the invite link a new member used, or hold it until they are tracked.
+ */
+function recordInviteLink(userId, link) {
+  if (db.setInviteLink(userId, link)) return;
+
+  const now = Date.now();
+  pruneUnclaimed(now);
+  unclaimedLinks.set(userId, { link, expiresAt: now + config.INVITE_LINK_CLAIM_TTL_MS });
+}
+
+/**
+ * Attach a link held by recordInviteLink to the member's new users row. Called after
+ * the welcome handler creates it; the chat_member update may arrive either side of it.
+ */
+function claimInviteLink(userId) {
+  const entry = unclaimedLinks.get(userId);
+  if (!entry) return;
+  unclaimedLinks.delete(userId);
+  if (entry.expiresAt > Date.now()) db.setInviteLink(userId, entry.link);
+}
+
+// For tests.
+function clearUnclaimed() {
+  unclaimedLinks.clear();
+}
+
+function register(bot) {
+  // Only chat_member updates say which link was used; the join service message does not.
+  bot.on('chat_member', async (ctx, next) => {
+    const update = ctx.chatMember;
+    const link = update.invite_link?.invite_link;
+    if (link && update.chat.id === config.getMainGroupId() && !update.new_chat_member.user.is_bot) {
+      recordInviteLink(update.new_chat_member.user.id, link);
+    }
+    return next();
+  });
+}
+
+module.exports = {
+  register,
+  recordInviteLink,
+  claimInviteLink,
+  clearUnclaimed,
+};
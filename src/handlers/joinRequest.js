@@ -0,0 +1,116 @@
+const config = require('../config');
+const db = require('../db');
+const i18n = require('../i18n');
+const { buildWizardButton, applyRejoinPolicy } = require('./welcome');
+const { logError } = require('../utils');
+
+let sweepInterval = null;
+
+/**
+ * Link to the intro channel for someone outside the main group, or null when the intro
+ * channel is a topic of the main group and so cannot be opened before joining.
+ */
+function requesterIntroLink() {
+  const introChannelId = config.getIntroChannelId();
+  if (!introChannelId || introChannelId === config.getMainGroupId()) return null;
+  return config.introLink(introChannelId, config.getIntroTopicId());
+}
+
+/**
+ * 'request' gate mode: hold the join request open and DM the requester the intro
+ * instructions. Someone who introduced on an earlier visit is let straight in.
+ */
+async function handleJoinRequest(ctx) {
+  const request = ctx.chatJoinRequest;
+  if (request.chat.id !== config.getMainGroupId() || config.getGateMode() !== 'request') return;
+
+  const user = request.from;
+  if (user.is_bot) return;
+
+  // They are not back in the group yet, so the departure stays recorded until they join.
+  const existing = applyRejoinPolicy(db.getUser(user.id));
+  // Tracked from now on, so the intro channel and the DM wizard recognise them.
+  db.upsertUser(user.id, user.username, user.first_name);
+
+  if (existing?.introduced) {
+    await ctx.telegram.approveChatJoinRequest(request.chat.id, user.id).catch((err) => {
+      console.error('Failed to approve join request:', err.message);
+    });
+    return;
+  }
+
+  db.createJoinRequest(user.id, request.chat.id, Date.now() + config.JOIN_REQUEST_TIMEOUT_MS);
+
+  const locale = i18n.localeFor(user);
+  const keyboard = buildWizardButton(ctx.botInfo?.username, locale);
+  // user_chat_id is the private chat the bot may write to while the request is pending.
+  logError(
+    ctx.telegram.sendMessage(
+      request.user_chat_id ?? user.id,
+      i18n.messages(locale).JOIN_REQUEST_MESSAGE(user.first_name, requesterIntroLink()),
+      keyboard ? { reply_markup: keyboard } : undefined
+    ),
+    'Failed to send join request instructions'
+  );
+}
+
+/**
+ * Approve the user's pending join request, if any. Called once their intro is accepted.
+ * Returns true if a request was approved.
+ */
+async function approveRequest(telegram, userId) {
+  const request = db.getJoinRequest(userId);
+  if (!request || !db.deleteJoinRequest(userId)) return false;
+
+  try {
+    await telegram.approveChatJoinRequest(request.chat_id, userId);
+    return true;
+  } catch (err) {
+    console.error('Failed to approve join request:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Decline every request whose requester has not introduced in time. Runs on an
+ * interval and once at startup, like the CAPTCHA expiry sweep.
+ */
+async function expireRequests(telegram) {
+  for (const request of db.getExpiredJoinRequests(Date.now())) {
+    if (!db.deleteJoinRequest(request.user_id)) continue;
+
+    try {
+      await telegram.declineChatJoinRequest(request.chat_id, request.user_id);
+    } catch (err) {
+      // Usually an admin already handled the request by hand.
+      console.error('Failed to decline join request:', err.message);
+    }
+    // Drop the users row so a declined requester does not linger in /pending.
+    if (!db.getUser(request.user_id)?.introduced) db.recordKick(request.user_id, 'join_request_timeout');
+  }
+}
+
+function startExpirySweep(telegram) {
+  stopExpirySweep();
+  logError(expireRequests(telegram), 'Join request expiry sweep failed');
+  sweepInterval = setInterval(() => {
+    logError(expireRequests(telegram), 'Join request expiry sweep failed');
+  }, config.JOIN_REQUEST_SWEEP_INTERVAL_MS).unref();
+}
+
+function stopExpirySweep() {
+  clearInterval(sweepInterval);
+  sweepInterval = null;
+}
+
+function register(bot) {
+  bot.on('chat_join_request', handleJoinRequest);
+}
+
+module.exports = {
+  register,
+  approveRequest,
+  expireRequests,
+  startExpirySweep,
+  stopExpirySweep,
+};
@@ -0,0 +1,37 @@
+const config = require('../config');
+const db = require('../db');
+const i18n = require('../i18n');
+const { logError } = require('../utils');
+
+function register(bot) {
+  // /language <code> in a DM sets a personal preference; "auto" goes back to the
+  // Telegram app language. Without an argument it shows the current choice.
+  bot.command('language', (ctx) => {
+    if (ctx.chat?.type !== 'private' || !ctx.from) return;
+
+    const arg = (ctx.message.text || '').split(/\s+/)[1]?.toLowerCase();
+
+    if (arg === 'auto') {
+      db.setUserLocale(ctx.from.id, null);
+      const messages = i18n.messages(i18n.localeFor(ctx.from));
+      return logError(ctx.reply(messages.LANGUAGE_AUTO_MESSAGE), 'Failed to send language reply');
+    }
+
+    if (config.LOCALES.includes(arg)) {
+      db.setUserLocale(ctx.from.id, arg);
+      const messages = i18n.messages(arg);
+      return logError(
+        ctx.reply(messages.LANGUAGE_SET_MESSAGE(config.LOCALE_NAMES[arg])),
+        'Failed to send language reply'
+      );
+    }
+
+    const locale = i18n.localeFor(ctx.from);
+    logError(
+      ctx.reply(i18n.messages(locale).LANGUAGE_CURRENT_MESSAGE(config.LOCALE_NAMES[locale], config.LOCALES)),
+      'Failed to send language reply'
+    );
+  });
+}
+
+module.exports = { register };
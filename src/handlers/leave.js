@@ -0,0 +1,71 @@
+const config = require('../config');
+const db = require('../db');
+const { releaseWelcome } = require('./welcome');
+
+// Statuses in which a user is in the group. A restricted user may or may not be a member.
+const PRESENT_STATUSES = ['creator', 'administrator', 'member'];
+
+function isPresent(chatMember) {
+  return PRESENT_STATUSES.includes(chatMember.status) || (chatMember.status === 'restricted' && chatMember.is_member);
+}
+
+/**
+ * Record that a tracked member left the main group and take them off their welcome
+ * message. Does nothing for users without a row (never welcomed, or already forgotten
+ * after a CAPTCHA or deadline kick) or whose departure is already recorded.
+ */
+async function recordDeparture(telegram, userId, reason) {
+  const user = db.getUser(userId);
+  if (!user || user.left_at) return;
+
+  db.markLeft(userId, reason);
+  await releaseWelcome(telegram, user);
+}
+
+function register(bot) {
+  // Service message, seen whenever the bot can read the group's messages.
+  bot.on('left_chat_member', async (ctx, next) => {
+    if (ctx.chat.id !== config.getMainGroupId()) return next();
+
+    const member = ctx.message.left_chat_member;
+    if (member.is_bot) return next();
+
+    await recordDeparture(ctx.telegram, member.id, ctx.from?.id === member.id ? 'left' : 'kicked');
+  });
+
+  // Sent to admin bots for every status change, including bans, which produce no service
+  // message when the banned user had already left.
+  bot.on('chat_member', async (ctx, next) => {
+    const update = ctx.chatMember;
+    if (update.chat.id !== config.getMainGroupId()) return next();
+
+    const user = update.new_chat_member.user;
+    if (user.is_bot) return next();
+
+    const oldMember = update.old_chat_member;
+    const newMember = update.new_chat_member;
+
+    if (newMember.status === 'kicked') {
+      if (isPresent(oldMember)) {
+        await recordDeparture(ctx.telegram, user.id, 'banned');
+      } else if (db.getUser(user.id)?.left_at) {
+        db.markLeft(user.id, 'banned');
+      }
+      return;
+    }
+
+    // An unban only lets them back in; the departure is now a kick rather than a ban.
+    if (oldMember.status === 'kicked') {
+      if (db.getUser(user.id)?.left_reason === 'banned') db.markLeft(user.id, 'kicked');
+      return;
+    }
+
+    if (isPresent(oldMember) && !isPresent(newMember)) {
+      await recordDeparture(ctx.telegram, user.id, update.from.id === user.id ? 'left' : 'kicked');
+      return;
+    }
+    return next();
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,119 @@
+const config = require('../config');
+const db = require('../db');
+const adminCache = require('../adminCache');
+const i18n = require('../i18n');
+const { notifyAdmins } = require('../adminAlerts');
+const { logError, getMention, formatDuration } = require('../utils');
+
+const CALLBACK_PATTERN = /^review:(\d+):(approve|reject|more)$/;
+
+// Button action -> decision stored in intro_reviews.
+const DECISIONS = { approve: 'approved', reject: 'rejected', more: 'more' };
+
+const OUTCOMES = {
+  approved: 'Approved',
+  rejected: 'Rejected',
+  more: 'Asked for more',
+};
+
+/**
+ * Whether an intro that passed the rubric with `score`, against pass `threshold`, waits for
+ * an admin instead of being accepted (/reviewmode). Without an admin chat nobody would see the queue, so
+ * intros are accepted as in 'auto' mode.
+ */
+function needsReview(score, threshold = config.getIntroPassThreshold()) {
+  const mode = config.getIntroReviewMode();
+  if (mode === 'auto') return false;
+  if (!config.getAdminChatId()) return false;
+  return mode === 'review' || score < threshold + config.INTRO_REVIEW_MARGIN;
+}
+
+function buildKeyboard(reviewId) {
+  return {
+    inline_keyboard: [[
+      { text: '✅ Approve', callback_data: `review:${reviewId}:approve` },
+      { text: '❌ Reject', callback_data: `review:${reviewId}:reject` },
+      { text: '✍️ Ask for more', callback_data: `review:${reviewId}:more` },
+    ]],
+  };
+}
+
+/**
+ * Queue an intro for review and post it to the admin chat with Approve / Reject /
+ * Ask-for-more buttons. `from` is the author's Telegram user; `intro` holds the chat, forum
+ * topic and message the intro was posted as, its text, its scoreIntro() score and maxScore, and the
+ * media type of a captioned intro. Returns false if the admin chat could not be reached,
+ * in which case nothing is queued and the caller accepts the intro itself.
+ */
+async function submitForReview(telegram, from, { chatId, topicId = null, msgId, text, score, maxScore, media = null }) {
+  const reviewId = db.createIntroReview(from.id, chatId, msgId, text, score, media, topicId);
+
+  const quote = text.length > config.INTRO_REVIEW_QUOTE_LENGTH
+    ? `${text.slice(0, config.INTRO_REVIEW_QUOTE_LENGTH)}…`
+    : text;
+  const posted = media ? ` (${media} with caption)` : '';
+  const notice = `Intro to review from ${getMention(from)} (ID ${from.id}), score ${score} of ` +
+    `${maxScore}${posted}:\n\n${quote}\n\n${config.messageLink(chatId, msgId)}`;
+  try {
+    if (await notifyAdmins(telegram, notice, { reply_markup: buildKeyboard(reviewId) })) return true;
+  } catch (err) {
+    console.error('Failed to post intro for review:', err.message);
+  }
+  db.deleteIntroReview(reviewId);
+  return false;
+}
+
+// Tell the member what the admin decided, as a reply to their intro.
+function replyToIntro(telegram, review, text) {
+  logError(
+    telegram.sendMessage(review.chat_id, text, {
+      reply_parameters: { message_id: review.msg_id, allow_sending_without_reply: true },
+    }),
+    'Failed to send review outcome'
+  );
+}
+
+async function handleDecision(ctx, onApprove) {
+  const reviewId = Number(ctx.match[1]);
+  const decision = DECISIONS[ctx.match[2]];
+
+  const mainGroupId = config.getMainGroupId();
+  if (!mainGroupId || !(await adminCache.isAdmin(ctx.telegram, mainGroupId, ctx.from.id))) {
+    logError(ctx.answerCbQuery('Only admins of the main group can review intros.'), 'Failed to answer review callback');
+    return;
+  }
+
+  // Claim the review before any await — a second admin tapping at the same time gets told it is done.
+  const review = db.getIntroReview(reviewId);
+  if (!review || !db.decideIntroReview(reviewId, decision, ctx.from.id)) {
+    logError(ctx.answerCbQuery('This intro has already been reviewed.'), 'Failed to answer review callback');
+    return;
+  }
+
+  // /approve, a later intro or a kick may have settled things while the review waited.
+  const user = db.getUser(review.user_id);
+  let outcome = `${OUTCOMES[decision]} by ${getMention(ctx.from)} after ${formatDuration(Date.now() - review.submitted_at)}`;
+  if (!user || user.introduced) {
+    outcome += ' — no longer pending, nothing changed';
+  } else if (decision === 'approved') {
+    await onApprove(ctx.telegram, user, review);
+  } else {
+    const m = i18n.messages(i18n.localeFor(user));
+    replyToIntro(ctx.telegram, review, decision === 'rejected' ? m.INTRO_REVIEW_REJECTED_MESSAGE : m.INTRO_REVIEW_MORE_MESSAGE);
+  }
+
+  logError(ctx.answerCbQuery(OUTCOMES[decision]), 'Failed to answer review callback');
+  // Replacing the text also drops the buttons.
+  logError(ctx.editMessageText(`${ctx.callbackQuery.message.text}\n\n${outcome}`), 'Failed to update review message');
+}
+
+/**
+ * @param bot       Telegraf instance
+ * @param onApprove async (telegram, user, review) => void — lets in a member whose intro
+ *                  an admin approved
+ */
+function register(bot, onApprove) {
+  bot.action(CALLBACK_PATTERN, (ctx) => handleDecision(ctx, onApprove));
+}
+
+module.exports = { register, needsReview, submitForReview, replyToIntro };
@@ -1,7 +1,15 @@
 const config = require('../config');
 const adminCache = require('../adminCache');
+const i18n = require('../i18n');
 const { logError, getMention } = require('../utils');
 
+const MESSAGES = {
+  LINK_REMOVED: (mention) =>
+    `⚠️ ${mention}, a suspicious link was removed from this chat. ` +
+    'Please use a full, direct URL instead of shortened or obfuscated links.',
+  CHANNEL_POST_LINK_REMOVED: '⚠️ A suspicious link was removed from this chat. Please use a full, direct URL.',
+};
+
 // Known URL shorteners — used to hide phishing destinations.
 // t.me/+ (invite links) are handled separately via path inspection below.
 const SHORTENER_DOMAINS = new Set([
@@ -75,6 +83,19 @@ function hasSuspiciousLink(message) {
   return extractUrls(message).some(isSuspiciousUrl);
 }
 
+/**
+ * Delete a member's message with a suspicious link and warn them. Also used for the intro
+ * locations (intro.js), where scammers drop phishing links once their intro is accepted.
+ */
+function removeSuspiciousLink(ctx) {
+  const messages = i18n.localize(i18n.localeFor(ctx.from), 'security', MESSAGES);
+  logError(ctx.deleteMessage(), 'Failed to delete suspicious link message');
+  logError(
+    ctx.reply(messages.LINK_REMOVED(getMention(ctx.from))),
+    'Failed to send suspicious link warning'
+  );
+}
+
 // Scan channel_post updates (e.g. linked-channel posts in the main group) for
 // suspicious links. These have no ctx.from, so the message is read from ctx.channelPost.
 function registerChannelPost(bot) {
@@ -86,8 +107,10 @@ function registerChannelPost(bot) {
     if (!post || !hasSuspiciousLink(post)) return next();
 
     logError(ctx.deleteMessage(), 'Failed to delete suspicious link in channel post');
+    // Channel posts have no sender to take a language from — use the group default.
+    const messages = i18n.localize(config.getDefaultLocale(), 'security', MESSAGES);
     logError(
-      ctx.reply('⚠️ A suspicious link was removed from this chat. Please use a full, direct URL.'),
+      ctx.reply(messages.CHANNEL_POST_LINK_REMOVED),
       'Failed to send channel post suspicious link warning'
     );
 
@@ -104,17 +127,7 @@ function register(bot) {
     // Admins are trusted — never flag or delete their messages
     if (await adminCache.isAdmin(ctx.telegram, mainGroupId, ctx.from.id)) return next();
 
-    if (hasSuspiciousLink(ctx.message)) {
-      const mention = getMention(ctx.from);
-      logError(ctx.deleteMessage(), 'Failed to delete suspicious link message');
-      logError(
-        ctx.reply(
-          `⚠️ ${mention}, a suspicious link was removed from this chat. ` +
-          `Please use a full, direct URL instead of shortened or obfuscated links.`
-        ),
-        'Failed to send suspicious link warning'
-      );
-    }
+    if (hasSuspiciousLink(ctx.message)) removeSuspiciousLink(ctx);
 
     return next();
   });
@@ -122,4 +135,4 @@ function register(bot) {
   registerChannelPost(bot);
 }
 
-module.exports = { register, isSuspiciousUrl, hasSuspiciousLink, extractUrls };
+module.exports = { register, isSuspiciousUrl, hasSuspiciousLink, removeSuspiciousLink, extractUrls };
@@ -1,30 +1,208 @@
 const config = require('../config');
 const db = require('../db');
 const adminCache = require('../adminCache');
-const CooldownMap = require('../CooldownMap');
+const { applyGate } = require('../permissions');
+const templates = require('../templates');
+const i18n = require('../i18n');
+const captcha = require('./captcha');
+const { claimInviteLink } = require('./invites');
+const { getMention, parseSqliteDate } = require('../utils');
 
-const welcomeCooldowns = new CooldownMap(config.WELCOME_COOLDOWN_MS, { cleanupMultiplier: 20 });
+const DAY_MS = 24 * 60 * 60_000;
 
-async function sendWelcomeMessage(ctx, member, existing) {
-  // Clean up orphaned welcome message from previous join attempt
-  if (existing?.welcome_msg_id) {
-    await ctx.telegram.deleteMessage(ctx.chat.id, existing.welcome_msg_id).catch(() => {});
+// Open join bursts, keyed by chat id. Everyone who joins within WELCOME_BURST_WINDOW_MS
+// of the first member shares one welcome message, which is edited as more arrive.
+// `chain` serialises the sends and edits so each one sees the previous message id.
+const bursts = new Map();
+
+// Used for the wizard button when the welcome is edited outside an update (intro
+// accepted, deadline sweep), where ctx.botInfo is not available. Set at startup.
+let botUsername = null;
+
+function setBotUsername(username) {
+  botUsername = username || null;
+}
+
+/**
+ * Deep link that opens a private chat with the bot and starts the wizard.
+ */
+function wizardLink(username) {
+  return `https://t.me/${username}?start=intro`;
+}
+
+/**
+ * Inline keyboard for the welcome message. Returns null when the bot's username is
+ * unknown (e.g. before launch), in which case the welcome is sent without a button.
+ */
+function buildWizardButton(username, locale = 'en') {
+  if (!username) return null;
+  return {
+    inline_keyboard: [[{ text: i18n.messages(locale).WIZARD_BUTTON_TEXT, url: wizardLink(username) }]],
+  };
+}
+
+/**
+ * Text and keyboard of a welcome for `members` (Telegram users or users rows).
+ * A lone member is greeted in their own language; a combined welcome uses the group default.
+ */
+function buildWelcome(members, groupTitle, username) {
+  const single = members.length === 1;
+  const locale = single ? i18n.localeFor(members[0]) : config.getDefaultLocale();
+  const text = templates.render('welcome', {
+    firstName: members[0].first_name,
+    mentions: single ? null : members.map(getMention),
+    groupTitle,
+    locale,
+  });
+  const keyboard = buildWizardButton(username || botUsername, locale);
+  return { text, extra: keyboard ? { reply_markup: keyboard } : undefined };
+}
+
+// Edits happen outside the join update, so the title is only fetched when a custom
+// template actually uses {group_title}.
+async function fetchGroupTitle(telegram, chatId) {
+  if (!templates.getCustomTemplate('welcome')?.includes('{group_title}')) return null;
+  const chat = await telegram.getChat(chatId).catch(() => null);
+  return chat?.title ?? null;
+}
+
+function closeBurst(messageId) {
+  for (const [chatId, burst] of bursts) {
+    if (burst.messageId !== messageId) continue;
+    bursts.delete(chatId);
+    burst.messageId = null; // members still queued on it get a fresh message
   }
+}
+
+/**
+ * Re-render a (possibly shared) welcome message from the members it still greets,
+ * leaving out `excludeUserId`. Deletes the message once nobody is left on it.
+ */
+async function refreshWelcome(telegram, messageId, { excludeUserId = null, groupTitle, username } = {}) {
+  const chatId = config.getMainGroupId();
+  const members = db.getPendingByWelcomeMsgId(messageId).filter((u) => u.user_id !== excludeUserId);
 
-  const text = config.WELCOME_MESSAGE(
-    member.first_name,
-    config.getIntroChannelId(),
-    config.getIntroTopicId()
-  );
+  if (members.length === 0) {
+    closeBurst(messageId);
+    await telegram.deleteMessage(chatId, messageId).catch(() => {});
+    return;
+  }
 
+  const title = groupTitle !== undefined ? groupTitle : await fetchGroupTitle(telegram, chatId);
+  const { text, extra } = buildWelcome(members, title, username);
   try {
-    const msg = await ctx.reply(text);
+    await telegram.editMessageText(chatId, messageId, undefined, text, extra);
+  } catch (err) {
+    if (!/message is not modified/i.test(err.message)) {
+      console.error('Failed to update welcome message:', err.message);
+    }
+  }
+}
+
+/**
+ * Take `user` off their welcome message: their mention is removed from a combined
+ * welcome, and the message is deleted once nobody it greets is still pending.
+ */
+async function releaseWelcome(telegram, user) {
+  if (!user?.welcome_msg_id) return;
+  await refreshWelcome(telegram, user.welcome_msg_id, { excludeUserId: user.user_id });
+}
+
+async function addToBurst(ctx, burst, member, existing) {
+  // A rejoining member may still be named in the welcome from their previous attempt.
+  if (existing?.welcome_msg_id && existing.welcome_msg_id !== burst.messageId) {
+    await releaseWelcome(ctx.telegram, existing);
+  }
+
+  if (burst.messageId) {
+    db.setWelcomeMsgId(member.id, burst.messageId);
+    await refreshWelcome(ctx.telegram, burst.messageId, {
+      groupTitle: ctx.chat.title,
+      username: ctx.botInfo?.username,
+    });
+    return;
+  }
+
+  const { text, extra } = buildWelcome([member], ctx.chat.title, ctx.botInfo?.username);
+  try {
+    const msg = extra ? await ctx.reply(text, extra) : await ctx.reply(text);
+    burst.messageId = msg.message_id;
     db.setWelcomeMsgId(member.id, msg.message_id);
   } catch (err) {
     console.error('Failed to send welcome message:', err.message);
   }
 }
 
+/**
+ * Greet `member`, either with a new welcome or by adding them to the chat's open burst.
+ * A burst closes when its window runs out or it reaches WELCOME_BURST_MAX_MEMBERS.
+ */
+function sendWelcomeMessage(ctx, member, existing) {
+  const now = Date.now();
+  let burst = bursts.get(ctx.chat.id);
+  if (!burst || burst.expiresAt <= now || burst.memberCount >= config.WELCOME_BURST_MAX_MEMBERS) {
+    burst = { messageId: null, memberCount: 0, expiresAt: now + config.WELCOME_BURST_WINDOW_MS, chain: Promise.resolve() };
+    bursts.set(ctx.chat.id, burst);
+  }
+
+  // Count the member synchronously so concurrent join events cannot overfill the burst.
+  burst.memberCount++;
+  const step = burst.chain.then(() => addToBurst(ctx, burst, member, existing));
+  burst.chain = step.catch(() => {}); // one failed step must not stall the rest of the burst
+  return step;
+}
+
+/**
+ * Called by the CAPTCHA handler once a member has answered correctly.
+ * Unverified joiners get no DB record until this point.
+ */
+async function welcomeVerifiedMember(ctx, member) {
+  const existing = db.getUser(member.id);
+  db.upsertUser(member.id, member.username, member.first_name);
+  db.startGracePeriod(member.id);
+  claimInviteLink(member.id);
+  await sendWelcomeMessage(ctx, member, existing);
+}
+
+/**
+ * Apply the rejoin policy (/rejoinpolicy) to the users row of someone coming back after
+ * leaving. Returns the row as it now stands: reset if they were away long enough that
+ * they must introduce again. An intro posted since they left (e.g. to get a join
+ * request approved) always counts.
+ */
+function applyRejoinPolicy(existing, now = Date.now()) {
+  if (!existing?.left_at || !existing.introduced) return existing;
+
+  const days = config.getRejoinReintroDays();
+  if (days === null) return existing;
+
+  const leftAt = parseSqliteDate(existing.left_at);
+  const introducedAt = parseSqliteDate(existing.introduced_at);
+  if (leftAt === null || (introducedAt !== null && introducedAt > leftAt)) return existing;
+  if (now - leftAt < days * DAY_MS) return existing;
+
+  db.resetUser(existing.user_id);
+  return db.getUser(existing.user_id);
+}
+
+function shouldChallenge(existing) {
+  return config.isCaptchaEnabled() && !existing?.introduced;
+}
+
+/**
+ * Returns true if the member is now held behind a CAPTCHA; false means continue
+ * with the normal welcome (admin, or the challenge could not be started).
+ */
+async function challengeMember(ctx, member, delayMs) {
+  if (await adminCache.isAdmin(ctx.telegram, ctx.chat.id, member.id)) return false;
+  return captcha.startChallenge(ctx, member, delayMs);
+}
+
+// For tests.
+function clearBursts() {
+  bursts.clear();
+}
+
 function register(bot) {
   bot.on('new_chat_members', async (ctx) => {
     if (ctx.chat.id !== config.getMainGroupId()) return;
@@ -33,27 +211,39 @@ function register(bot) {
     const isMassJoin = members.length > config.MAX_NEW_MEMBERS_PER_EVENT;
 
     if (isMassJoin) {
-      console.error(`Mass-join event: ${members.length} members at once — tracking only, no welcome messages`);
+      console.error(`Mass-join event: ${members.length} members at once — challenging them one by one`);
     }
 
+    // Challenges of a mass join are spaced out; every member is restricted at once.
+    let challenged = 0;
+
     for (const member of members) {
       if (member.is_bot) continue;
 
-      const existing = db.getUser(member.id);
+      let existing = db.getUser(member.id);
+      if (existing?.left_at) {
+        existing = applyRejoinPolicy(existing);
+        // Pin the grace period (/grace) to the first join before the join time restarts.
+        db.startGracePeriod(member.id);
+        db.markRejoined(member.id);
+      }
+
+      // Challenged members are not tracked until they pass — see welcomeVerifiedMember.
+      const delayMs = isMassJoin ? (challenged + 1) * config.CAPTCHA_MASS_JOIN_SPACING_MS : 0;
+      if (shouldChallenge(existing) && await challengeMember(ctx, member, delayMs)) {
+        challenged++;
+        continue;
+      }
 
-      // Always track users in DB, even during mass-join events
       db.upsertUser(member.id, member.username, member.first_name);
+      db.startGracePeriod(member.id);
+      claimInviteLink(member.id);
 
-      if (existing?.introduced || isMassJoin) continue;
+      if (existing?.introduced) continue;
 
-      // Claim the cooldown slot synchronously — no await between isLimited and touch.
-      // JavaScript's single-threaded event loop guarantees these two lines are atomic,
-      // preventing two concurrent join events from both seeing isLimited()=false and
-      // both sending a welcome to the same chat.
-      if (welcomeCooldowns.isLimited(ctx.chat.id)) continue;
-      welcomeCooldowns.touch(ctx.chat.id);
+      // Mute mode gates every pending joiner, including admins who get no welcome below.
+      await applyGate(ctx.telegram, member.id);
 
-      // Async checks happen after the slot is claimed
       if (await adminCache.isAdmin(ctx.telegram, ctx.chat.id, member.id)) continue;
 
       await sendWelcomeMessage(ctx, member, existing);
@@ -61,4 +251,13 @@ function register(bot) {
   });
 }
 
-module.exports = { register };
+module.exports = {
+  register,
+  welcomeVerifiedMember,
+  releaseWelcome,
+  applyRejoinPolicy,
+  setBotUsername,
+  buildWizardButton,
+  wizardLink,
+  clearBursts,
+};
@@ -0,0 +1,198 @@
+const config = require('../config');
+const db = require('../db');
+const i18n = require('../i18n');
+const { scoreIntro } = require('../introScore');
+const { checkIntroGuards, GUARD_NUDGES } = require('../introGuards');
+const { checkCopy } = require('../introFingerprint');
+const { completeIntro, archiveIntro, recordCopiedIntro } = require('./intro');
+const review = require('./review');
+const { announceIntro } = require('../announcements');
+const { getMention, logError } = require('../utils');
+
+function isPrivateChat(ctx) {
+  return ctx.chat?.type === 'private';
+}
+
+// Replies follow the user's language, looked up per message so /language takes effect mid-wizard.
+function messagesFor(ctx) {
+  return i18n.messages(i18n.localeFor(ctx.from));
+}
+
+// One question per rubric section in every language, so a session keeps its step count
+// if the user switches language halfway through.
+function getQuestions(messages = config) {
+  return config.INTRO_RUBRIC_SECTIONS.map((section) => {
+    const entry = messages.INTRO_WIZARD_PROMPTS[section];
+    const name = messages.INTRO_SECTION_NAMES?.[section] ?? section;
+    const fallback = `${name.charAt(0).toUpperCase()}${name.slice(1)}?`;
+    return { prompt: entry?.prompt ?? fallback, label: entry?.label ?? fallback };
+  });
+}
+
+function composeIntro(answers, messages = config) {
+  return getQuestions(messages)
+    .map(({ label }, i) => `${label} ${answers[i]}`)
+    .join('\n');
+}
+
+function askQuestion(ctx, step) {
+  const questions = getQuestions(messagesFor(ctx));
+  logError(
+    ctx.reply(`(${step + 1}/${questions.length}) ${questions[step].prompt}`),
+    'Failed to send wizard question'
+  );
+}
+
+async function startWizard(ctx) {
+  const messages = messagesFor(ctx);
+  const user = db.getUser(ctx.from.id);
+  if (!user) {
+    return logError(ctx.reply(messages.WIZARD_NOT_MEMBER_MESSAGE), 'Failed to send wizard reply');
+  }
+  if (user.introduced) {
+    return logError(ctx.reply(messages.WIZARD_ALREADY_INTRODUCED_MESSAGE), 'Failed to send wizard reply');
+  }
+  if (db.getPendingIntroReview(user.user_id)) {
+    return logError(ctx.reply(messages.INTRO_IN_REVIEW_MESSAGE), 'Failed to send wizard reply');
+  }
+
+  db.saveWizardSession(ctx.from.id, 0, []);
+  await ctx.reply(messages.WIZARD_START_MESSAGE(config.INTRO_RUBRIC_SECTIONS.length)).catch(() => {});
+  askQuestion(ctx, 0);
+}
+
+/**
+ * Post the composed intro to the intro channel as the bot and accept it, or queue it for
+ * the admins under /reviewmode. Returns 'accepted' or 'review', or null if it could not
+ * be posted (no intro channel, or no permission). `signature` is the answers' fingerprint,
+ * kept on acceptance so later copies are caught.
+ */
+async function postIntro(ctx, user, intro, { score, maxScore, threshold }, signature) {
+  const introChannelId = config.getIntroChannelId();
+  if (!introChannelId) return null;
+
+  const topicId = config.getIntroTopicId();
+  const text = `${messagesFor(ctx).WIZARD_INTRO_HEADER(getMention(ctx.from))}\n\n${intro}`;
+
+  try {
+    const msg = await ctx.telegram.sendMessage(
+      introChannelId,
+      text,
+      topicId ? { message_thread_id: topicId } : {}
+    );
+    if (review.needsReview(score, threshold) && await review.submitForReview(ctx.telegram, ctx.from, {
+      chatId: introChannelId, topicId, msgId: msg.message_id, text, score, maxScore,
+    })) {
+      return 'review';
+    }
+    db.addIntroFingerprint(user.user_id, msg.message_id, signature, true);
+    await completeIntro(ctx.telegram, user, msg.message_id, score);
+    archiveIntro(user.user_id, introChannelId, msg.message_id, intro);
+    announceIntro(ctx.telegram, user, { chatId: introChannelId, msgId: msg.message_id, text: intro });
+    return 'accepted';
+  } catch (err) {
+    console.error('Failed to post wizard intro:', err.message);
+    return null;
+  }
+}
+
+async function finishWizard(ctx, answers) {
+  const userId = ctx.from.id;
+  db.deleteWizardSession(userId);
+
+  // Re-read — the user may have been approved or introduced while answering.
+  const user = db.getUser(userId);
+  if (!user || user.introduced) return;
+
+  const messages = messagesFor(ctx);
+  const intro = composeIntro(answers, messages);
+  // Checked and scored without the question labels, which name the rubric sections
+  // themselves and would pass any answers.
+  const text = answers.join('\n');
+
+  // Start over from the first question, after saying why.
+  const restart = async (reply) => {
+    await ctx.reply(reply).catch(() => {});
+    db.saveWizardSession(userId, 0, []);
+    askQuestion(ctx, 0);
+  };
+
+  // The wizard posts as the bot, so its intros must clear the same guards as typed ones.
+  const guard = checkIntroGuards(text);
+  if (guard) {
+    db.recordIntroRejection(userId, null, null, guard);
+    return restart(messages[GUARD_NUDGES[guard]]);
+  }
+
+  // Pasting the welcome example or someone else's intro into the wizard is no way around copy detection.
+  const copy = checkCopy(text, userId);
+  if (copy.copyOf === 'example') return restart(messages.INTRO_EXAMPLE_COPY_MESSAGE);
+  if (copy.copyOf) {
+    recordCopiedIntro(ctx.telegram, ctx.from, copy);
+    return restart(messages.INTRO_COPY_MESSAGE);
+  }
+
+  // Composed intros are scored like intros typed in the primary intro location, where they are posted.
+  const result = scoreIntro(text, config.getIntroLocations()[0]);
+  if (!result.passed) return restart(messages.WIZARD_TOO_SHORT_MESSAGE);
+
+  const posted = await postIntro(ctx, user, intro, result, copy.signature);
+  if (posted) {
+    const reply = posted === 'review'
+      ? messages.INTRO_IN_REVIEW_MESSAGE
+      : messages.WIZARD_POSTED_MESSAGE(ctx.from.first_name);
+    logError(ctx.reply(reply), 'Failed to send wizard reply');
+    return;
+  }
+
+  // Could not post on the user's behalf — hand them the text to paste themselves.
+  await ctx.reply(messages.WIZARD_PASTE_MESSAGE(config.getIntroChannelId(), config.getIntroTopicId()))
+    .catch(() => {});
+  logError(ctx.reply(intro), 'Failed to send composed intro');
+}
+
+async function handleAnswer(ctx, session) {
+  const text = ctx.message.text;
+  if (!text) {
+    return logError(ctx.reply(messagesFor(ctx).WIZARD_TEXT_ONLY_MESSAGE), 'Failed to send wizard reply');
+  }
+
+  const answers = [...session.answers, text.trim().slice(0, config.WIZARD_ANSWER_MAX_LENGTH)];
+  const step = session.step + 1;
+
+  if (step >= config.INTRO_RUBRIC_SECTIONS.length) {
+    return finishWizard(ctx, answers);
+  }
+
+  db.saveWizardSession(ctx.from.id, step, answers);
+  askQuestion(ctx, step);
+}
+
+function register(bot) {
+  // /start (including the ?start=intro deep link from the welcome message) begins the wizard.
+  bot.command('start', async (ctx) => {
+    if (!isPrivateChat(ctx) || !ctx.from) return;
+    await startWizard(ctx);
+  });
+
+  bot.command('cancel', (ctx) => {
+    if (!isPrivateChat(ctx) || !ctx.from) return;
+    if (!db.getWizardSession(ctx.from.id)) return;
+    db.deleteWizardSession(ctx.from.id);
+    logError(ctx.reply(messagesFor(ctx).WIZARD_CANCELLED_MESSAGE), 'Failed to send wizard reply');
+  });
+
+  bot.on('message', async (ctx, next) => {
+    if (!isPrivateChat(ctx) || !ctx.from) return next();
+
+    // Other commands are not answers — let their own handlers see them.
+    if (ctx.message.text?.startsWith('/')) return next();
+
+    const session = db.getWizardSession(ctx.from.id);
+    if (!session) return next();
+
+    await handleAnswer(ctx, session);
+  });
+}
+
+module.exports = { register, composeIntro };
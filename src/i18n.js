@@ -0,0 +1,77 @@
+const config = require('./config');
+const db = require('./db');
+
+// Translations, keyed by namespace. English is not listed here — it is the source text in
+// config.js (namespace "messages") and in the handlers' own string tables, and any key a
+// catalog leaves out falls back to it.
+const CATALOGS = {
+  ms: require('./locales/ms'),
+  zh: require('./locales/zh'),
+};
+
+/**
+ * Map a Telegram language_code (IETF tag such as "en", "ms-MY" or "zh-hans") to a
+ * supported locale, or null if we have no catalog for it.
+ */
+function normalizeLocale(code) {
+  if (!code) return null;
+  const base = String(code).toLowerCase().split(/[-_]/)[0];
+  return config.LOCALES.includes(base) ? base : null;
+}
+
+/**
+ * Pick the language for messages addressed to `user` (a Telegram user object or a users row):
+ * their /language preference, then their Telegram app language, then the group default.
+ */
+function localeFor(user) {
+  const userId = user?.id ?? user?.user_id;
+  const preferred = userId ? db.getUserLocale(userId) : null;
+  return normalizeLocale(preferred) || normalizeLocale(user?.language_code) || config.getDefaultLocale();
+}
+
+/**
+ * Overlay a locale's translations for `namespace` on an English string table.
+ * Returns the table itself for English, so callers can use it exactly as before.
+ */
+function localize(locale, namespace, table) {
+  const translations = CATALOGS[locale]?.[namespace];
+  return translations ? { ...table, ...translations } : table;
+}
+
+/**
+ * The config.js message templates in the given locale.
+ */
+function messages(locale) {
+  return localize(locale, 'messages', config);
+}
+
+/**
+ * Synonyms for a rubric section from every catalog. Intros are scored against all languages,
+ * since the language someone writes their intro in need not match their Telegram settings.
+ */
+function allRubricSynonyms(section) {
+  const synonyms = [...(config.INTRO_RUBRIC_SYNONYMS[section] || [])];
+  for (const catalog of Object.values(CATALOGS)) {
+    synonyms.push(...(catalog.messages?.INTRO_RUBRIC_SYNONYMS?.[section] || []));
+  }
+  return synonyms;
+}
+
+/**
+ * The welcome message's sample intro in every language, for copy detection.
+ */
+function allIntroExamples() {
+  return [config.INTRO_EXAMPLE, ...Object.values(CATALOGS).map((catalog) => catalog.messages?.INTRO_EXAMPLE)]
+    .filter(Boolean);
+}
+
+/**
+ * Names of rubric sections as a member reads them, from a messages() table.
+ */
+function sectionNames(m, sections = []) {
+  return sections.map((section) => m.INTRO_SECTION_NAMES[section] ?? section);
+}
+
+module.exports = {
+  normalizeLocale, localeFor, localize, messages, allRubricSynonyms, allIntroExamples, sectionNames,
+};
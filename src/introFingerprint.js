@@ -0,0 +1,92 @@
+const config = require('./config');
+const db = require('./db');
+const i18n = require('./i18n');
+
+// Character shingles rather than word shingles, so Chinese (no spaces) works too.
+const SHINGLE_LENGTH = 5;
+const SIGNATURE_SIZE = 64;
+
+// One seed per MinHash function. Fixed, so signatures stored in the DB stay comparable.
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix32(0x9e3779b9 + i));
+
+// Murmur3's finalizer: spreads the bits of a 32-bit integer.
+function mix32(x) {
+  let h = x >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// 32-bit FNV-1a over UTF-16 code units.
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Reduce text to what survives a copy-paste with light edits: lowercase letters and
+ * digits, single spaces. Punctuation, emoji and line breaks are dropped.
+ */
+function normalize(text) {
+  return text.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function shingles(text) {
+  const normalized = normalize(text);
+  if (normalized.length <= SHINGLE_LENGTH) return new Set([normalized]);
+  const result = new Set();
+  for (let i = 0; i <= normalized.length - SHINGLE_LENGTH; i++) {
+    result.add(normalized.slice(i, i + SHINGLE_LENGTH));
+  }
+  return result;
+}
+
+/**
+ * MinHash signature of `text`: for each seed, the smallest hash of any shingle.
+ */
+function fingerprint(text) {
+  const hashes = [...shingles(text)].map(hashString);
+  return SEEDS.map((seed) => hashes.reduce((min, h) => Math.min(min, mix32(h ^ seed)), 0xffffffff));
+}
+
+/**
+ * Estimated Jaccard similarity of the shingle sets behind two signatures, from 0 to 1.
+ */
+function similarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / SIGNATURE_SIZE;
+}
+
+let exampleSignatures = null;
+
+/**
+ * Check an intro submission for copying. Returns { signature, copyOf, userIds, repeat }:
+ * `copyOf` is 'example' when it echoes the welcome message's sample intro, 'intro' when
+ * it matches another member's accepted intro, or null. `userIds` lists every other account
+ * that has submitted similar text, accepted or not, for the repeated-text alert. `repeat`
+ * is true when the same member already had a similar copy rejected.
+ */
+function checkCopy(text, userId) {
+  const signature = fingerprint(text);
+  if (!exampleSignatures) exampleSignatures = i18n.allIntroExamples().map(fingerprint);
+
+  const isSimilar = (other) => similarity(signature, other) >= config.INTRO_COPY_SIMILARITY;
+  const similar = db.getIntroFingerprints(config.INTRO_COPY_WINDOW_DAYS).filter((row) => isSimilar(row.signature));
+  const others = similar.filter((row) => row.user_id !== userId);
+  const userIds = [...new Set(others.map((row) => row.user_id))];
+  const repeat = similar.some((row) => row.user_id === userId && !row.accepted);
+
+  let copyOf = null;
+  if (exampleSignatures.some(isSimilar)) copyOf = 'example';
+  else if (others.some((row) => row.accepted)) copyOf = 'intro';
+
+  return { signature, copyOf, userIds, repeat };
+}
+
+module.exports = { normalize, fingerprint, similarity, checkCopy };
@@ -0,0 +1,98 @@
+const config = require('./config');
+const { extractUrls, isSuspiciousUrl } = require('./handlers/security');
+
+// Entities that make up the link-and-mention share of an intro.
+const LINK_ENTITY_TYPES = new Set(['url', 'text_link', 'mention', 'text_mention', 'email']);
+
+// Links (with a scheme, or a bare domain and path) and @mentions in text that comes
+// without Telegram's entities (wizard answers).
+const LINK_PATTERN = /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\/\S*|@[A-Za-z0-9_]{5,32}/giu;
+
+// The member message (config.js) that nudges each rejection reason.
+const GUARD_NUDGES = {
+  forwarded: 'INTRO_FORWARDED_MESSAGE',
+  suspicious_link: 'INTRO_SUSPICIOUS_LINK_MESSAGE',
+  links: 'INTRO_LINKS_MESSAGE',
+  emoji: 'INTRO_EMOJI_MESSAGE',
+  gibberish: 'INTRO_GIBBERISH_MESSAGE',
+};
+
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const LETTER_OR_DIGIT = /[\p{L}\p{N}]/gu;
+
+function count(text, pattern) {
+  return text.match(pattern)?.length ?? 0;
+}
+
+// Characters covered by links and mentions, from the message's entities when it has them.
+function linkLength(text, message) {
+  const entities = message?.entities ?? message?.caption_entities;
+  if (!entities) return (text.match(LINK_PATTERN) ?? []).reduce((sum, link) => sum + link.length, 0);
+  return entities
+    .filter((e) => LINK_ENTITY_TYPES.has(e.type) && e.offset >= 0 && e.length > 0 && e.offset + e.length <= text.length)
+    .reduce((sum, e) => sum + e.length, 0);
+}
+
+function hasSuspiciousUrl(text, message) {
+  const urls = message ? extractUrls(message) : text.match(LINK_PATTERN) ?? [];
+  return urls.some(isSuspiciousUrl);
+}
+
+// Shannon entropy, in bits, of the letters and digits of `text`.
+function entropy(text) {
+  const chars = text.toLowerCase().match(LETTER_OR_DIGIT) ?? [];
+  const counts = new Map();
+  for (const ch of chars) counts.set(ch, (counts.get(ch) ?? 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) bits -= (n / chars.length) * Math.log2(n / chars.length);
+  return bits;
+}
+
+// Distinct 4-character runs of `text` as a share of all of them — low for repeated text.
+function uniqueShingleShare(text) {
+  const normalized = text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  const total = normalized.length - 3;
+  if (total <= 0) return 1;
+  const seen = new Set();
+  for (let i = 0; i < total; i++) seen.add(normalized.slice(i, i + 4));
+  return seen.size / total;
+}
+
+// Share of vowels among the Latin letters of `text`, or null when it has too few to judge.
+function vowelShare(text) {
+  const latin = text.toLowerCase().match(/[a-z]/g) ?? [];
+  if (latin.length < 20) return null;
+  return latin.filter((ch) => 'aeiou'.includes(ch)).length / latin.length;
+}
+
+function isGibberish(text) {
+  if (text.length < config.INTRO_MIN_LENGTH) return false;
+  const vowels = vowelShare(text);
+  return entropy(text) < config.INTRO_MIN_ENTROPY_BITS ||
+    uniqueShingleShare(text) < config.INTRO_MIN_UNIQUE_SHINGLES ||
+    (vowels !== null && vowels < config.INTRO_MIN_VOWEL_SHARE);
+}
+
+/**
+ * Why an intro submission should be turned away before it is scored, or null. Catches the
+ * ways people game the rubric: 'forwarded' (someone else's message), 'suspicious_link'
+ * (a shortened or disguised link, see security.js), 'links' (mostly links or @mentions),
+ * 'emoji' (mostly emoji) and 'gibberish' (repeated characters or keyboard mashing).
+ * `message` is the Telegram message the intro came in; the wizard's composed intros have none.
+ */
+function checkIntroGuards(text, message = null) {
+  if (message?.forward_origin || message?.forward_date) return 'forwarded';
+  if (hasSuspiciousUrl(text, message)) return 'suspicious_link';
+
+  const visible = text.replace(/\s+/g, '').length;
+  if (visible === 0) return null;
+  if (linkLength(text, message) / visible > config.INTRO_LINK_MAX_SHARE) return 'links';
+
+  const emoji = count(text, EMOJI);
+  if (emoji > 0 && emoji / (emoji + count(text, LETTER_OR_DIGIT)) > config.INTRO_EMOJI_MAX_SHARE) return 'emoji';
+
+  if (isGibberish(text)) return 'gibberish';
+  return null;
+}
+
+module.exports = { checkIntroGuards, GUARD_NUDGES };
@@ -0,0 +1,35 @@
+const config = require('./config');
+const i18n = require('./i18n');
+
+/**
+ * Rubric sections covered by `text`: those with a synonym (in any language) or a
+ * pattern that matches.
+ */
+function detectSections(text) {
+  const lower = text.toLowerCase();
+  return config.INTRO_RUBRIC_SECTIONS.filter((section) =>
+    i18n.allRubricSynonyms(section).some((synonym) => lower.includes(synonym.toLowerCase())) ||
+    (config.INTRO_RUBRIC_PATTERNS[section] || []).some((pattern) => pattern.test(text))
+  );
+}
+
+/**
+ * Score an intro against the rubric with the current weights (/rubric), or those of the
+ * intro location it was posted in (/introrubric), which may replace some of them and the threshold.
+ * Returns { score, maxScore, threshold, passed, found, missing }, where `missing` lists the
+ * weighted sections the intro does not cover, for the nudge. Intros outside the length limits
+ * never pass, whatever they score.
+ */
+function scoreIntro(text, location = null) {
+  const weights = { ...config.getIntroRubricWeights(), ...location?.weights };
+  const threshold = location?.threshold ?? config.getIntroPassThreshold();
+  const found = detectSections(text);
+  const score = found.reduce((sum, section) => sum + weights[section], 0);
+  const maxScore = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const missing = config.INTRO_RUBRIC_SECTIONS.filter((section) => weights[section] > 0 && !found.includes(section));
+  const lengthOk = text.length >= config.INTRO_MIN_LENGTH && text.length <= config.INTRO_MAX_LENGTH;
+
+  return { score, maxScore, threshold, passed: lengthOk && score >= threshold, found, missing };
+}
+
+module.exports = { detectSections, scoreIntro };
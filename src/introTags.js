@@ -0,0 +1,56 @@
+const config = require('./config');
+
+// Han text has no spaces between words, so a Chinese keyword matches anywhere.
+const HAN = /\p{Script=Han}/u;
+
+/**
+ * Regex for one dictionary keyword. Unlike rubric synonyms, which match anywhere, a keyword
+ * must stand as a whole word — otherwise "rust" would tag every intro that mentions trust.
+ */
+function keywordPattern(keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (HAN.test(keyword)) return new RegExp(escaped, 'u');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+/**
+ * Tags from the dictionary (/tags) whose keywords appear in `text`, in dictionary order,
+ * as [{ tag, kind, match }] where `match` is the first keyword found, as the intro wrote it.
+ */
+function extractTags(text) {
+  const found = [];
+  for (const [tag, { kind, keywords }] of Object.entries(config.getIntroTags())) {
+    for (const keyword of keywords) {
+      const match = text.match(keywordPattern(keyword));
+      if (match) {
+        found.push({ tag, kind, match: match[0] });
+        break;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * The tag a search term stands for: the tag itself, or the tag one of whose keywords it is
+ * ("reactjs" stands for react). Returns null for a term no tag knows.
+ */
+function resolveTag(term) {
+  const lower = String(term).toLowerCase();
+  const tags = config.getIntroTags();
+  if (tags[lower]) return lower;
+  return Object.keys(tags).find((tag) => tags[tag].keywords.includes(lower)) ?? null;
+}
+
+/**
+ * The dictionary's tags grouped by kind, one line per kind: "skill: rust, react".
+ */
+function formatTagList(tags = config.getIntroTags()) {
+  return config.INTRO_TAG_KINDS
+    .map((kind) => [kind, Object.keys(tags).filter((tag) => tags[tag].kind === kind)])
+    .filter(([, names]) => names.length > 0)
+    .map(([kind, names]) => `${kind}: ${names.join(', ')}`)
+    .join('\n');
+}
+
+module.exports = { extractTags, resolveTag, formatTagList };
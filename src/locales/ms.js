@@ -0,0 +1,393 @@
+// Bahasa Melayu. Keys mirror the English source: config.js (messages), the ERRORS/SUCCESS
+// tables in handlers/admin.js (adminErrors/adminSuccess) and handlers/security.js (security).
+// Anything missing here falls back to English.
+const config = require('../config');
+const { sanitizeName } = require('../utils');
+
+function introPointer(introChannelId, introTopicId) {
+  return introChannelId
+    ? `Hantar pengenalan anda di sini: ${config.introLink(introChannelId, introTopicId)}`
+    : 'Hantar pengenalan anda di saluran pengenalan!';
+}
+
+const INTRO_EXAMPLE = 'Hai! Nama saya Ali, pembangun frontend dari KL. Saya sudah setahun membina di Solana ' +
+  'dan saya teruja dengan DeFi. Fakta menarik: saya pernah menjaga sedozen kucing jalanan. ' +
+  'Saya ingin menyumbang kepada alatan komuniti dan projek hackathon!';
+
+// Where to post, for the welcome: one link, or one per intro location named by its track.
+function welcomePointer(introLinks = []) {
+  if (introLinks.length === 0) return 'Hantar pengenalan anda di saluran pengenalan!';
+  if (introLinks.length === 1) return `Hantar pengenalan anda di sini: ${introLinks[0].link}`;
+  return 'Hantar pengenalan anda di tempat yang paling sesuai:\n' +
+    introLinks.map(({ track, link }) => (track ? `- ${track}: ${link}` : `- ${link}`)).join('\n');
+}
+
+function welcomeBody(introLinks) {
+  return 'Sebelum anda boleh berbual di sini, sila perkenalkan diri anda di saluran pengenalan.\n\n' +
+    'Format yang dicadangkan:\n' +
+    '- Siapa anda?\n' +
+    '- Apa pekerjaan anda?\n' +
+    '- Di mana anda tinggal?\n' +
+    '- Satu fakta menarik tentang anda\n' +
+    '- Bagaimana anda ingin menyumbang kepada Superteam Malaysia?\n\n' +
+    `Contoh:\n"${INTRO_EXAMPLE}"\n\n` +
+    welcomePointer(introLinks);
+}
+
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} dan ${names[names.length - 1]}` : names.join('');
+}
+
+module.exports = {
+  messages: {
+    INTRO_EXAMPLE,
+
+    INTRO_RUBRIC_SYNONYMS: {
+      identity: ['siapa saya', 'nama saya', 'saya ialah', 'saya adalah'],
+      role: ['pekerjaan saya', 'saya bekerja', 'bekerja sebagai', 'saya belajar', 'pelajar', 'jurutera', 'pembangun'],
+      location: ['saya tinggal', 'tinggal di', 'berasal dari', 'menetap di'],
+      fun_fact: ['fakta menarik', 'hobi', 'minat saya', 'saya suka'],
+      contribution: ['menyumbang', 'sumbangan', 'membantu', 'bekerjasama'],
+    },
+
+    INTRO_SECTION_NAMES: {
+      identity: 'siapa anda',
+      role: 'apa pekerjaan anda',
+      location: 'di mana anda tinggal',
+      fun_fact: 'satu fakta menarik tentang anda',
+      contribution: 'bagaimana anda ingin menyumbang',
+    },
+
+    INTRO_WIZARD_PROMPTS: {
+      identity: { prompt: 'Siapa anda? Beritahu nama anda dan sedikit tentang diri anda.', label: 'Siapa saya:' },
+      role: { prompt: 'Apa pekerjaan anda? Peranan, kerja atau pengajian anda.', label: 'Pekerjaan saya:' },
+      location: { prompt: 'Di mana anda tinggal?', label: 'Saya tinggal di:' },
+      fun_fact: { prompt: 'Kongsikan satu fakta menarik tentang diri anda.', label: 'Fakta menarik:' },
+      contribution: {
+        prompt: 'Bagaimana anda ingin menyumbang kepada Superteam Malaysia?',
+        label: 'Bagaimana saya ingin menyumbang:',
+      },
+    },
+
+    WELCOME_MESSAGE: (firstName, introLinks) =>
+      `Hai ${sanitizeName(firstName)}! Selamat datang ke Superteam Malaysia!\n\n` +
+      welcomeBody(introLinks),
+
+    WELCOME_BURST_MESSAGE: (mentions, introLinks) =>
+      `Hai ${listNames(mentions)}! Selamat datang ke Superteam Malaysia!\n\n` +
+      welcomeBody(introLinks),
+
+    REMINDER_MESSAGE:
+      'Anda perlu memperkenalkan diri di saluran pengenalan sebelum boleh menghantar mesej di sini. ' +
+      'Lihat mesej yang disematkan untuk formatnya!',
+
+    REMINDER_DM_MESSAGE: (firstName, introChannelId, introTopicId, text) =>
+      `Hai ${sanitizeName(firstName)}! Mesej anda dalam kumpulan telah dibuang kerana anda belum memperkenalkan ` +
+      'diri. ' + introPointer(introChannelId, introTopicId) +
+      (text ? `\n\nIni yang anda tulis, supaya anda boleh menghantarnya semula setelah diterima masuk:\n\n${text}` : ''),
+
+    INTRO_ACCEPTED_MESSAGE: (firstName) =>
+      `Terima kasih atas pengenalan anda, ${sanitizeName(firstName)}! Anda kini boleh berbual dalam kumpulan utama. ` +
+      'Selamat datang!',
+
+    INTRO_NUDGE_MESSAGE: (missing) =>
+      'Terima kasih kerana menghantar! ' +
+      (missing.length > 0
+        ? `Pengenalan anda belum memberitahu kami ${listNames(missing)} — sila tambahkannya dan hantar pengenalan anda semula. `
+        : 'Pengenalan anda agak pendek — cuba tulis sekurang-kurangnya 2-3 ayat. ') +
+      'Lebih banyak anda kongsi, lebih mudah komuniti mengenali anda!',
+
+    INTRO_REVOKED_MESSAGE: (missing) =>
+      'Pengenalan anda yang telah disunting ' +
+      (missing.length > 0 ? `tidak lagi memberitahu kami ${listNames(missing)}` : 'tidak lagi memenuhi garis panduan kami') +
+      ', jadi anda tidak boleh berbual dalam kumpulan utama buat masa ini. ' +
+      'Sunting semula atau hantar pengenalan baharu untuk kembali.',
+
+    INTRO_EXAMPLE_COPY_MESSAGE: 'Itu kelihatan seperti contoh daripada mesej alu-aluan. Sila tulis pengenalan anda ' +
+      'dengan kata-kata sendiri — beritahu kami siapa anda sebenarnya dan apa pekerjaan anda!',
+    INTRO_COPY_MESSAGE: 'Pengenalan itu hampir sama dengan pengenalan yang telah dihantar oleh ahli lain. ' +
+      'Sila tulis pengenalan anda sendiri, dengan kata-kata anda sendiri.',
+
+    INTRO_FORWARDED_MESSAGE: 'Mesej yang dimajukan tidak dikira sebagai pengenalan. Sila tulis pengenalan anda ' +
+      'sendiri, dengan kata-kata anda sendiri.',
+    INTRO_SUSPICIOUS_LINK_MESSAGE: 'Pengenalan anda mengandungi pautan yang dipendekkan atau disamarkan. Sila gunakan ' +
+      'URL penuh dan terus, atau buang pautan itu.',
+    INTRO_LINKS_MESSAGE: 'Pengenalan anda kebanyakannya pautan dan @sebutan. Sila ceritakan tentang diri anda ' +
+      'dengan kata-kata — satu pautan ke hasil kerja anda sudah memadai.',
+    INTRO_EMOJI_MESSAGE: 'Pengenalan anda kebanyakannya emoji. Beberapa emoji tidak mengapa, tetapi sila ceritakan ' +
+      'tentang diri anda dengan kata-kata.',
+    INTRO_GIBBERISH_MESSAGE: 'Itu tidak kelihatan seperti pengenalan. Sila beritahu kami siapa anda, apa pekerjaan ' +
+      'anda dan bagaimana anda ingin menyumbang, dengan kata-kata anda sendiri.',
+
+    INTRO_IN_REVIEW_MESSAGE: 'Terima kasih atas pengenalan anda! Pentadbir akan menyemaknya sebentar lagi, dan anda ' +
+      'boleh berbual dalam kumpulan utama sebaik sahaja ia diluluskan.',
+    INTRO_REVIEW_REJECTED_MESSAGE: 'Pentadbir telah menyemak pengenalan anda dan tidak dapat menerimanya. Sila hantar ' +
+      'pengenalan baharu dengan kata-kata anda sendiri — siapa anda, apa pekerjaan anda dan bagaimana anda ingin terlibat.',
+    INTRO_REVIEW_MORE_MESSAGE: 'Pentadbir ingin tahu sedikit lagi tentang anda sebelum membenarkan anda masuk. ' +
+      'Sila sunting pengenalan anda atau hantar yang baharu dengan lebih terperinci.',
+
+    INTRO_ANNOUNCEMENT_MESSAGE: (mention, summary, link) => `🎉 Jom sapa ${mention} — ${summary}\n${link}`,
+    INTRO_ANNOUNCEMENT_DIGEST_MESSAGE: (lines) => `🎉 Jom sapa ahli terbaharu kita!\n\n${lines.join('\n')}`,
+    INTRO_ANNOUNCEMENT_DIGEST_MORE: (count) => `…dan ${count} lagi. Sapa mereka di saluran pengenalan!`,
+    INTRO_ANNOUNCEMENT_SUMMARY: ({ skills, role, location }) =>
+      [role, skills.join(' & '), location && `dari ${location}`].filter(Boolean).join(' '),
+
+    INTRO_MEDIA_NUDGE_MESSAGE:
+      'Gambar, video atau fail dialu-alukan bersama pengenalan anda, tetapi pengenalan itu sendiri mesti ditulis ' +
+      `dalam kapsyen, sekurang-kurangnya ${config.INTRO_MIN_LENGTH} aksara — atau hantar sebagai mesej teks. ` +
+      'Pelekat dan nota suara tidak diterima sebagai pengenalan.',
+
+    WIZARD_BUTTON_TEXT: '✍️ Perkenalkan diri',
+
+    WIZARD_START_MESSAGE: (count) =>
+      `Mari tulis pengenalan anda bersama-sama! Saya akan bertanya ${count} soalan ringkas — jawab setiap satu ` +
+      'dalam satu mesej. Hantar /cancel bila-bila masa untuk berhenti.',
+
+    WIZARD_NOT_MEMBER_MESSAGE:
+      'Sertai kumpulan Superteam Malaysia dahulu, kemudian tekan "Perkenalkan diri" pada mesej alu-aluan.',
+
+    WIZARD_ALREADY_INTRODUCED_MESSAGE: 'Anda sudah memperkenalkan diri — semuanya beres!',
+
+    WIZARD_CANCELLED_MESSAGE: 'Dibatalkan. Hantar /start apabila anda bersedia untuk mencuba lagi.',
+
+    WIZARD_TEXT_ONLY_MESSAGE: 'Sila jawab dengan mesej teks.',
+
+    WIZARD_TOO_SHORT_MESSAGE:
+      'Jawapan anda agak pendek untuk satu pengenalan. Mari lalui soalan sekali lagi — ' +
+      'satu atau dua ayat untuk setiap soalan adalah yang terbaik.',
+
+    WIZARD_INTRO_HEADER: (mention) => `Pengenalan daripada ${mention}:`,
+
+    WIZARD_PASTE_MESSAGE: (introChannelId, introTopicId) =>
+      'Ini pengenalan anda! Saya tidak dapat menghantarnya bagi pihak anda, jadi sila salin mesej di bawah dan hantar ' +
+      (introChannelId ? `di sini: ${config.introLink(introChannelId, introTopicId)}` : 'di saluran pengenalan.'),
+
+    WIZARD_POSTED_MESSAGE: (firstName) =>
+      `Pengenalan anda telah dihantar ke saluran pengenalan. Terima kasih, ${sanitizeName(firstName)} — ` +
+      'anda kini boleh berbual dalam kumpulan utama. Selamat datang!',
+
+    GRACE_ENDED_MESSAGE: (mention, introChannelId, introTopicId) =>
+      `${mention}, ahli baharu boleh berbual sedikit di sini sebelum memperkenalkan diri, dan peruntukan ` +
+      'sambutan anda kini telah habis. Sehingga anda menghantar pengenalan, mesej anda di sini akan dibuang. ' +
+      introPointer(introChannelId, introTopicId),
+
+    VIOLATION_MUTED_MESSAGE: (mention, minutes, introChannelId, introTopicId) =>
+      `${mention}, mesej anda terus dibuang kerana anda belum memperkenalkan diri, jadi anda tidak boleh ` +
+      `menghantar mesej di sini selama ${minutes % 60 === 0 ? `${minutes / 60} jam` : `${minutes} minit`} ` +
+      'akan datang. Jika anda terus menghantar mesej tanpa pengenalan, anda mungkin dikeluarkan daripada kumpulan. ' +
+      introPointer(introChannelId, introTopicId),
+
+    INTRO_DEADLINE_WARNING_MESSAGE: (mention, daysLeft, introChannelId, introTopicId) =>
+      `${mention}, anda belum memperkenalkan diri. Ahli yang tidak menghantar pengenalan dalam masa ` +
+      `${config.INTRO_DEADLINE_DAYS} hari selepas menyertai akan dikeluarkan daripada kumpulan — anda ada ` +
+      `${daysLeft} hari lagi. ` +
+      introPointer(introChannelId, introTopicId),
+
+    LANGUAGE_CURRENT_MESSAGE: (languageName, codes) =>
+      `Saya bercakap dengan anda dalam ${languageName}. Untuk menukarnya, hantar /language diikuti salah satu daripada: ` +
+      `${codes.join(', ')} — atau /language auto untuk mengikut bahasa aplikasi Telegram anda.`,
+
+    LANGUAGE_SET_MESSAGE: (languageName) => `Baik — saya akan bercakap dengan anda dalam ${languageName} mulai sekarang.`,
+
+    LANGUAGE_AUTO_MESSAGE: 'Baik — saya akan mengikut bahasa aplikasi Telegram anda mulai sekarang.',
+
+    FIND_USAGE_MESSAGE: (tagList) =>
+      'Cari ahli mengikut apa yang disebut dalam pengenalan mereka: /find diikuti satu atau lebih tag, ' +
+      `cth. /find rust penang.\n\nTag:\n${tagList}`,
+    FIND_NOT_MEMBER_MESSAGE: 'Direktori ahli dibuka kepada ahli yang telah memperkenalkan diri.',
+    FIND_UNKNOWN_TAGS_MESSAGE: (terms) => `Saya tidak mengenali tag ${terms.join(', ')}. ` +
+      'Hantar /find sahaja untuk melihat semuanya.',
+    FIND_NO_RESULTS_MESSAGE: 'Belum ada pengenalan yang sepadan dengan semua tag itu.',
+    FIND_RESULTS_MESSAGE: (tags, count, page, totalPages) =>
+      `Ahli bertag ${tags.join(' + ')} (${count})${totalPages > 1 ? ` — halaman ${page}/${totalPages}` : ''}:`,
+    FIND_NEXT_PAGE_MESSAGE: (command) => `Hantar ${command} untuk halaman seterusnya.`,
+
+    JOIN_REQUEST_MESSAGE: (firstName, introUrl) =>
+      `Hai ${sanitizeName(firstName)}! Terima kasih kerana memohon untuk menyertai Superteam Malaysia.\n\n` +
+      'Permohonan anda akan diluluskan sebaik sahaja anda memperkenalkan diri: siapa anda, apa pekerjaan anda, ' +
+      'di mana anda tinggal, satu fakta menarik dan bagaimana anda ingin menyumbang.\n\n' +
+      (introUrl
+        ? `Hantar pengenalan anda di sini: ${introUrl} — atau tekan butang di bawah dan saya akan bantu anda menulisnya.`
+        : 'Tekan butang di bawah dan saya akan bantu anda menulisnya.') +
+      `\n\nPermohonan tanpa pengenalan akan ditolak selepas ${config.JOIN_REQUEST_TIMEOUT_HOURS} jam — ` +
+      'anda sentiasa boleh memohon semula.',
+
+    CAPTCHA_MESSAGE: (firstName, question) =>
+      `Hai ${sanitizeName(firstName)}! Sebelum anda boleh menyertai perbualan, sila sahkan bahawa anda manusia.\n\n` +
+      `Berapakah ${question}? Tekan jawapan yang betul dalam masa ` +
+      `${Math.round(config.CAPTCHA_TIMEOUT_MS / 60_000)} minit.`,
+
+    CAPTCHA_NOT_YOURS_MESSAGE: 'Cabaran ini untuk orang lain.',
+    CAPTCHA_EXPIRED_MESSAGE: 'Cabaran ini telah tamat tempoh.',
+    CAPTCHA_PASSED_MESSAGE: 'Disahkan — selamat datang!',
+    CAPTCHA_FAILED_MESSAGE:
+      'Jawapan salah. Anda telah dikeluarkan daripada kumpulan, tetapi anda boleh menyertai semula dan mencuba lagi.',
+  },
+
+  adminErrors: {
+    PRIVATE_CHAT_SETGROUP: 'Arahan ini mesti digunakan dalam kumpulan, bukan sembang peribadi.',
+    PRIVATE_CHAT_SETINTRO: 'Arahan ini mesti digunakan dalam kumpulan atau saluran, bukan sembang peribadi.',
+    MAIN_GROUP_REASSIGN:
+      'Kumpulan utama sudah ditetapkan. Hanya pentadbir kumpulan utama sedia ada boleh menukarnya.',
+    MAIN_GROUP_ENV:
+      'Kumpulan utama ditetapkan melalui pemboleh ubah persekitaran MAIN_GROUP_ID. Buang daripada .env untuk menggunakan /setgroup.',
+    INTRO_CHANNEL_NO_MAIN:
+      'Saluran pengenalan sudah ditetapkan. Tetapkan kumpulan utama dengan /setgroup dahulu sebelum menambah yang lain.',
+    INTRO_CHANNEL_REASSIGN: 'Saluran pengenalan sudah ditetapkan. Hanya pentadbir kumpulan utama boleh menambah yang lain.',
+    INTRO_SAME_AS_MAIN:
+      'Saluran pengenalan tidak boleh sama dengan kumpulan utama. Jalankan /setintro dalam topik forum ' +
+      'untuk menggunakan topik sebagai saluran pengenalan.',
+    INTRO_CHANNEL_ENV:
+      'Saluran pengenalan ini ditetapkan melalui pemboleh ubah persekitaran INTRO_CHANNEL_ID. Buang daripada .env untuk membuangnya di sini.',
+    USAGE_SETINTRO: 'Penggunaan: /setintro [trek], dijalankan dalam saluran atau topik forum pengenalan, contohnya ' +
+      '/setintro builders. Nama trek ialah sehingga 24 huruf, digit, - atau _',
+    INTRO_LOCATIONS_FULL: (max) => `Sudah ada ${max} lokasi pengenalan. Buang satu dengan /removeintro dahulu.`,
+    NO_INTRO_LOCATIONS: 'Belum ada lokasi pengenalan. Jalankan /setintro dalam saluran atau topik forum pengenalan.',
+    USAGE_REMOVEINTRO: 'Penggunaan: /removeintro <nombor>, dengan nombor daripada /listintros',
+    USAGE_INTRORUBRIC: 'Penggunaan: /introrubric <nombor>, /introrubric <nombor> weight <bahagian> <0-10>, ' +
+      '/introrubric <nombor> threshold <skor> atau /introrubric <nombor> reset, dengan nombor daripada /listintros. ' +
+      'Bahagian: identity, role, location, fun_fact, contribution',
+    USAGE_INTROACCEPTED: 'Penggunaan: /introaccepted <nombor> <teks> (atau balas kepada mesej yang mengandungi teks), ' +
+      'atau /introaccepted <nombor> reset, dengan nombor daripada /listintros. Pemegang tempat: {name}, {intro_link}, {group_title}',
+    PRIVATE_CHAT_SETADMINCHAT: 'Arahan ini mesti digunakan dalam kumpulan, bukan sembang peribadi.',
+    ADMIN_CHAT_NO_MAIN:
+      'Tetapkan kumpulan utama dengan /setgroup dahulu. Hanya pentadbirnya boleh memilih sembang pentadbir.',
+    ADMIN_CHAT_SAME_AS_MAIN:
+      'Notis pentadbir akan kelihatan kepada setiap ahli di sini. Jalankan /setadminchat dalam kumpulan khas untuk pentadbir.',
+    ADMIN_CHAT_ENV:
+      'Sembang pentadbir ditetapkan melalui pemboleh ubah persekitaran ADMIN_CHAT_ID. Buang daripada .env untuk menggunakan /setadminchat.',
+    USAGE_APPROVE: 'Penggunaan: /approve <user_id> atau balas kepada mesej',
+    USAGE_RESET: 'Penggunaan: /reset <user_id> atau balas kepada mesej',
+    USAGE_STATUS: 'Penggunaan: /status <user_id> atau balas kepada mesej',
+    USAGE_WHOIS: 'Penggunaan: /whois <user_id> atau balas kepada mesej',
+    USAGE_SEARCH: 'Penggunaan: /search <kata carian>, cth. /search rust hackathon',
+    USAGE_TAGS: 'Penggunaan: /tags, /tags <tag>, /tags add <skill|location|role> <tag> [kata kunci, kata kunci…], ' +
+      '/tags remove <tag> atau /tags retag',
+    USAGE_TAG: 'Penggunaan: /tag <user_id atau @username> +tag -tag, atau balas kepada mesej dengan /tag +tag -tag',
+    UNKNOWN_TAGS: (tags) => `Tag tidak dikenali: ${tags.join(', ')}. Tambahnya ke kamus dengan /tags add dahulu.`,
+    USAGE_CAPTCHA: 'Penggunaan: /captcha on|off',
+    USAGE_GATEMODE: 'Penggunaan: /gatemode mute|delete|request',
+    USAGE_DEADLINE: 'Penggunaan: /deadline on|off',
+    USAGE_ANNOUNCE: 'Penggunaan: /announce on|off',
+    USAGE_REJOINPOLICY: 'Penggunaan: /rejoinpolicy keep|<hari>',
+    USAGE_GRACE: `Penggunaan: /grace off, atau /grace <mesej> <minit>, cth. /grace 3 10 — sehingga ` +
+      `${config.GRACE_MESSAGES_MAX} mesej dan ${config.GRACE_MINUTES_MAX} minit; 0 untuk tiada had pada salah satunya`,
+    USAGE_LADDER: 'Penggunaan: /ladder, /ladder off, atau /ladder <langkah>, cth. /ladder 3:mute:60,5:mute:1440,7:kick — ' +
+      `setiap langkah ialah bilangan mesej yang dibuang dan bisu sehingga ${config.VIOLATION_MUTE_MINUTES_MAX} minit ` +
+      `atau kick, mengikut tertib menaik, kick paling akhir, paling banyak ${config.VIOLATION_LADDER_MAX_STEPS} langkah`,
+    USAGE_CLEARVIOLATIONS: 'Penggunaan: /clearviolations <user_id atau @username> atau balas kepada mesej',
+    USAGE_GATEEXEMPT: 'Penggunaan: /gateexempt, jalankan dalam topik forum yang hendak dibuka kepada ahli tanpa ' +
+      'pengenalan, atau /gateexempt <topic_id>',
+    USAGE_GATEINCLUDE: 'Penggunaan: /gateinclude, jalankan dalam topik forum yang dikecualikan, atau /gateinclude <topic_id>',
+    GATE_EXEMPT_FULL: `Paling banyak ${config.GATE_EXEMPT_TOPICS_MAX} topik boleh dikecualikan. Buang satu dengan /gateinclude dahulu.`,
+    GATE_NOT_EXEMPT: (topicId) => `Topik ${topicId} tidak dikecualikan daripada sekatan.`,
+    USAGE_EDITPOLICY: 'Penggunaan: /editpolicy ignore|notify|reset',
+    USAGE_REVIEWMODE: 'Penggunaan: /reviewmode auto|review|hybrid',
+    REVIEW_NO_ADMIN_CHAT:
+      'Semakan pengenalan dihantar ke sembang pentadbir. Tetapkan satu dengan /setadminchat dahulu.',
+    USAGE_NEWLINK: 'Penggunaan: /newlink <nama>, cth. /newlink KL meetup Oct (sehingga 32 aksara)',
+    USAGE_RUBRIC: 'Penggunaan: /rubric, /rubric weight <bahagian> <0-10> atau /rubric threshold <skor>. ' +
+      'Bahagian: identity, role, location, fun_fact, contribution',
+    RUBRIC_UNREACHABLE: (threshold, maxScore) => `Tiada pengenalan yang boleh lulus: ambang (${threshold}) akan ` +
+      `melebihi skor tertinggi yang mungkin (${maxScore}).`,
+    NEWLINK_FAILED: 'Pautan jemputan tidak dapat dicipta. Pastikan bot mempunyai hak "Invite Users via Link".',
+    USER_NOT_FOUND: 'Pengguna tidak ditemui dalam pangkalan data.',
+  },
+
+  adminSuccess: {
+    MAIN_GROUP_SET: 'Kumpulan utama ditetapkan kepada sembang ini.',
+    INTRO_TOPIC_SET: 'Topik pengenalan ditetapkan kepada topik forum ini.',
+    INTRO_CHANNEL_SET: 'Saluran pengenalan ditetapkan kepada sembang ini.',
+    INTRO_LOCATION_ADDED: (count) => `Pengenalan yang dihantar di sini kini diterima juga — ${count} lokasi pengenalan ` +
+      'kesemuanya. Lihat senarainya dengan /listintros.',
+    INTRO_TRACK_SET: (track) => (track
+      ? `Pengenalan yang dihantar di sini kini untuk trek ${track}.`
+      : 'Pengenalan yang dihantar di sini tidak lagi mempunyai trek.'),
+    INTRO_LOCATION_REMOVED: (left) => `Lokasi pengenalan dibuang; tinggal ${left}.`,
+    INTRO_LOCATION_RUBRIC_SET: (number, threshold, maxScore) =>
+      `Pengenalan yang dihantar di lokasi ${number} kini lulus pada skor ${threshold} daripada ${maxScore}.`,
+    INTRO_LOCATION_RUBRIC_RESET: (number) =>
+      `Pengenalan yang dihantar di lokasi ${number} dinilai semula dengan rubrik kumpulan (/rubric).`,
+    INTRO_LOCATION_ACCEPTED_SET: (number) =>
+      `Ahli yang pengenalannya diterima di lokasi ${number} kini menerima mesej lokasi itu sendiri.`,
+    INTRO_LOCATION_ACCEPTED_RESET: (number) =>
+      `Lokasi ${number} kembali menggunakan templat accepted (/settemplate accepted).`,
+    ADMIN_CHAT_SET: 'Notis pentadbir akan dihantar ke sini.',
+    NO_PENDING: 'Tiada pengguna yang belum memperkenalkan diri.',
+    NO_SEARCH_RESULTS: 'Tiada pengenalan yang sepadan dengan carian itu.',
+    TAG_SAVED: (tag, kind, keywords) =>
+      `Tag ${tag} (${kind}) diberikan kepada pengenalan yang menyebut: ${keywords.join(', ')}. ` +
+      'Jalankan /tags retag untuk menggunakannya pada pengenalan yang sudah diterima.',
+    TAG_REMOVED: (tag) =>
+      `Tag ${tag} telah dibuang daripada kamus. Jalankan /tags retag untuk menanggalkannya daripada pengenalan ahli.`,
+    TAGS_RETAGGED: (count) => `${count} pengenalan dalam arkib telah ditag semula.`,
+    USER_TAGS: (mention, tags) => tags.length > 0 ? `Tag untuk ${mention}: ${tags.join(', ')}` : `${mention} tiada tag.`,
+    CAPTCHA_ON: 'Ahli baharu kini perlu lulus CAPTCHA sebelum dialu-alukan.',
+    CAPTCHA_OFF: 'CAPTCHA dimatikan. Ahli baharu dialu-alukan serta-merta.',
+    GATEMODE_MUTE:
+      'Mod pagar ditetapkan kepada mute: ahli baharu disekat sehingga pengenalan mereka diterima. ' +
+      'Pastikan bot mempunyai hak "Ban Users", jika tidak ia akan kembali memadam mesej.',
+    EDIT_POLICY_IGNORE: 'Pengenalan yang disunting tidak lagi disemak semula selepas diterima.',
+    EDIT_POLICY_NOTIFY:
+      'Apabila pengenalan yang diterima disunting sehingga tidak lagi lulus, sembang pentadbir akan dimaklumkan ' +
+      '(tetapkan satu dengan /setadminchat).',
+    EDIT_POLICY_RESET:
+      'Apabila pengenalan yang diterima disunting sehingga tidak lagi lulus, ahli itu dikembalikan kepada status ' +
+      'belum memperkenalkan diri dan sembang pentadbir dimaklumkan (tetapkan satu dengan /setadminchat).',
+    REVIEW_MODE_AUTO: 'Pengenalan yang lulus rubrik diterima serta-merta.',
+    REVIEW_MODE_REVIEW: 'Setiap pengenalan yang lulus rubrik kini menunggu pentadbir meluluskannya dalam sembang pentadbir.',
+    REVIEW_MODE_HYBRID:
+      'Pengenalan yang jelas lulus diterima serta-merta; yang hampir dengan ambang menunggu pentadbir dalam sembang pentadbir.',
+    GATEMODE_DELETE: 'Mod pagar ditetapkan kepada delete: mesej daripada ahli tanpa pengenalan akan dipadam.',
+    GATEMODE_REQUEST: (hours) =>
+      'Mod pagar ditetapkan kepada request: permohonan untuk menyertai ditahan sehingga pengenalan pemohon diterima, ' +
+      `dan ditolak selepas ${hours} jam. Hidupkan "Approve new members" untuk kumpulan ini dan pastikan bot ` +
+      'mempunyai hak "Invite Users via Link".',
+    DEADLINE_ON:
+      'Pengeluaran automatik diaktifkan. Ahli yang belum memperkenalkan diri akan diberi amaran, kemudian ' +
+      'dikeluarkan jika masih belum berbuat demikian selepas tarikh akhir. Gunakan /kickpreview untuk melihat siapa seterusnya.',
+    DEADLINE_OFF: 'Pengeluaran automatik dimatikan.',
+    ANNOUNCE_ON: (minutes) => 'Ahli baharu akan diperkenalkan di sini sebaik sahaja pengenalan mereka diterima. ' +
+      `Jika beberapa orang diterima dalam masa ${minutes} minit, mereka diperkenalkan bersama dalam satu mesej.`,
+    ANNOUNCE_OFF: 'Ahli baharu tidak lagi diperkenalkan dalam kumpulan utama.',
+    RUBRIC_WEIGHT_SET: (section, weight) => `Pemberat rubrik untuk ${section} ditetapkan kepada ${weight}.`,
+    RUBRIC_THRESHOLD_SET: (threshold, maxScore) => `Pengenalan kini lulus pada skor ${threshold} daripada ${maxScore}.`,
+    NO_LINKS: 'Belum ada pautan jemputan. Cipta satu dengan /newlink <nama>.',
+    LINK_CREATED: (name, link) => `Pautan jemputan "${name}" telah dicipta: ${link}\nGunakan /links untuk melihat siapa yang menyertai melaluinya.`,
+    REJOIN_KEEP: 'Ahli yang keluar dan kembali mengekalkan status pengenalan mereka.',
+    GATE_EXEMPT_ADDED: (topicId) => `Ahli tanpa pengenalan kini boleh menghantar mesej dalam topik ${topicId}; ` +
+      'mesej mereka di sana tidak lagi dibuang. Batalkan dengan /gateinclude.',
+    GATE_EXEMPT_REMOVED: (topicId) => `Topik ${topicId} disekat semula: mesej daripada ahli tanpa pengenalan akan dibuang.`,
+    GATE_EXEMPT_LIST: (topics) => `Topik yang dikecualikan daripada sekatan: ${topics.join(', ')}`,
+    LADDER_OFF: 'Tangga eskalasi dimatikan: ahli yang terus menghantar mesej tanpa pengenalan hanya menerima peringatan.',
+    LADDER_SET: (spec) => `Tangga eskalasi ditetapkan kepada ${spec}. Lihat apa yang dilakukannya dengan /ladder.`,
+    VIOLATIONS_CLEARED: (mention, count) => `${count} mesej ${mention} yang dibuang telah dikosongkan; ` +
+      'tangga eskalasi bermula semula untuk mereka.',
+    NO_VIOLATIONS: (mention) => `${mention} tiada mesej yang dibuang dalam tangga eskalasi.`,
+    GRACE_OFF: 'Tempoh ihsan dimatikan: mesej daripada ahli tanpa pengenalan dibuang dari yang pertama lagi.',
+    GRACE_SET: (messages, minutes) => 'Ahli baharu kini boleh menghantar ' +
+      (messages > 0 ? `${messages} mesej teks biasa pertama mereka` : 'mesej teks biasa') +
+      (minutes > 0 ? ` dalam masa ${minutes} minit selepas menyertai` : '') +
+      ' sebelum memperkenalkan diri. Pautan, sebutan dan media tetap dibuang.',
+    REJOIN_REINTRO: (days) => days === 0
+      ? 'Ahli yang keluar dan kembali perlu memperkenalkan diri semula.'
+      : `Ahli yang kembali selepas ${days} hari atau lebih perlu memperkenalkan diri semula.`,
+    TEMPLATE_SAVED: (name) => `Templat ${name} telah dikemas kini. Gunakan /previewtemplate ${name} untuk menyemaknya.`,
+    TEMPLATE_RESET: (name) => `Templat ${name} telah dipulihkan kepada lalai.`,
+    TEMPLATE_PREVIEW: (name, isCustom) =>
+      `Pratonton templat ${name} (${isCustom ? 'tersuai' : 'lalai'}), dipaparkan untuk anda:`,
+    APPROVED: (mention) => `${mention} telah diluluskan secara manual.`,
+    RESET: (mention) => `${mention} telah ditetapkan semula. Mereka perlu memperkenalkan diri sekali lagi.`,
+    GROUP_LANGUAGE_SET: (languageName) =>
+      `Bahasa lalai kumpulan ditetapkan kepada ${languageName}. Ahli yang bahasa Telegramnya tidak disokong, ` +
+      'dan yang belum memilih bahasa dengan /language, akan melihatnya.',
+  },
+
+  security: {
+    LINK_REMOVED: (mention) =>
+      `⚠️ ${mention}, pautan yang mencurigakan telah dibuang daripada sembang ini. ` +
+      'Sila gunakan URL penuh dan terus, bukan pautan yang dipendekkan atau dikaburkan.',
+    CHANNEL_POST_LINK_REMOVED:
+      '⚠️ Pautan yang mencurigakan telah dibuang daripada sembang ini. Sila gunakan URL penuh dan terus.',
+  },
+};
@@ -0,0 +1,329 @@
+// Simplified Chinese. Keys mirror the English source: config.js (messages), the ERRORS/SUCCESS
+// tables in handlers/admin.js (adminErrors/adminSuccess) and handlers/security.js (security).
+// Anything missing here falls back to English.
+const config = require('../config');
+const { sanitizeName } = require('../utils');
+
+function introPointer(introChannelId, introTopicId) {
+  return introChannelId
+    ? `在这里发布你的自我介绍：${config.introLink(introChannelId, introTopicId)}`
+    : '请在自我介绍频道发布你的自我介绍！';
+}
+
+const INTRO_EXAMPLE = '大家好！我是 Ali，来自吉隆坡的前端开发者。我在 Solana 上开发已经一年左右，对 DeFi 很感兴趣。' +
+  '有趣的事：我曾经收养了十几只流浪猫。我希望能为社区工具和黑客松项目做贡献！';
+
+// Where to post, for the welcome: one link, or one per intro location named by its track.
+function welcomePointer(introLinks = []) {
+  if (introLinks.length === 0) return '请在自我介绍频道发布你的自我介绍！';
+  if (introLinks.length === 1) return `在这里发布你的自我介绍：${introLinks[0].link}`;
+  return '请在最适合你的地方发布自我介绍：\n' +
+    introLinks.map(({ track, link }) => (track ? `- ${track}: ${link}` : `- ${link}`)).join('\n');
+}
+
+function welcomeBody(introLinks) {
+  return '在这里聊天之前，请先在自我介绍频道介绍一下自己。\n\n' +
+    '建议的格式：\n' +
+    '- 你是谁？\n' +
+    '- 你从事什么工作？\n' +
+    '- 你住在哪里？\n' +
+    '- 一件关于你的有趣的事\n' +
+    '- 你希望如何为 Superteam Malaysia 做贡献？\n\n' +
+    `示例：\n"${INTRO_EXAMPLE}"\n\n` +
+    welcomePointer(introLinks);
+}
+
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join('、')}和${names[names.length - 1]}` : names.join('');
+}
+
+module.exports = {
+  messages: {
+    INTRO_EXAMPLE,
+
+    INTRO_RUBRIC_SYNONYMS: {
+      identity: ['我是', '我叫', '我的名字'],
+      role: ['我的工作', '我从事', '职业', '工程师', '开发者', '设计师', '学生', '创始人'],
+      location: ['我住在', '来自', '坐标', '目前在'],
+      fun_fact: ['有趣的事', '趣事', '爱好', '我喜欢'],
+      contribution: ['贡献', '帮助', '合作'],
+    },
+
+    INTRO_SECTION_NAMES: {
+      identity: '你是谁',
+      role: '你从事什么工作',
+      location: '你住在哪里',
+      fun_fact: '一件关于你的有趣的事',
+      contribution: '你希望如何做贡献',
+    },
+
+    INTRO_WIZARD_PROMPTS: {
+      identity: { prompt: '你是谁？请告诉我们你的名字，并简单介绍一下自己。', label: '我是：' },
+      role: { prompt: '你从事什么工作？你的职位、工作或学业。', label: '我的工作：' },
+      location: { prompt: '你住在哪里？', label: '我住在：' },
+      fun_fact: { prompt: '分享一件关于你的有趣的事。', label: '有趣的事：' },
+      contribution: { prompt: '你希望如何为 Superteam Malaysia 做贡献？', label: '我想做的贡献：' },
+    },
+
+    WELCOME_MESSAGE: (firstName, introLinks) =>
+      `${sanitizeName(firstName)}，你好！欢迎来到 Superteam Malaysia！\n\n` +
+      welcomeBody(introLinks),
+
+    WELCOME_BURST_MESSAGE: (mentions, introLinks) =>
+      `${listNames(mentions)}，你们好！欢迎来到 Superteam Malaysia！\n\n` +
+      welcomeBody(introLinks),
+
+    REMINDER_MESSAGE: '在这里发言之前，你需要先在自我介绍频道介绍自己。格式请查看置顶消息！',
+
+    REMINDER_DM_MESSAGE: (firstName, introChannelId, introTopicId, text) =>
+      `${sanitizeName(firstName)}，你好！你还没有做自我介绍，因此你在群里发送的消息已被删除。` +
+      introPointer(introChannelId, introTopicId) +
+      (text ? `\n\n这是你刚才写的内容，加入后可以重新发送：\n\n${text}` : ''),
+
+    INTRO_ACCEPTED_MESSAGE: (firstName) =>
+      `谢谢你的自我介绍，${sanitizeName(firstName)}！你现在可以在主群聊天了。欢迎加入！`,
+
+    INTRO_NUDGE_MESSAGE: (missing) =>
+      '感谢你的发布！' +
+      (missing.length > 0
+        ? `你的自我介绍还没有告诉我们${listNames(missing)}——请补充后重新发布。`
+        : '你的自我介绍有点短——请至少写两三句话。') +
+      '分享得越多，社区就越能了解你！',
+
+    INTRO_REVOKED_MESSAGE: (missing) =>
+      '你编辑后的自我介绍' +
+      (missing.length > 0 ? `不再告诉我们${listNames(missing)}` : '不再符合我们的介绍要求') +
+      '，因此你暂时不能在主群聊天。请再次编辑或发布新的自我介绍即可恢复。',
+
+    INTRO_EXAMPLE_COPY_MESSAGE: '这看起来像是欢迎消息里的示例。请用你自己的话写自我介绍——告诉我们你真正是谁、做什么工作！',
+    INTRO_COPY_MESSAGE: '这段自我介绍与另一位成员已经发布的几乎相同。请用你自己的话写一段属于你的介绍。',
+
+    INTRO_FORWARDED_MESSAGE: '转发的消息不能作为自我介绍。请用你自己的话写一段介绍。',
+    INTRO_SUSPICIOUS_LINK_MESSAGE: '你的自我介绍包含短链接或伪装的链接。请使用完整、直接的网址，或删除该链接。',
+    INTRO_LINKS_MESSAGE: '你的自我介绍大部分是链接和 @提及。请用文字介绍你自己——附上一个作品链接就足够了。',
+    INTRO_EMOJI_MESSAGE: '你的自我介绍大部分是表情符号。用几个没问题，但请用文字介绍你自己。',
+    INTRO_GIBBERISH_MESSAGE: '这看起来不像自我介绍。请用你自己的话告诉我们你是谁、做什么，以及想如何参与。',
+
+    INTRO_IN_REVIEW_MESSAGE: '感谢你的自我介绍！管理员会尽快查看，通过后你就可以在主群聊天了。',
+    INTRO_REVIEW_REJECTED_MESSAGE: '管理员审核了你的自我介绍，但无法通过。请用你自己的话重新发布一段介绍——你是谁、做什么，以及想如何参与。',
+    INTRO_REVIEW_MORE_MESSAGE: '管理员希望在让你加入前多了解你一些。请编辑你的自我介绍，或发布一段更详细的新介绍。',
+
+    INTRO_ANNOUNCEMENT_MESSAGE: (mention, summary, link) => `🎉 来跟 ${mention} 打个招呼吧——${summary}\n${link}`,
+    INTRO_ANNOUNCEMENT_DIGEST_MESSAGE: (lines) => `🎉 来跟我们的新成员打个招呼吧！\n\n${lines.join('\n')}`,
+    INTRO_ANNOUNCEMENT_DIGEST_MORE: (count) => `……还有 ${count} 位。到自我介绍频道跟他们打个招呼吧！`,
+    INTRO_ANNOUNCEMENT_SUMMARY: ({ skills, role, location }) =>
+      `${location ? `来自 ${location} 的` : ''}${[skills.join(' & '), role].filter(Boolean).join(' ')}`,
+
+    INTRO_MEDIA_NUDGE_MESSAGE: `欢迎在自我介绍中附上图片、视频或文件，但介绍内容必须写在说明文字中，且至少 ${config.INTRO_MIN_LENGTH} 个字符——` +
+      '或者直接以文字消息发布。贴纸和语音消息不能作为自我介绍。',
+
+    WIZARD_BUTTON_TEXT: '✍️ 自我介绍',
+
+    WIZARD_START_MESSAGE: (count) =>
+      `我们一起来写你的自我介绍吧！我会问你 ${count} 个简短的问题——每个问题请用一条消息回答。` +
+      '随时发送 /cancel 可以停止。',
+
+    WIZARD_NOT_MEMBER_MESSAGE: '请先加入 Superteam Malaysia 群组，然后点击欢迎消息里的「自我介绍」按钮。',
+
+    WIZARD_ALREADY_INTRODUCED_MESSAGE: '你已经做过自我介绍了——一切就绪！',
+
+    WIZARD_CANCELLED_MESSAGE: '已取消。准备好后发送 /start 再试一次。',
+
+    WIZARD_TEXT_ONLY_MESSAGE: '请用文字消息回答。',
+
+    WIZARD_TOO_SHORT_MESSAGE: '你的回答作为自我介绍有点短。我们再把问题过一遍——每个问题写一两句话最好。',
+
+    WIZARD_INTRO_HEADER: (mention) => `来自 ${mention} 的自我介绍：`,
+
+    WIZARD_PASTE_MESSAGE: (introChannelId, introTopicId) =>
+      '这是你的自我介绍！我无法替你发布，请复制下面的消息并发布到' +
+      (introChannelId ? `这里：${config.introLink(introChannelId, introTopicId)}` : '自我介绍频道。'),
+
+    WIZARD_POSTED_MESSAGE: (firstName) =>
+      `你的自我介绍已发布到自我介绍频道。谢谢你，${sanitizeName(firstName)}——你现在可以在主群聊天了。欢迎加入！`,
+
+    GRACE_ENDED_MESSAGE: (mention, introChannelId, introTopicId) =>
+      `${mention}，新成员在做自我介绍之前可以先在这里简单聊几句，你的这部分额度现已用完。` +
+      '在你发布自我介绍之前，你在这里发送的消息将被删除。' +
+      introPointer(introChannelId, introTopicId),
+
+    VIOLATION_MUTED_MESSAGE: (mention, minutes, introChannelId, introTopicId) =>
+      `${mention}，你还没有做自我介绍，发送的消息一直被删除，因此接下来 ` +
+      `${minutes % 60 === 0 ? `${minutes / 60} 小时` : `${minutes} 分钟`}内你无法在这里发言。` +
+      '如果继续在没有自我介绍的情况下发消息，你可能会被移出群组。' +
+      introPointer(introChannelId, introTopicId),
+
+    INTRO_DEADLINE_WARNING_MESSAGE: (mention, daysLeft, introChannelId, introTopicId) =>
+      `${mention}，你还没有做自我介绍。入群 ${config.INTRO_DEADLINE_DAYS} 天内没有发布自我介绍的成员将被移出群组——` +
+      `你还剩 ${daysLeft} 天。` +
+      introPointer(introChannelId, introTopicId),
+
+    LANGUAGE_CURRENT_MESSAGE: (languageName, codes) =>
+      `我现在使用${languageName}和你交流。要更改语言，请发送 /language 加上以下之一：${codes.join('、')}——` +
+      '或发送 /language auto 跟随你的 Telegram 应用语言。',
+
+    LANGUAGE_SET_MESSAGE: (languageName) => `好的——从现在起我会使用${languageName}和你交流。`,
+
+    LANGUAGE_AUTO_MESSAGE: '好的——从现在起我会跟随你的 Telegram 应用语言。',
+
+    FIND_USAGE_MESSAGE: (tagList) =>
+      `按自我介绍中提到的内容查找成员：发送 /find 加上一个或多个标签，例如 /find rust penang。\n\n标签：\n${tagList}`,
+    FIND_NOT_MEMBER_MESSAGE: '成员目录仅对已完成自我介绍的成员开放。',
+    FIND_UNKNOWN_TAGS_MESSAGE: (terms) => `我不认识这些标签：${terms.join(', ')}。单独发送 /find 可以查看全部标签。`,
+    FIND_NO_RESULTS_MESSAGE: '还没有同时符合这些标签的自我介绍。',
+    FIND_RESULTS_MESSAGE: (tags, count, page, totalPages) =>
+      `带有标签 ${tags.join(' + ')} 的成员（${count}）${totalPages > 1 ? `——第 ${page}/${totalPages} 页` : ''}：`,
+    FIND_NEXT_PAGE_MESSAGE: (command) => `发送 ${command} 查看下一页。`,
+
+    JOIN_REQUEST_MESSAGE: (firstName, introUrl) =>
+      `${sanitizeName(firstName)}，你好！感谢你申请加入 Superteam Malaysia。\n\n` +
+      '只要你做完自我介绍，你的申请就会被批准：你是谁、你从事什么工作、你住在哪里、一件有趣的事，以及你希望如何做贡献。\n\n' +
+      (introUrl
+        ? `在这里发布你的自我介绍：${introUrl}——或点击下面的按钮，我来帮你写。`
+        : '点击下面的按钮，我来帮你写。') +
+      `\n\n没有自我介绍的申请会在 ${config.JOIN_REQUEST_TIMEOUT_HOURS} 小时后被拒绝——你随时可以重新申请。`,
+
+    CAPTCHA_MESSAGE: (firstName, question) =>
+      `${sanitizeName(firstName)}，你好！加入对话之前，请确认你是真人。\n\n` +
+      `${question} 等于多少？请在 ${Math.round(config.CAPTCHA_TIMEOUT_MS / 60_000)} 分钟内点击正确答案。`,
+
+    CAPTCHA_NOT_YOURS_MESSAGE: '这个验证是给其他人的。',
+    CAPTCHA_EXPIRED_MESSAGE: '这个验证已过期。',
+    CAPTCHA_PASSED_MESSAGE: '验证通过——欢迎！',
+    CAPTCHA_FAILED_MESSAGE: '答案错误。你已被移出群组，但可以重新加入再试一次。',
+  },
+
+  adminErrors: {
+    PRIVATE_CHAT_SETGROUP: '此命令必须在群组中使用，不能在私聊中使用。',
+    PRIVATE_CHAT_SETINTRO: '此命令必须在群组或频道中使用，不能在私聊中使用。',
+    MAIN_GROUP_REASSIGN: '主群已设置。只有现有主群的管理员才能重新指定。',
+    MAIN_GROUP_ENV: '主群是通过环境变量 MAIN_GROUP_ID 设置的。请从 .env 中删除它后再使用 /setgroup。',
+    INTRO_CHANNEL_NO_MAIN: '自我介绍频道已设置。请先用 /setgroup 设置主群，再添加其他频道。',
+    INTRO_CHANNEL_REASSIGN: '自我介绍频道已设置。只有主群管理员才能添加其他频道。',
+    INTRO_SAME_AS_MAIN: '自我介绍频道不能与主群相同。在论坛话题中运行 /setintro 可将该话题设为自我介绍频道。',
+    INTRO_CHANNEL_ENV: '此自我介绍频道是通过环境变量 INTRO_CHANNEL_ID 设置的。请从 .env 中删除它后再在这里移除。',
+    USAGE_SETINTRO: '用法：在自我介绍频道或论坛话题中运行 /setintro [方向]，例如 /setintro builders。' +
+      '方向名称最多 24 个字母、数字、- 或 _',
+    INTRO_LOCATIONS_FULL: (max) => `已经有 ${max} 个自我介绍位置。请先用 /removeintro 移除一个。`,
+    NO_INTRO_LOCATIONS: '还没有自我介绍位置。请在自我介绍频道或论坛话题中运行 /setintro。',
+    USAGE_REMOVEINTRO: '用法：/removeintro <编号>，编号见 /listintros',
+    USAGE_INTRORUBRIC: '用法：/introrubric <编号>、/introrubric <编号> weight <部分> <0-10>、' +
+      '/introrubric <编号> threshold <分数> 或 /introrubric <编号> reset，编号见 /listintros。' +
+      '部分：identity, role, location, fun_fact, contribution',
+    USAGE_INTROACCEPTED: '用法：/introaccepted <编号> <文本>（或回复一条包含文本的消息），或 /introaccepted <编号> reset，' +
+      '编号见 /listintros。占位符：{name}、{intro_link}、{group_title}',
+    PRIVATE_CHAT_SETADMINCHAT: '此命令必须在群组中使用，不能在私聊中使用。',
+    ADMIN_CHAT_NO_MAIN: '请先用 /setgroup 设置主群。只有主群管理员才能指定管理员聊天。',
+    ADMIN_CHAT_SAME_AS_MAIN: '管理员通知在这里会被所有成员看到。请在单独的管理员专用群组中运行 /setadminchat。',
+    ADMIN_CHAT_ENV: '管理员聊天是通过环境变量 ADMIN_CHAT_ID 设置的。请从 .env 中删除它后再使用 /setadminchat。',
+    USAGE_APPROVE: '用法：/approve <user_id> 或回复一条消息',
+    USAGE_RESET: '用法：/reset <user_id> 或回复一条消息',
+    USAGE_STATUS: '用法：/status <user_id> 或回复一条消息',
+    USAGE_WHOIS: '用法：/whois <user_id> 或回复一条消息',
+    USAGE_SEARCH: '用法：/search <关键词>，例如 /search rust hackathon',
+    USAGE_TAGS: '用法：/tags、/tags <标签>、/tags add <skill|location|role> <标签> [关键词, 关键词…]、' +
+      '/tags remove <标签> 或 /tags retag',
+    USAGE_TAG: '用法：/tag <user_id 或 @username> +标签 -标签，或回复一条消息并发送 /tag +标签 -标签',
+    UNKNOWN_TAGS: (tags) => `未知标签：${tags.join(', ')}。请先用 /tags add 把它加入词典。`,
+    USAGE_CAPTCHA: '用法：/captcha on|off',
+    USAGE_GATEMODE: '用法：/gatemode mute|delete|request',
+    USAGE_DEADLINE: '用法：/deadline on|off',
+    USAGE_ANNOUNCE: '用法：/announce on|off',
+    USAGE_REJOINPOLICY: '用法：/rejoinpolicy keep|<天数>',
+    USAGE_GRACE: `用法：/grace off，或 /grace <消息数> <分钟数>，例如 /grace 3 10——最多 ${config.GRACE_MESSAGES_MAX} ` +
+      `条消息、${config.GRACE_MINUTES_MAX} 分钟；其中一项为 0 表示不限`,
+    USAGE_LADDER: '用法：/ladder、/ladder off，或 /ladder <步骤>，例如 /ladder 3:mute:60,5:mute:1440,7:kick——' +
+      `每个步骤是被删除消息的条数，加上最多 ${config.VIOLATION_MUTE_MINUTES_MAX} 分钟的禁言或踢出；` +
+      `按升序排列，踢出放在最后，最多 ${config.VIOLATION_LADDER_MAX_STEPS} 个步骤`,
+    USAGE_CLEARVIOLATIONS: '用法：/clearviolations <user_id 或 @username>，或回复一条消息',
+    USAGE_GATEEXEMPT: '用法：在要向未做自我介绍的成员开放的论坛话题中运行 /gateexempt，或使用 /gateexempt <topic_id>',
+    USAGE_GATEINCLUDE: '用法：在已豁免的论坛话题中运行 /gateinclude，或使用 /gateinclude <topic_id>',
+    GATE_EXEMPT_FULL: `最多只能豁免 ${config.GATE_EXEMPT_TOPICS_MAX} 个话题。请先用 /gateinclude 移除一个。`,
+    GATE_NOT_EXEMPT: (topicId) => `话题 ${topicId} 没有被豁免。`,
+    USAGE_EDITPOLICY: '用法：/editpolicy ignore|notify|reset',
+    USAGE_REVIEWMODE: '用法：/reviewmode auto|review|hybrid',
+    REVIEW_NO_ADMIN_CHAT: '自我介绍审核会发送到管理员聊天。请先用 /setadminchat 设置一个。',
+    USAGE_NEWLINK: '用法：/newlink <名称>，例如 /newlink KL meetup Oct（最多 32 个字符）',
+    USAGE_RUBRIC: '用法：/rubric、/rubric weight <部分> <0-10> 或 /rubric threshold <分数>。' +
+      '部分：identity, role, location, fun_fact, contribution',
+    RUBRIC_UNREACHABLE: (threshold, maxScore) => `这样将没有自我介绍能够通过：及格分（${threshold}）会高于可能的最高分（${maxScore}）。`,
+    NEWLINK_FAILED: '无法创建邀请链接。请确保机器人拥有「通过链接邀请用户」权限。',
+    USER_NOT_FOUND: '数据库中找不到该用户。',
+  },
+
+  adminSuccess: {
+    MAIN_GROUP_SET: '已将此聊天设为主群。',
+    INTRO_TOPIC_SET: '已将此论坛话题设为自我介绍话题。',
+    INTRO_CHANNEL_SET: '已将此聊天设为自我介绍频道。',
+    INTRO_LOCATION_ADDED: (count) => `在这里发布的自我介绍现在也会被接受——共有 ${count} 个自我介绍位置。用 /listintros 查看。`,
+    INTRO_TRACK_SET: (track) => (track
+      ? `在这里发布的自我介绍现在属于 ${track} 方向。`
+      : '在这里发布的自我介绍不再属于任何方向。'),
+    INTRO_LOCATION_REMOVED: (left) => `已移除自我介绍位置，还剩 ${left} 个。`,
+    INTRO_LOCATION_RUBRIC_SET: (number, threshold, maxScore) =>
+      `在位置 ${number} 发布的自我介绍现在需要 ${threshold} 分（满分 ${maxScore}）才能通过。`,
+    INTRO_LOCATION_RUBRIC_RESET: (number) => `在位置 ${number} 发布的自我介绍重新使用群组评分标准（/rubric）。`,
+    INTRO_LOCATION_ACCEPTED_SET: (number) => `在位置 ${number} 通过自我介绍的成员现在会收到该位置专属的消息。`,
+    INTRO_LOCATION_ACCEPTED_RESET: (number) => `位置 ${number} 重新使用 accepted 模板（/settemplate accepted）。`,
+    ADMIN_CHAT_SET: '管理员通知将发送到这里。',
+    NO_PENDING: '没有待自我介绍的用户。',
+    NO_SEARCH_RESULTS: '没有与该搜索匹配的自我介绍。',
+    TAG_SAVED: (tag, kind, keywords) => `提到以下内容的自我介绍将获得标签 ${tag}（${kind}）：${keywords.join(', ')}。` +
+      '运行 /tags retag 可将其应用到已通过的自我介绍。',
+    TAG_REMOVED: (tag) => `标签 ${tag} 已从词典中移除。运行 /tags retag 可将其从成员的自我介绍中去掉。`,
+    TAGS_RETAGGED: (count) => `已重新标记 ${count} 条存档的自我介绍。`,
+    USER_TAGS: (mention, tags) => tags.length > 0 ? `${mention} 的标签：${tags.join(', ')}` : `${mention} 没有标签。`,
+    CAPTCHA_ON: '新成员现在必须先通过 CAPTCHA 验证才会收到欢迎消息。',
+    CAPTCHA_OFF: 'CAPTCHA 已关闭。新成员将立即收到欢迎消息。',
+    GATEMODE_MUTE:
+      '门禁模式已设为 mute：新成员在自我介绍被接受前会被限制发言。' +
+      '请确保机器人拥有「封禁用户」权限，否则会退回到删除消息的方式。',
+    EDIT_POLICY_IGNORE: '自我介绍被接受后再编辑，将不再重新检查。',
+    EDIT_POLICY_NOTIFY: '已接受的自我介绍被编辑到不再合格时，会通知管理员聊天（用 /setadminchat 设置）。',
+    EDIT_POLICY_RESET: '已接受的自我介绍被编辑到不再合格时，该成员会恢复为待介绍状态，并通知管理员聊天（用 /setadminchat 设置）。',
+    REVIEW_MODE_AUTO: '通过评分标准的自我介绍会被立即接受。',
+    REVIEW_MODE_REVIEW: '每一段通过评分标准的自我介绍现在都要等待管理员在管理员聊天中批准。',
+    REVIEW_MODE_HYBRID: '明显合格的自我介绍会被立即接受；接近及格分的会在管理员聊天中等待管理员审核。',
+    GATEMODE_DELETE: '门禁模式已设为 delete：未做自我介绍的成员发送的消息会被删除。',
+    GATEMODE_REQUEST: (hours) =>
+      `门禁模式已设为 request：入群申请会保留到申请人的自我介绍被接受为止，${hours} 小时后仍未介绍则拒绝。` +
+      '请为本群开启「批准新成员」，并确保机器人拥有「通过链接邀请用户」权限。',
+    DEADLINE_ON: '已开启自动移除。未做自我介绍的成员会先收到警告，截止后仍未介绍则会被移出。使用 /kickpreview 查看接下来的名单。',
+    DEADLINE_OFF: '已关闭自动移除。',
+    ANNOUNCE_ON: (minutes) => `新成员的自我介绍通过后会在这里介绍给大家。${minutes} 分钟内通过的多位成员会合并在一条消息中介绍。`,
+    ANNOUNCE_OFF: '不再在主群组中介绍新成员。',
+    RUBRIC_WEIGHT_SET: (section, weight) => `${section} 的评分权重已设为 ${weight}。`,
+    RUBRIC_THRESHOLD_SET: (threshold, maxScore) => `自我介绍现在需要 ${threshold} 分（满分 ${maxScore}）才能通过。`,
+    NO_LINKS: '还没有邀请链接。使用 /newlink <名称> 创建一个。',
+    LINK_CREATED: (name, link) => `邀请链接「${name}」已创建：${link}\n使用 /links 查看通过它加入的成员。`,
+    REJOIN_KEEP: '退群后重新加入的成员保留其已介绍状态。',
+    GATE_EXEMPT_ADDED: (topicId) => `未做自我介绍的成员现在可以在话题 ${topicId} 中发言，他们在那里的消息不会再被删除。` +
+      '用 /gateinclude 撤销。',
+    GATE_EXEMPT_REMOVED: (topicId) => `话题 ${topicId} 已恢复限制：未做自我介绍的成员发送的消息将被删除。`,
+    GATE_EXEMPT_LIST: (topics) => `免于限制的话题：${topics.join('、')}`,
+    LADDER_OFF: '升级处罚已关闭：未做自我介绍却持续发消息的成员只会收到提醒。',
+    LADDER_SET: (spec) => `升级处罚已设为 ${spec}。用 /ladder 查看具体规则。`,
+    VIOLATIONS_CLEARED: (mention, count) => `已清除 ${mention} 被删除的 ${count} 条消息记录；升级处罚对其重新开始计算。`,
+    NO_VIOLATIONS: (mention) => `${mention} 在升级处罚中没有被删除的消息记录。`,
+    GRACE_OFF: '宽限期已关闭：未做自我介绍的成员从第一条消息起就会被删除。',
+    GRACE_SET: (messages, minutes) => '新成员现在可以在自我介绍之前' +
+      (minutes > 0 ? `，于入群 ${minutes} 分钟内` : '') +
+      (messages > 0 ? `发送前 ${messages} 条纯文字消息` : '发送纯文字消息') +
+      '。链接、提及和媒体仍会被删除。',
+    REJOIN_REINTRO: (days) => days === 0
+      ? '退群后重新加入的成员需要重新自我介绍。'
+      : `离开 ${days} 天或以上后重新加入的成员需要重新自我介绍。`,
+    TEMPLATE_SAVED: (name) => `${name} 模板已更新。使用 /previewtemplate ${name} 查看效果。`,
+    TEMPLATE_RESET: (name) => `${name} 模板已恢复为默认内容。`,
+    TEMPLATE_PREVIEW: (name, isCustom) => `${name} 模板预览（${isCustom ? '自定义' : '默认'}），按你的资料显示：`,
+    APPROVED: (mention) => `已手动批准 ${mention}。`,
+    RESET: (mention) => `已重置 ${mention}。对方需要重新做自我介绍。`,
+    GROUP_LANGUAGE_SET: (languageName) =>
+      `群组默认语言已设为${languageName}。Telegram 语言不受支持、且未用 /language 选择语言的成员将看到此语言。`,
+  },
+
+  security: {
+    LINK_REMOVED: (mention) => `⚠️ ${mention}，一条可疑链接已从此聊天中删除。请使用完整、直接的网址，不要使用短链接或经过混淆的链接。`,
+    CHANNEL_POST_LINK_REMOVED: '⚠️ 一条可疑链接已从此聊天中删除。请使用完整、直接的网址。',
+  },
+};
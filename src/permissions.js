@@ -0,0 +1,99 @@
+const config = require('./config');
+const db = require('./db');
+const { parseSqliteDate } = require('./utils');
+
+// Permission set applied to gated members: they can read the chat but not post anything.
+const MUTED_PERMISSIONS = {
+  can_send_messages: false,
+  can_send_audios: false,
+  can_send_documents: false,
+  can_send_photos: false,
+  can_send_videos: false,
+  can_send_video_notes: false,
+  can_send_voice_notes: false,
+  can_send_polls: false,
+  can_send_other_messages: false,
+  can_add_web_page_previews: false,
+};
+
+// Restrict a member until `untilDate` (Unix seconds), or until lifted when it is left out.
+async function muteMember(telegram, chatId, userId, untilDate) {
+  await telegram.restrictChatMember(chatId, userId, {
+    permissions: MUTED_PERMISSIONS,
+    use_independent_chat_permissions: true,
+    ...(untilDate ? { until_date: untilDate } : {}),
+  });
+}
+
+/**
+ * Lift a restriction by restoring the chat's default member permissions.
+ * Granting "everything" instead would override group-wide limits (e.g. no polls).
+ */
+async function unmuteMember(telegram, chatId, userId) {
+  const chat = await telegram.getChat(chatId);
+  const permissions = chat.permissions || { can_send_messages: true };
+  await telegram.restrictChatMember(chatId, userId, {
+    permissions,
+    use_independent_chat_permissions: true,
+  });
+}
+
+/**
+ * Remove a member without a permanent ban: ban, then immediately unban so they can
+ * rejoin later via an invite link.
+ */
+async function kickMember(telegram, chatId, userId) {
+  await telegram.banChatMember(chatId, userId);
+  await telegram.unbanChatMember(chatId, userId, { only_if_banned: true });
+}
+
+/**
+ * In 'mute' gate mode, restrict a pending member in the main group; no-op in 'delete' mode.
+ * Failures are logged, not thrown — the delete-based gatekeeper still covers the member.
+ */
+async function applyGate(telegram, userId) {
+  const mainGroupId = config.getMainGroupId();
+  if (!mainGroupId || config.getGateMode() !== 'mute') return;
+  try {
+    await muteMember(telegram, mainGroupId, userId);
+    db.recordGateMute(userId);
+  } catch (err) {
+    console.error('Failed to mute pending member, falling back to delete-based gating:', err.message);
+  }
+}
+
+// Whether the escalation ladder (/ladder) muted the member and the mute has not run out.
+function isLadderMuted(userId) {
+  const until = parseSqliteDate(db.getViolations(userId)?.muted_until);
+  return until !== null && until > Date.now();
+}
+
+/**
+ * Lift the main-group restriction from a newly introduced member, but only one the bot
+ * can show it set: the gate's own from 'mute' gate mode (recorded even if the mode has
+ * changed since), an escalation ladder mute that has not run out yet, or a CAPTCHA still
+ * waiting for an answer, which is dropped. A restriction an admin set by hand stays.
+ */
+async function liftGate(telegram, userId) {
+  const mainGroupId = config.getMainGroupId();
+  if (!mainGroupId) return;
+  const captchaPending = Boolean(db.getCaptchaChallenge(userId));
+  if (!db.isGateMuted(userId) && !isLadderMuted(userId) && !captchaPending) return;
+  try {
+    await unmuteMember(telegram, mainGroupId, userId);
+    db.clearGateMute(userId);
+    if (captchaPending) db.deleteCaptchaChallenge(userId);
+  } catch (err) {
+    console.error('Failed to unmute introduced member:', err.message);
+  }
+}
+
+module.exports = {
+  MUTED_PERMISSIONS,
+  muteMember,
+  unmuteMember,
+  kickMember,
+  isLadderMuted,
+  applyGate,
+  liftGate,
+};
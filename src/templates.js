@@ -0,0 +1,138 @@
+const config = require('./config');
+const db = require('./db');
+const i18n = require('./i18n');
+const { sanitizeName } = require('./utils');
+
+// Links to every intro location for the welcome, named by their tracks (/setintro).
+function introLinks() {
+  return config.getIntroLocations().map((l) => ({ track: l.track, link: config.introLink(l.chatId, l.topicId) }));
+}
+
+// Admin-editable messages. Each has a settings key holding the custom text and a
+// default built from the (localized) config.js template, used until an admin overrides it.
+const TEMPLATES = {
+  welcome: {
+    key: 'TEMPLATE_WELCOME',
+    // A join burst is greeted by one message naming everyone in it.
+    defaultText: (m, { firstName, mentions }) => (mentions?.length > 1
+      ? m.WELCOME_BURST_MESSAGE(mentions, introLinks())
+      : m.WELCOME_MESSAGE(firstName, introLinks())),
+    // {name} lists every member of a burst: up to WELCOME_BURST_MAX_MEMBERS names plus separators.
+    nameLength: () => config.WELCOME_BURST_MAX_MEMBERS * (PLACEHOLDERS.name + 2),
+  },
+  reminder: {
+    key: 'TEMPLATE_REMINDER',
+    defaultText: (m) => m.REMINDER_MESSAGE,
+  },
+  accepted: {
+    key: 'TEMPLATE_ACCEPTED',
+    defaultText: (m, { firstName }) => m.INTRO_ACCEPTED_MESSAGE(firstName),
+  },
+  nudge: {
+    key: 'TEMPLATE_NUDGE',
+    defaultText: (m, { missing }) => m.INTRO_NUDGE_MESSAGE(i18n.sectionNames(m, missing)),
+    // {missing}: the rubric sections the intro left out (see introScore.js).
+    placeholders: { missing: 256 },
+  },
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+// Longest value each placeholder can expand to — used to check a template still fits in
+// one Telegram message after substitution.
+const PLACEHOLDERS = {
+  name: 64, // sanitizeName truncates to 64
+  intro_link: 64,
+  group_title: 128, // Telegram's chat title limit
+};
+
+const PLACEHOLDER_PATTERN = /\{([a-z_]+)\}/g;
+
+function isTemplateName(name) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, name);
+}
+
+function assertTemplateName(name) {
+  if (!isTemplateName(name)) throw new Error(`Unknown template: ${name}`);
+}
+
+/**
+ * Check a custom template before it is saved. `name` picks template-specific limits.
+ * Returns an error message, or null if the template is valid.
+ */
+function validateTemplate(text, name) {
+  if (!text || !text.trim()) return 'Template text cannot be empty.';
+
+  const limits = { ...PLACEHOLDERS, ...TEMPLATES[name]?.placeholders };
+  if (TEMPLATES[name]?.nameLength) limits.name = TEMPLATES[name].nameLength();
+
+  const unknown = new Set();
+  let worstCaseLength = text.length;
+  for (const [match, placeholder] of text.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!(placeholder in limits)) {
+      unknown.add(match);
+      continue;
+    }
+    worstCaseLength += limits[placeholder] - match.length;
+  }
+
+  if (unknown.size > 0) {
+    const allowed = Object.keys(limits).map((p) => `{${p}}`).join(', ');
+    return `Unknown placeholder${unknown.size === 1 ? '' : 's'}: ${[...unknown].join(', ')}. Allowed: ${allowed}.`;
+  }
+  if (worstCaseLength > config.MESSAGE_MAX_LENGTH) {
+    return `Template is too long: it can reach ${worstCaseLength} characters once placeholders are filled in ` +
+      `(Telegram's limit is ${config.MESSAGE_MAX_LENGTH}).`;
+  }
+  return null;
+}
+
+function getCustomTemplate(name) {
+  assertTemplateName(name);
+  return db.getSetting(TEMPLATES[name].key) || null;
+}
+
+function setCustomTemplate(name, text) {
+  assertTemplateName(name);
+  const error = validateTemplate(text, name);
+  if (error) throw new Error(error);
+  db.setSetting(TEMPLATES[name].key, text);
+}
+
+function resetTemplate(name) {
+  assertTemplateName(name);
+  db.deleteSetting(TEMPLATES[name].key);
+}
+
+/**
+ * Render a message: the admin's custom template if one is saved, otherwise the default
+ * in `locale`. Custom templates are written in one language and used for everyone.
+ * `groupTitle` is only known when the message is sent in the main group; elsewhere
+ * {group_title} falls back to a generic phrase. `mentions` (welcome only) lists every
+ * member of a join burst and takes the place of `firstName` when there is more than one.
+ * `missing` (nudge only) lists the rubric sections an intro did not cover. `text` is used
+ * in place of the saved template, e.g. an intro location's own accepted message.
+ */
+function render(name, { firstName, mentions, missing, groupTitle, locale = 'en', text = null } = {}) {
+  const m = i18n.messages(locale);
+  const custom = text ?? getCustomTemplate(name);
+  if (!custom) return TEMPLATES[name].defaultText(m, { firstName, mentions, missing });
+
+  const values = {
+    name: mentions?.length > 1 ? mentions.join(', ') : sanitizeName(firstName),
+    intro_link: config.introLink(config.getIntroChannelId(), config.getIntroTopicId()) || 'the intro channel',
+    group_title: groupTitle ? groupTitle.slice(0, PLACEHOLDERS.group_title) : 'the group',
+    missing: missing?.length ? i18n.sectionNames(m, missing).join(', ') : 'a bit more detail',
+  };
+  return custom.replace(PLACEHOLDER_PATTERN, (match, placeholder) => values[placeholder] ?? match);
+}
+
+module.exports = {
+  TEMPLATE_NAMES,
+  isTemplateName,
+  validateTemplate,
+  getCustomTemplate,
+  setCustomTemplate,
+  resetTemplate,
+  render,
+};
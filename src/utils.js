@@ -31,4 +31,23 @@ function getMention(from) {
     : sanitizeName(from.first_name);
 }
 
-module.exports = { sanitizeName, logError, getMention };
+// SQLite datetime('now') yields "YYYY-MM-DD HH:MM:SS" in UTC without a zone marker.
+function parseSqliteDate(value) {
+  if (!value) return null;
+  const ms = Date.parse(`${value.replace(' ', 'T')}Z`);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * A duration as admins read it: "under a minute", "45 min", "3 h 20 min" or "2 d 5 h".
+ */
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60_000);
+  if (minutes < 1) return 'under a minute';
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ${minutes % 60} min`;
+  return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+}
+
+module.exports = { sanitizeName, logError, getMention, parseSqliteDate, formatDuration };
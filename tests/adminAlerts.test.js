@@ -0,0 +1,54 @@
+'use strict';
+
+jest.mock('../src/config', () => ({
+  getAdminChatId: jest.fn(() => -100555),
+  getAdminTopicId: jest.fn(() => null),
+}));
+
+const config = require('../src/config');
+const { notifyAdmins } = require('../src/adminAlerts');
+
+function makeTelegram() {
+  return { sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }) };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  config.getAdminChatId.mockReturnValue(-100555);
+  config.getAdminTopicId.mockReturnValue(null);
+});
+
+describe('notifyAdmins', () => {
+  test('posts the notice to the admin chat', async () => {
+    const telegram = makeTelegram();
+    await expect(notifyAdmins(telegram, 'Heads up')).resolves.toBe(true);
+    expect(telegram.sendMessage).toHaveBeenCalledWith(-100555, 'Heads up', {});
+  });
+
+  test('posts into the admin topic when one is set', async () => {
+    config.getAdminTopicId.mockReturnValue(12);
+    const telegram = makeTelegram();
+    await notifyAdmins(telegram, 'Heads up');
+    expect(telegram.sendMessage).toHaveBeenCalledWith(-100555, 'Heads up', { message_thread_id: 12 });
+  });
+
+  test('passes extra options such as buttons along', async () => {
+    config.getAdminTopicId.mockReturnValue(12);
+    const telegram = makeTelegram();
+    const markup = { inline_keyboard: [] };
+    await notifyAdmins(telegram, 'Heads up', { reply_markup: markup });
+    expect(telegram.sendMessage).toHaveBeenCalledWith(-100555, 'Heads up', { reply_markup: markup, message_thread_id: 12 });
+  });
+
+  test('drops the notice when no admin chat is set, warning only once', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    config.getAdminChatId.mockReturnValue(null);
+    const telegram = makeTelegram();
+    await expect(notifyAdmins(telegram, 'Heads up')).resolves.toBe(false);
+    await expect(notifyAdmins(telegram, 'Heads up again')).resolves.toBe(false);
+    expect(telegram.sendMessage).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(expect.not.stringContaining('Heads up'));
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+// Summaries use the real config and its default tag dictionary; config exits without a token.
+process.env.BOT_TOKEN = 'test-token';
+
+jest.mock('../src/db');
+
+const db = require('../src/db');
+const config = require('../src/config');
+const { announceIntro, summarizeIntro, stopAnnouncements } = require('../src/announcements');
+
+const MAIN_GROUP = -100111;
+const INTRO_CHAT = -100999;
+const NOW = Date.parse('2026-01-20T12:00:00Z');
+const RUST_INTRO = "Hi all! I'm Alice, a Rust developer from Penang. I'd like to help with hackathons.";
+
+function makeTelegram() {
+  return { sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }) };
+}
+
+function member(id, username) {
+  return { user_id: id, username, first_name: username, introduced: 1, left_at: null };
+}
+
+// Let the announcement's sendMessage promise settle.
+const settle = () => Promise.resolve();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers({ now: NOW });
+  stopAnnouncements();
+  config.setIntroAnnounceEnabled(true);
+  config.setMainGroupId(MAIN_GROUP);
+  config.setDefaultLocale('en');
+  db.getUser.mockImplementation((id) => member(id, `user${id}`));
+});
+
+afterEach(() => {
+  stopAnnouncements();
+  jest.useRealTimers();
+});
+
+// ---- summarizeIntro ----
+
+describe('summarizeIntro', () => {
+  test('names skills, role and place in the intro\'s own words', () => {
+    expect(summarizeIntro(RUST_INTRO, 'en')).toBe('Rust developer from Penang');
+  });
+
+  test('joins up to two skills', () => {
+    expect(summarizeIntro('React and TypeScript and Python designer here, based nowhere in particular.', 'en'))
+      .toBe('React & TypeScript designer');
+  });
+
+  test('falls back to the first real sentence when no skill or role is recognised', () => {
+    expect(summarizeIntro('Hello! I run a small bakery and want to learn about web3 payments. Cheers', 'en'))
+      .toBe('I run a small bakery and want to learn about web3 payments.');
+  });
+
+  test('cuts a long first sentence at a word boundary', () => {
+    const summary = summarizeIntro(`I am ${'very '.repeat(40)}keen to meet everyone here`, 'en');
+    expect(summary.length).toBeLessThanOrEqual(config.INTRO_ANNOUNCE_SUMMARY_LENGTH);
+    expect(summary).toMatch(/very…$/);
+  });
+
+  test('uses the requested language', () => {
+    expect(summarizeIntro(RUST_INTRO, 'ms')).not.toBe('Rust developer from Penang');
+  });
+});
+
+// ---- announceIntro ----
+
+describe('announceIntro', () => {
+  test('announces the first member at once, with a link to the intro', async () => {
+    const telegram = makeTelegram();
+    announceIntro(telegram, member(1, 'alice'), { chatId: INTRO_CHAT, msgId: 77, text: RUST_INTRO });
+    await settle();
+    expect(telegram.sendMessage).toHaveBeenCalledWith(
+      MAIN_GROUP,
+      '🎉 Say hi to @alice — Rust developer from Penang\nhttps://t.me/c/999/77',
+    );
+  });
+
+  test('batches members accepted within the interval into one digest', async () => {
+    const telegram = makeTelegram();
+    announceIntro(telegram, member(1, 'alice'), { chatId: INTRO_CHAT, msgId: 77, text: RUST_INTRO });
+    await settle();
+    announceIntro(telegram, member(2, 'bob'), { chatId: INTRO_CHAT, msgId: 78, text: RUST_INTRO });
+    announceIntro(telegram, member(3, 'cara'), { chatId: INTRO_CHAT, msgId: 79, text: RUST_INTRO });
+    announceIntro(telegram, member(3, 'cara'), { chatId: INTRO_CHAT, msgId: 80, text: RUST_INTRO });
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(config.INTRO_ANNOUNCE_INTERVAL_MS);
+    await settle();
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(2);
+    const digest = telegram.sendMessage.mock.calls[1][1];
+    expect(digest).toContain('newest members');
+    expect(digest).toContain('• @bob — Rust developer from Penang (https://t.me/c/999/78)');
+    expect(digest).toContain('• @cara');
+    expect(digest).not.toContain('/80');
+  });
+
+  test('leaves out members reset or gone before the digest went out', async () => {
+    const telegram = makeTelegram();
+    announceIntro(telegram, member(1, 'alice'), { chatId: INTRO_CHAT, msgId: 77, text: RUST_INTRO });
+    await settle();
+    announceIntro(telegram, member(2, 'bob'), { chatId: INTRO_CHAT, msgId: 78, text: RUST_INTRO });
+    db.getUser.mockImplementation((id) => ({ ...member(id, 'bob'), introduced: 0 }));
+
+    jest.advanceTimersByTime(config.INTRO_ANNOUNCE_INTERVAL_MS);
+    await settle();
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('shortens a digest too long for one message', async () => {
+    const telegram = makeTelegram();
+    announceIntro(telegram, member(1, 'alice'), { chatId: INTRO_CHAT, msgId: 1, text: RUST_INTRO });
+    await settle();
+    for (let id = 2; id <= 60; id++) {
+      announceIntro(telegram, member(id, `member${id}`), { chatId: INTRO_CHAT, msgId: id, text: 'x'.repeat(200) });
+    }
+
+    jest.advanceTimersByTime(config.INTRO_ANNOUNCE_INTERVAL_MS);
+    await settle();
+    const digest = telegram.sendMessage.mock.calls[1][1];
+    expect(digest.length).toBeLessThanOrEqual(config.MESSAGE_MAX_LENGTH);
+    expect(digest).toMatch(/…and \d+ more/);
+  });
+
+  test('does nothing while announcements are off', async () => {
+    config.setIntroAnnounceEnabled(false);
+    const telegram = makeTelegram();
+    announceIntro(telegram, member(1, 'alice'), { chatId: INTRO_CHAT, msgId: 77, text: RUST_INTRO });
+    await settle();
+    expect(telegram.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('does nothing without a main group', async () => {
+    config.setMainGroupId(null);
+    const telegram = makeTelegram();
+    announceIntro(telegram, member(1, 'alice'), { chatId: INTRO_CHAT, msgId: 77, text: RUST_INTRO });
+    await settle();
+    expect(telegram.sendMessage).not.toHaveBeenCalled();
+  });
+});
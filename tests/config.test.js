@@ -77,25 +77,239 @@ describe('chat ID getters and setters', () => {
   });
 });
 
+describe('intro locations', () => {
+  afterEach(() => config.setIntroLocations([]));
+
+  test('the first location is the primary one', () => {
+    config.setIntroLocations([{ chatId: -1001, topicId: 4 }, { chatId: -1002, track: 'builders' }]);
+    expect(config.getIntroChannelId()).toBe(-1001);
+    expect(config.getIntroTopicId()).toBe(4);
+    expect(config.getIntroLocations()[1]).toEqual({
+      chatId: -1002, topicId: null, track: 'builders', weights: null, threshold: null, accepted: null,
+    });
+  });
+
+  test('setIntroChannelId replaces only the primary location', () => {
+    config.setIntroLocations([{ chatId: -1001, topicId: 4 }, { chatId: -1002 }]);
+    config.setIntroChannelId(-1003);
+    expect(config.getIntroLocations().map((l) => [l.chatId, l.topicId])).toEqual([[-1003, null], [-1002, null]]);
+  });
+
+  test('findIntroLocation prefers the topic, then the whole chat', () => {
+    config.setIntroLocations([{ chatId: -1001, topicId: 4, track: 'designers' }, { chatId: -1001, track: 'builders' }]);
+    expect(config.findIntroLocation(-1001, 4).track).toBe('designers');
+    expect(config.findIntroLocation(-1001, 9).track).toBe('builders');
+    expect(config.findIntroLocation(-1001).track).toBe('builders');
+    expect(config.findIntroLocation(-1002)).toBeNull();
+  });
+
+  test('a topic location does not take the rest of its chat', () => {
+    config.setIntroLocations([{ chatId: -1001, topicId: 4 }]);
+    expect(config.findIntroLocation(-1001, 5)).toBeNull();
+    expect(config.findIntroLocation(-1001)).toBeNull();
+  });
+
+  test('rejects duplicates, bad tracks and bad rubric overrides', () => {
+    expect(() => config.setIntroLocations([{ chatId: -1001 }, { chatId: -1001 }])).toThrow('Duplicate');
+    expect(() => config.setIntroLocations([{ chatId: -1001, track: 'no spaces' }])).toThrow('track');
+    expect(() => config.setIntroLocations([{ chatId: -1001, weights: { hobby: 1 } }])).toThrow('section');
+    expect(() => config.setIntroLocations([{ chatId: -1001, threshold: 0 }])).toThrow('threshold');
+    expect(() => config.setIntroLocations(
+      Array.from({ length: config.INTRO_LOCATIONS_MAX + 1 }, (_, i) => ({ chatId: -1000 - i }))
+    )).toThrow('Invalid intro locations');
+  });
+
+  test('isValidTrackName', () => {
+    expect(config.isValidTrackName('builders')).toBe(true);
+    expect(config.isValidTrackName('设计')).toBe(true);
+    expect(config.isValidTrackName('-x')).toBe(false);
+    expect(config.isValidTrackName('')).toBe(false);
+  });
+});
+
+describe('feature flags', () => {
+  test('CAPTCHA is enabled by default', () => {
+    expect(config.isCaptchaEnabled()).toBe(true);
+  });
+
+  test('setCaptchaEnabled / isCaptchaEnabled round-trips', () => {
+    config.setCaptchaEnabled(false);
+    expect(config.isCaptchaEnabled()).toBe(false);
+    config.setCaptchaEnabled(true);
+    expect(config.isCaptchaEnabled()).toBe(true);
+  });
+
+  test('default locale is English and only accepts supported locales', () => {
+    expect(config.getDefaultLocale()).toBe('en');
+    config.setDefaultLocale('ms');
+    expect(config.getDefaultLocale()).toBe('ms');
+    expect(() => config.setDefaultLocale('fr')).toThrow(/Invalid locale/);
+    config.setDefaultLocale('en');
+  });
+
+  test('rejoin policy keeps introduced status by default', () => {
+    expect(config.getRejoinReintroDays()).toBeNull();
+  });
+
+  test('parseRejoinReintroDays accepts keep or a whole number of days', () => {
+    expect(config.parseRejoinReintroDays('keep')).toBeNull();
+    expect(config.parseRejoinReintroDays('0')).toBe(0);
+    expect(config.parseRejoinReintroDays('30')).toBe(30);
+    expect(config.parseRejoinReintroDays('-1')).toBeNull();
+    expect(config.parseRejoinReintroDays('1.5')).toBeNull();
+  });
+
+  test('setRejoinReintroDays rejects invalid values', () => {
+    config.setRejoinReintroDays(14);
+    expect(config.getRejoinReintroDays()).toBe(14);
+    expect(() => config.setRejoinReintroDays(-3)).toThrow(/Invalid rejoin absence/);
+    config.setRejoinReintroDays(null);
+  });
+
+  test('setGateExemptTopics keeps a list of topic IDs and rejects invalid ones', () => {
+    expect(config.getGateExemptTopics()).toEqual([]);
+    config.setGateExemptTopics([12, 34]);
+    expect(config.isGateExemptTopic(34)).toBe(true);
+    expect(config.isGateExemptTopic(56)).toBe(false);
+    expect(config.isGateExemptTopic(null)).toBe(false);
+    expect(() => config.setGateExemptTopics([12, 12])).toThrow(/Invalid gate exempt topics/);
+    expect(() => config.setGateExemptTopics([-1])).toThrow(/Invalid gate exempt topics/);
+    expect(() => config.setGateExemptTopics('12')).toThrow(/Invalid gate exempt topics/);
+    config.setGateExemptTopics([]);
+  });
+
+  test('grace period is off by default', () => {
+    expect(config.isGraceEnabled()).toBe(false);
+    expect(config.getGracePolicy()).toEqual({ messages: 0, minutes: 0 });
+  });
+
+  test('setGracePolicy rejects limits out of range', () => {
+    config.setGracePolicy({ messages: 3, minutes: 0 });
+    expect(config.isGraceEnabled()).toBe(true);
+    expect(() => config.setGracePolicy({ messages: config.GRACE_MESSAGES_MAX + 1, minutes: 10 })).toThrow(/Invalid grace policy/);
+    expect(() => config.setGracePolicy({ messages: 1.5, minutes: 10 })).toThrow(/Invalid grace policy/);
+    expect(() => config.setGracePolicy(null)).toThrow(/Invalid grace policy/);
+    config.setGracePolicy({ messages: 0, minutes: 0 });
+  });
+
+  test('escalation ladder mutes for an hour, then a day, then removes by default', () => {
+    expect(config.formatViolationLadder(config.getViolationLadder())).toBe('3:mute:60,5:mute:1440,7:kick');
+  });
+
+  test('parseViolationLadder reads steps in rising order with kick last', () => {
+    expect(config.parseViolationLadder('2:mute:30, 4:kick')).toEqual([
+      { at: 2, action: 'mute', minutes: 30 },
+      { at: 4, action: 'kick' },
+    ]);
+    expect(config.parseViolationLadder('off')).toEqual([]);
+    for (const spec of ['', '3:mute', '3:kick:5', '5:mute:60,3:kick', '3:kick,5:mute:60', '3:ban',
+      `3:mute:${config.VIOLATION_MUTE_MINUTES_MAX + 1}`, '0:kick', '1.5:kick']) {
+      expect(config.parseViolationLadder(spec)).toBeNull();
+    }
+  });
+
+  test('setViolationLadder rejects invalid ladders', () => {
+    config.setViolationLadder([{ at: 2, action: 'kick' }]);
+    expect(config.getViolationLadder()).toEqual([{ at: 2, action: 'kick' }]);
+    expect(() => config.setViolationLadder([{ at: 2, action: 'ban' }])).toThrow(/Invalid violation ladder/);
+    expect(() => config.setViolationLadder('3:kick')).toThrow(/Invalid violation ladder/);
+    config.setViolationLadder(config.parseViolationLadder('3:mute:60,5:mute:1440,7:kick'));
+  });
+
+  test('intro edits notify the admins by default', () => {
+    expect(config.getIntroEditPolicy()).toBe('notify');
+  });
+
+  test('setIntroEditPolicy rejects unknown policies', () => {
+    config.setIntroEditPolicy('reset');
+    expect(config.getIntroEditPolicy()).toBe('reset');
+    expect(() => config.setIntroEditPolicy('kick')).toThrow(/Invalid intro edit policy/);
+    config.setIntroEditPolicy('notify');
+  });
+
+  test('intros are accepted without review by default', () => {
+    expect(config.getIntroReviewMode()).toBe('auto');
+  });
+
+  test('setIntroReviewMode rejects unknown modes', () => {
+    config.setIntroReviewMode('hybrid');
+    expect(config.getIntroReviewMode()).toBe('hybrid');
+    expect(() => config.setIntroReviewMode('manual')).toThrow(/Invalid intro review mode/);
+    config.setIntroReviewMode('auto');
+  });
+
+  test('intro rubric weighs every section equally and passes at 2 by default', () => {
+    const weights = config.getIntroRubricWeights();
+    expect(Object.keys(weights)).toEqual(config.INTRO_RUBRIC_SECTIONS);
+    expect(Object.values(weights).every((w) => w === 1)).toBe(true);
+    expect(config.getIntroPassThreshold()).toBe(2);
+  });
+
+  test('setIntroRubricWeight rejects unknown sections and out-of-range weights', () => {
+    config.setIntroRubricWeight('role', 3);
+    expect(config.getIntroRubricWeights().role).toBe(3);
+    expect(() => config.setIntroRubricWeight('hobbies', 1)).toThrow(/Unknown rubric section/);
+    expect(() => config.setIntroRubricWeight('role', 11)).toThrow(/Invalid rubric weight/);
+    expect(() => config.setIntroRubricWeight('role', 1.5)).toThrow(/Invalid rubric weight/);
+    config.setIntroRubricWeight('role', 1);
+  });
+
+  test('getIntroRubricWeights returns a copy', () => {
+    config.getIntroRubricWeights().role = 9;
+    expect(config.getIntroRubricWeights().role).toBe(1);
+  });
+
+  test('setIntroPassThreshold rejects values below 1', () => {
+    config.setIntroPassThreshold(4);
+    expect(config.getIntroPassThreshold()).toBe(4);
+    expect(() => config.setIntroPassThreshold(0)).toThrow(/Invalid pass threshold/);
+    config.setIntroPassThreshold(2);
+  });
+
+  test('setIntroTags normalizes keywords and rejects bad entries', () => {
+    const defaults = config.getIntroTags();
+    config.setIntroTags({ solidity: { kind: 'skill', keywords: [' Solidity ', 'solidity', 'EVM'] } });
+    expect(config.getIntroTags()).toEqual({ solidity: { kind: 'skill', keywords: ['solidity', 'evm'] } });
+    expect(() => config.setIntroTags({ Rust: { kind: 'skill', keywords: ['rust'] } })).toThrow(/Invalid tag/);
+    expect(() => config.setIntroTags({ chess: { kind: 'hobby', keywords: ['chess'] } })).toThrow(/Invalid tag kind/);
+    expect(() => config.setIntroTags({ chess: { kind: 'skill', keywords: [] } })).toThrow(/no keywords/);
+    config.setIntroTags(defaults);
+  });
+
+  test('getIntroTags returns a copy', () => {
+    config.getIntroTags().rust.keywords.push('trust');
+    expect(config.getIntroTags().rust.keywords).toEqual(['rust']);
+  });
+});
+
 describe('WELCOME_MESSAGE', () => {
+  const link = config.introLink(-1001234567890, null);
+
   test('includes the sanitized first name', () => {
-    const msg = config.WELCOME_MESSAGE('Ali', null);
+    const msg = config.WELCOME_MESSAGE('Ali', []);
     expect(msg).toContain('Ali');
   });
 
-  test('includes the intro channel link when an ID is provided', () => {
-    const msg = config.WELCOME_MESSAGE('Ali', -1001234567890);
-    expect(msg).toContain('t.me/c/');
-    expect(msg).toContain('1234567890');
+  test('includes the intro channel link when there is one', () => {
+    const msg = config.WELCOME_MESSAGE('Ali', [{ track: null, link }]);
+    expect(msg).toContain('Post your intro here: https://t.me/c/1234567890');
   });
 
   test('strips the -100 prefix from the channel ID in the URL', () => {
-    const msg = config.WELCOME_MESSAGE('Ali', -1001234567890);
+    const msg = config.WELCOME_MESSAGE('Ali', [{ track: null, link }]);
     expect(msg).not.toContain('-100');
   });
 
+  test('lists every intro location by track when there are several', () => {
+    const msg = config.WELCOME_MESSAGE('Ali', [
+      { track: 'builders', link: `${link}/3` },
+      { track: 'designers', link: `${link}/4` },
+    ]);
+    expect(msg).toContain('- builders: https://t.me/c/1234567890/3\n- designers: https://t.me/c/1234567890/4');
+  });
+
   test('falls back to generic text when no intro channel ID', () => {
-    const msg = config.WELCOME_MESSAGE('Ali', null);
+    const msg = config.WELCOME_MESSAGE('Ali', []);
     expect(msg).toContain('intro channel');
     expect(msg).not.toContain('t.me/c/');
   });
@@ -117,8 +331,33 @@ describe('constants', () => {
     expect(config.INTRO_MAX_LENGTH).toBe(4000);
   });
 
-  test('INTRO_KEYWORDS is a non-empty array', () => {
-    expect(Array.isArray(config.INTRO_KEYWORDS)).toBe(true);
-    expect(config.INTRO_KEYWORDS.length).toBeGreaterThan(0);
+  test('every rubric section has synonyms, a pattern and a name', () => {
+    for (const section of config.INTRO_RUBRIC_SECTIONS) {
+      expect(config.INTRO_RUBRIC_SYNONYMS[section].length).toBeGreaterThan(0);
+      expect(config.INTRO_RUBRIC_PATTERNS[section].length).toBeGreaterThan(0);
+      expect(config.INTRO_SECTION_NAMES[section]).toBeTruthy();
+    }
+  });
+});
+
+describe('validateInteractionPolicy', () => {
+  const policy = { message: 'block', poll: 'block', story: 'report', web_app_data: 'allow', reaction: 'report' };
+
+  test('accepts a policy for every kind of interaction, and freezes it', () => {
+    expect(Object.isFrozen(config.validateInteractionPolicy(policy))).toBe(true);
+    expect(config.validateInteractionPolicy({ ...policy, reaction: 'allow' })).toEqual({ ...policy, reaction: 'allow' });
+    expect(() => config.validateInteractionPolicy(config.PENDING_INTERACTION_POLICY)).not.toThrow();
+  });
+
+  test('rejects block for reactions, which a bot cannot remove', () => {
+    expect(() => config.validateInteractionPolicy({ ...policy, reaction: 'block' }))
+      .toThrow('Invalid interaction policy for reaction: block');
+  });
+
+  test('rejects unknown policies and missing kinds', () => {
+    expect(() => config.validateInteractionPolicy({ ...policy, poll: 'delete' })).toThrow('poll');
+    const missing = { ...policy };
+    delete missing.story;
+    expect(() => config.validateInteractionPolicy(missing)).toThrow('story');
   });
 });
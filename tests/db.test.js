@@ -95,6 +95,32 @@ describe('markIntroduced', () => {
     db.markIntroduced(1, null);
     expect(db.getUser(1).introduced).toBe(1);
   });
+
+  test('stores the rubric score when given', () => {
+    db.upsertUser(1, 'test', 'Test');
+    db.markIntroduced(1, 42, 3);
+    expect(db.getUser(1).intro_score).toBe(3);
+    expect(() => db.markIntroduced(1, 42, 2.5)).toThrow(/Invalid score/);
+  });
+
+  test('stores the media type of a captioned intro', () => {
+    db.upsertUser(1, 'test', 'Test');
+    db.markIntroduced(1, 42, 3, 'photo');
+    expect(db.getUser(1).intro_media).toBe('photo');
+    expect(() => db.markIntroduced(1, 42, 3, 'sticker')).toThrow(/Invalid intro media/);
+  });
+});
+
+describe('setIntroScore', () => {
+  test('updates the score without touching the rest of the intro', () => {
+    db.upsertUser(1, 'test', 'Test');
+    db.markIntroduced(1, 42, 3);
+    db.setIntroScore(1, 5);
+    const user = db.getUser(1);
+    expect(user.intro_score).toBe(5);
+    expect(user.intro_msg_id).toBe(42);
+    expect(user.introduced).toBe(1);
+  });
 });
 
 describe('resetUser', () => {
@@ -107,6 +133,21 @@ describe('resetUser', () => {
     expect(user.intro_msg_id).toBeNull();
     expect(user.introduced_at).toBeNull();
   });
+
+  test('clears the intro score and media type', () => {
+    db.upsertUser(1, 'test', 'Test');
+    db.markIntroduced(1, 42, 3, 'video');
+    db.resetUser(1);
+    expect(db.getUser(1).intro_score).toBeNull();
+    expect(db.getUser(1).intro_media).toBeNull();
+  });
+
+  test('drops the archived intro text', () => {
+    db.upsertUser(1, 'test', 'Test');
+    db.saveIntroText(1, -100999, 42, 'Backend developer from Penang');
+    db.resetUser(1);
+    expect(db.getIntroText(1)).toBeNull();
+  });
 });
 
 describe('getPending', () => {
@@ -132,10 +173,443 @@ describe('getPending', () => {
     db.markIntroduced(1, 10);
     expect(db.getPending()).toHaveLength(0);
   });
+
+  test('excludes members who have left', () => {
+    db.upsertUser(1, 'a', 'A');
+    db.upsertUser(2, 'b', 'B');
+    db.markLeft(2, 'left');
+    expect(db.getPending().map((u) => u.user_id)).toEqual([1]);
+  });
+});
+
+describe('getPendingByWelcomeMsgId', () => {
+  test('returns the unintroduced users sharing a welcome message', () => {
+    db.upsertUser(1, 'a', 'A');
+    db.upsertUser(2, 'b', 'B');
+    db.upsertUser(3, 'c', 'C');
+    db.setWelcomeMsgId(1, 50);
+    db.setWelcomeMsgId(2, 50);
+    db.setWelcomeMsgId(3, 60);
+    db.markIntroduced(2, 10);
+    expect(db.getPendingByWelcomeMsgId(50).map((u) => u.user_id)).toEqual([1]);
+  });
+
+  test('returns an empty array when nobody is left', () => {
+    expect(db.getPendingByWelcomeMsgId(50)).toEqual([]);
+  });
+});
+
+describe('departures', () => {
+  test('markLeft records the time and reason and forgets the welcome message', () => {
+    db.upsertUser(1, 'a', 'A');
+    db.setWelcomeMsgId(1, 50);
+    db.markLeft(1, 'kicked');
+    const user = db.getUser(1);
+    expect(user.left_at).not.toBeNull();
+    expect(user.left_reason).toBe('kicked');
+    expect(user.welcome_msg_id).toBeNull();
+    expect(db.getPendingByWelcomeMsgId(50)).toEqual([]);
+  });
+
+  test('markLeft keeps the first departure time when the reason changes', () => {
+    db.upsertUser(1, 'a', 'A');
+    db.markLeft(1, 'banned');
+    const leftAt = db.getUser(1).left_at;
+    db.markLeft(1, 'kicked');
+    expect(db.getUser(1)).toMatchObject({ left_at: leftAt, left_reason: 'kicked' });
+  });
+
+  test('markLeft rejects unknown reasons', () => {
+    db.upsertUser(1, 'a', 'A');
+    expect(() => db.markLeft(1, 'vanished')).toThrow(/Invalid leave reason/);
+  });
+
+  test('markRejoined clears the departure and restarts the deadline', () => {
+    db.upsertUser(1, 'a', 'A');
+    db.recordDeadlineWarning(1, 2);
+    db.markLeft(1, 'left');
+    db.markRejoined(1);
+    expect(db.getUser(1)).toMatchObject({ left_at: null, left_reason: null, deadline_warnings: 0 });
+    expect(db.getPending().map((u) => u.user_id)).toEqual([1]);
+  });
+});
+
+describe('recordDeadlineWarning', () => {
+  test('stores the warning count and timestamp', () => {
+    db.upsertUser(1, 'a', 'A');
+    db.recordDeadlineWarning(1, 2);
+    const user = db.getUser(1);
+    expect(user.deadline_warnings).toBe(2);
+    expect(user.last_warned_at).not.toBeNull();
+  });
+
+  test('resetUser clears deadline warnings', () => {
+    db.upsertUser(1, 'a', 'A');
+    db.recordDeadlineWarning(1, 2);
+    db.resetUser(1);
+    expect(db.getUser(1)).toMatchObject({ deadline_warnings: 0, last_warned_at: null });
+  });
+});
+
+describe('recordKick', () => {
+  test('stores kick history and removes the user from pending', () => {
+    db.upsertUser(1, 'lurker', 'Lurker');
+    db.recordKick(1, 'intro_deadline');
+    expect(db.getUser(1)).toBeNull();
+    expect(db.getPending()).toHaveLength(0);
+    const history = db.getKickHistory(1);
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ user_id: 1, username: 'lurker', reason: 'intro_deadline' });
+    expect(history[0].kicked_at).not.toBeNull();
+  });
+
+  test('keeps every kick for a user who rejoins and is removed again', () => {
+    db.upsertUser(1, 'lurker', 'Lurker');
+    db.recordKick(1, 'intro_deadline');
+    db.upsertUser(1, 'lurker', 'Lurker');
+    db.recordKick(1, 'intro_deadline');
+    expect(db.getKickHistory(1)).toHaveLength(2);
+  });
+
+  test('keeps the invite link the member joined with', () => {
+    db.upsertUser(1, 'lurker', 'Lurker');
+    db.setInviteLink(1, 'https://t.me/+meetup');
+    db.recordKick(1, 'intro_deadline');
+    expect(db.getKickHistory(1)[0].invite_link).toBe('https://t.me/+meetup');
+  });
+
+  test('drops the archived intro text', () => {
+    db.upsertUser(1, 'lurker', 'Lurker');
+    db.saveIntroText(1, -100999, 42, 'Backend developer from Penang');
+    db.recordKick(1, 'intro_deadline');
+    expect(db.getIntroText(1)).toBeNull();
+  });
+});
+
+describe('invite links', () => {
+  test('setInviteLink stores the link on the user row', () => {
+    db.upsertUser(1, 'a', 'A');
+    expect(db.setInviteLink(1, 'https://t.me/+meetup')).toBe(true);
+    expect(db.getUser(1).invite_link).toBe('https://t.me/+meetup');
+  });
+
+  test('setInviteLink returns false for an untracked user', () => {
+    expect(db.setInviteLink(1, 'https://t.me/+meetup')).toBe(false);
+  });
+
+  test('getInviteLinkStats counts joins and intros per link, busiest first', () => {
+    db.saveInviteLink('https://t.me/+booth', 'Booth', 9);
+    db.saveInviteLink('https://t.me/+meetup', 'KL meetup', 9);
+    db.saveInviteLink('https://t.me/+unused', 'Unused', 9);
+    for (const id of [1, 2, 3]) {
+      db.upsertUser(id, null, null);
+      db.setInviteLink(id, 'https://t.me/+meetup');
+    }
+    db.markIntroduced(1, 10);
+    db.recordKick(3, 'intro_deadline');
+    db.upsertUser(4, null, null);
+    db.setInviteLink(4, 'https://t.me/+booth');
+    db.markIntroduced(4, 11);
+    db.upsertUser(5, null, null);
+    db.setInviteLink(5, 'https://t.me/+other');
+
+    expect(db.getInviteLinkStats()).toEqual([
+      { link: 'https://t.me/+meetup', name: 'KL meetup', joins: 3, intros: 1 },
+      expect.objectContaining({ link: 'https://t.me/+booth', joins: 1, intros: 1 }),
+      { link: 'https://t.me/+other', name: null, joins: 1, intros: 0 },
+      { link: 'https://t.me/+unused', name: 'Unused', joins: 0, intros: 0 },
+    ]);
+  });
+
+  test('saveInviteLink renames an existing link', () => {
+    db.saveInviteLink('https://t.me/+meetup', 'Old', 9);
+    db.saveInviteLink('https://t.me/+meetup', 'New', 9);
+    expect(db.getInviteLinkStats()).toEqual([{ link: 'https://t.me/+meetup', name: 'New', joins: 0, intros: 0 }]);
+  });
 });
 
 // ---- settings table ----
 
+describe('intro fingerprints', () => {
+  test('stores signatures and returns them parsed, oldest first', () => {
+    db.addIntroFingerprint(1, 10, [5, 6, 7], true);
+    db.addIntroFingerprint(2, 20, [5, 6, 8], false);
+    expect(db.getIntroFingerprints(30)).toEqual([
+      { user_id: 1, msg_id: 10, signature: [5, 6, 7], accepted: 1 },
+      { user_id: 2, msg_id: 20, signature: [5, 6, 8], accepted: 0 },
+    ]);
+  });
+
+  test('leaves out rejected copies older than the window, but never accepted intros', () => {
+    db.addIntroFingerprint(1, 10, [5, 6, 7], true);
+    db.addIntroFingerprint(2, 20, [5, 6, 8], false);
+    db.addIntroFingerprint(3, 30, [5, 6, 9], false);
+    const raw = new (require('better-sqlite3'))(dbPath);
+    raw.prepare("UPDATE intro_fingerprints SET created_at = datetime('now', '-31 days') WHERE user_id IN (1, 2)").run();
+    raw.close();
+    expect(db.getIntroFingerprints(30).map((row) => row.user_id)).toEqual([1, 3]);
+  });
+
+  test('throws for a signature that is not a list of integers', () => {
+    expect(() => db.addIntroFingerprint(1, 10, 'abc', true)).toThrow('Invalid intro signature');
+    expect(() => db.addIntroFingerprint(1, 10, [1.5], true)).toThrow('Invalid intro signature');
+  });
+});
+
+describe('grace usage', () => {
+  test('counts messages from the first start and keeps it', () => {
+    expect(db.getGraceUsage(1)).toBeNull();
+    db.recordGraceMessage(1, '2026-01-20 12:00:00');
+    db.recordGraceMessage(1, '2026-01-21 09:00:00');
+    expect(db.getGraceUsage(1)).toMatchObject({ started_at: '2026-01-20 12:00:00', messages: 2, reminded: 0 });
+  });
+
+  test('marks a member reminded only once', () => {
+    db.recordGraceMessage(1, '2026-01-20 12:00:00');
+    expect(db.markGraceReminded(1, '2026-01-20 12:00:00')).toBe(true);
+    expect(db.markGraceReminded(1, '2026-01-20 12:00:00')).toBe(false);
+    expect(db.markGraceReminded(2, '2026-01-20 12:00:00')).toBe(true);
+    expect(db.getGraceUsage(2)).toMatchObject({ messages: 0, reminded: 1 });
+  });
+
+  test('starts from the first join and survives a rejoin or a removal', () => {
+    db.upsertUser(1, 'alice', 'Alice');
+    db.startGracePeriod(1);
+    const { started_at: startedAt } = db.getGraceUsage(1);
+    expect(startedAt).toBe(db.getUser(1).joined_at);
+
+    db.recordGraceMessage(1, startedAt);
+    db.recordKick(1, 'violations');
+    db.upsertUser(1, 'alice', 'Alice');
+    db.startGracePeriod(1);
+    expect(db.getGraceUsage(1)).toMatchObject({ started_at: startedAt, messages: 1 });
+  });
+
+  test('does not start for users the bot has no record of', () => {
+    db.startGracePeriod(5);
+    expect(db.getGraceUsage(5)).toBeNull();
+  });
+});
+
+describe('private chats', () => {
+  test('tracks whether a user has a DM open with the bot', () => {
+    expect(db.isDmOpen(1)).toBe(false);
+    db.setDmOpen(1, true);
+    expect(db.isDmOpen(1)).toBe(true);
+    db.setDmOpen(1, false);
+    expect(db.isDmOpen(1)).toBe(false);
+  });
+});
+
+describe('gate mutes', () => {
+  test('records, reports and clears a gate mute', () => {
+    expect(db.isGateMuted(1)).toBe(false);
+    db.recordGateMute(1);
+    db.recordGateMute(1);
+    expect(db.isGateMuted(1)).toBe(true);
+    db.clearGateMute(1);
+    expect(db.isGateMuted(1)).toBe(false);
+  });
+});
+
+describe('violations', () => {
+  test('counts removed messages and logs the steps taken', () => {
+    expect(db.getViolations(1)).toBeNull();
+    expect(db.recordViolation(1)).toBe(1);
+    db.recordViolationStep(1, 1, 'remind');
+    expect(db.recordViolation(1)).toBe(2);
+    db.recordViolationStep(1, 2, 'mute', 60);
+    expect(db.getViolations(1)).toMatchObject({ count: 2, muted_until: expect.any(String) });
+    expect(db.getViolationSteps(1)).toMatchObject([
+      { violation: 2, action: 'mute', minutes: 60 },
+      { violation: 1, action: 'remind', minutes: null },
+    ]);
+  });
+
+  test('sets muted_until that many minutes ahead', () => {
+    db.recordViolation(1);
+    db.recordViolationStep(1, 1, 'mute', 90);
+    const until = Date.parse(`${db.getViolations(1).muted_until.replace(' ', 'T')}Z`);
+    expect(until - Date.now()).toBeGreaterThan(89 * 60_000);
+    expect(until - Date.now()).toBeLessThanOrEqual(90 * 60_000);
+  });
+
+  test('clears a count and logs who cleared it', () => {
+    db.recordViolation(1);
+    db.recordViolation(1);
+    expect(db.clearViolations(1, 42)).toBe(2);
+    expect(db.getViolations(1)).toBeNull();
+    expect(db.getViolationSteps(1)[0]).toMatchObject({ action: 'cleared', violation: 2, admin_id: 42 });
+    expect(db.clearViolations(1, 42)).toBe(0);
+    expect(db.recordViolation(1)).toBe(1);
+  });
+
+  test('throws for an unknown step', () => {
+    expect(() => db.recordViolationStep(1, 1, 'ban')).toThrow('Invalid violation step');
+  });
+});
+
+describe('intro rejections', () => {
+  test('records rejections and returns a member\'s newest first', () => {
+    db.recordIntroRejection(1, -100999, 10, 'forwarded');
+    db.recordIntroRejection(1, null, null, 'gibberish');
+    db.recordIntroRejection(2, -100999, 11, 'links');
+    expect(db.getIntroRejections(1)).toMatchObject([
+      { user_id: 1, chat_id: null, msg_id: null, reason: 'gibberish' },
+      { user_id: 1, chat_id: -100999, msg_id: 10, reason: 'forwarded' },
+    ]);
+    expect(db.getIntroRejections(1)[0].rejected_at).toEqual(expect.any(String));
+  });
+
+  test('throws for an unknown reason', () => {
+    expect(() => db.recordIntroRejection(1, -100999, 10, 'rude')).toThrow('Invalid rejection reason');
+  });
+});
+
+describe('intro archive', () => {
+  beforeEach(() => {
+    db.upsertUser(1, 'ali', 'Ali');
+    db.upsertUser(2, 'mei', 'Mei');
+    db.saveIntroText(1, -100999, 10, 'Rust developer in Penang, building a payments startup');
+    db.saveIntroText(2, -100999, 20, 'Product designer from Johor, looking for a Rust co-founder');
+  });
+
+  test('saveIntroText replaces the earlier text', () => {
+    db.saveIntroText(1, -100999, 11, 'Now a Go developer');
+    expect(db.getIntroText(1)).toEqual({ text: 'Now a Go developer', chat_id: -100999, msg_id: 11 });
+    expect(db.searchIntros(['payments'])).toHaveLength(0);
+  });
+
+  test('searchIntros matches every term, by prefix and regardless of case', () => {
+    expect(db.searchIntros(['rust']).map((u) => u.user_id).sort()).toEqual([1, 2]);
+    expect(db.searchIntros(['RUST', 'pay'])).toEqual([
+      expect.objectContaining({ user_id: 1, username: 'ali', intro_chat_id: -100999, intro_msg_id: 10 }),
+    ]);
+    expect(db.searchIntros(['rust', 'pay'])[0].snippet).toContain('payments');
+  });
+
+  test('searchIntros leaves out members who have left', () => {
+    db.markLeft(2, 'left');
+    expect(db.searchIntros(['designer'])).toHaveLength(0);
+  });
+
+  test('searchIntros treats query syntax as plain text', () => {
+    expect(db.searchIntros(['"Rust', 'OR', 'NEAR('])).toHaveLength(0);
+    expect(db.searchIntros(['co-founder']).map((u) => u.user_id)).toEqual([2]);
+  });
+});
+
+describe('intro tags', () => {
+  const RUST = { tag: 'rust', kind: 'skill' };
+  const PENANG = { tag: 'penang', kind: 'location' };
+  const REACT = { tag: 'react', kind: 'skill' };
+
+  beforeEach(() => {
+    db.upsertUser(1, 'ali', 'Ali');
+    db.markIntroduced(1, 10);
+    db.upsertUser(2, 'mei', 'Mei');
+    db.markIntroduced(2, 20);
+  });
+
+  test('setIntroTags replaces the tags taken from an intro', () => {
+    db.setIntroTags(1, [RUST, REACT]);
+    db.setIntroTags(1, [RUST, PENANG]);
+    expect(db.getUserTags(1)).toEqual([
+      { tag: 'penang', kind: 'location', source: 'intro' },
+      { tag: 'rust', kind: 'skill', source: 'intro' },
+    ]);
+  });
+
+  test("admin corrections survive re-tagging the member's intro", () => {
+    db.setIntroTags(1, [RUST, REACT]);
+    db.setTagCorrection(1, 'react', 'skill', 'removed');
+    db.setTagCorrection(1, 'solidity', 'skill', 'added');
+    db.setIntroTags(1, [RUST, REACT]);
+    expect(db.getUserTags(1).map((t) => t.tag)).toEqual(['rust', 'solidity']);
+  });
+
+  test('setTagCorrection only records additions and removals', () => {
+    expect(() => db.setTagCorrection(1, 'rust', 'skill', 'intro')).toThrow('Invalid tag correction');
+  });
+
+  test('findMembersByTags needs every tag and skips members who left or are pending', () => {
+    db.setIntroTags(1, [RUST, PENANG]);
+    db.setIntroTags(2, [RUST]);
+    db.saveIntroText(1, -100999, 10, 'Rust in Penang');
+    expect(db.findMembersByTags(['rust', 'penang'])).toEqual([
+      expect.objectContaining({ user_id: 1, tags: 'penang, rust', intro_chat_id: -100999, intro_msg_id: 10 }),
+    ]);
+    expect(db.findMembersByTags(['rust'])).toHaveLength(2);
+
+    db.markLeft(2, 'left');
+    expect(db.findMembersByTags(['rust']).map((u) => u.user_id)).toEqual([1]);
+    db.resetUser(1);
+    expect(db.findMembersByTags(['rust'])).toHaveLength(0);
+  });
+
+  test('getTagCounts counts introduced members still in the group', () => {
+    db.setIntroTags(1, [RUST, PENANG]);
+    db.setIntroTags(2, [RUST]);
+    db.setTagCorrection(2, 'penang', 'location', 'removed');
+    db.upsertUser(3, 'raj', 'Raj');
+    db.setTagCorrection(3, 'rust', 'skill', 'added');
+    expect(db.getTagCounts()).toEqual({ rust: 2, penang: 1 });
+  });
+
+  test('resetUser keeps admin corrections and recordKick drops every tag', () => {
+    db.setIntroTags(1, [RUST]);
+    db.setTagCorrection(1, 'solidity', 'skill', 'added');
+    db.resetUser(1);
+    expect(db.getUserTags(1).map((t) => t.tag)).toEqual(['solidity']);
+    db.recordKick(1, 'intro_deadline');
+    expect(db.getUserTags(1)).toEqual([]);
+  });
+
+  test('getAllIntroTexts lists every archived intro', () => {
+    db.saveIntroText(1, -100999, 10, 'Rust in Penang');
+    expect(db.getAllIntroTexts()).toEqual([{ user_id: 1, text: 'Rust in Penang' }]);
+  });
+});
+
+describe('intro reviews', () => {
+  test('creates a pending review and finds it by user', () => {
+    const id = db.createIntroReview(1, -100999, 10, 'Hi, I am Ali', 3, 'photo');
+    expect(db.getIntroReview(id)).toMatchObject({
+      user_id: 1, chat_id: -100999, msg_id: 10, text: 'Hi, I am Ali', score: 3, media: 'photo', decision: null,
+    });
+    expect(db.getPendingIntroReview(1)).toMatchObject({ id });
+    expect(db.getLatestIntroReview(1)).toBeNull();
+  });
+
+  test('keeps the forum topic the intro was posted in', () => {
+    const id = db.createIntroReview(1, -100111, 10, 'Hi', 2, null, 7);
+    expect(db.getIntroReview(id)).toMatchObject({ chat_id: -100111, topic_id: 7 });
+    expect(db.getIntroReview(db.createIntroReview(2, -100999, 11, 'Hi', 2))).toMatchObject({ topic_id: null });
+  });
+
+  test('records the decision, who made it and when, once only', () => {
+    const id = db.createIntroReview(1, -100999, 10, 'Hi', 2);
+    expect(db.decideIntroReview(id, 'approved', 7)).toBe(true);
+    expect(db.decideIntroReview(id, 'rejected', 8)).toBe(false);
+
+    const review = db.getLatestIntroReview(1);
+    expect(review).toMatchObject({ id, decision: 'approved', decided_by: 7 });
+    expect(review.decided_at).toBeGreaterThanOrEqual(review.submitted_at);
+    expect(db.getPendingIntroReview(1)).toBeNull();
+  });
+
+  test('throws for an unknown decision', () => {
+    const id = db.createIntroReview(1, -100999, 10, 'Hi', 2);
+    expect(() => db.decideIntroReview(id, 'maybe', 7)).toThrow('Invalid review decision');
+  });
+
+  test('deleteIntroReview withdraws a review', () => {
+    const id = db.createIntroReview(1, -100999, 10, 'Hi', 2);
+    db.deleteIntroReview(id);
+    expect(db.getIntroReview(id)).toBeNull();
+  });
+});
+
 describe('getSetting', () => {
   test('returns null for an unknown key', () => {
     expect(db.getSetting('MAIN_GROUP_ID')).toBeNull();
@@ -159,6 +633,11 @@ describe('setSetting / getSetting', () => {
     expect(db.getSetting('MAIN_GROUP_ID')).toBe('-100222');
   });
 
+  test('stores and retrieves CAPTCHA_ENABLED', () => {
+    db.setSetting('CAPTCHA_ENABLED', '0');
+    expect(db.getSetting('CAPTCHA_ENABLED')).toBe('0');
+  });
+
   test('throws for an invalid key', () => {
     expect(() => db.setSetting('INVALID_KEY', 'val')).toThrow('Invalid setting key');
   });
@@ -167,3 +646,129 @@ describe('setSetting / getSetting', () => {
     expect(() => db.setSetting('', 'val')).toThrow('Invalid setting key');
   });
 });
+
+describe('deleteSetting', () => {
+  test('removes a stored setting', () => {
+    db.setSetting('TEMPLATE_WELCOME', 'Hi {name}!');
+    db.deleteSetting('TEMPLATE_WELCOME');
+    expect(db.getSetting('TEMPLATE_WELCOME')).toBeNull();
+  });
+
+  test('rejects unknown keys', () => {
+    expect(() => db.deleteSetting('NOT_A_KEY')).toThrow(/Invalid setting key/);
+  });
+});
+
+// ---- user_locales table ----
+
+describe('user locales', () => {
+  test('returns null when no preference is stored', () => {
+    expect(db.getUserLocale(1)).toBeNull();
+  });
+
+  test('stores, overwrites and clears a preference', () => {
+    db.setUserLocale(1, 'ms');
+    expect(db.getUserLocale(1)).toBe('ms');
+    db.setUserLocale(1, 'zh');
+    expect(db.getUserLocale(1)).toBe('zh');
+    db.setUserLocale(1, null);
+    expect(db.getUserLocale(1)).toBeNull();
+  });
+});
+
+// ---- wizard_sessions table ----
+
+describe('wizard sessions', () => {
+  test('returns null when there is no session', () => {
+    expect(db.getWizardSession(1)).toBeNull();
+  });
+
+  test('saves and restores step and answers', () => {
+    db.saveWizardSession(1, 2, ['Ali', 'Frontend dev']);
+    expect(db.getWizardSession(1)).toMatchObject({ user_id: 1, step: 2, answers: ['Ali', 'Frontend dev'] });
+  });
+
+  test('overwrites an existing session', () => {
+    db.saveWizardSession(1, 1, ['Ali']);
+    db.saveWizardSession(1, 0, []);
+    expect(db.getWizardSession(1)).toMatchObject({ step: 0, answers: [] });
+  });
+
+  test('deletes a session', () => {
+    db.saveWizardSession(1, 1, ['Ali']);
+    db.deleteWizardSession(1);
+    expect(db.getWizardSession(1)).toBeNull();
+  });
+});
+
+// ---- captcha_challenges table ----
+
+describe('CAPTCHA challenges', () => {
+  test('creates and retrieves a challenge', () => {
+    db.createCaptchaChallenge(1, -100111, 7, 5000);
+    expect(db.getCaptchaChallenge(1)).toMatchObject({
+      user_id: 1, chat_id: -100111, answer: 7, message_id: null, expires_at: 5000,
+    });
+  });
+
+  test('returns null for a user without a challenge', () => {
+    expect(db.getCaptchaChallenge(1)).toBeNull();
+  });
+
+  test('replaces an existing challenge and clears its message ID', () => {
+    db.createCaptchaChallenge(1, -100111, 7, 5000);
+    db.setCaptchaMsgId(1, 42);
+    db.createCaptchaChallenge(1, -100111, 9, 8000);
+    expect(db.getCaptchaChallenge(1)).toMatchObject({ answer: 9, message_id: null, expires_at: 8000 });
+  });
+
+  test('stores the challenge message ID', () => {
+    db.createCaptchaChallenge(1, -100111, 7, 5000);
+    db.setCaptchaMsgId(1, 42);
+    expect(db.getCaptchaChallenge(1).message_id).toBe(42);
+  });
+
+  test('deleteCaptchaChallenge returns true only for the first caller', () => {
+    db.createCaptchaChallenge(1, -100111, 7, 5000);
+    expect(db.deleteCaptchaChallenge(1)).toBe(true);
+    expect(db.deleteCaptchaChallenge(1)).toBe(false);
+    expect(db.getCaptchaChallenge(1)).toBeNull();
+  });
+
+  test('getExpiredCaptchaChallenges returns only challenges past their deadline', () => {
+    db.createCaptchaChallenge(1, -100111, 7, 1000);
+    db.createCaptchaChallenge(2, -100111, 7, 9000);
+    const expired = db.getExpiredCaptchaChallenges(5000);
+    expect(expired.map((c) => c.user_id)).toEqual([1]);
+  });
+
+  test('throws for a zero chat ID', () => {
+    expect(() => db.createCaptchaChallenge(1, 0, 7, 1000)).toThrow('Invalid chatId');
+  });
+});
+
+describe('join requests', () => {
+  test('creates and retrieves a request', () => {
+    db.createJoinRequest(1, -100111, 5000);
+    expect(db.getJoinRequest(1)).toMatchObject({ user_id: 1, chat_id: -100111, expires_at: 5000 });
+  });
+
+  test('a new request from the same user replaces the old one', () => {
+    db.createJoinRequest(1, -100111, 5000);
+    db.createJoinRequest(1, -100111, 9000);
+    expect(db.getJoinRequest(1).expires_at).toBe(9000);
+  });
+
+  test('deleteJoinRequest returns true only for the first caller', () => {
+    db.createJoinRequest(1, -100111, 5000);
+    expect(db.deleteJoinRequest(1)).toBe(true);
+    expect(db.deleteJoinRequest(1)).toBe(false);
+    expect(db.getJoinRequest(1)).toBeNull();
+  });
+
+  test('getExpiredJoinRequests returns only requests past their deadline', () => {
+    db.createJoinRequest(1, -100111, 1000);
+    db.createJoinRequest(2, -100111, 9000);
+    expect(db.getExpiredJoinRequests(5000).map((r) => r.user_id)).toEqual([1]);
+  });
+});
@@ -0,0 +1,230 @@
+'use strict';
+
+jest.mock('../src/db');
+jest.mock('../src/adminCache');
+jest.mock('../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
+  getMainGroupId: jest.fn(() => -100111),
+  getIntroChannelId: jest.fn(() => -100999),
+  getIntroTopicId: jest.fn(() => null),
+  isIntroDeadlineEnabled: jest.fn(() => true),
+  INTRO_WARNING_DAYS: [3, 6],
+  INTRO_DEADLINE_DAYS: 7,
+  INTRO_DEADLINE_MIN_NOTICE_MS: 24 * 60 * 60_000,
+  INTRO_DEADLINE_SWEEP_INTERVAL_MS: 60 * 60_000,
+  INTRO_DEADLINE_WARNING_MESSAGE: (mention, daysLeft) => `${mention}: ${daysLeft} days left`,
+}));
+
+const db = require('../src/db');
+const adminCache = require('../src/adminCache');
+const config = require('../src/config');
+const deadline = require('../src/deadline');
+const { parseSqliteDate } = require('../src/utils');
+
+const MAIN_GROUP = -100111;
+const DAY = 24 * 60 * 60_000;
+const NOW = Date.parse('2026-01-20T12:00:00Z');
+
+// Format a timestamp the way SQLite's datetime('now') stores it.
+function sqliteDate(ms) {
+  return new Date(ms).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function pendingUser({ id = 1, joinedDaysAgo = 0, warnings = 0, lastWarnedDaysAgo = null, welcomeMsgId = null } = {}) {
+  return {
+    user_id: id,
+    username: 'lurker',
+    first_name: 'Lurker',
+    introduced: 0,
+    joined_at: sqliteDate(NOW - joinedDaysAgo * DAY),
+    deadline_warnings: warnings,
+    last_warned_at: lastWarnedDaysAgo == null ? null : sqliteDate(NOW - lastWarnedDaysAgo * DAY),
+    welcome_msg_id: welcomeMsgId,
+  };
+}
+
+function makeTelegram() {
+  return {
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+    banChatMember: jest.fn().mockResolvedValue(true),
+    unbanChatMember: jest.fn().mockResolvedValue(true),
+    deleteMessage: jest.fn().mockResolvedValue(true),
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  config.getMainGroupId.mockReturnValue(MAIN_GROUP);
+  config.isIntroDeadlineEnabled.mockReturnValue(true);
+  adminCache.isAdmin.mockResolvedValue(false);
+  db.getPending.mockReturnValue([]);
+  db.getPendingByWelcomeMsgId.mockReturnValue([]);
+  db.getJoinRequest.mockReturnValue(null);
+  db.isDmOpen.mockReturnValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  deadline.stopSweep();
+});
+
+// ---- parseSqliteDate ----
+
+describe('parseSqliteDate', () => {
+  test('parses SQLite datetime strings as UTC', () => {
+    expect(parseSqliteDate('2026-01-20 12:00:00')).toBe(NOW);
+  });
+
+  test('returns null for missing or malformed values', () => {
+    expect(parseSqliteDate(null)).toBeNull();
+    expect(parseSqliteDate('not a date')).toBeNull();
+  });
+});
+
+// ---- planFor ----
+
+describe('planFor', () => {
+  test('does nothing before the first warning day', () => {
+    expect(deadline.planFor(pendingUser({ joinedDaysAgo: 2 }), NOW).action).toBeNull();
+  });
+
+  test('sends the first warning on day 3', () => {
+    expect(deadline.planFor(pendingUser({ joinedDaysAgo: 3 }), NOW)).toMatchObject({ action: 'warn', warningCount: 1 });
+  });
+
+  test('does not repeat a warning that was already sent', () => {
+    expect(deadline.planFor(pendingUser({ joinedDaysAgo: 4, warnings: 1 }), NOW).action).toBeNull();
+  });
+
+  test('sends the second warning on day 6', () => {
+    expect(deadline.planFor(pendingUser({ joinedDaysAgo: 6, warnings: 1 }), NOW)).toMatchObject({ action: 'warn', warningCount: 2 });
+  });
+
+  test('kicks on day 7 once every warning has been sent', () => {
+    const user = pendingUser({ joinedDaysAgo: 7, warnings: 2, lastWarnedDaysAgo: 1 });
+    expect(deadline.planFor(user, NOW).action).toBe('kick');
+  });
+
+  test('collapses overdue warnings into one and waits the minimum notice before kicking', () => {
+    const stale = pendingUser({ joinedDaysAgo: 30 });
+    expect(deadline.planFor(stale, NOW)).toMatchObject({ action: 'warn', warningCount: 2 });
+
+    const justWarned = pendingUser({ joinedDaysAgo: 30, warnings: 2, lastWarnedDaysAgo: 0.5 });
+    const plan = deadline.planFor(justWarned, NOW);
+    expect(plan.action).toBeNull();
+    expect(plan.removeAt).toBe(NOW + 0.5 * DAY);
+  });
+});
+
+// ---- getRemovalSchedule ----
+
+describe('getRemovalSchedule', () => {
+  test('orders pending users by removal time without acting', () => {
+    db.getPending.mockReturnValue([
+      pendingUser({ id: 1, joinedDaysAgo: 1 }),
+      pendingUser({ id: 2, joinedDaysAgo: 6, warnings: 2, lastWarnedDaysAgo: 0 }),
+    ]);
+    const schedule = deadline.getRemovalSchedule(NOW);
+    expect(schedule.map((s) => s.user.user_id)).toEqual([2, 1]);
+    expect(db.recordKick).not.toHaveBeenCalled();
+  });
+
+  test('leaves out join requesters, like the sweep', () => {
+    db.getPending.mockReturnValue([pendingUser({ id: 1, joinedDaysAgo: 1 }), pendingUser({ id: 2, joinedDaysAgo: 2 })]);
+    db.getJoinRequest.mockImplementation((userId) => (userId === 2 ? { user_id: 2, chat_id: MAIN_GROUP } : null));
+    expect(deadline.getRemovalSchedule(NOW).map((s) => s.user.user_id)).toEqual([1]);
+  });
+});
+
+// ---- startSweep ----
+
+describe('startSweep', () => {
+  test('runs an immediate pass for deadlines that fell due during downtime', () => {
+    deadline.startSweep(makeTelegram());
+    expect(db.getPending).toHaveBeenCalled();
+  });
+});
+
+// ---- runSweep ----
+
+describe('runSweep', () => {
+  test('does nothing when the feature is disabled', async () => {
+    config.isIntroDeadlineEnabled.mockReturnValue(false);
+    db.getPending.mockReturnValue([pendingUser({ joinedDaysAgo: 30, warnings: 2, lastWarnedDaysAgo: 2 })]);
+    const telegram = makeTelegram();
+    await deadline.runSweep(telegram);
+    expect(telegram.banChatMember).not.toHaveBeenCalled();
+    expect(telegram.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('warns by DM and records the warning', async () => {
+    db.getPending.mockReturnValue([pendingUser({ id: 5, joinedDaysAgo: 3 })]);
+    const telegram = makeTelegram();
+    await deadline.runSweep(telegram);
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+    expect(telegram.sendMessage).toHaveBeenCalledWith(5, expect.stringContaining('4 days left'));
+    expect(db.recordDeadlineWarning).toHaveBeenCalledWith(5, 1);
+  });
+
+  test('falls back to a group mention when the DM fails', async () => {
+    db.getPending.mockReturnValue([pendingUser({ id: 5, joinedDaysAgo: 3 })]);
+    const telegram = makeTelegram();
+    telegram.sendMessage
+      .mockRejectedValueOnce(Object.assign(new Error('bot was blocked by the user'), { code: 403 }))
+      .mockResolvedValueOnce({ message_id: 2 });
+    await deadline.runSweep(telegram);
+    expect(telegram.sendMessage).toHaveBeenLastCalledWith(MAIN_GROUP, expect.stringContaining('@lurker'));
+    expect(db.setDmOpen).toHaveBeenCalledWith(5, false);
+    expect(db.recordDeadlineWarning).toHaveBeenCalledWith(5, 1);
+  });
+
+  test('warns in the group without trying a DM the member has not opened', async () => {
+    db.isDmOpen.mockReturnValue(false);
+    db.getPending.mockReturnValue([pendingUser({ id: 5, joinedDaysAgo: 3 })]);
+    const telegram = makeTelegram();
+    await deadline.runSweep(telegram);
+    expect(telegram.sendMessage).toHaveBeenCalledTimes(1);
+    expect(telegram.sendMessage).toHaveBeenCalledWith(MAIN_GROUP, expect.stringContaining('@lurker'));
+    expect(db.recordDeadlineWarning).toHaveBeenCalledWith(5, 1);
+  });
+
+  test('leaves join requesters to the join request timeout', async () => {
+    db.getPending.mockReturnValue([pendingUser({ id: 5, joinedDaysAgo: 8, warnings: 2, lastWarnedDaysAgo: 2 })]);
+    db.getJoinRequest.mockReturnValue({ user_id: 5, chat_id: MAIN_GROUP, expires_at: NOW + DAY });
+    const telegram = makeTelegram();
+    await deadline.runSweep(telegram);
+    expect(telegram.banChatMember).not.toHaveBeenCalled();
+    expect(telegram.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('kicks with ban + unban, records the kick and removes the welcome message', async () => {
+    db.getPending.mockReturnValue([
+      pendingUser({ id: 5, joinedDaysAgo: 8, warnings: 2, lastWarnedDaysAgo: 2, welcomeMsgId: 44 }),
+    ]);
+    const telegram = makeTelegram();
+    await deadline.runSweep(telegram);
+    expect(telegram.banChatMember).toHaveBeenCalledWith(MAIN_GROUP, 5);
+    expect(telegram.unbanChatMember).toHaveBeenCalledWith(MAIN_GROUP, 5, { only_if_banned: true });
+    expect(db.recordKick).toHaveBeenCalledWith(5, 'intro_deadline');
+    expect(telegram.deleteMessage).toHaveBeenCalledWith(MAIN_GROUP, 44);
+  });
+
+  test('does not record a kick that Telegram rejected', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.getPending.mockReturnValue([pendingUser({ id: 5, joinedDaysAgo: 8, warnings: 2, lastWarnedDaysAgo: 2 })]);
+    const telegram = makeTelegram();
+    telegram.banChatMember.mockRejectedValue(new Error('not enough rights'));
+    await deadline.runSweep(telegram);
+    expect(db.recordKick).not.toHaveBeenCalled();
+  });
+
+  test('never warns or kicks admins', async () => {
+    adminCache.isAdmin.mockResolvedValue(true);
+    db.getPending.mockReturnValue([pendingUser({ id: 5, joinedDaysAgo: 8, warnings: 2, lastWarnedDaysAgo: 2 })]);
+    const telegram = makeTelegram();
+    await deadline.runSweep(telegram);
+    expect(telegram.banChatMember).not.toHaveBeenCalled();
+  });
+});
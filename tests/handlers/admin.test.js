@@ -2,7 +2,23 @@
 
 jest.mock('../../src/db');
 jest.mock('../../src/adminCache');
+jest.mock('../../src/permissions');
+jest.mock('../../src/deadline');
+jest.mock('../../src/handlers/joinRequest');
+jest.mock('../../src/templates', () => ({
+  TEMPLATE_NAMES: ['welcome', 'reminder', 'accepted', 'nudge'],
+  isTemplateName: jest.fn(),
+  validateTemplate: jest.fn(),
+  getCustomTemplate: jest.fn(),
+  setCustomTemplate: jest.fn(),
+  resetTemplate: jest.fn(),
+  render: jest.fn(),
+}));
 jest.mock('../../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
+  setDefaultLocale: jest.fn(),
+  LOCALE_NAMES: { en: 'English', ms: 'Bahasa Melayu', zh: '中文' },
   getMainGroupId: jest.fn(() => -100111),
   setMainGroupId: jest.fn(),
   getIntroChannelId: jest.fn(() => -100999),
@@ -11,18 +27,81 @@ jest.mock('../../src/config', () => ({
   setIntroTopicId: jest.fn(),
   isMainGroupFromEnv: jest.fn(() => false),
   isIntroChannelFromEnv: jest.fn(() => false),
+  INTRO_LOCATIONS_MAX: 3,
+  getIntroLocations: jest.fn(),
+  setIntroLocations: jest.fn(),
+  isValidTrackName: (track) => /^[a-z0-9][a-z0-9_-]*$/.test(track ?? ''),
+  introLink: (chatId, topicId) => `https://t.me/c/${String(chatId).replace(/^-100/, '')}${topicId ? `/${topicId}` : ''}`,
+  getAdminChatId: jest.fn(),
+  setAdminChatId: jest.fn(),
+  setAdminTopicId: jest.fn(),
+  isAdminChatFromEnv: jest.fn(() => false),
+  setCaptchaEnabled: jest.fn(),
+  GATE_MODES: ['delete', 'mute', 'request'],
+  getGateMode: jest.fn(() => 'delete'),
+  JOIN_REQUEST_TIMEOUT_HOURS: 48,
+  setGateMode: jest.fn(),
+  isIntroDeadlineEnabled: jest.fn(() => false),
+  setIntroDeadlineEnabled: jest.fn(),
+  setIntroAnnounceEnabled: jest.fn(),
+  INTRO_ANNOUNCE_INTERVAL_MS: 10 * 60_000,
+  GRACE_MESSAGES_MAX: 20,
+  GRACE_MINUTES_MAX: 1440,
+  setGracePolicy: jest.fn(),
+  getGracePolicy: jest.fn(),
+  isGraceEnabled: jest.fn(),
+  GATE_EXEMPT_TOPICS_MAX: 20,
+  getGateExemptTopics: jest.fn(),
+  setGateExemptTopics: jest.fn(),
+  VIOLATION_MUTE_MINUTES_MAX: 10080,
+  VIOLATION_LADDER_MAX_STEPS: 10,
+  parseViolationLadder: jest.fn(),
+  formatViolationLadder: jest.fn(),
+  getViolationLadder: jest.fn(),
+  setViolationLadder: jest.fn(),
+  parseRejoinReintroDays: (value) => (/^\d+$/.test(value ?? '') ? Number(value) : null),
+  setRejoinReintroDays: jest.fn(),
+  INTRO_EDIT_POLICIES: ['ignore', 'notify', 'reset'],
+  setIntroEditPolicy: jest.fn(),
+  INTRO_REVIEW_MODES: ['auto', 'review', 'hybrid'],
+  setIntroReviewMode: jest.fn(),
+  INTRO_RUBRIC_SECTIONS: ['identity', 'role', 'location', 'fun_fact', 'contribution'],
+  INTRO_RUBRIC_MAX_WEIGHT: 10,
+  getIntroRubricWeights: jest.fn(),
+  setIntroRubricWeight: jest.fn(),
+  getIntroPassThreshold: jest.fn(),
+  setIntroPassThreshold: jest.fn(),
+  INTRO_TAG_KINDS: ['skill', 'location', 'role'],
+  getIntroTags: jest.fn(),
+  setIntroTags: jest.fn(),
+  isValidTagName: (tag) => /^[a-z0-9][a-z0-9+#.-]*$/.test(tag ?? ''),
+  INTRO_WARNING_DAYS: [3, 6],
   EPHEMERAL_REPLY_TTL_MS: 0, // fire immediately so timers don't linger
   PENDING_PAGE_SIZE: 50,
+  SEARCH_PAGE_SIZE: 2,
+  WHOIS_PAGE_LENGTH: 40,
+  messageLink: (chatId, messageId) => `https://t.me/c/${String(chatId).replace(/^-100/, '')}/${messageId}`,
+  INVITE_LINK_NAME_MAX_LENGTH: 32,
   sanitizeName: jest.fn((name) => name || 'N/A'),
 }));
 
 const db = require('../../src/db');
 const adminCache = require('../../src/adminCache');
 const config = require('../../src/config');
+const permissions = require('../../src/permissions');
+const deadline = require('../../src/deadline');
+const joinRequest = require('../../src/handlers/joinRequest');
+const templates = require('../../src/templates');
 const admin = require('../../src/handlers/admin');
 
 const MAIN_GROUP = -100111;
+const TAGS = {
+  rust: { kind: 'skill', keywords: ['rust'] },
+  react: { kind: 'skill', keywords: ['react', 'reactjs'] },
+  penang: { kind: 'location', keywords: ['penang'] },
+};
 const INTRO_CHANNEL = -100999;
+const LOCATION = { chatId: INTRO_CHANNEL, topicId: null, track: null, weights: null, threshold: null, accepted: null };
 const OTHER_CHAT = -100333;
 
 function makeBot() {
@@ -39,6 +118,7 @@ function makeCtx({
   userId = 1,
   text = '',
   replyTo = null,
+  threadId = undefined,
 } = {}) {
   return {
     chat: { id: chatId, type: chatType },
@@ -46,6 +126,8 @@ function makeCtx({
     message: {
       text,
       reply_to_message: replyTo,
+      message_thread_id: threadId,
+      ...(threadId !== undefined ? { is_topic_message: true } : {}),
     },
     reply: jest.fn().mockResolvedValue({ message_id: 888 }),
     telegram: {
@@ -67,10 +149,21 @@ beforeEach(() => {
   config.getMainGroupId.mockReturnValue(-100111);
   config.getIntroChannelId.mockReturnValue(-100999);
   config.getIntroTopicId.mockReturnValue(null);
+  config.getIntroLocations.mockImplementation(() => [structuredClone(LOCATION)]);
   config.isMainGroupFromEnv.mockReturnValue(false);
   config.isIntroChannelFromEnv.mockReturnValue(false);
+  config.getDefaultLocale.mockReturnValue('en');
   config.sanitizeName.mockImplementation((name) => name || 'N/A');
+  config.getIntroRubricWeights.mockReturnValue({ identity: 1, role: 1, location: 1, fun_fact: 1, contribution: 1 });
+  config.getIntroPassThreshold.mockReturnValue(2);
+  config.getIntroTags.mockImplementation(() => structuredClone(TAGS));
+  db.getUserTags.mockReturnValue([]);
+  db.getTagCounts.mockReturnValue({});
+  db.getIntroRejections.mockReturnValue([]);
+  db.getViolationSteps.mockReturnValue([]);
   adminCache.isAdmin.mockResolvedValue(true); // admin by default
+  templates.isTemplateName.mockImplementation((name) => templates.TEMPLATE_NAMES.includes(name));
+  templates.validateTemplate.mockReturnValue(null);
   bot = makeBot();
   admin.register(bot);
 });
@@ -121,23 +214,220 @@ describe('/setintro', () => {
     const ctx = makeCtx({ chatType: 'private' });
     await bot.getCommand('setintro')(ctx);
     expect(ctx.reply).toHaveBeenCalled();
-    expect(config.setIntroChannelId).not.toHaveBeenCalled();
+    expect(config.setIntroLocations).not.toHaveBeenCalled();
   });
 
   test('rejects if the intro channel would be the same as the main group', async () => {
-    config.getIntroChannelId.mockReturnValue(null);
+    config.getIntroLocations.mockReturnValue([]);
     const ctx = makeCtx({ chatId: MAIN_GROUP }); // same as main group
     await bot.getCommand('setintro')(ctx);
-    expect(config.setIntroChannelId).not.toHaveBeenCalled();
+    expect(config.setIntroLocations).not.toHaveBeenCalled();
     expect(ctx.reply).toHaveBeenCalled();
   });
 
   test('sets the intro channel when called by a group admin', async () => {
-    config.getIntroChannelId.mockReturnValue(null); // not set yet
+    config.getIntroLocations.mockReturnValue([]); // not set yet
     const ctx = makeCtx({ chatId: OTHER_CHAT });
     await bot.getCommand('setintro')(ctx);
-    expect(db.setSetting).toHaveBeenCalledWith('INTRO_CHANNEL_ID', OTHER_CHAT);
-    expect(config.setIntroChannelId).toHaveBeenCalledWith(OTHER_CHAT);
+    expect(config.setIntroLocations).toHaveBeenCalledWith([{ chatId: OTHER_CHAT, topicId: null, track: null }]);
+    expect(db.setSetting).toHaveBeenCalledWith('INTRO_LOCATIONS', expect.any(String));
+  });
+
+  test('adds a topic as a further intro location with its track', async () => {
+    const ctx = makeCtx({ chatId: MAIN_GROUP, threadId: 7, text: '/setintro Designers' });
+    await bot.getCommand('setintro')(ctx);
+    expect(config.setIntroLocations).toHaveBeenCalledWith([
+      LOCATION,
+      { chatId: MAIN_GROUP, topicId: 7, track: 'designers' },
+    ]);
+    expect(ctx.reply.mock.calls[0][0]).toContain('2 intro locations');
+  });
+
+  test('renames the track of a location already set', async () => {
+    const ctx = makeCtx({ chatId: INTRO_CHANNEL, text: '/setintro builders' });
+    await bot.getCommand('setintro')(ctx);
+    expect(config.setIntroLocations).toHaveBeenCalledWith([{ ...LOCATION, track: 'builders' }]);
+  });
+
+  test('rejects a track name with odd characters', async () => {
+    const ctx = makeCtx({ chatId: OTHER_CHAT, text: '/setintro bad!name' });
+    await bot.getCommand('setintro')(ctx);
+    expect(config.setIntroLocations).not.toHaveBeenCalled();
+    expect(ctx.reply.mock.calls[0][0]).toContain('Usage');
+  });
+
+  test('only main group admins may add a location beside ones in other chats', async () => {
+    adminCache.isAdmin.mockImplementation(async (telegram, chatId) => chatId !== MAIN_GROUP);
+    const ctx = makeCtx({ chatId: OTHER_CHAT });
+    await bot.getCommand('setintro')(ctx);
+    expect(config.setIntroLocations).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalled();
+  });
+
+  test('refuses a location past the limit', async () => {
+    config.getIntroLocations.mockReturnValue([1, 2, 3].map((topicId) => ({ ...LOCATION, chatId: MAIN_GROUP, topicId })));
+    const ctx = makeCtx({ chatId: OTHER_CHAT });
+    await bot.getCommand('setintro')(ctx);
+    expect(config.setIntroLocations).not.toHaveBeenCalled();
+    expect(ctx.reply.mock.calls[0][0]).toContain('3');
+  });
+});
+
+// ---- /listintros ----
+
+describe('/listintros', () => {
+  test('lists each location with its track, rubric and accepted message', async () => {
+    config.getIntroLocations.mockReturnValue([
+      LOCATION,
+      { ...LOCATION, chatId: MAIN_GROUP, topicId: 7, track: 'builders', weights: { contribution: 3 }, threshold: 4, accepted: 'Welcome, builder!' },
+    ]);
+    const ctx = makeCtx({ text: '/listintros' });
+    await bot.getCommand('listintros')(ctx);
+    const text = ctx.reply.mock.calls[0][0];
+    expect(text).toContain('1. https://t.me/c/999 (primary)');
+    expect(text).toContain('2. https://t.me/c/111/7 — builders');
+    expect(text).toContain('passes at 4 of 7 (contribution 3)');
+    expect(text).toContain('Welcome, builder!');
+  });
+});
+
+// ---- /removeintro ----
+
+describe('/removeintro', () => {
+  test('removes the numbered location', async () => {
+    config.getIntroLocations.mockReturnValue([LOCATION, { ...LOCATION, chatId: OTHER_CHAT }]);
+    const ctx = makeCtx({ text: '/removeintro 2' });
+    await bot.getCommand('removeintro')(ctx);
+    expect(config.setIntroLocations).toHaveBeenCalledWith([LOCATION]);
+  });
+
+  test('rejects a number with no location', async () => {
+    const ctx = makeCtx({ text: '/removeintro 2' });
+    await bot.getCommand('removeintro')(ctx);
+    expect(config.setIntroLocations).not.toHaveBeenCalled();
+    expect(ctx.reply.mock.calls[0][0]).toContain('Usage');
+  });
+
+  test('keeps a primary location set by env var', async () => {
+    config.isIntroChannelFromEnv.mockReturnValue(true);
+    const ctx = makeCtx({ text: '/removeintro 1' });
+    await bot.getCommand('removeintro')(ctx);
+    expect(config.setIntroLocations).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalled();
+  });
+});
+
+// ---- /introrubric ----
+
+describe('/introrubric', () => {
+  test('shows the rubric the location scores with', async () => {
+    const ctx = makeCtx({ text: '/introrubric 1' });
+    await bot.getCommand('introrubric')(ctx);
+    expect(ctx.reply.mock.calls[0][0]).toContain('passes at 2 out of 5');
+  });
+
+  test('overrides one section weight for the location', async () => {
+    const ctx = makeCtx({ text: '/introrubric 1 weight contribution 3' });
+    await bot.getCommand('introrubric')(ctx);
+    expect(config.setIntroLocations).toHaveBeenCalledWith([{ ...LOCATION, weights: { contribution: 3 } }]);
+    expect(config.setIntroRubricWeight).not.toHaveBeenCalled();
+  });
+
+  test('sets the location threshold', async () => {
+    const ctx = makeCtx({ text: '/introrubric 1 threshold 4' });
+    await bot.getCommand('introrubric')(ctx);
+    expect(config.setIntroLocations).toHaveBeenCalledWith([{ ...LOCATION, threshold: 4 }]);
+  });
+
+  test('refuses a threshold the location rubric cannot reach', async () => {
+    const ctx = makeCtx({ text: '/introrubric 1 threshold 9' });
+    await bot.getCommand('introrubric')(ctx);
+    expect(config.setIntroLocations).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalled();
+  });
+
+  test('reset drops the overrides', async () => {
+    config.getIntroLocations.mockReturnValue([{ ...LOCATION, weights: { role: 2 }, threshold: 3 }]);
+    const ctx = makeCtx({ text: '/introrubric 1 reset' });
+    await bot.getCommand('introrubric')(ctx);
+    expect(config.setIntroLocations).toHaveBeenCalledWith([LOCATION]);
+  });
+});
+
+// ---- /introaccepted ----
+
+describe('/introaccepted', () => {
+  test('sets the location accepted message', async () => {
+    const ctx = makeCtx({ text: '/introaccepted 1 Welcome aboard, {first_name}!' });
+    await bot.getCommand('introaccepted')(ctx);
+    expect(templates.validateTemplate).toHaveBeenCalledWith('Welcome aboard, {first_name}!', 'accepted');
+    expect(config.setIntroLocations).toHaveBeenCalledWith([{ ...LOCATION, accepted: 'Welcome aboard, {first_name}!' }]);
+  });
+
+  test('refuses text the template check rejects', async () => {
+    templates.validateTemplate.mockReturnValue('Unknown placeholder');
+    const ctx = makeCtx({ text: '/introaccepted 1 Hi {nope}' });
+    await bot.getCommand('introaccepted')(ctx);
+    expect(config.setIntroLocations).not.toHaveBeenCalled();
+    expect(ctx.reply.mock.calls[0][0]).toBe('Unknown placeholder');
+  });
+
+  test('reset goes back to the accepted template', async () => {
+    config.getIntroLocations.mockReturnValue([{ ...LOCATION, accepted: 'Hi' }]);
+    const ctx = makeCtx({ text: '/introaccepted 1 reset' });
+    await bot.getCommand('introaccepted')(ctx);
+    expect(config.setIntroLocations).toHaveBeenCalledWith([LOCATION]);
+  });
+});
+
+// ---- /setadminchat ----
+
+describe('/setadminchat', () => {
+  test('sets the admin chat when called by a main group admin', async () => {
+    const ctx = makeCtx({ chatId: OTHER_CHAT });
+    await bot.getCommand('setadminchat')(ctx);
+    expect(adminCache.isAdmin).toHaveBeenCalledWith(ctx.telegram, MAIN_GROUP, 1);
+    expect(db.setSetting).toHaveBeenCalledWith('ADMIN_CHAT_ID', OTHER_CHAT);
+    expect(db.setSetting).toHaveBeenCalledWith('ADMIN_TOPIC_ID', '0');
+    expect(config.setAdminChatId).toHaveBeenCalledWith(OTHER_CHAT);
+    expect(config.setAdminTopicId).toHaveBeenCalledWith(null);
+  });
+
+  test('records the forum topic it was run in', async () => {
+    const ctx = makeCtx({ chatId: OTHER_CHAT });
+    ctx.message.message_thread_id = 12;
+    await bot.getCommand('setadminchat')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('ADMIN_TOPIC_ID', '12');
+    expect(config.setAdminTopicId).toHaveBeenCalledWith(12);
+  });
+
+  test('ignores users who are not main group admins', async () => {
+    adminCache.isAdmin.mockResolvedValue(false);
+    await bot.getCommand('setadminchat')(makeCtx({ chatId: OTHER_CHAT }));
+    expect(config.setAdminChatId).not.toHaveBeenCalled();
+  });
+
+  test('refuses the main group, where every member would see the notices', async () => {
+    const ctx = makeCtx({ chatId: MAIN_GROUP });
+    await bot.getCommand('setadminchat')(ctx);
+    expect(config.setAdminChatId).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('visible to every member'));
+  });
+
+  test('refuses before a main group is set', async () => {
+    config.getMainGroupId.mockReturnValue(null);
+    const ctx = makeCtx({ chatId: OTHER_CHAT });
+    await bot.getCommand('setadminchat')(ctx);
+    expect(config.setAdminChatId).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('/setgroup'));
+  });
+
+  test('refuses when the admin chat comes from the environment', async () => {
+    config.isAdminChatFromEnv.mockReturnValue(true);
+    const ctx = makeCtx({ chatId: OTHER_CHAT });
+    await bot.getCommand('setadminchat')(ctx);
+    expect(config.setAdminChatId).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('ADMIN_CHAT_ID'));
   });
 });
 
@@ -162,6 +452,13 @@ describe('/approve', () => {
     expect(db.markIntroduced).toHaveBeenCalledWith(777, null);
   });
 
+  test('lets in a user whose join request is waiting on their intro', async () => {
+    db.getUser.mockReturnValue({ user_id: 999 });
+    const ctx = makeCtx({ text: '/approve 999' });
+    await bot.getCommand('approve')(ctx);
+    expect(joinRequest.approveRequest).toHaveBeenCalledWith(ctx.telegram, 999);
+  });
+
   test('creates a DB record if the user is not found before approving', async () => {
     db.getUser.mockReturnValue(null);
     const ctx = makeCtx({ text: '/approve 999' });
@@ -170,6 +467,13 @@ describe('/approve', () => {
     expect(db.markIntroduced).toHaveBeenCalledWith(999, null);
   });
 
+  test('lifts the gate for the approved user', async () => {
+    db.getUser.mockReturnValue({ user_id: 999 });
+    const ctx = makeCtx({ text: '/approve 999' });
+    await bot.getCommand('approve')(ctx);
+    expect(permissions.liftGate).toHaveBeenCalledWith(ctx.telegram, 999);
+  });
+
   test('rejects with usage hint when no target is given', async () => {
     const ctx = makeCtx({ text: '/approve' });
     await bot.getCommand('approve')(ctx);
@@ -202,6 +506,13 @@ describe('/reset', () => {
     expect(ctx.reply).toHaveBeenCalled();
   });
 
+  test('re-applies the gate to the reset user', async () => {
+    db.getUser.mockReturnValue({ user_id: 999, introduced: 1 });
+    const ctx = makeCtx({ text: '/reset 999' });
+    await bot.getCommand('reset')(ctx);
+    expect(permissions.applyGate).toHaveBeenCalledWith(ctx.telegram, 999);
+  });
+
   test('replies with an error when the user is not found', async () => {
     db.getUser.mockReturnValue(null);
     const ctx = makeCtx({ text: '/reset 999' });
@@ -249,6 +560,97 @@ describe('/status', () => {
     await bot.getCommand('status')(ctx);
     expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('not found'));
   });
+
+  test('shows when and how a member left', async () => {
+    db.getUser.mockReturnValue({
+      user_id: 999,
+      first_name: 'Ali',
+      username: 'ali',
+      introduced: 1,
+      joined_at: '2024-01-01',
+      introduced_at: '2024-01-02',
+      left_at: '2024-02-01 10:00:00',
+      left_reason: 'banned',
+    });
+    const ctx = makeCtx({ text: '/status 999' });
+    await bot.getCommand('status')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Left: 2024-02-01 10:00:00 (banned)'));
+  });
+
+  test('shows the intro score and media when recorded', async () => {
+    db.getUser.mockReturnValue({
+      user_id: 999,
+      first_name: 'Ali',
+      introduced: 1,
+      joined_at: '2024-01-01',
+      introduced_at: '2024-01-02',
+      intro_score: 4,
+      intro_media: 'photo',
+    });
+    const ctx = makeCtx({ text: '/status 999' });
+    await bot.getCommand('status')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Intro score: 4'));
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Intro posted as: photo with caption'));
+  });
+
+  test('shows who reviewed the intro and how long it took', async () => {
+    db.getUser.mockReturnValue({ user_id: 999, first_name: 'Ali', introduced: 1, introduced_at: '2024-01-02' });
+    db.getLatestIntroReview.mockReturnValue({
+      decision: 'approved', decided_by: 7, submitted_at: 0, decided_at: 95 * 60_000,
+    });
+    const ctx = makeCtx({ text: '/status 999' });
+    await bot.getCommand('status')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Review: approved by ID 7 after 1 h 35 min'));
+  });
+
+  test('shows an intro still waiting for review', async () => {
+    db.getUser.mockReturnValue({ user_id: 999, first_name: 'Ali', introduced: 0 });
+    db.getPendingIntroReview.mockReturnValue({ submitted_at: Date.UTC(2024, 0, 2, 9, 30) });
+    const ctx = makeCtx({ text: '/status 999' });
+    await bot.getCommand('status')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(
+      expect.stringContaining('Intro waiting for review since: 2024-01-02 09:30 UTC'),
+    );
+  });
+
+  test('shows grace period messages used by a pending member', async () => {
+    db.getUser.mockReturnValue({ user_id: 999, first_name: 'Ali', introduced: 0 });
+    db.getGraceUsage.mockReturnValue({ user_id: 999, started_at: '2024-01-01 08:00:00', messages: 3, reminded: 1 });
+    const ctx = makeCtx({ text: '/status 999' });
+    await bot.getCommand('status')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Grace messages used: 3 (grace period over)'));
+  });
+
+  test('shows removed messages and escalation steps', async () => {
+    db.getUser.mockReturnValue({ user_id: 999, first_name: 'Ali', introduced: 0 });
+    db.getViolations.mockReturnValue({ user_id: 999, count: 4, last_at: '2024-01-03 08:00:00', muted_until: '2024-01-03 09:00:00' });
+    permissions.isLadderMuted.mockReturnValue(true);
+    db.getViolationSteps.mockReturnValue([
+      { violation: 4, action: 'remind', taken_at: '2024-01-03 08:00:00' },
+      { violation: 3, action: 'mute', minutes: 60, taken_at: '2024-01-02 08:00:00' },
+      { violation: 2, action: 'remind', taken_at: '2024-01-01 09:00:00' },
+      { violation: 1, action: 'remind', taken_at: '2024-01-01 08:00:00' },
+    ]);
+    const ctx = makeCtx({ text: '/status 999' });
+    await bot.getCommand('status')(ctx);
+    const reply = ctx.reply.mock.calls[0][0];
+    expect(reply).toContain('Removed messages: 4 (latest 2024-01-03 08:00:00; muted until 2024-01-03 09:00:00)');
+    expect(reply).toContain('Escalation steps: reminded 3, muted 60 min at 3 (2024-01-02 08:00:00)');
+  });
+
+  test('counts intros the anti-gaming guards rejected, by reason', async () => {
+    db.getUser.mockReturnValue({ user_id: 999, first_name: 'Ali', introduced: 0 });
+    db.getIntroRejections.mockReturnValue([
+      { reason: 'links', rejected_at: '2024-01-03 08:00:00' },
+      { reason: 'forwarded', rejected_at: '2024-01-02 08:00:00' },
+      { reason: 'links', rejected_at: '2024-01-01 08:00:00' },
+    ]);
+    const ctx = makeCtx({ text: '/status 999' });
+    await bot.getCommand('status')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(
+      expect.stringContaining('Rejected intros: 3 (links 2, forwarded 1; latest 2024-01-03 08:00:00)'),
+    );
+  });
 });
 
 // ---- /pending ----
@@ -278,3 +680,864 @@ describe('/pending', () => {
     expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('No results'));
   });
 });
+
+// ---- /whois ----
+
+describe('/whois', () => {
+  const ALI = { user_id: 42, first_name: 'Ali', username: 'ali', joined_at: '2026-01-20 12:00:00', introduced: 1,
+    introduced_at: '2026-01-20 13:00:00', intro_msg_id: 77 };
+
+  beforeEach(() => {
+    db.getUser.mockReturnValue(ALI);
+  });
+
+  test('shows the archived intro with a link to it', async () => {
+    db.getIntroText.mockReturnValue({ text: 'Rust developer in Penang', chat_id: -100999, msg_id: 77 });
+    const ctx = makeCtx({ text: '/whois 42' });
+    await bot.getCommand('whois')(ctx);
+    const reply = ctx.reply.mock.calls[0][0];
+    expect(reply).toContain('Ali (@ali) -- ID: 42');
+    expect(reply).toContain('Intro: https://t.me/c/999/77');
+    expect(reply).toContain('Rust developer in Penang');
+    expect(reply).not.toContain('Tags:');
+  });
+
+  test('lists the member\'s tags', async () => {
+    db.getIntroText.mockReturnValue({ text: 'Rust developer in Penang', chat_id: -100999, msg_id: 77 });
+    db.getUserTags.mockReturnValue([{ tag: 'rust', kind: 'skill', source: 'intro' }, { tag: 'penang', kind: 'location' }]);
+    const ctx = makeCtx({ text: '/whois 42' });
+    await bot.getCommand('whois')(ctx);
+    expect(ctx.reply.mock.calls[0][0]).toContain('Tags: rust, penang');
+  });
+
+  test('pages an intro longer than one message', async () => {
+    db.getIntroText.mockReturnValue({ text: `${'word '.repeat(10)}ending`, chat_id: -100999, msg_id: 77 });
+    const first = makeCtx({ text: '/whois 42' });
+    await bot.getCommand('whois')(first);
+    expect(first.reply.mock.calls[0][0]).toContain('Intro — page 1/2');
+    expect(first.reply.mock.calls[0][0]).toContain('Use /whois 42 2 for next page.');
+
+    const second = makeCtx({ text: '/whois 42 2' });
+    await bot.getCommand('whois')(second);
+    expect(second.reply.mock.calls[0][0]).toMatch(/page 2\/2:\n(word )*ending$/);
+  });
+
+  test('links the intro message when no text is on record', async () => {
+    db.getIntroText.mockReturnValue(null);
+    const ctx = makeCtx({ text: '/whois', replyTo: { from: { id: 42 } } });
+    await bot.getCommand('whois')(ctx);
+    expect(ctx.reply.mock.calls[0][0]).toContain('https://t.me/c/999/77');
+    expect(ctx.reply.mock.calls[0][0]).toContain('No intro text on record.');
+  });
+
+  test('replies with usage when no user is given', async () => {
+    const ctx = makeCtx({ text: '/whois' });
+    await bot.getCommand('whois')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage: /whois'));
+  });
+});
+
+// ---- /search ----
+
+describe('/search', () => {
+  const result = (id, name) => ({
+    user_id: id, first_name: name, username: name.toLowerCase(), intro_chat_id: -100999, intro_msg_id: id * 10,
+    snippet: `…${name} writes Rust…`,
+  });
+
+  test('lists matching members with a snippet and link', async () => {
+    db.searchIntros.mockReturnValue([result(1, 'Ali')]);
+    const ctx = makeCtx({ text: '/search rust penang' });
+    await bot.getCommand('search')(ctx);
+    expect(db.searchIntros).toHaveBeenCalledWith(['rust', 'penang']);
+    const reply = ctx.reply.mock.calls[0][0];
+    expect(reply).toContain('Intros matching "rust penang" (1) — page 1/1');
+    expect(reply).toContain('- Ali (@ali) -- ID: 1 -- https://t.me/c/999/10\n  …Ali writes Rust…');
+  });
+
+  test('a trailing number picks the page', async () => {
+    db.searchIntros.mockReturnValue([result(1, 'Ali'), result(2, 'Mei'), result(3, 'Raj')]);
+    const first = makeCtx({ text: '/search rust' });
+    await bot.getCommand('search')(first);
+    expect(first.reply.mock.calls[0][0]).toContain('Use /search rust 2 for next page.');
+
+    const second = makeCtx({ text: '/search rust 2' });
+    await bot.getCommand('search')(second);
+    expect(db.searchIntros).toHaveBeenLastCalledWith(['rust']);
+    expect(second.reply.mock.calls[0][0]).toContain('Raj');
+    expect(second.reply.mock.calls[0][0]).not.toContain('Ali');
+  });
+
+  test('a lone number is a search term', async () => {
+    db.searchIntros.mockReturnValue([]);
+    const ctx = makeCtx({ text: '/search 2026' });
+    await bot.getCommand('search')(ctx);
+    expect(db.searchIntros).toHaveBeenCalledWith(['2026']);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('No intros match'));
+  });
+
+  test('replies with usage without terms', async () => {
+    const ctx = makeCtx({ text: '/search' });
+    await bot.getCommand('search')(ctx);
+    expect(db.searchIntros).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage: /search'));
+  });
+});
+
+// ---- /tags ----
+
+describe('/tags', () => {
+  test('counts members per tag, by kind', async () => {
+    db.getTagCounts.mockReturnValue({ rust: 4, penang: 2 });
+    const ctx = makeCtx({ text: '/tags' });
+    await bot.getCommand('tags')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(
+      'Members per intro tag:\n\nskill: rust 4, react 0\nlocation: penang 2\nrole: none',
+    );
+  });
+
+  test('shows the keywords behind a tag, found by any of its keywords', async () => {
+    const ctx = makeCtx({ text: '/tags reactjs' });
+    await bot.getCommand('tags')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('react (skill), 0 members. Given to intros that mention: react, reactjs'));
+  });
+
+  test('adds a tag with its keywords and saves the dictionary', async () => {
+    const ctx = makeCtx({ text: '/tags add skill Solidity solidity, evm contracts' });
+    await bot.getCommand('tags')(ctx);
+    const updated = config.setIntroTags.mock.calls[0][0];
+    expect(updated.solidity).toEqual({ kind: 'skill', keywords: ['solidity', 'evm contracts'] });
+    expect(updated.rust).toEqual(TAGS.rust);
+    expect(db.setSetting).toHaveBeenCalledWith('INTRO_TAGS', expect.any(String));
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Tag solidity (skill)'));
+  });
+
+  test('a tag added without keywords is its own keyword', async () => {
+    await bot.getCommand('tags')(makeCtx({ text: '/tags add location ipoh' }));
+    expect(config.setIntroTags.mock.calls[0][0].ipoh).toEqual({ kind: 'location', keywords: ['ipoh'] });
+  });
+
+  test('rejects an unknown kind', async () => {
+    const ctx = makeCtx({ text: '/tags add hobby chess' });
+    await bot.getCommand('tags')(ctx);
+    expect(config.setIntroTags).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage: /tags'));
+  });
+
+  test('removes a tag from the dictionary', async () => {
+    const ctx = makeCtx({ text: '/tags remove react' });
+    await bot.getCommand('tags')(ctx);
+    expect(Object.keys(config.setIntroTags.mock.calls[0][0])).toEqual(['rust', 'penang']);
+    expect(db.setSetting).toHaveBeenCalledWith('INTRO_TAGS', expect.not.stringContaining('react'));
+  });
+
+  test('re-tags every archived intro with the current dictionary', async () => {
+    db.getAllIntroTexts.mockReturnValue([
+      { user_id: 1, text: 'Rust dev in Penang' },
+      { user_id: 2, text: 'Designer' },
+    ]);
+    const ctx = makeCtx({ text: '/tags retag' });
+    await bot.getCommand('tags')(ctx);
+    expect(db.setIntroTags).toHaveBeenCalledWith(1, [
+      { tag: 'rust', kind: 'skill', match: 'Rust' },
+      { tag: 'penang', kind: 'location', match: 'Penang' },
+    ]);
+    expect(db.setIntroTags).toHaveBeenCalledWith(2, []);
+    expect(ctx.reply).toHaveBeenCalledWith('Re-tagged 2 archived intros.');
+  });
+});
+
+// ---- /tag ----
+
+describe('/tag', () => {
+  beforeEach(() => {
+    db.getUser.mockReturnValue({ user_id: 42, username: 'ali', first_name: 'Ali' });
+  });
+
+  test('adds and removes tags for a member', async () => {
+    db.getUserTags.mockReturnValue([{ tag: 'penang' }, { tag: 'rust' }]);
+    const ctx = makeCtx({ text: '/tag 42 +rust -reactjs' });
+    await bot.getCommand('tag')(ctx);
+    expect(db.setTagCorrection).toHaveBeenCalledWith(42, 'rust', 'skill', 'added');
+    expect(db.setTagCorrection).toHaveBeenCalledWith(42, 'react', 'skill', 'removed');
+    expect(ctx.reply).toHaveBeenCalledWith('Tags for @ali: penang, rust');
+  });
+
+  test('takes the member from a replied-to message', async () => {
+    const ctx = makeCtx({ text: '/tag +penang', replyTo: { from: { id: 42, username: 'ali' } } });
+    await bot.getCommand('tag')(ctx);
+    expect(db.setTagCorrection).toHaveBeenCalledWith(42, 'penang', 'location', 'added');
+  });
+
+  test('refuses tags missing from the dictionary', async () => {
+    const ctx = makeCtx({ text: '/tag 42 +cobol +rust' });
+    await bot.getCommand('tag')(ctx);
+    expect(db.setTagCorrection).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Unknown tag: cobol'));
+  });
+
+  test('replies with usage for changes without + or -', async () => {
+    const ctx = makeCtx({ text: '/tag 42 rust' });
+    await bot.getCommand('tag')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage: /tag'));
+  });
+});
+
+// ---- /captcha ----
+
+describe('/captcha', () => {
+  test('enables the CAPTCHA and persists the setting', async () => {
+    const ctx = makeCtx({ text: '/captcha on' });
+    await bot.getCommand('captcha')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('CAPTCHA_ENABLED', '1');
+    expect(config.setCaptchaEnabled).toHaveBeenCalledWith(true);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('CAPTCHA'));
+  });
+
+  test('disables the CAPTCHA and persists the setting', async () => {
+    const ctx = makeCtx({ text: '/captcha OFF' });
+    await bot.getCommand('captcha')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('CAPTCHA_ENABLED', '0');
+    expect(config.setCaptchaEnabled).toHaveBeenCalledWith(false);
+  });
+
+  test('rejects with usage hint for an unknown argument', async () => {
+    const ctx = makeCtx({ text: '/captcha maybe' });
+    await bot.getCommand('captcha')(ctx);
+    expect(config.setCaptchaEnabled).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+
+  test('ignores the command from non-admins', async () => {
+    adminCache.isAdmin.mockResolvedValue(false);
+    const ctx = makeCtx({ text: '/captcha off' });
+    await bot.getCommand('captcha')(ctx);
+    expect(config.setCaptchaEnabled).not.toHaveBeenCalled();
+  });
+});
+
+// ---- /gatemode ----
+
+describe('/gatemode', () => {
+  test('switches to mute mode and persists the setting', async () => {
+    const ctx = makeCtx({ text: '/gatemode mute' });
+    await bot.getCommand('gatemode')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('GATE_MODE', 'mute');
+    expect(config.setGateMode).toHaveBeenCalledWith('mute');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('mute'));
+  });
+
+  test('switches back to delete mode', async () => {
+    const ctx = makeCtx({ text: '/gatemode delete' });
+    await bot.getCommand('gatemode')(ctx);
+    expect(config.setGateMode).toHaveBeenCalledWith('delete');
+  });
+
+  test('switches to request mode and explains the group setting it needs', async () => {
+    const ctx = makeCtx({ text: '/gatemode request' });
+    await bot.getCommand('gatemode')(ctx);
+    expect(config.setGateMode).toHaveBeenCalledWith('request');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Approve new members'));
+  });
+
+  test('rejects with usage hint for an unknown mode', async () => {
+    const ctx = makeCtx({ text: '/gatemode ban' });
+    await bot.getCommand('gatemode')(ctx);
+    expect(config.setGateMode).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+// ---- /deadline ----
+
+describe('/deadline', () => {
+  test('enables automatic removal and persists the setting', async () => {
+    const ctx = makeCtx({ text: '/deadline on' });
+    await bot.getCommand('deadline')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('INTRO_DEADLINE_ENABLED', '1');
+    expect(config.setIntroDeadlineEnabled).toHaveBeenCalledWith(true);
+  });
+
+  test('rejects with usage hint for an unknown argument', async () => {
+    const ctx = makeCtx({ text: '/deadline' });
+    await bot.getCommand('deadline')(ctx);
+    expect(config.setIntroDeadlineEnabled).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+// ---- /announce ----
+
+describe('/announce', () => {
+  test('turns announcements on and persists the setting', async () => {
+    const ctx = makeCtx({ text: '/announce on' });
+    await bot.getCommand('announce')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('INTRO_ANNOUNCE_ENABLED', '1');
+    expect(config.setIntroAnnounceEnabled).toHaveBeenCalledWith(true);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('within 10 minutes'));
+  });
+
+  test('turns announcements off', async () => {
+    const ctx = makeCtx({ text: '/announce off' });
+    await bot.getCommand('announce')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('INTRO_ANNOUNCE_ENABLED', '0');
+    expect(config.setIntroAnnounceEnabled).toHaveBeenCalledWith(false);
+  });
+
+  test('rejects with usage hint for an unknown argument', async () => {
+    const ctx = makeCtx({ text: '/announce maybe' });
+    await bot.getCommand('announce')(ctx);
+    expect(config.setIntroAnnounceEnabled).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+// ---- /grace ----
+
+describe('/grace', () => {
+  test('sets and persists the grace period', async () => {
+    config.getGracePolicy.mockReturnValue({ messages: 3, minutes: 10 });
+    config.isGraceEnabled.mockReturnValue(true);
+    const ctx = makeCtx({ text: '/grace 3 10' });
+    await bot.getCommand('grace')(ctx);
+    expect(config.setGracePolicy).toHaveBeenCalledWith({ messages: 3, minutes: 10 });
+    expect(db.setSetting).toHaveBeenCalledWith('GRACE_POLICY', JSON.stringify({ messages: 3, minutes: 10 }));
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('3 plain-text messages'));
+  });
+
+  test('turns the grace period off', async () => {
+    config.getGracePolicy.mockReturnValue({ messages: 0, minutes: 0 });
+    config.isGraceEnabled.mockReturnValue(false);
+    const ctx = makeCtx({ text: '/grace off' });
+    await bot.getCommand('grace')(ctx);
+    expect(config.setGracePolicy).toHaveBeenCalledWith({ messages: 0, minutes: 0 });
+    expect(db.setSetting).toHaveBeenCalledWith('GRACE_POLICY', JSON.stringify({ messages: 0, minutes: 0 }));
+  });
+
+  test('rejects with usage hint for invalid arguments', async () => {
+    config.setGracePolicy.mockImplementation((policy) => {
+      if (!policy || policy.messages > 20) throw new Error('Invalid grace policy');
+    });
+    for (const text of ['/grace', '/grace soon', '/grace 50 10']) {
+      const ctx = makeCtx({ text });
+      await bot.getCommand('grace')(ctx);
+      expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+    }
+    expect(db.setSetting).not.toHaveBeenCalled();
+  });
+});
+
+// ---- /gateexempt, /gateinclude ----
+
+describe('/gateexempt', () => {
+  beforeEach(() => {
+    config.getGateExemptTopics.mockReturnValue([12]);
+  });
+
+  test('exempts the topic it is run in and persists the list', async () => {
+    const ctx = makeCtx({ text: '/gateexempt', threadId: 34 });
+    await bot.getCommand('gateexempt')(ctx);
+    expect(config.setGateExemptTopics).toHaveBeenCalledWith([12, 34]);
+    expect(db.setSetting).toHaveBeenCalledWith('GATE_EXEMPT_TOPICS', '[12,34]');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('post in topic 34'));
+  });
+
+  test('accepts a topic ID', async () => {
+    const ctx = makeCtx({ text: '/gateexempt 56' });
+    await bot.getCommand('gateexempt')(ctx);
+    expect(config.setGateExemptTopics).toHaveBeenCalledWith([12, 56]);
+  });
+
+  test('lists the exempt topics when run in the General topic', async () => {
+    const ctx = makeCtx({ text: '/gateexempt' });
+    await bot.getCommand('gateexempt')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith('Topics exempt from the gate: 12');
+    expect(config.setGateExemptTopics).not.toHaveBeenCalled();
+  });
+
+  test('lists the exempt topics when run as a reply outside a forum', async () => {
+    const ctx = makeCtx({ text: '/gateexempt' });
+    ctx.message.message_thread_id = 34; // the message replied to, in a group without topics
+    await bot.getCommand('gateexempt')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith('Topics exempt from the gate: 12');
+    expect(config.setGateExemptTopics).not.toHaveBeenCalled();
+  });
+
+  test('does not add a topic twice', async () => {
+    const ctx = makeCtx({ text: '/gateexempt 12' });
+    await bot.getCommand('gateexempt')(ctx);
+    expect(db.setSetting).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('topic 12'));
+  });
+
+  test('rejects an invalid topic ID and a full list', async () => {
+    const ctx = makeCtx({ text: '/gateexempt help' });
+    await bot.getCommand('gateexempt')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+
+    config.getGateExemptTopics.mockReturnValue(Array.from({ length: 20 }, (_, i) => i + 1));
+    const full = makeCtx({ text: '/gateexempt 99' });
+    await bot.getCommand('gateexempt')(full);
+    expect(full.reply).toHaveBeenCalledWith(expect.stringContaining('At most 20'));
+    expect(config.setGateExemptTopics).not.toHaveBeenCalled();
+  });
+});
+
+describe('/gateinclude', () => {
+  beforeEach(() => {
+    config.getGateExemptTopics.mockReturnValue([12, 34]);
+  });
+
+  test('gates the topic it is run in again', async () => {
+    const ctx = makeCtx({ text: '/gateinclude', threadId: 34 });
+    await bot.getCommand('gateinclude')(ctx);
+    expect(config.setGateExemptTopics).toHaveBeenCalledWith([12]);
+    expect(db.setSetting).toHaveBeenCalledWith('GATE_EXEMPT_TOPICS', '[12]');
+  });
+
+  test('says so for a topic that is not exempt', async () => {
+    const ctx = makeCtx({ text: '/gateinclude 56' });
+    await bot.getCommand('gateinclude')(ctx);
+    expect(config.setGateExemptTopics).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Topic 56 is not exempt from the gate.');
+  });
+
+  test('rejects with usage hint in the General topic', async () => {
+    const ctx = makeCtx({ text: '/gateinclude' });
+    await bot.getCommand('gateinclude')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+// ---- /ladder ----
+
+describe('/ladder', () => {
+  const LADDER = [{ at: 3, action: 'mute', minutes: 60 }, { at: 7, action: 'kick' }];
+
+  beforeEach(() => {
+    config.formatViolationLadder.mockImplementation((ladder) => (ladder.length === 0 ? 'off' : '3:mute:60,7:kick'));
+  });
+
+  test('shows the current ladder', async () => {
+    config.getViolationLadder.mockReturnValue(LADDER);
+    const ctx = makeCtx({ text: '/ladder' });
+    await bot.getCommand('ladder')(ctx);
+    const reply = ctx.reply.mock.calls[0][0];
+    expect(reply).toContain('- 3 removed messages: mute for 60 minutes');
+    expect(reply).toContain('- 7 removed messages: remove from the group');
+  });
+
+  test('sets and persists a new ladder', async () => {
+    config.parseViolationLadder.mockReturnValue(LADDER);
+    const ctx = makeCtx({ text: '/ladder 3:mute:60, 7:kick' });
+    await bot.getCommand('ladder')(ctx);
+    expect(config.parseViolationLadder).toHaveBeenCalledWith('3:mute:60,7:kick');
+    expect(config.setViolationLadder).toHaveBeenCalledWith(LADDER);
+    expect(db.setSetting).toHaveBeenCalledWith('VIOLATION_LADDER', '3:mute:60,7:kick');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('set to 3:mute:60,7:kick'));
+  });
+
+  test('turns the ladder off', async () => {
+    config.parseViolationLadder.mockReturnValue([]);
+    const ctx = makeCtx({ text: '/ladder off' });
+    await bot.getCommand('ladder')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('VIOLATION_LADDER', 'off');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('only get reminders'));
+  });
+
+  test('rejects with usage hint for an invalid ladder', async () => {
+    config.parseViolationLadder.mockReturnValue(null);
+    const ctx = makeCtx({ text: '/ladder 3:ban' });
+    await bot.getCommand('ladder')(ctx);
+    expect(config.setViolationLadder).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+// ---- /clearviolations ----
+
+describe('/clearviolations', () => {
+  beforeEach(() => {
+    config.getGateMode.mockReturnValue('delete');
+    permissions.unmuteMember.mockResolvedValue();
+  });
+
+  test('clears the count, logging the admin, and lifts a ladder mute', async () => {
+    db.clearViolations.mockReturnValue(4);
+    permissions.isLadderMuted.mockReturnValue(true);
+    const ctx = makeCtx({ text: '/clearviolations 999' });
+    await bot.getCommand('clearviolations')(ctx);
+    expect(db.clearViolations).toHaveBeenCalledWith(999, ctx.from.id);
+    expect(permissions.unmuteMember).toHaveBeenCalledWith(ctx.telegram, -100111, 999);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('4 removed messages'));
+  });
+
+  test('keeps a pending member muted in mute gate mode', async () => {
+    config.getGateMode.mockReturnValue('mute');
+    db.clearViolations.mockReturnValue(4);
+    db.getUser.mockReturnValue({ user_id: 999, introduced: 0 });
+    permissions.isLadderMuted.mockReturnValue(true);
+    const ctx = makeCtx({ text: '/clearviolations 999' });
+    await bot.getCommand('clearviolations')(ctx);
+    expect(permissions.unmuteMember).not.toHaveBeenCalled();
+  });
+
+  test('says so when there is nothing to clear', async () => {
+    db.clearViolations.mockReturnValue(0);
+    const ctx = makeCtx({ text: '/clearviolations 999' });
+    await bot.getCommand('clearviolations')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('no removed messages'));
+  });
+
+  test('rejects with usage hint without a target', async () => {
+    const ctx = makeCtx({ text: '/clearviolations' });
+    await bot.getCommand('clearviolations')(ctx);
+    expect(db.clearViolations).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+// ---- /rejoinpolicy ----
+
+describe('/rejoinpolicy', () => {
+  test('requires re-introduction after the given absence and persists it', async () => {
+    const ctx = makeCtx({ text: '/rejoinpolicy 30' });
+    await bot.getCommand('rejoinpolicy')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('REJOIN_REINTRO_DAYS', '30');
+    expect(config.setRejoinReintroDays).toHaveBeenCalledWith(30);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('30 or more days'));
+  });
+
+  test('keeps introduced status for returning members', async () => {
+    const ctx = makeCtx({ text: '/rejoinpolicy keep' });
+    await bot.getCommand('rejoinpolicy')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('REJOIN_REINTRO_DAYS', 'keep');
+    expect(config.setRejoinReintroDays).toHaveBeenCalledWith(null);
+  });
+
+  test('rejects with usage hint for an invalid argument', async () => {
+    const ctx = makeCtx({ text: '/rejoinpolicy soon' });
+    await bot.getCommand('rejoinpolicy')(ctx);
+    expect(config.setRejoinReintroDays).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+// ---- /editpolicy ----
+
+describe('/editpolicy', () => {
+  test('sets and persists the policy for edited intros', async () => {
+    const ctx = makeCtx({ text: '/editpolicy reset' });
+    await bot.getCommand('editpolicy')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('INTRO_EDIT_POLICY', 'reset');
+    expect(config.setIntroEditPolicy).toHaveBeenCalledWith('reset');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('set back to pending'));
+  });
+
+  test('rejects with usage hint for an unknown policy', async () => {
+    const ctx = makeCtx({ text: '/editpolicy kick' });
+    await bot.getCommand('editpolicy')(ctx);
+    expect(config.setIntroEditPolicy).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+// ---- /reviewmode ----
+
+describe('/reviewmode', () => {
+  test('sets and persists the review mode', async () => {
+    config.getAdminChatId.mockReturnValue(-100555);
+    const ctx = makeCtx({ text: '/reviewmode hybrid' });
+    await bot.getCommand('reviewmode')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('INTRO_REVIEW_MODE', 'hybrid');
+    expect(config.setIntroReviewMode).toHaveBeenCalledWith('hybrid');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('close to the threshold'));
+  });
+
+  test('refuses a review mode while there is no admin chat to review in', async () => {
+    config.getAdminChatId.mockReturnValue(null);
+    const ctx = makeCtx({ text: '/reviewmode review' });
+    await bot.getCommand('reviewmode')(ctx);
+    expect(config.setIntroReviewMode).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('/setadminchat'));
+  });
+
+  test('switches back to auto without an admin chat', async () => {
+    config.getAdminChatId.mockReturnValue(null);
+    const ctx = makeCtx({ text: '/reviewmode auto' });
+    await bot.getCommand('reviewmode')(ctx);
+    expect(config.setIntroReviewMode).toHaveBeenCalledWith('auto');
+  });
+
+  test('rejects with usage hint for an unknown mode', async () => {
+    const ctx = makeCtx({ text: '/reviewmode manual' });
+    await bot.getCommand('reviewmode')(ctx);
+    expect(config.setIntroReviewMode).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+// ---- /rubric ----
+
+describe('/rubric', () => {
+  test('shows the weights and pass threshold', async () => {
+    const ctx = makeCtx({ text: '/rubric' });
+    await bot.getCommand('rubric')(ctx);
+    const text = ctx.reply.mock.calls[0][0];
+    expect(text).toContain('passes at 2 out of 5');
+    expect(text).toContain('- fun_fact: 1');
+  });
+
+  test('sets a section weight and persists the whole rubric', async () => {
+    const ctx = makeCtx({ text: '/rubric weight Role 3' });
+    await bot.getCommand('rubric')(ctx);
+    expect(config.setIntroRubricWeight).toHaveBeenCalledWith('role', 3);
+    expect(db.setSetting).toHaveBeenCalledWith(
+      'INTRO_RUBRIC_WEIGHTS',
+      JSON.stringify({ identity: 1, role: 3, location: 1, fun_fact: 1, contribution: 1 }),
+    );
+  });
+
+  test('rejects unknown sections and out-of-range weights', async () => {
+    for (const text of ['/rubric weight hobbies 2', '/rubric weight role 11', '/rubric weight role']) {
+      const ctx = makeCtx({ text });
+      await bot.getCommand('rubric')(ctx);
+      expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+    }
+    expect(config.setIntroRubricWeight).not.toHaveBeenCalled();
+  });
+
+  test('refuses weights that would leave the threshold out of reach', async () => {
+    config.getIntroPassThreshold.mockReturnValue(5);
+    const ctx = makeCtx({ text: '/rubric weight role 0' });
+    await bot.getCommand('rubric')(ctx);
+    expect(config.setIntroRubricWeight).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('No intro could pass'));
+  });
+
+  test('sets the pass threshold and persists it', async () => {
+    const ctx = makeCtx({ text: '/rubric threshold 3' });
+    await bot.getCommand('rubric')(ctx);
+    expect(config.setIntroPassThreshold).toHaveBeenCalledWith(3);
+    expect(db.setSetting).toHaveBeenCalledWith('INTRO_PASS_THRESHOLD', '3');
+  });
+
+  test('refuses a threshold above the highest possible score', async () => {
+    const ctx = makeCtx({ text: '/rubric threshold 6' });
+    await bot.getCommand('rubric')(ctx);
+    expect(config.setIntroPassThreshold).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('No intro could pass'));
+  });
+});
+
+// ---- Invite links ----
+
+describe('/newlink', () => {
+  test('creates a named invite link and records it', async () => {
+    const ctx = makeCtx({ text: '/newlink KL meetup Oct' });
+    ctx.telegram.createChatInviteLink = jest.fn().mockResolvedValue({ invite_link: 'https://t.me/+abc' });
+    await bot.getCommand('newlink')(ctx);
+    expect(ctx.telegram.createChatInviteLink).toHaveBeenCalledWith(MAIN_GROUP, {
+      name: 'KL meetup Oct',
+      creates_join_request: false,
+    });
+    expect(db.saveInviteLink).toHaveBeenCalledWith('https://t.me/+abc', 'KL meetup Oct', 1);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('https://t.me/+abc'));
+  });
+
+  test('creates a join-request link in request gate mode', async () => {
+    config.getGateMode.mockReturnValue('request');
+    const ctx = makeCtx({ text: '/newlink Booth' });
+    ctx.telegram.createChatInviteLink = jest.fn().mockResolvedValue({ invite_link: 'https://t.me/+abc' });
+    await bot.getCommand('newlink')(ctx);
+    expect(ctx.telegram.createChatInviteLink).toHaveBeenCalledWith(MAIN_GROUP, {
+      name: 'Booth',
+      creates_join_request: true,
+    });
+  });
+
+  test('rejects a missing or overlong name', async () => {
+    const ctx = makeCtx({ text: `/newlink ${'x'.repeat(33)}` });
+    ctx.telegram.createChatInviteLink = jest.fn();
+    await bot.getCommand('newlink')(ctx);
+    expect(ctx.telegram.createChatInviteLink).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+
+  test('reports a failure to create the link', async () => {
+    const ctx = makeCtx({ text: '/newlink Booth' });
+    ctx.telegram.createChatInviteLink = jest.fn().mockRejectedValue(new Error('not enough rights'));
+    await bot.getCommand('newlink')(ctx);
+    expect(db.saveInviteLink).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Invite Users via Link'));
+  });
+});
+
+describe('/links', () => {
+  test('reports joins, intros and the conversion rate per link', async () => {
+    db.getInviteLinkStats.mockReturnValue([
+      { link: 'https://t.me/+abc', name: 'KL meetup Oct', joins: 8, intros: 6 },
+      { link: 'https://t.me/+xyz', name: null, joins: 0, intros: 0 },
+    ]);
+    const ctx = makeCtx({ text: '/links' });
+    await bot.getCommand('links')(ctx);
+    const [text] = ctx.reply.mock.calls[0];
+    expect(text).toContain('- KL meetup Oct (https://t.me/+abc) -- joined: 8 -- introduced: 6 (75%)');
+    expect(text).toContain('- https://t.me/+xyz -- joined: 0 -- introduced: 0 (n/a)');
+  });
+
+  test('explains how to create a link when there are none', async () => {
+    db.getInviteLinkStats.mockReturnValue([]);
+    const ctx = makeCtx({ text: '/links' });
+    await bot.getCommand('links')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('/newlink'));
+  });
+});
+
+// ---- /grouplanguage ----
+
+describe('/grouplanguage', () => {
+  test('sets and persists the group default language', async () => {
+    const ctx = makeCtx({ text: '/grouplanguage ms' });
+    await bot.getCommand('grouplanguage')(ctx);
+    expect(db.setSetting).toHaveBeenCalledWith('DEFAULT_LOCALE', 'ms');
+    expect(config.setDefaultLocale).toHaveBeenCalledWith('ms');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Bahasa Melayu'));
+  });
+
+  test('rejects an unsupported language with a usage hint', async () => {
+    const ctx = makeCtx({ text: '/grouplanguage fr' });
+    await bot.getCommand('grouplanguage')(ctx);
+    expect(config.setDefaultLocale).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('en|ms|zh'));
+  });
+});
+
+describe('localized replies', () => {
+  test('replies in the admin\'s Telegram language', async () => {
+    const ctx = makeCtx({ text: '/captcha' });
+    ctx.from.language_code = 'ms';
+    await bot.getCommand('captcha')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith('Penggunaan: /captcha on|off');
+  });
+
+  test('falls back to English for strings a catalog does not translate', async () => {
+    const ctx = makeCtx({ text: '/grouplanguage' });
+    ctx.from.language_code = 'ms';
+    await bot.getCommand('grouplanguage')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith('Usage: /grouplanguage <en|ms|zh>');
+  });
+});
+
+// ---- Templates ----
+
+describe('/settemplate', () => {
+  test('saves a multi-line template', async () => {
+    const ctx = makeCtx({ text: '/settemplate welcome Hi {name}!\nIntro here: {intro_link}' });
+    await bot.getCommand('settemplate')(ctx);
+    expect(templates.setCustomTemplate).toHaveBeenCalledWith('welcome', 'Hi {name}!\nIntro here: {intro_link}');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('updated'));
+  });
+
+  test('uses the replied-to message when no text follows the name', async () => {
+    const ctx = makeCtx({ text: '/settemplate nudge', replyTo: { text: 'Tell us more, {name}!' } });
+    await bot.getCommand('settemplate')(ctx);
+    expect(templates.setCustomTemplate).toHaveBeenCalledWith('nudge', 'Tell us more, {name}!');
+  });
+
+  test('reports validation errors without saving', async () => {
+    templates.validateTemplate.mockReturnValue('Unknown placeholder: {nme}.');
+    const ctx = makeCtx({ text: '/settemplate welcome Hi {nme}' });
+    await bot.getCommand('settemplate')(ctx);
+    expect(templates.setCustomTemplate).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Unknown placeholder: {nme}.');
+  });
+
+  test('rejects an unknown template name with a usage hint', async () => {
+    const ctx = makeCtx({ text: '/settemplate goodbye Bye {name}' });
+    await bot.getCommand('settemplate')(ctx);
+    expect(templates.setCustomTemplate).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('welcome|reminder|accepted|nudge'));
+  });
+
+  test('rejects a missing template text', async () => {
+    const ctx = makeCtx({ text: '/settemplate welcome' });
+    await bot.getCommand('settemplate')(ctx);
+    expect(templates.setCustomTemplate).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+describe('/previewtemplate', () => {
+  test('renders the template for the calling admin', async () => {
+    templates.getCustomTemplate.mockReturnValue('Hi {name}!');
+    templates.render.mockReturnValue('Hi Admin!');
+    const ctx = makeCtx({ text: '/previewtemplate welcome' });
+    ctx.from.first_name = 'Admin';
+    ctx.chat.title = 'Superteam MY';
+    await bot.getCommand('previewtemplate')(ctx);
+    expect(templates.render).toHaveBeenCalledWith('welcome', { firstName: 'Admin', groupTitle: 'Superteam MY' });
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('(custom)'));
+    expect(ctx.reply).toHaveBeenCalledWith('Hi Admin!');
+  });
+
+  test('marks a template without overrides as the default', async () => {
+    templates.getCustomTemplate.mockReturnValue(null);
+    templates.render.mockReturnValue('Welcome!');
+    const ctx = makeCtx({ text: '/previewtemplate welcome' });
+    await bot.getCommand('previewtemplate')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('(default)'));
+  });
+
+  test('rejects an unknown template name', async () => {
+    const ctx = makeCtx({ text: '/previewtemplate' });
+    await bot.getCommand('previewtemplate')(ctx);
+    expect(templates.render).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage'));
+  });
+});
+
+describe('/resettemplate', () => {
+  test('restores the default', async () => {
+    const ctx = makeCtx({ text: '/resettemplate reminder' });
+    await bot.getCommand('resettemplate')(ctx);
+    expect(templates.resetTemplate).toHaveBeenCalledWith('reminder');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('restored'));
+  });
+
+  test('is ignored for non-admins', async () => {
+    adminCache.isAdmin.mockResolvedValue(false);
+    const ctx = makeCtx({ text: '/resettemplate reminder' });
+    await bot.getCommand('resettemplate')(ctx);
+    expect(templates.resetTemplate).not.toHaveBeenCalled();
+  });
+});
+
+// ---- /kickpreview ----
+
+describe('/kickpreview', () => {
+  test('replies with "no pending users" when nobody is scheduled', async () => {
+    deadline.getRemovalSchedule.mockReturnValue([]);
+    const ctx = makeCtx({ text: '/kickpreview' });
+    await bot.getCommand('kickpreview')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('No pending'));
+  });
+
+  test('lists the removal schedule without kicking anyone', async () => {
+    deadline.getRemovalSchedule.mockReturnValue([
+      {
+        user: { user_id: 5, first_name: 'Lurker', username: 'lurker', deadline_warnings: 1 },
+        action: null,
+        removeAt: Date.parse('2026-01-27T12:00:00Z'),
+      },
+    ]);
+    const ctx = makeCtx({ text: '/kickpreview' });
+    await bot.getCommand('kickpreview')(ctx);
+    const [text] = ctx.reply.mock.calls[0];
+    expect(text).toContain('ID: 5');
+    expect(text).toContain('warnings: 1/2');
+    expect(text).toContain('2026-01-27 12:00 UTC');
+    expect(text).toContain('OFF');
+    expect(permissions.kickMember).not.toHaveBeenCalled();
+  });
+});
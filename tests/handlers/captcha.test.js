@@ -0,0 +1,289 @@
+'use strict';
+
+jest.mock('../../src/db');
+jest.mock('../../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
+  getMainGroupId: jest.fn(() => -100111),
+  getGateMode: jest.fn(() => 'delete'),
+  CAPTCHA_TIMEOUT_MS: 120_000,
+  CAPTCHA_SWEEP_INTERVAL_MS: 15_000,
+  CAPTCHA_CHOICES: 4,
+  CAPTCHA_MASS_JOIN_SPACING_MS: 3_000,
+  CAPTCHA_MESSAGE: (name, question) => `Hi ${name}, what is ${question}?`,
+  CAPTCHA_NOT_YOURS_MESSAGE: 'Not yours.',
+  CAPTCHA_EXPIRED_MESSAGE: 'Expired.',
+  CAPTCHA_PASSED_MESSAGE: 'Verified.',
+  CAPTCHA_FAILED_MESSAGE: 'Wrong answer.',
+}));
+
+const db = require('../../src/db');
+const config = require('../../src/config');
+const captcha = require('../../src/handlers/captcha');
+
+const MAIN_GROUP = -100111;
+
+function makeBot() {
+  let actionHandler;
+  return {
+    action: jest.fn((pattern, fn) => { actionHandler = { pattern, fn }; }),
+    getAction: () => actionHandler,
+  };
+}
+
+function makeTelegram() {
+  return {
+    restrictChatMember: jest.fn().mockResolvedValue(true),
+    getChat: jest.fn().mockResolvedValue({ permissions: { can_send_messages: true } }),
+    banChatMember: jest.fn().mockResolvedValue(true),
+    unbanChatMember: jest.fn().mockResolvedValue(true),
+    deleteMessage: jest.fn().mockResolvedValue(true),
+  };
+}
+
+function makeJoinCtx() {
+  return {
+    chat: { id: MAIN_GROUP },
+    reply: jest.fn().mockResolvedValue({ message_id: 321 }),
+    telegram: makeTelegram(),
+  };
+}
+
+function makeCallbackCtx({ pattern, userId = 42, fromId = 42, choice = 7 } = {}) {
+  const data = `captcha:${userId}:${choice}`;
+  return {
+    chat: { id: MAIN_GROUP },
+    from: { id: fromId, username: 'alice', first_name: 'Alice' },
+    match: data.match(pattern),
+    answerCbQuery: jest.fn().mockResolvedValue(true),
+    deleteMessage: jest.fn().mockResolvedValue(true),
+    telegram: makeTelegram(),
+  };
+}
+
+let action;
+let onPass;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.getCaptchaChallenge.mockReturnValue(null);
+  db.deleteCaptchaChallenge.mockReturnValue(true);
+  db.getExpiredCaptchaChallenges.mockReturnValue([]);
+  config.getGateMode.mockReturnValue('delete');
+  onPass = jest.fn().mockResolvedValue(undefined);
+  const bot = makeBot();
+  captcha.register(bot, onPass);
+  action = bot.getAction();
+});
+
+afterEach(() => {
+  captcha.stopExpirySweep();
+});
+
+// ---- buildChallenge ----
+
+describe('buildChallenge', () => {
+  test('includes the correct answer among distinct options', () => {
+    for (let i = 0; i < 50; i++) {
+      const { question, answer, options } = captcha.buildChallenge();
+      const [a, b] = question.split(' + ').map(Number);
+      expect(answer).toBe(a + b);
+      expect(options).toContain(answer);
+      expect(new Set(options).size).toBe(4);
+    }
+  });
+});
+
+// ---- startChallenge ----
+
+describe('startChallenge', () => {
+  test('restricts the member and posts a challenge with inline buttons', async () => {
+    const ctx = makeJoinCtx();
+    const started = await captcha.startChallenge(ctx, { id: 42, first_name: 'Alice' });
+    expect(started).toBe(true);
+    expect(ctx.telegram.restrictChatMember).toHaveBeenCalledWith(MAIN_GROUP, 42, expect.objectContaining({
+      permissions: expect.objectContaining({ can_send_messages: false }),
+    }));
+    expect(db.createCaptchaChallenge).toHaveBeenCalledWith(42, MAIN_GROUP, expect.any(Number), expect.any(Number));
+    const [, extra] = ctx.reply.mock.calls[0];
+    expect(extra.reply_markup.inline_keyboard[0]).toHaveLength(4);
+    expect(extra.reply_markup.inline_keyboard[0][0].callback_data).toMatch(/^captcha:42:\d+$/);
+    expect(db.setCaptchaMsgId).toHaveBeenCalledWith(42, 321);
+  });
+
+  test('returns false without posting when the bot cannot restrict', async () => {
+    const ctx = makeJoinCtx();
+    ctx.telegram.restrictChatMember.mockRejectedValue(new Error('not enough rights'));
+    const started = await captcha.startChallenge(ctx, { id: 42, first_name: 'Alice' });
+    expect(started).toBe(false);
+    expect(ctx.reply).not.toHaveBeenCalled();
+    expect(db.createCaptchaChallenge).not.toHaveBeenCalled();
+  });
+
+  test('lifts the restriction when the challenge message cannot be sent', async () => {
+    const ctx = makeJoinCtx();
+    ctx.reply.mockRejectedValue(new Error('send failed'));
+    const started = await captcha.startChallenge(ctx, { id: 42, first_name: 'Alice' });
+    expect(started).toBe(false);
+    expect(db.deleteCaptchaChallenge).toHaveBeenCalledWith(42);
+    expect(ctx.telegram.restrictChatMember).toHaveBeenCalledTimes(2);
+  });
+
+  test('deletes the previous challenge message when a member rejoins mid-challenge', async () => {
+    db.getCaptchaChallenge.mockReturnValue({ user_id: 42, chat_id: MAIN_GROUP, message_id: 100 });
+    const ctx = makeJoinCtx();
+    await captcha.startChallenge(ctx, { id: 42, first_name: 'Alice' });
+    expect(ctx.telegram.deleteMessage).toHaveBeenCalledWith(MAIN_GROUP, 100);
+  });
+
+  describe('delayed, for a mass join', () => {
+    let errorSpy;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: Date.parse('2026-01-20T12:00:00Z') });
+      errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      // The challenge row as stored, so the delayed send can check it is still current.
+      db.createCaptchaChallenge.mockImplementation((userId, chatId, answer, expiresAt) => {
+        db.getCaptchaChallenge.mockReturnValue({ user_id: userId, chat_id: chatId, answer, expires_at: expiresAt });
+      });
+    });
+
+    afterEach(() => {
+      db.createCaptchaChallenge.mockReset();
+      errorSpy.mockRestore();
+      jest.useRealTimers();
+    });
+
+    test('restricts the member at once and posts the challenge after the delay', async () => {
+      const ctx = makeJoinCtx();
+      const started = await captcha.startChallenge(ctx, { id: 42, first_name: 'Alice' }, 6_000);
+      expect(started).toBe(true);
+      expect(ctx.telegram.restrictChatMember).toHaveBeenCalledTimes(1);
+      expect(ctx.reply).not.toHaveBeenCalled();
+      const [, , , expiresAt] = db.createCaptchaChallenge.mock.calls[0];
+      expect(expiresAt).toBe(Date.now() + 6_000 + 120_000); // the time to answer starts with the challenge
+
+      await jest.advanceTimersByTimeAsync(6_000);
+      expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Hi Alice, what is'), expect.anything());
+      expect(db.setCaptchaMsgId).toHaveBeenCalledWith(42, 321);
+    });
+
+    test('keeps the member restricted when the challenge cannot be sent', async () => {
+      const ctx = makeJoinCtx();
+      ctx.reply.mockRejectedValue(new Error('Too Many Requests'));
+      await captcha.startChallenge(ctx, { id: 42, first_name: 'Alice' }, 3_000);
+      await jest.advanceTimersByTimeAsync(3_000);
+      expect(ctx.reply).toHaveBeenCalled();
+      expect(db.deleteCaptchaChallenge).not.toHaveBeenCalled();
+      expect(ctx.telegram.restrictChatMember).toHaveBeenCalledTimes(1);
+    });
+
+    test('skips a challenge replaced or answered before its turn', async () => {
+      const ctx = makeJoinCtx();
+      await captcha.startChallenge(ctx, { id: 42, first_name: 'Alice' }, 3_000);
+      db.getCaptchaChallenge.mockReturnValue(null);
+      await jest.advanceTimersByTimeAsync(3_000);
+      expect(ctx.reply).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// ---- Answer callback ----
+
+describe('answer callback', () => {
+  const challenge = { user_id: 42, chat_id: MAIN_GROUP, answer: 7, message_id: 321 };
+
+  test('registers a callback handler for captcha buttons', () => {
+    expect(action.pattern.test('captcha:42:7')).toBe(true);
+    expect(action.pattern.test('other:42:7')).toBe(false);
+  });
+
+  test('rejects taps from someone other than the challenged member', async () => {
+    db.getCaptchaChallenge.mockReturnValue(challenge);
+    const ctx = makeCallbackCtx({ pattern: action.pattern, fromId: 99 });
+    await action.fn(ctx);
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith('Not yours.');
+    expect(db.deleteCaptchaChallenge).not.toHaveBeenCalled();
+    expect(onPass).not.toHaveBeenCalled();
+  });
+
+  test('reports an expired challenge when none is stored', async () => {
+    const ctx = makeCallbackCtx({ pattern: action.pattern });
+    await action.fn(ctx);
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith('Expired.');
+    expect(onPass).not.toHaveBeenCalled();
+  });
+
+  test('does nothing further when another callback already claimed the challenge', async () => {
+    db.getCaptchaChallenge.mockReturnValue(challenge);
+    db.deleteCaptchaChallenge.mockReturnValue(false);
+    const ctx = makeCallbackCtx({ pattern: action.pattern });
+    await action.fn(ctx);
+    expect(onPass).not.toHaveBeenCalled();
+    expect(ctx.telegram.banChatMember).not.toHaveBeenCalled();
+  });
+
+  test('correct answer lifts the restriction and hands off to onPass', async () => {
+    db.getCaptchaChallenge.mockReturnValue(challenge);
+    const ctx = makeCallbackCtx({ pattern: action.pattern, choice: 7 });
+    await action.fn(ctx);
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith('Verified.');
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+    expect(ctx.telegram.restrictChatMember).toHaveBeenCalledWith(MAIN_GROUP, 42, expect.objectContaining({
+      permissions: { can_send_messages: true },
+    }));
+    expect(onPass).toHaveBeenCalledWith(ctx, ctx.from);
+  });
+
+  test('correct answer keeps the restriction in mute gate mode', async () => {
+    config.getGateMode.mockReturnValue('mute');
+    db.getCaptchaChallenge.mockReturnValue(challenge);
+    const ctx = makeCallbackCtx({ pattern: action.pattern, choice: 7 });
+    await action.fn(ctx);
+    expect(ctx.telegram.restrictChatMember).not.toHaveBeenCalled();
+    expect(db.recordGateMute).toHaveBeenCalledWith(42);
+    expect(onPass).toHaveBeenCalled();
+  });
+
+  test('wrong answer kicks the member without a permanent ban', async () => {
+    db.getCaptchaChallenge.mockReturnValue(challenge);
+    const ctx = makeCallbackCtx({ pattern: action.pattern, choice: 8 });
+    await action.fn(ctx);
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith('Wrong answer.');
+    expect(ctx.telegram.banChatMember).toHaveBeenCalledWith(MAIN_GROUP, 42);
+    expect(ctx.telegram.unbanChatMember).toHaveBeenCalledWith(MAIN_GROUP, 42, { only_if_banned: true });
+    expect(onPass).not.toHaveBeenCalled();
+  });
+});
+
+// ---- Expiry sweep ----
+
+describe('expireChallenges', () => {
+  test('kicks members whose challenge timed out and removes the prompt', async () => {
+    db.getExpiredCaptchaChallenges.mockReturnValue([
+      { user_id: 42, chat_id: MAIN_GROUP, answer: 7, message_id: 321 },
+    ]);
+    const telegram = makeTelegram();
+    await captcha.expireChallenges(telegram);
+    expect(db.deleteCaptchaChallenge).toHaveBeenCalledWith(42);
+    expect(telegram.deleteMessage).toHaveBeenCalledWith(MAIN_GROUP, 321);
+    expect(telegram.banChatMember).toHaveBeenCalledWith(MAIN_GROUP, 42);
+    expect(telegram.unbanChatMember).toHaveBeenCalled();
+  });
+
+  test('skips challenges that were answered while the sweep was running', async () => {
+    db.getExpiredCaptchaChallenges.mockReturnValue([
+      { user_id: 42, chat_id: MAIN_GROUP, answer: 7, message_id: 321 },
+    ]);
+    db.deleteCaptchaChallenge.mockReturnValue(false);
+    const telegram = makeTelegram();
+    await captcha.expireChallenges(telegram);
+    expect(telegram.banChatMember).not.toHaveBeenCalled();
+  });
+
+  test('startExpirySweep runs an immediate pass for challenges that expired during downtime', () => {
+    const telegram = makeTelegram();
+    captcha.startExpirySweep(telegram);
+    expect(db.getExpiredCaptchaChallenges).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+jest.mock('../../src/db');
+jest.mock('../../src/adminCache');
+jest.mock('../../src/introTags', () => ({
+  resolveTag: jest.fn((term) => ({ rust: 'rust', penang: 'penang', reactjs: 'react' })[term.toLowerCase()] ?? null),
+  formatTagList: jest.fn(() => 'skill: rust, react\nlocation: penang'),
+}));
+jest.mock('../../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
+  getMainGroupId: jest.fn(() => -100111),
+  getIntroChannelId: jest.fn(() => -100999),
+  FIND_PAGE_SIZE: 2,
+  messageLink: (chatId, messageId) => `https://t.me/c/${String(chatId).replace(/^-100/, '')}/${messageId}`,
+  FIND_USAGE_MESSAGE: (tagList) => `Usage. Tags:\n${tagList}`,
+  FIND_NOT_MEMBER_MESSAGE: 'Introduce yourself first.',
+  FIND_UNKNOWN_TAGS_MESSAGE: (terms) => `Unknown: ${terms.join(', ')}`,
+  FIND_NO_RESULTS_MESSAGE: 'Nobody yet.',
+  FIND_RESULTS_MESSAGE: (tags, count, page, totalPages) => `${tags.join(' + ')} (${count}) ${page}/${totalPages}:`,
+  FIND_NEXT_PAGE_MESSAGE: (command) => `Next: ${command}`,
+}));
+
+const db = require('../../src/db');
+const adminCache = require('../../src/adminCache');
+const directory = require('../../src/handlers/directory');
+
+function makeBot() {
+  const commands = {};
+  return {
+    command: jest.fn((cmd, fn) => { commands[cmd] = fn; }),
+    getCommand: (cmd) => commands[cmd],
+  };
+}
+
+function makeCtx({ chatType = 'private', text = '/find' } = {}) {
+  return {
+    chat: { id: 42, type: chatType },
+    from: { id: 42, first_name: 'Alice' },
+    message: { text },
+    reply: jest.fn().mockResolvedValue({ message_id: 1 }),
+    telegram: {},
+  };
+}
+
+const member = (id, username, tags) => ({
+  user_id: id, username, first_name: username, tags, intro_chat_id: -100999, intro_msg_id: id * 10,
+});
+
+let command;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.getUserLocale.mockReturnValue(null);
+  db.getUser.mockReturnValue({ user_id: 42, introduced: 1 });
+  adminCache.isAdmin.mockResolvedValue(false);
+  const bot = makeBot();
+  directory.register(bot);
+  command = bot.getCommand('find');
+});
+
+describe('/find', () => {
+  test('lists members with every tag, linking their intros', async () => {
+    db.findMembersByTags.mockReturnValue([member(1, 'ali', 'penang, rust')]);
+    const ctx = makeCtx({ text: '/find Rust penang' });
+    await command(ctx);
+    expect(db.findMembersByTags).toHaveBeenCalledWith(['rust', 'penang']);
+    expect(ctx.reply).toHaveBeenCalledWith('rust + penang (1) 1/1:\n\n- @ali: penang, rust — https://t.me/c/999/10');
+  });
+
+  test('understands a keyword in place of its tag', async () => {
+    db.findMembersByTags.mockReturnValue([]);
+    const ctx = makeCtx({ text: '/find reactjs' });
+    await command(ctx);
+    expect(db.findMembersByTags).toHaveBeenCalledWith(['react']);
+    expect(ctx.reply).toHaveBeenCalledWith('Nobody yet.');
+  });
+
+  test('pages long results, with a trailing number picking the page', async () => {
+    db.findMembersByTags.mockReturnValue([member(1, 'ali', 'rust'), member(2, 'mei', 'rust'), member(3, 'raj', 'rust')]);
+    const first = makeCtx({ text: '/find rust' });
+    await command(first);
+    expect(first.reply.mock.calls[0][0]).toContain('Next: /find rust 2');
+
+    const second = makeCtx({ text: '/find rust 2' });
+    await command(second);
+    expect(second.reply.mock.calls[0][0]).toContain('@raj');
+    expect(second.reply.mock.calls[0][0]).not.toContain('@ali');
+    expect(second.reply.mock.calls[0][0]).not.toContain('Next:');
+  });
+
+  test('names the terms it does not know', async () => {
+    const ctx = makeCtx({ text: '/find rust cobol' });
+    await command(ctx);
+    expect(db.findMembersByTags).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Unknown: cobol');
+  });
+
+  test('lists the tags without arguments', async () => {
+    const ctx = makeCtx();
+    await command(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('skill: rust, react'));
+  });
+
+  test('is only open to introduced members and admins', async () => {
+    db.getUser.mockReturnValue({ user_id: 42, introduced: 0 });
+    const ctx = makeCtx({ text: '/find rust' });
+    await command(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith('Introduce yourself first.');
+
+    adminCache.isAdmin.mockResolvedValue(true);
+    db.findMembersByTags.mockReturnValue([]);
+    const adminCtx = makeCtx({ text: '/find rust' });
+    await command(adminCtx);
+    expect(adminCtx.reply).toHaveBeenCalledWith('Nobody yet.');
+  });
+
+  test('ignores group chats', async () => {
+    const ctx = makeCtx({ chatType: 'supergroup', text: '/find rust' });
+    await command(ctx);
+    expect(ctx.reply).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+jest.mock('../../src/db');
+
+const db = require('../../src/db');
+const dmStatus = require('../../src/handlers/dmStatus');
+
+function makeBot() {
+  const handlers = {};
+  return {
+    on: jest.fn((event, fn) => { handlers[event] = fn; }),
+    use: jest.fn((fn) => { handlers.use = fn; }),
+    handlers,
+  };
+}
+
+function makeMyChatMemberCtx(status, chatType = 'private') {
+  return {
+    myChatMember: {
+      chat: { id: 42, type: chatType },
+      from: { id: 42 },
+      new_chat_member: { status, user: { id: 1, is_bot: true } },
+    },
+  };
+}
+
+let bot;
+let next;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.isDmOpen.mockReturnValue(false);
+  bot = makeBot();
+  dmStatus.register(bot);
+  next = jest.fn();
+});
+
+describe('my_chat_member', () => {
+  test('closes the DM when the user blocks the bot', () => {
+    bot.handlers.my_chat_member(makeMyChatMemberCtx('kicked'), next);
+    expect(db.setDmOpen).toHaveBeenCalledWith(42, false);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('opens the DM when the user unblocks or starts the bot', () => {
+    bot.handlers.my_chat_member(makeMyChatMemberCtx('member'), next);
+    expect(db.setDmOpen).toHaveBeenCalledWith(42, true);
+  });
+
+  test('ignores the bot\'s status in groups', () => {
+    bot.handlers.my_chat_member(makeMyChatMemberCtx('kicked', 'supergroup'), next);
+    expect(db.setDmOpen).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('private updates', () => {
+  test('a private message opens the DM', () => {
+    bot.handlers.use({ chat: { id: 42, type: 'private' }, from: { id: 42 } }, next);
+    expect(db.setDmOpen).toHaveBeenCalledWith(42, true);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('does not write again for a DM already open', () => {
+    db.isDmOpen.mockReturnValue(true);
+    bot.handlers.use({ chat: { id: 42, type: 'private' }, from: { id: 42 } }, next);
+    expect(db.setDmOpen).not.toHaveBeenCalled();
+  });
+
+  test('ignores group messages', () => {
+    bot.handlers.use({ chat: { id: -100111, type: 'supergroup' }, from: { id: 42 } }, next);
+    expect(db.setDmOpen).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -7,16 +7,42 @@ const mockCooldownInstance = {
 
 jest.mock('../../src/db');
 jest.mock('../../src/adminCache');
+jest.mock('../../src/permissions');
+jest.mock('../../src/adminAlerts');
+jest.mock('../../src/handlers/welcome');
 jest.mock('../../src/CooldownMap', () => jest.fn().mockImplementation(() => mockCooldownInstance));
 jest.mock('../../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
   getMainGroupId: jest.fn(() => -100111),
+  getIntroChannelId: jest.fn(() => null),
+  getIntroTopicId: jest.fn(() => null),
+  introLink: jest.fn(() => null),
   REMINDER_COOLDOWN_MS: 30_000,
+  INTERACTION_REPORT_COOLDOWN_MS: 3_600_000,
+  PENDING_INTERACTION_POLICY: {},
+  messageLink: (chatId, messageId) => `https://t.me/c/${chatId}/${messageId}`,
   REMINDER_AUTO_DELETE_MS: 0, // fire immediately so timers don't linger
   REMINDER_MESSAGE: 'Please introduce yourself.',
+  REMINDER_DM_QUOTE_MAX_LENGTH: 20,
+  REMINDER_DM_MESSAGE: (firstName, introChannelId, introTopicId, text) =>
+    `Introduce yourself first.${text ? ` You wrote: ${text}` : ''}`,
+  isGraceEnabled: jest.fn(() => false),
+  getGracePolicy: jest.fn(() => ({ messages: 0, minutes: 0 })),
+  GRACE_ENDED_AUTO_DELETE_MS: 0,
+  GRACE_ENDED_MESSAGE: (mention) => `${mention}, your grace period is over.`,
+  getGateMode: jest.fn(() => 'delete'),
+  isGateExemptTopic: jest.fn((topicId) => topicId === 77),
+  getViolationLadder: jest.fn(() => []),
+  VIOLATION_NOTICE_AUTO_DELETE_MS: 0,
+  VIOLATION_MUTED_MESSAGE: (mention, minutes) => `${mention}, muted for ${minutes} minutes.`,
 }));
 
 const db = require('../../src/db');
 const adminCache = require('../../src/adminCache');
+const permissions = require('../../src/permissions');
+const { notifyAdmins } = require('../../src/adminAlerts');
+const { releaseWelcome } = require('../../src/handlers/welcome');
 const config = require('../../src/config');
 const gatekeeper = require('../../src/handlers/gatekeeper');
 
@@ -26,13 +52,16 @@ const OTHER_CHAT = -100222;
 function makeBot() {
   let messageHandler;
   let editedMessageHandler;
+  let reactionHandler;
   return {
     on: jest.fn((event, fn) => {
       if (event === 'message') messageHandler = fn;
       if (event === 'edited_message') editedMessageHandler = fn;
+      if (event === 'message_reaction') reactionHandler = fn;
     }),
     getHandler: () => messageHandler,
     getEditHandler: () => editedMessageHandler,
+    getReactionHandler: () => reactionHandler,
   };
 }
 
@@ -45,12 +74,29 @@ function makeCtx({ chatId = MAIN_GROUP, userId = 123, isBot = false } = {}) {
     deleteMessage: jest.fn().mockResolvedValue(true),
     telegram: {
       deleteMessage: jest.fn().mockResolvedValue(true),
+      sendMessage: jest.fn().mockResolvedValue({ message_id: 999 }),
     },
   };
 }
 
+// A message_reaction update: Telegraf resolves ctx.from from messageReaction.user.
+function makeReactionCtx(opts, added = [{ type: 'emoji', emoji: '👍' }], old = []) {
+  const { message, reply, deleteMessage, ...ctx } = makeCtx(opts);
+  return {
+    ...ctx,
+    messageReaction: { chat: ctx.chat, message_id: 42, user: ctx.from, old_reaction: old, new_reaction: [...old, ...added] },
+  };
+}
+
+// An edited_message update: Telegraf exposes the message as ctx.editedMessage, not ctx.message.
+function makeEditCtx(opts) {
+  const { message, ...ctx } = makeCtx(opts);
+  return { ...ctx, editedMessage: { ...message, edit_date: 1700000000 } };
+}
+
 let handler;
 let editHandler;
+let reactionHandler;
 let next;
 
 beforeEach(() => {
@@ -59,10 +105,18 @@ beforeEach(() => {
   mockCooldownInstance.touch.mockReset();
   adminCache.isAdmin.mockResolvedValue(false);
   config.getMainGroupId.mockReturnValue(MAIN_GROUP);
+  config.isGraceEnabled.mockReturnValue(false);
+  config.getViolationLadder.mockReturnValue([]);
+  db.isDmOpen.mockReturnValue(false);
+  Object.assign(config.PENDING_INTERACTION_POLICY, {
+    message: 'block', poll: 'block', story: 'block', web_app_data: 'block', reaction: 'report',
+  });
+  notifyAdmins.mockResolvedValue();
   const bot = makeBot();
   gatekeeper.register(bot);
   handler = bot.getHandler();
   editHandler = bot.getEditHandler();
+  reactionHandler = bot.getReactionHandler();
   next = jest.fn();
 });
 
@@ -143,6 +197,16 @@ describe('blocking: un-introduced user', () => {
     expect(mockCooldownInstance.touch).toHaveBeenCalledWith(123);
   });
 
+  test('uses the admin-edited reminder template when one is saved', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    db.getSetting.mockImplementation((key) => (key === 'TEMPLATE_REMINDER' ? 'Intro first, {name}!' : null));
+    const ctx = makeCtx();
+    ctx.from.first_name = 'Ali';
+    await handler(ctx, next);
+    expect(ctx.reply).toHaveBeenCalledWith('Intro first, Ali!');
+    db.getSetting.mockReset();
+  });
+
   test('does not send a reminder when the user is in cooldown', async () => {
     mockCooldownInstance.isLimited.mockReturnValue(true);
     db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
@@ -153,6 +217,58 @@ describe('blocking: un-introduced user', () => {
   });
 });
 
+// ---- Reminders by DM ----
+
+describe('reminders by DM', () => {
+  beforeEach(() => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    db.isDmOpen.mockReturnValue(true);
+  });
+
+  test('sends the reminder by DM with a copy of the removed text', async () => {
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+    expect(ctx.telegram.sendMessage).toHaveBeenCalledWith(123, 'Introduce yourself first. You wrote: hello');
+    expect(ctx.reply).not.toHaveBeenCalled();
+  });
+
+  test('quotes a caption, cuts long text and leaves out media without one', async () => {
+    const ctx = makeCtx();
+    ctx.message = { message_id: 1, photo: [{ file_id: 'p' }], caption: 'x'.repeat(30) };
+    await handler(ctx, next);
+    expect(ctx.telegram.sendMessage).toHaveBeenCalledWith(123, `Introduce yourself first. You wrote: ${'x'.repeat(20)}…`);
+
+    const sticker = makeCtx();
+    sticker.message = { message_id: 2, sticker: { file_id: 's' } };
+    await handler(sticker, next);
+    expect(sticker.telegram.sendMessage).toHaveBeenCalledWith(123, 'Introduce yourself first.');
+  });
+
+  test('is not held back by the group reminder cooldown', async () => {
+    mockCooldownInstance.isLimited.mockReturnValue(true);
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(ctx.telegram.sendMessage).toHaveBeenCalled();
+  });
+
+  test('falls back to the group and remembers a blocked DM', async () => {
+    const ctx = makeCtx();
+    ctx.telegram.sendMessage.mockRejectedValue(Object.assign(new Error('Forbidden: bot was blocked by the user'), { code: 403 }));
+    await handler(ctx, next);
+    expect(db.setDmOpen).toHaveBeenCalledWith(123, false);
+    expect(ctx.reply).toHaveBeenCalledWith('Please introduce yourself.');
+  });
+
+  test('reminds in the group when the member has no DM open', async () => {
+    db.isDmOpen.mockReturnValue(false);
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Please introduce yourself.');
+  });
+});
+
 // ---- Unconfigured state ----
 
 describe('unconfigured state (getMainGroupId returns null)', () => {
@@ -171,7 +287,7 @@ describe('unconfigured state (getMainGroupId returns null)', () => {
 
 describe('edited_message: pass-through cases', () => {
   test('calls next() for a message not in the main group', async () => {
-    const ctx = makeCtx({ chatId: OTHER_CHAT });
+    const ctx = makeEditCtx({ chatId: OTHER_CHAT });
     await editHandler(ctx, next);
     expect(next).toHaveBeenCalled();
     expect(ctx.deleteMessage).not.toHaveBeenCalled();
@@ -179,14 +295,14 @@ describe('edited_message: pass-through cases', () => {
 
   test('calls next() when main group is not configured', async () => {
     config.getMainGroupId.mockReturnValue(null);
-    const ctx = makeCtx();
+    const ctx = makeEditCtx();
     await editHandler(ctx, next);
     expect(next).toHaveBeenCalled();
     expect(ctx.deleteMessage).not.toHaveBeenCalled();
   });
 
   test('calls next() when sender is a bot', async () => {
-    const ctx = makeCtx({ isBot: true });
+    const ctx = makeEditCtx({ isBot: true });
     await editHandler(ctx, next);
     expect(next).toHaveBeenCalled();
     expect(ctx.deleteMessage).not.toHaveBeenCalled();
@@ -194,7 +310,7 @@ describe('edited_message: pass-through cases', () => {
 
   test('calls next() when sender is a group admin', async () => {
     adminCache.isAdmin.mockResolvedValue(true);
-    const ctx = makeCtx();
+    const ctx = makeEditCtx();
     await editHandler(ctx, next);
     expect(next).toHaveBeenCalled();
     expect(ctx.deleteMessage).not.toHaveBeenCalled();
@@ -202,7 +318,7 @@ describe('edited_message: pass-through cases', () => {
 
   test('calls next() when the user is introduced', async () => {
     db.getUser.mockReturnValue({ user_id: 123, introduced: 1 });
-    const ctx = makeCtx();
+    const ctx = makeEditCtx();
     await editHandler(ctx, next);
     expect(next).toHaveBeenCalled();
     expect(ctx.deleteMessage).not.toHaveBeenCalled();
@@ -212,7 +328,7 @@ describe('edited_message: pass-through cases', () => {
 describe('edited_message: blocking cases', () => {
   test('deletes an edit from a user with introduced=0', async () => {
     db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
-    const ctx = makeCtx();
+    const ctx = makeEditCtx();
     await editHandler(ctx, next);
     expect(ctx.deleteMessage).toHaveBeenCalled();
     expect(next).not.toHaveBeenCalled();
@@ -220,7 +336,7 @@ describe('edited_message: blocking cases', () => {
 
   test('deletes an edit from a user with no DB record', async () => {
     db.getUser.mockReturnValue(null);
-    const ctx = makeCtx();
+    const ctx = makeEditCtx();
     await editHandler(ctx, next);
     expect(ctx.deleteMessage).toHaveBeenCalled();
     expect(next).not.toHaveBeenCalled();
@@ -228,8 +344,331 @@ describe('edited_message: blocking cases', () => {
 
   test('does not send a reminder for blocked edits', async () => {
     db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
-    const ctx = makeCtx();
+    const ctx = makeEditCtx();
     await editHandler(ctx, next);
     expect(ctx.reply).not.toHaveBeenCalled();
   });
 });
+
+// ---- Exempt forum topics ----
+
+describe('exempt topics', () => {
+  beforeEach(() => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+  });
+
+  test('lets a pending member post in an exempt topic, without a reminder', async () => {
+    const ctx = makeCtx();
+    Object.assign(ctx.message, { message_thread_id: 77, is_topic_message: true });
+    await handler(ctx, next);
+    expect(next).toHaveBeenCalled();
+    expect(ctx.deleteMessage).not.toHaveBeenCalled();
+    expect(ctx.reply).not.toHaveBeenCalled();
+  });
+
+  test('lets a pending member edit a message in an exempt topic', async () => {
+    const ctx = makeEditCtx();
+    Object.assign(ctx.editedMessage, { message_thread_id: 77, is_topic_message: true });
+    await editHandler(ctx, next);
+    expect(next).toHaveBeenCalled();
+    expect(ctx.deleteMessage).not.toHaveBeenCalled();
+  });
+
+  test('still gates other topics', async () => {
+    const ctx = makeCtx();
+    Object.assign(ctx.message, { message_thread_id: 78, is_topic_message: true });
+    await handler(ctx, next);
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+
+    const edit = makeEditCtx();
+    Object.assign(edit.editedMessage, { message_thread_id: 78, is_topic_message: true });
+    await editHandler(edit, next);
+    expect(edit.deleteMessage).toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('gates a reply whose thread ID matches an exempt topic outside a forum', async () => {
+    const ctx = makeCtx();
+    ctx.message.message_thread_id = 77; // the ID of the message replied to, not a topic
+    await handler(ctx, next);
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+// ---- Grace period ----
+
+describe('grace period', () => {
+  const JOINED = '2026-01-20 12:00:00';
+  const pending = { user_id: 123, introduced: 0, joined_at: JOINED };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: Date.parse('2026-01-20T12:05:00Z') });
+    config.isGraceEnabled.mockReturnValue(true);
+    config.getGracePolicy.mockReturnValue({ messages: 3, minutes: 30 });
+    db.getUser.mockReturnValue(pending);
+    db.getGraceUsage.mockReturnValue(undefined);
+    db.markGraceReminded.mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('lets a plain-text message through and counts it', async () => {
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(next).toHaveBeenCalled();
+    expect(ctx.deleteMessage).not.toHaveBeenCalled();
+    expect(db.recordGraceMessage).toHaveBeenCalledWith(123, JOINED);
+  });
+
+  test('still deletes links, media and forwards', async () => {
+    for (const message of [
+      { message_id: 1, text: 'see example.com', entities: [{ type: 'url', offset: 4, length: 11 }] },
+      { message_id: 1, text: 'hi @somebody', entities: [{ type: 'mention', offset: 3, length: 9 }] },
+      { message_id: 1, photo: [{ file_id: 'p' }] },
+      { message_id: 1, text: 'hello', forward_origin: { type: 'user' } },
+    ]) {
+      const ctx = makeCtx();
+      ctx.message = message;
+      await handler(ctx, next);
+      expect(ctx.deleteMessage).toHaveBeenCalled();
+    }
+    expect(next).not.toHaveBeenCalled();
+    expect(db.recordGraceMessage).not.toHaveBeenCalled();
+  });
+
+  test('ends once the messages are used up, with a one-time notice', async () => {
+    db.getGraceUsage.mockReturnValue({ user_id: 123, started_at: JOINED, messages: 3, reminded: 0 });
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+    expect(db.markGraceReminded).toHaveBeenCalledWith(123, JOINED);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('grace period is over'));
+
+    db.markGraceReminded.mockReturnValue(false);
+    const again = makeCtx();
+    await handler(again, next);
+    expect(again.reply).toHaveBeenCalledWith('Please introduce yourself.');
+  });
+
+  test('ends once the minutes are up', async () => {
+    jest.setSystemTime(Date.parse('2026-01-20T12:31:00Z'));
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+  });
+
+  test('counts from the first join, so rejoining does not restore it', async () => {
+    db.getUser.mockReturnValue({ ...pending, joined_at: '2026-01-20 12:04:00' });
+    db.getGraceUsage.mockReturnValue({ user_id: 123, started_at: '2026-01-20 11:00:00', messages: 1, reminded: 0 });
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+  });
+
+  test('does not apply while grace is off', async () => {
+    config.isGraceEnabled.mockReturnValue(false);
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+    expect(db.getGraceUsage).not.toHaveBeenCalled();
+  });
+
+  test('allows plain-text edits while grace is open', async () => {
+    const ctx = makeEditCtx();
+    await editHandler(ctx, next);
+    expect(next).toHaveBeenCalled();
+    expect(ctx.deleteMessage).not.toHaveBeenCalled();
+  });
+});
+
+// ---- Escalation ladder ----
+
+describe('escalation ladder', () => {
+  const LADDER = [
+    { at: 3, action: 'mute', minutes: 60 },
+    { at: 5, action: 'mute', minutes: 1440 },
+    { at: 7, action: 'kick' },
+  ];
+
+  beforeEach(() => {
+    config.getViolationLadder.mockReturnValue(LADDER);
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    permissions.muteMember.mockResolvedValue();
+    permissions.kickMember.mockResolvedValue();
+    notifyAdmins.mockResolvedValue(true);
+    releaseWelcome.mockResolvedValue();
+  });
+
+  test('reminds below the first step and logs it', async () => {
+    db.recordViolation.mockReturnValue(2);
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+    expect(db.recordViolationStep).toHaveBeenCalledWith(123, 2, 'remind');
+    expect(ctx.reply).toHaveBeenCalledWith('Please introduce yourself.');
+    expect(permissions.muteMember).not.toHaveBeenCalled();
+  });
+
+  test('mutes for the step\'s minutes, tells the member and the admins', async () => {
+    db.recordViolation.mockReturnValue(3);
+    const ctx = makeCtx();
+    const before = Math.floor(Date.now() / 1000);
+    await handler(ctx, next);
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+    const untilDate = permissions.muteMember.mock.calls[0][3];
+    expect(permissions.muteMember).toHaveBeenCalledWith(ctx.telegram, MAIN_GROUP, 123, expect.any(Number));
+    expect(untilDate).toBeGreaterThanOrEqual(before + 3600);
+    expect(db.recordViolationStep).toHaveBeenCalledWith(123, 3, 'mute', 60);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('muted for 60 minutes'));
+    expect(notifyAdmins).toHaveBeenCalledWith(ctx.telegram, expect.stringContaining('Muted'));
+  });
+
+  test('mutes with no end in mute gate mode', async () => {
+    config.getGateMode.mockReturnValue('mute');
+    db.recordViolation.mockReturnValue(3);
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(permissions.muteMember).toHaveBeenCalledWith(ctx.telegram, MAIN_GROUP, 123, undefined);
+    config.getGateMode.mockReturnValue('delete');
+  });
+
+  test('removes the member at the kick step, and again past the end', async () => {
+    for (const violation of [7, 9]) {
+      db.recordViolation.mockReturnValue(violation);
+      const ctx = makeCtx();
+      await handler(ctx, next);
+      expect(permissions.kickMember).toHaveBeenLastCalledWith(ctx.telegram, MAIN_GROUP, 123);
+      expect(db.recordViolationStep).toHaveBeenLastCalledWith(123, violation, 'kick');
+      expect(ctx.reply).not.toHaveBeenCalled();
+    }
+    expect(db.recordKick).toHaveBeenCalledWith(123, 'violations');
+    expect(notifyAdmins).toHaveBeenCalledWith(expect.anything(), expect.stringContaining('Removed'));
+  });
+
+  test('only reminds between steps', async () => {
+    db.recordViolation.mockReturnValue(4);
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(permissions.muteMember).not.toHaveBeenCalled();
+    expect(db.recordViolationStep).toHaveBeenCalledWith(123, 4, 'remind');
+  });
+
+  test('falls back to a reminder when the bot cannot mute', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    permissions.muteMember.mockRejectedValue(new Error('not enough rights'));
+    db.recordViolation.mockReturnValue(3);
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(db.recordViolationStep).toHaveBeenCalledWith(123, 3, 'remind');
+    expect(ctx.reply).toHaveBeenCalledWith('Please introduce yourself.');
+    errorSpy.mockRestore();
+  });
+
+  test('does not count messages while the ladder is off', async () => {
+    config.getViolationLadder.mockReturnValue([]);
+    const ctx = makeCtx();
+    await handler(ctx, next);
+    expect(db.recordViolation).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Please introduce yourself.');
+  });
+});
+
+// ---- Interaction policy ----
+
+describe('interaction policy', () => {
+  test('removes polls, stories and Web App data from a pending member', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    for (const message of [
+      { message_id: 1, poll: { id: 'p1', question: 'Airdrop?' } },
+      { message_id: 1, story: { chat: { id: 5 }, id: 9 } },
+      { message_id: 1, web_app_data: { data: '{}', button_text: 'Open' } },
+    ]) {
+      const ctx = makeCtx();
+      ctx.message = message;
+      await handler(ctx, next);
+      expect(ctx.deleteMessage).toHaveBeenCalled();
+    }
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('reports a kind set to report and leaves it in place', async () => {
+    config.PENDING_INTERACTION_POLICY.poll = 'report';
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    const ctx = makeCtx();
+    ctx.message = { message_id: 5, poll: { id: 'p1', question: 'Airdrop?' } };
+    await handler(ctx, next);
+    expect(next).toHaveBeenCalled();
+    expect(ctx.deleteMessage).not.toHaveBeenCalled();
+    expect(notifyAdmins).toHaveBeenCalledWith(ctx.telegram, expect.stringContaining('created a poll'));
+    expect(notifyAdmins.mock.calls[0][1]).toContain(`https://t.me/c/${MAIN_GROUP}/5`);
+  });
+
+  test('lets a kind set to allow through, edits included', async () => {
+    config.PENDING_INTERACTION_POLICY.story = 'allow';
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    const ctx = makeCtx();
+    ctx.message = { message_id: 1, story: { chat: { id: 5 }, id: 9 } };
+    await handler(ctx, next);
+    const editCtx = makeEditCtx();
+    editCtx.editedMessage = { message_id: 1, story: { chat: { id: 5 }, id: 9 } };
+    await editHandler(editCtx, next);
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(ctx.deleteMessage).not.toHaveBeenCalled();
+    expect(editCtx.deleteMessage).not.toHaveBeenCalled();
+    expect(notifyAdmins).not.toHaveBeenCalled();
+  });
+});
+
+describe('reactions', () => {
+  test('reports a pending member\'s new reaction to the admins', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    const ctx = makeReactionCtx();
+    await reactionHandler(ctx, next);
+    expect(next).toHaveBeenCalled();
+    expect(notifyAdmins).toHaveBeenCalledWith(ctx.telegram, expect.stringContaining('reacted 👍'));
+    expect(mockCooldownInstance.touch).toHaveBeenCalledWith('123:reaction');
+  });
+
+  test('ignores removed and unchanged reactions', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    await reactionHandler(makeReactionCtx({}, [], [{ type: 'emoji', emoji: '👍' }]), next);
+    const removed = makeReactionCtx({}, []);
+    removed.messageReaction.old_reaction = [{ type: 'emoji', emoji: '👍' }];
+    await reactionHandler(removed, next);
+    expect(notifyAdmins).not.toHaveBeenCalled();
+  });
+
+  test('reports a member once per cooldown', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    mockCooldownInstance.isLimited.mockReturnValue(true);
+    await reactionHandler(makeReactionCtx(), next);
+    expect(notifyAdmins).not.toHaveBeenCalled();
+  });
+
+  test('does not report introduced members, admins, or while reactions are allowed', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 1 });
+    await reactionHandler(makeReactionCtx(), next);
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    adminCache.isAdmin.mockResolvedValue(true);
+    await reactionHandler(makeReactionCtx(), next);
+    adminCache.isAdmin.mockResolvedValue(false);
+    config.PENDING_INTERACTION_POLICY.reaction = 'allow';
+    await reactionHandler(makeReactionCtx(), next);
+    expect(notifyAdmins).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledTimes(3);
+  });
+
+  test('passes anonymous reactions and other chats through', async () => {
+    const anonymous = makeReactionCtx();
+    delete anonymous.from;
+    await reactionHandler(anonymous, next);
+    await reactionHandler(makeReactionCtx({ chatId: OTHER_CHAT }), next);
+    expect(notifyAdmins).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
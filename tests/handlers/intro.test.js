@@ -1,5 +1,7 @@
 'use strict';
 
+process.env.BOT_TOKEN = 'test-token'; // the config mock borrows the real rubric
+
 // Variables prefixed with "mock" can be referenced inside jest.mock() factory
 // functions (Jest hoists mock calls but allows this naming convention).
 const mockCooldownInstance = {
@@ -9,56 +11,129 @@ const mockCooldownInstance = {
 
 jest.mock('../../src/db');
 jest.mock('../../src/adminCache');
+jest.mock('../../src/permissions');
+jest.mock('../../src/introFingerprint', () => ({
+  checkCopy: jest.fn(() => ({ signature: [1, 2], copyOf: null, userIds: [] })),
+  fingerprint: jest.fn(() => [3, 4]),
+}));
+jest.mock('../../src/introGuards', () => ({
+  checkIntroGuards: jest.fn(() => null),
+  GUARD_NUDGES: { forwarded: 'INTRO_FORWARDED_MESSAGE' },
+}));
+jest.mock('../../src/introTags', () => ({
+  extractTags: jest.fn(() => [{ tag: 'rust', kind: 'skill' }]),
+}));
+jest.mock('../../src/announcements', () => ({ announceIntro: jest.fn() }));
+jest.mock('../../src/handlers/review', () => ({
+  needsReview: jest.fn(() => false),
+  submitForReview: jest.fn().mockResolvedValue(true),
+  replyToIntro: jest.fn(),
+}));
+jest.mock('../../src/adminAlerts', () => ({ notifyAdmins: jest.fn().mockResolvedValue(true) }));
 jest.mock('../../src/CooldownMap', () => jest.fn().mockImplementation(() => mockCooldownInstance));
-jest.mock('../../src/config', () => ({
+jest.mock('../../src/config', () => {
+  const actual = jest.requireActual('../../src/config');
+  return {
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
   getMainGroupId: jest.fn(() => -100111),
   getIntroChannelId: jest.fn(() => -100999),
   getIntroTopicId: jest.fn(() => null),
+  // One intro location: the whole of the intro chat, with the group-wide rubric and messages.
+  findIntroLocation: jest.fn((chatId) => (chatId === -100999
+    ? { chatId, topicId: null, track: null, weights: null, threshold: null, accepted: null }
+    : null)),
   INTRO_RATE_LIMIT_WINDOW_MS: 60_000,
   INTRO_RATE_LIMIT_MAX: 5,
   INTRO_MIN_LENGTH: 50,
+  INTRO_COPY_ALERT_ACCOUNTS: 3,
   INTRO_MAX_LENGTH: 4000,
-  INTRO_KEYWORD_BYPASS_LENGTH: 80,
-  INTRO_KEYWORDS: ['who are you', 'what do you do', 'where are you based', 'fun fact', 'contribute'],
+  // The real rubric, so these tests exercise actual section detection.
+  INTRO_RUBRIC_SECTIONS: actual.INTRO_RUBRIC_SECTIONS,
+  INTRO_RUBRIC_SYNONYMS: actual.INTRO_RUBRIC_SYNONYMS,
+  INTRO_RUBRIC_PATTERNS: actual.INTRO_RUBRIC_PATTERNS,
+  INTRO_SECTION_NAMES: actual.INTRO_SECTION_NAMES,
+  getIntroRubricWeights: jest.fn(() => actual.getIntroRubricWeights()),
+  getIntroPassThreshold: jest.fn(() => 2),
+  getIntroEditPolicy: jest.fn(() => 'notify'),
+  getIntroLocations: jest.fn(() => []),
+  introLink: actual.introLink,
+  messageLink: (chatId, messageId) => `https://t.me/c/${String(chatId).replace(/^-100/, '')}/${messageId}`,
+  WELCOME_MESSAGE: (name) => `Welcome ${name}!`,
   INTRO_ACCEPTED_MESSAGE: (name) => `Thanks ${name}!`,
-  INTRO_NUDGE_MESSAGE: 'Tell us more about yourself!',
-}));
+  INTRO_NUDGE_MESSAGE: (missing) => `Tell us more about yourself! Missing: ${missing.join(', ')}`,
+  INTRO_MEDIA_NUDGE_MESSAGE: 'Add your intro as a caption',
+  INTRO_EXAMPLE_COPY_MESSAGE: 'That is the example',
+  INTRO_COPY_MESSAGE: 'That is someone else\'s intro',
+  INTRO_FORWARDED_MESSAGE: 'Forwards do not count',
+  INTRO_REVOKED_MESSAGE: (missing) => `Intro revoked. Missing: ${missing.join(', ')}`,
+  INTRO_IN_REVIEW_MESSAGE: 'Waiting for review',
+  };
+});
 
 const db = require('../../src/db');
 const adminCache = require('../../src/adminCache');
+const permissions = require('../../src/permissions');
+const config = require('../../src/config');
+const { notifyAdmins } = require('../../src/adminAlerts');
+const { checkCopy } = require('../../src/introFingerprint');
+const { checkIntroGuards } = require('../../src/introGuards');
+const review = require('../../src/handlers/review');
+const { announceIntro } = require('../../src/announcements');
 const intro = require('../../src/handlers/intro');
 
 const INTRO_CHAT = -100999;
 const OTHER_CHAT = -100111;
 
 function makeBot() {
-  let messageHandler;
+  const handlers = {};
   return {
-    on: jest.fn((event, fn) => { if (event === 'message') messageHandler = fn; }),
-    getHandler: () => messageHandler,
+    on: jest.fn((event, fn) => { handlers[event] = fn; }),
+    getHandler: (event = 'message') => handlers[event],
   };
 }
 
-function makeCtx({ chatId = INTRO_CHAT, userId = 123, text = null, messageId = 1 } = {}) {
+function makeCtx({ chatId = INTRO_CHAT, userId = 123, text = null, messageId = 1, entities = undefined } = {}) {
   return {
     chat: { id: chatId },
     from: { id: userId, username: 'testuser', first_name: 'Test' },
-    message: { message_id: messageId, text },
+    message: { message_id: messageId, text, entities },
     reply: jest.fn().mockResolvedValue({ message_id: 999 }),
-    telegram: { deleteMessage: jest.fn().mockResolvedValue(true) },
+    deleteMessage: jest.fn().mockResolvedValue(true),
+    telegram: {
+      deleteMessage: jest.fn().mockResolvedValue(true),
+      editMessageText: jest.fn().mockResolvedValue(true),
+      approveChatJoinRequest: jest.fn().mockResolvedValue(true),
+    },
   };
 }
 
+function makeEditCtx({ userId = 123, text = null, messageId = 1, entities = undefined } = {}) {
+  const { message, ...ctx } = makeCtx({ userId, text, messageId, entities });
+  return { ...ctx, editedMessage: message };
+}
+
 let handler;
+let editHandler;
 let next;
 
 beforeEach(() => {
   jest.clearAllMocks();
   mockCooldownInstance.increment.mockReturnValue(false);
   adminCache.isAdmin.mockResolvedValue(false);
+  db.getPendingByWelcomeMsgId.mockReturnValue([]);
+  db.getJoinRequest.mockReturnValue(null);
+  config.getIntroPassThreshold.mockReturnValue(2);
+  config.getIntroEditPolicy.mockReturnValue('notify');
+  checkCopy.mockReturnValue({ signature: [1, 2], copyOf: null, userIds: [] });
+  checkIntroGuards.mockReturnValue(null);
+  review.needsReview.mockReturnValue(false);
+  review.submitForReview.mockResolvedValue(true);
+  db.getPendingIntroReview.mockReturnValue(null);
   const bot = makeBot();
   intro.register(bot);
   handler = bot.getHandler();
+  editHandler = bot.getHandler('edited_message');
   next = jest.fn();
 });
 
@@ -131,6 +206,52 @@ describe('non-text messages', () => {
     expect(ctx.reply).not.toHaveBeenCalled();
   });
 
+  const CAPTION = 'who are you: Mei, a designer. what do you do: I draw interfaces!';
+
+  test('scores a captioned photo like a text intro and records the media type', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0, welcome_msg_id: null });
+    const ctx = makeCtx({ text: null });
+    Object.assign(ctx.message, { photo: [{ file_id: 'p' }], caption: CAPTION });
+    await handler(ctx, next);
+    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1, 2, 'photo');
+    expect(ctx.reply).toHaveBeenCalledWith('Thanks Test!', expect.anything());
+  });
+
+  test.each(['video', 'document'])('accepts a captioned %s', async (type) => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0, welcome_msg_id: null });
+    const ctx = makeCtx({ text: null });
+    Object.assign(ctx.message, { [type]: { file_id: 'f' }, caption: CAPTION });
+    await handler(ctx, next);
+    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1, 2, type);
+  });
+
+  test('nudges with the intro nudge when a long caption misses sections', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    const ctx = makeCtx({ text: null });
+    Object.assign(ctx.message, { photo: [{ file_id: 'p' }], caption: 'x'.repeat(60) });
+    await handler(ctx, next);
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Missing:'), expect.anything());
+  });
+
+  test('gives the media nudge for a caption too short to be an intro', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    const ctx = makeCtx({ text: null });
+    Object.assign(ctx.message, { photo: [{ file_id: 'p' }], caption: 'me!' });
+    await handler(ctx, next);
+    expect(mockCooldownInstance.increment).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Add your intro as a caption', expect.anything());
+  });
+
+  test('does not take a sticker as an intro', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    const ctx = makeCtx({ text: null });
+    ctx.message.sticker = { file_id: 's' };
+    await handler(ctx, next);
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Add your intro as a caption', expect.anything());
+  });
+
   test('does not nudge a user not in the DB who posts media', async () => {
     db.getUser.mockReturnValue(null);
     const ctx = makeCtx({ text: null });
@@ -180,52 +301,143 @@ describe('intro validation', () => {
     );
   });
 
-  test('accepts an intro with 2 or more keywords', async () => {
-    // 55 chars, contains "who are you" and "what do you do"
+  test('accepts an intro covering enough rubric sections and stores its score', async () => {
+    // 55 chars, covers identity ("who are you") and role ("what do you do")
     const text = 'who are you: dev. what do you do: build stuff. padding!';
     const ctx = await run(text);
-    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1);
+    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1, 2, null);
+    expect(db.saveIntroText).toHaveBeenCalledWith(123, INTRO_CHAT, 1, text);
+    expect(db.setIntroTags).toHaveBeenCalledWith(123, [{ tag: 'rust', kind: 'skill' }]);
+    expect(announceIntro).toHaveBeenCalledWith(ctx.telegram, expect.objectContaining({ user_id: 123 }), {
+      chatId: INTRO_CHAT, msgId: 1, text,
+    });
     expect(ctx.reply).toHaveBeenCalledWith(
       expect.stringContaining('Thanks'),
       expect.anything(),
     );
   });
 
+  test('accepts a Malay intro using Malay synonyms', async () => {
+    // 56 chars: "siapa saya", "pekerjaan saya" and a Malaysian place name
+    const text = 'Siapa saya: Aminah. Pekerjaan saya: pereka UI di Penang.';
+    await run(text);
+    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1, 3, null);
+  });
+
+  test('replies in the language of the sender', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    const ctx = makeCtx({ text: 'hello' });
+    ctx.from.language_code = 'ms';
+    await handler(ctx, next);
+    expect(ctx.reply).toHaveBeenCalledWith(
+      expect.stringContaining('Pengenalan anda belum memberitahu kami siapa anda'),
+      expect.anything(),
+    );
+  });
+
+  test('lifts the gate after accepting an intro', async () => {
+    const text = 'who are you: dev. what do you do: build stuff. padding!';
+    const ctx = await run(text);
+    expect(permissions.liftGate).toHaveBeenCalledWith(ctx.telegram, 123);
+  });
+
+  test('approves a pending join request once the intro is accepted', async () => {
+    db.getJoinRequest.mockReturnValue({ user_id: 123, chat_id: -100111, expires_at: Date.now() + 1000 });
+    db.deleteJoinRequest.mockReturnValue(true);
+    const ctx = await run('who are you: dev. what do you do: build stuff. padding!');
+    expect(ctx.telegram.approveChatJoinRequest).toHaveBeenCalledWith(-100111, 123);
+  });
+
+  test('keeps the join request open for a rejected intro', async () => {
+    db.getJoinRequest.mockReturnValue({ user_id: 123, chat_id: -100111, expires_at: Date.now() + 1000 });
+    const ctx = await run('hello');
+    expect(ctx.telegram.approveChatJoinRequest).not.toHaveBeenCalled();
+  });
+
+  test('does not lift the gate for a rejected intro', async () => {
+    await run('hello');
+    expect(permissions.liftGate).not.toHaveBeenCalled();
+  });
+
   test('deletes the welcome message from the group after accepting intro', async () => {
     const text = 'who are you: dev. what do you do: build stuff. padding!';
     const ctx = await run(text, { user_id: 123, introduced: 0, welcome_msg_id: 555 });
     expect(ctx.telegram.deleteMessage).toHaveBeenCalledWith(-100111, 555);
   });
 
+  test('removes the user from a combined welcome that still greets others', async () => {
+    db.getPendingByWelcomeMsgId.mockReturnValue([
+      { user_id: 123, username: 'testuser', first_name: 'Test' },
+      { user_id: 456, username: 'other', first_name: 'Other' },
+    ]);
+    const text = 'who are you: dev. what do you do: build stuff. padding!';
+    const ctx = await run(text, { user_id: 123, introduced: 0, welcome_msg_id: 555 });
+    expect(ctx.telegram.deleteMessage).not.toHaveBeenCalled();
+    expect(ctx.telegram.editMessageText).toHaveBeenCalledWith(-100111, 555, undefined, 'Welcome Other!', undefined);
+  });
+
   test('does not try to delete welcome message when none was stored', async () => {
     const text = 'who are you: dev. what do you do: build stuff. padding!';
     const ctx = await run(text, { user_id: 123, introduced: 0, welcome_msg_id: null });
     expect(ctx.telegram.deleteMessage).not.toHaveBeenCalled();
   });
 
-  test('accepts an intro >= 80 chars without any keywords (bypass)', async () => {
-    const ctx = await run('x'.repeat(80));
-    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1);
+  test('rejects long gibberish', async () => {
+    const ctx = await run('x'.repeat(81));
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(
+      expect.stringContaining('Missing: who you are, what you do, where you\'re based'),
+      expect.anything(),
+    );
   });
 
-  test('accepts a casual intro >= 80 chars with no keyword phrases', async () => {
-    // Natural casual intro — no structured keywords, but long enough
+  test('accepts a casual intro that covers sections without the template phrases', async () => {
+    // "i am dahri" (identity) and "i like anime" (fun fact)
     const text = 'hi i am dahri and i like anime and i dont like to eat sea food since i see food i eat';
-    const ctx = await run(text);
-    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1);
+    await run(text);
+    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1, 2, null);
   });
 
-  test('rejects an intro with only 1 keyword and < 80 chars', async () => {
-    // ~55 chars, only "who are you" matches, < 80 chars so bypass does not apply
-    const text = 'who are you: I am a developer. padding padding pad!!';
+  test('rejects an intro covering a single section and names the missing ones', async () => {
+    const text = 'who are you: Dahri here. padding padding padding pad!!';
     const ctx = await run(text);
     expect(db.markIntroduced).not.toHaveBeenCalled();
     expect(ctx.reply).toHaveBeenCalledWith(
-      expect.stringContaining('Tell us more'),
+      'Tell us more about yourself! Missing: what you do, where you\'re based, a fun fact about you, ' +
+        'how you\'d like to contribute',
       expect.anything(),
     );
   });
 
+  test('applies the pass threshold set by admins', async () => {
+    config.getIntroPassThreshold.mockReturnValue(3);
+    await run('who are you: dev. what do you do: build stuff. padding!');
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+  });
+
+  test('applies the section weights set by admins', async () => {
+    config.getIntroRubricWeights.mockReturnValueOnce({ identity: 3, role: 1, location: 1, fun_fact: 1, contribution: 1 });
+    config.getIntroPassThreshold.mockReturnValue(3);
+    await run('who are you: Dahri here. padding padding padding pad!!');
+    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1, 3, null);
+  });
+
+  test('applies the rubric of the intro location the intro was posted in', async () => {
+    config.findIntroLocation.mockReturnValueOnce({
+      chatId: INTRO_CHAT, topicId: 4, track: 'builders', weights: { identity: 3 }, threshold: 3, accepted: null,
+    });
+    await run('who are you: Dahri here. padding padding padding pad!!');
+    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1, 3, null);
+  });
+
+  test('replies with the intro location\'s own accepted message', async () => {
+    config.findIntroLocation.mockReturnValueOnce({
+      chatId: INTRO_CHAT, topicId: null, track: 'builders', weights: null, threshold: null, accepted: 'Welcome, builder {name}!',
+    });
+    const ctx = await run('who are you: dev. what do you do: build stuff. padding!');
+    expect(ctx.reply).toHaveBeenCalledWith('Welcome, builder Test!', expect.anything());
+  });
+
   test('allows an already-introduced user to post freely', async () => {
     const ctx = await run('hi', { user_id: 123, introduced: 1 });
     expect(db.markIntroduced).not.toHaveBeenCalled();
@@ -241,3 +453,306 @@ describe('intro validation', () => {
     expect(db.upsertUser).toHaveBeenCalledWith(123, 'testuser', 'Test');
   });
 });
+
+// ---- Copy detection ----
+
+describe('copied intros', () => {
+  const GOOD_INTRO = 'who are you: dev. what do you do: build stuff. padding!';
+
+  beforeEach(() => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0, welcome_msg_id: null });
+  });
+
+  test('stores the fingerprint of an accepted intro', async () => {
+    await handler(makeCtx({ text: GOOD_INTRO }), next);
+    expect(checkCopy).toHaveBeenCalledWith(GOOD_INTRO, 123);
+    expect(db.addIntroFingerprint).toHaveBeenCalledWith(123, 1, [1, 2], true);
+  });
+
+  test('rejects a copy of the welcome example with its own nudge', async () => {
+    checkCopy.mockReturnValue({ signature: [1, 2], copyOf: 'example', userIds: [] });
+    const ctx = makeCtx({ text: GOOD_INTRO });
+    await handler(ctx, next);
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+    expect(db.addIntroFingerprint).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('That is the example', expect.anything());
+  });
+
+  test('rejects a copy of another intro and remembers it', async () => {
+    checkCopy.mockReturnValue({ signature: [1, 2], copyOf: 'intro', userIds: [55] });
+    const ctx = makeCtx({ text: GOOD_INTRO });
+    await handler(ctx, next);
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+    expect(db.addIntroFingerprint).toHaveBeenCalledWith(123, 1, [1, 2], false);
+    expect(ctx.reply).toHaveBeenCalledWith('That is someone else\'s intro', expect.anything());
+    expect(notifyAdmins).not.toHaveBeenCalled();
+  });
+
+  test('alerts the admins once enough accounts post the same intro', async () => {
+    checkCopy.mockReturnValue({ signature: [1, 2], copyOf: 'intro', userIds: [55, 66] });
+    const ctx = makeCtx({ text: GOOD_INTRO });
+    await handler(ctx, next);
+    expect(notifyAdmins).toHaveBeenCalledWith(ctx.telegram, expect.stringContaining('posted by 3 accounts'));
+    expect(notifyAdmins.mock.calls[0][1]).toContain('IDs 55, 66');
+  });
+
+  test('neither stores nor reports a copy the member already had rejected', async () => {
+    checkCopy.mockReturnValue({ signature: [1, 2], copyOf: 'intro', userIds: [55, 66], repeat: true });
+    const ctx = makeCtx({ text: GOOD_INTRO });
+    await handler(ctx, next);
+    expect(ctx.reply).toHaveBeenCalledWith('That is someone else\'s intro', expect.anything());
+    expect(db.addIntroFingerprint).not.toHaveBeenCalled();
+    expect(notifyAdmins).not.toHaveBeenCalled();
+  });
+});
+
+// ---- Review queue ----
+
+describe('anti-gaming guards', () => {
+  const GOOD_INTRO = 'who are you: dev. what do you do: build stuff. padding!';
+  const PHISHING = 'Free airdrop for members: https://bit.ly/claim-now';
+  const PHISHING_ENTITIES = [{ type: 'url', offset: 26, length: 24 }];
+
+  beforeEach(() => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0, welcome_msg_id: null });
+  });
+
+  test('checks each submission against the guards with its message', async () => {
+    const ctx = makeCtx({ text: GOOD_INTRO });
+    await handler(ctx, next);
+    expect(checkIntroGuards).toHaveBeenCalledWith(GOOD_INTRO, ctx.message);
+    expect(db.markIntroduced).toHaveBeenCalled();
+  });
+
+  test('turns away a guarded intro with its own nudge and logs the reason', async () => {
+    checkIntroGuards.mockReturnValue('forwarded');
+    const ctx = makeCtx({ text: GOOD_INTRO });
+    await handler(ctx, next);
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+    expect(checkCopy).not.toHaveBeenCalled();
+    expect(db.recordIntroRejection).toHaveBeenCalledWith(123, INTRO_CHAT, 1, 'forwarded');
+    expect(ctx.reply).toHaveBeenCalledWith('Forwards do not count', expect.anything());
+  });
+
+  test('removes a suspicious link posted by a pending member and logs it', async () => {
+    const ctx = makeCtx({ text: PHISHING, entities: PHISHING_ENTITIES });
+    await handler(ctx, next);
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('suspicious link'));
+    expect(db.recordIntroRejection).toHaveBeenCalledWith(123, INTRO_CHAT, 1, 'suspicious_link');
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+  });
+
+  test('removes a suspicious link posted by an introduced member', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 1 });
+    const ctx = makeCtx({ text: PHISHING, entities: PHISHING_ENTITIES });
+    await handler(ctx, next);
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+    expect(db.recordIntroRejection).not.toHaveBeenCalled();
+  });
+
+  test('removes a suspicious link edited into a post', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 1, intro_msg_id: 1 });
+    const ctx = makeEditCtx({ text: PHISHING, entities: PHISHING_ENTITIES });
+    await editHandler(ctx, next);
+    expect(ctx.deleteMessage).toHaveBeenCalled();
+    expect(db.saveIntroText).not.toHaveBeenCalled();
+  });
+
+  test('leaves admins\' links alone', async () => {
+    adminCache.isAdmin.mockResolvedValue(true);
+    const ctx = makeCtx({ text: PHISHING, entities: PHISHING_ENTITIES });
+    await handler(ctx, next);
+    expect(ctx.deleteMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('review queue', () => {
+  const GOOD_INTRO = 'who are you: dev. what do you do: build stuff. padding!';
+
+  beforeEach(() => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0, welcome_msg_id: null });
+  });
+
+  test('queues a passing intro for the admins instead of accepting it', async () => {
+    review.needsReview.mockReturnValue(true);
+    const ctx = makeCtx({ text: GOOD_INTRO });
+    await handler(ctx, next);
+    expect(review.needsReview).toHaveBeenCalledWith(2, 2);
+    expect(review.submitForReview).toHaveBeenCalledWith(ctx.telegram, ctx.from, {
+      chatId: INTRO_CHAT, topicId: null, msgId: 1, text: GOOD_INTRO, score: 2, maxScore: 5, media: null,
+    });
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+    expect(db.saveIntroText).not.toHaveBeenCalled();
+    expect(announceIntro).not.toHaveBeenCalled();
+    expect(permissions.liftGate).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Waiting for review', expect.anything());
+  });
+
+  test('does not queue an intro that fails the rubric', async () => {
+    review.needsReview.mockReturnValue(true);
+    const ctx = makeCtx({ text: 'x'.repeat(60) });
+    await handler(ctx, next);
+    expect(review.submitForReview).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Tell us more'), expect.anything());
+  });
+
+  test('accepts the intro itself when the admin chat cannot be reached', async () => {
+    review.needsReview.mockReturnValue(true);
+    review.submitForReview.mockResolvedValue(false);
+    await handler(makeCtx({ text: GOOD_INTRO }), next);
+    expect(db.markIntroduced).toHaveBeenCalledWith(123, 1, 2, null);
+  });
+
+  test('holds further posts while an intro waits for review', async () => {
+    db.getPendingIntroReview.mockReturnValue({ id: 9, user_id: 123 });
+    const ctx = makeCtx({ text: GOOD_INTRO });
+    await handler(ctx, next);
+    expect(checkCopy).not.toHaveBeenCalled();
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Waiting for review', expect.anything());
+  });
+
+  test('acceptReviewedIntro accepts the reviewed intro like one accepted on the spot', async () => {
+    const telegram = makeCtx().telegram;
+    const user = { user_id: 123, first_name: 'Test', introduced: 0, welcome_msg_id: null };
+    const reviewed = { id: 9, user_id: 123, chat_id: INTRO_CHAT, msg_id: 44, text: GOOD_INTRO, score: 2, media: 'photo' };
+    await intro.acceptReviewedIntro(telegram, user, reviewed);
+    expect(db.addIntroFingerprint).toHaveBeenCalledWith(123, 44, [3, 4], true);
+    expect(db.markIntroduced).toHaveBeenCalledWith(123, 44, 2, 'photo');
+    expect(db.saveIntroText).toHaveBeenCalledWith(123, INTRO_CHAT, 44, GOOD_INTRO);
+    expect(announceIntro).toHaveBeenCalledWith(telegram, user, { chatId: INTRO_CHAT, msgId: 44, text: GOOD_INTRO });
+    expect(permissions.liftGate).toHaveBeenCalledWith(telegram, 123);
+    expect(review.replyToIntro).toHaveBeenCalledWith(telegram, reviewed, 'Thanks Test!');
+  });
+});
+
+// ---- Edited intros ----
+
+describe('edited messages', () => {
+  const GOOD_INTRO = 'who are you: dev. what do you do: build stuff. padding!';
+  const introduced = { user_id: 123, introduced: 1, intro_msg_id: 7 };
+
+  beforeEach(() => {
+    db.getIntroText.mockReturnValue({ text: GOOD_INTRO, chat_id: INTRO_CHAT, msg_id: 7 });
+  });
+
+  test('updates the score when an accepted intro still passes', async () => {
+    db.getUser.mockReturnValue(introduced);
+    await editHandler(makeEditCtx({ text: GOOD_INTRO, messageId: 7 }), next);
+    expect(db.setIntroScore).toHaveBeenCalledWith(123, 2);
+    expect(db.saveIntroText).toHaveBeenCalledWith(123, INTRO_CHAT, 7, GOOD_INTRO);
+    expect(db.setIntroTags).toHaveBeenCalledWith(123, [{ tag: 'rust', kind: 'skill' }]);
+    expect(announceIntro).not.toHaveBeenCalled();
+    expect(notifyAdmins).not.toHaveBeenCalled();
+  });
+
+  test('tells the admins when an accepted intro is edited so it fails', async () => {
+    db.getUser.mockReturnValue(introduced);
+    const ctx = makeEditCtx({ text: 'hi', messageId: 7 });
+    await editHandler(ctx, next);
+    expect(db.resetUser).not.toHaveBeenCalled();
+    expect(ctx.reply).not.toHaveBeenCalled();
+    expect(notifyAdmins).toHaveBeenCalledWith(ctx.telegram, expect.stringContaining('@testuser (ID 123) edited their intro'));
+    expect(notifyAdmins.mock.calls[0][1]).toContain('https://t.me/c/999/7');
+  });
+
+  test('keeps the archived intro when an edit fails', async () => {
+    db.getUser.mockReturnValue(introduced);
+    await editHandler(makeEditCtx({ text: 'hi', messageId: 7 }), next);
+    expect(db.saveIntroText).not.toHaveBeenCalled();
+    expect(db.setIntroTags).not.toHaveBeenCalled();
+    expect(db.setIntroScore).not.toHaveBeenCalled();
+  });
+
+  test('runs the anti-gaming guards on an edited intro', async () => {
+    checkIntroGuards.mockReturnValue('links');
+    db.getUser.mockReturnValue(introduced);
+    const ctx = makeEditCtx({ text: GOOD_INTRO, messageId: 7 });
+    await editHandler(ctx, next);
+    expect(checkIntroGuards).toHaveBeenCalledWith(GOOD_INTRO, ctx.editedMessage);
+    expect(db.saveIntroText).not.toHaveBeenCalled();
+    expect(notifyAdmins.mock.calls[0][1]).toContain('turned away by the links check');
+  });
+
+  test('checks an edited intro for copying', async () => {
+    checkCopy.mockReturnValue({ signature: [1, 2], copyOf: 'intro', userIds: [55] });
+    db.getUser.mockReturnValue(introduced);
+    await editHandler(makeEditCtx({ text: GOOD_INTRO, messageId: 7 }), next);
+    expect(checkCopy).toHaveBeenCalledWith(GOOD_INTRO, 123);
+    expect(db.saveIntroText).not.toHaveBeenCalled();
+    expect(notifyAdmins.mock.calls[0][1]).toContain('copies another member\'s intro');
+  });
+
+  test('resets the member under the reset policy', async () => {
+    config.getIntroEditPolicy.mockReturnValue('reset');
+    db.getUser.mockReturnValue(introduced);
+    const ctx = makeEditCtx({ text: 'hi', messageId: 7 });
+    await editHandler(ctx, next);
+    expect(db.resetUser).toHaveBeenCalledWith(123);
+    expect(permissions.applyGate).toHaveBeenCalledWith(ctx.telegram, 123);
+    expect(ctx.reply).toHaveBeenCalledWith(
+      expect.stringContaining('Intro revoked. Missing: who you are'),
+      { reply_parameters: { message_id: 7 } },
+    );
+    expect(notifyAdmins.mock.calls[0][1]).toContain('set back to pending');
+  });
+
+  test('re-scores an accepted photo intro whose caption was cut short', async () => {
+    db.getUser.mockReturnValue(introduced);
+    const ctx = makeEditCtx({ messageId: 7 });
+    Object.assign(ctx.editedMessage, { photo: [{ file_id: 'p' }], caption: 'me!' });
+    await editHandler(ctx, next);
+    expect(notifyAdmins).toHaveBeenCalled();
+  });
+
+  test('does nothing under the ignore policy', async () => {
+    config.getIntroEditPolicy.mockReturnValue('ignore');
+    db.getUser.mockReturnValue(introduced);
+    await editHandler(makeEditCtx({ text: 'hi', messageId: 7 }), next);
+    expect(db.resetUser).not.toHaveBeenCalled();
+    expect(notifyAdmins).not.toHaveBeenCalled();
+  });
+
+  test('ignores edits to an introduced member\'s other posts', async () => {
+    db.getUser.mockReturnValue(introduced);
+    await editHandler(makeEditCtx({ text: 'hi', messageId: 8 }), next);
+    expect(db.setIntroScore).not.toHaveBeenCalled();
+    expect(notifyAdmins).not.toHaveBeenCalled();
+  });
+
+  test('ignores an edit with the intro\'s message ID in another intro chat', async () => {
+    db.getIntroText.mockReturnValue({ text: GOOD_INTRO, chat_id: OTHER_CHAT, msg_id: 7 });
+    db.getUser.mockReturnValue(introduced);
+    await editHandler(makeEditCtx({ text: 'hi', messageId: 7 }), next);
+    expect(db.setIntroScore).not.toHaveBeenCalled();
+    expect(notifyAdmins).not.toHaveBeenCalled();
+  });
+
+  test('accepts a pending member\'s rejected post once it is edited into a good intro', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0, welcome_msg_id: null });
+    const ctx = makeEditCtx({ text: GOOD_INTRO, messageId: 3 });
+    await editHandler(ctx, next);
+    expect(db.markIntroduced).toHaveBeenCalledWith(123, 3, 2, null);
+    expect(ctx.reply).toHaveBeenCalledWith('Thanks Test!', { reply_parameters: { message_id: 3 } });
+  });
+
+  test('counts a pending member\'s edits towards the rate limit', async () => {
+    db.getUser.mockReturnValue({ user_id: 123, introduced: 0 });
+    mockCooldownInstance.increment.mockReturnValue(true);
+    const ctx = makeEditCtx({ text: GOOD_INTRO });
+    await editHandler(ctx, next);
+    expect(db.markIntroduced).not.toHaveBeenCalled();
+  });
+
+  test('passes edits outside the intro channel on, and skips admins', async () => {
+    const ctx = makeEditCtx({ text: 'hi' });
+    ctx.chat.id = OTHER_CHAT;
+    await editHandler(ctx, next);
+    expect(next).toHaveBeenCalled();
+
+    adminCache.isAdmin.mockResolvedValue(true);
+    await editHandler(makeEditCtx({ text: 'hi' }), next);
+    expect(db.getUser).not.toHaveBeenCalled();
+  });
+});
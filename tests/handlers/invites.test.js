@@ -0,0 +1,104 @@
+'use strict';
+
+jest.mock('../../src/db');
+jest.mock('../../src/config', () => ({
+  getMainGroupId: jest.fn(() => -100111),
+  INVITE_LINK_CLAIM_TTL_MS: 10 * 60_000,
+}));
+
+const db = require('../../src/db');
+const invites = require('../../src/handlers/invites');
+
+const MAIN_GROUP = -100111;
+const LINK = 'https://t.me/+meetup';
+const NOW = 1_700_000_000_000;
+
+function makeBot() {
+  let memberHandler;
+  return {
+    on: jest.fn((event, fn) => { if (event === 'chat_member') memberHandler = fn; }),
+    getHandler: () => memberHandler,
+  };
+}
+
+function makeCtx({ chatId = MAIN_GROUP, userId = 42, isBot = false, link = LINK } = {}) {
+  const user = { id: userId, is_bot: isBot, first_name: 'Alice' };
+  return {
+    chatMember: {
+      chat: { id: chatId },
+      from: { id: userId },
+      old_chat_member: { user, status: 'left' },
+      new_chat_member: { user, status: 'member' },
+      invite_link: link ? { invite_link: link, name: 'KL meetup' } : undefined,
+    },
+  };
+}
+
+let handler;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  invites.clearUnclaimed();
+  db.setInviteLink.mockReturnValue(true);
+  const bot = makeBot();
+  invites.register(bot);
+  handler = bot.getHandler();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('chat_member', () => {
+  test('stores the invite link a member joined with and passes the update on', async () => {
+    const next = jest.fn();
+    await handler(makeCtx(), next);
+    expect(db.setInviteLink).toHaveBeenCalledWith(42, LINK);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('ignores joins without an invite link', async () => {
+    const next = jest.fn();
+    await handler(makeCtx({ link: null }), next);
+    expect(db.setInviteLink).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('ignores other chats and bots', async () => {
+    await handler(makeCtx({ chatId: -100222 }), jest.fn());
+    await handler(makeCtx({ isBot: true }), jest.fn());
+    expect(db.setInviteLink).not.toHaveBeenCalled();
+  });
+});
+
+describe('claimInviteLink', () => {
+  test('attaches a link held for a member who was not tracked yet', () => {
+    db.setInviteLink.mockReturnValueOnce(false);
+    invites.recordInviteLink(42, LINK);
+    invites.claimInviteLink(42);
+    expect(db.setInviteLink).toHaveBeenCalledTimes(2);
+    expect(db.setInviteLink).toHaveBeenLastCalledWith(42, LINK);
+  });
+
+  test('claims a held link only once', () => {
+    db.setInviteLink.mockReturnValueOnce(false);
+    invites.recordInviteLink(42, LINK);
+    invites.claimInviteLink(42);
+    invites.claimInviteLink(42);
+    expect(db.setInviteLink).toHaveBeenCalledTimes(2);
+  });
+
+  test('drops a held link that has expired', () => {
+    db.setInviteLink.mockReturnValueOnce(false);
+    invites.recordInviteLink(42, LINK);
+    Date.now.mockReturnValue(NOW + 10 * 60_000);
+    invites.claimInviteLink(42);
+    expect(db.setInviteLink).toHaveBeenCalledTimes(1);
+  });
+
+  test('does nothing when no link is held', () => {
+    invites.claimInviteLink(42);
+    expect(db.setInviteLink).not.toHaveBeenCalled();
+  });
+});
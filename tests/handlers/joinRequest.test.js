@@ -0,0 +1,191 @@
+'use strict';
+
+jest.mock('../../src/db');
+jest.mock('../../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
+  getMainGroupId: jest.fn(() => -100111),
+  getIntroChannelId: jest.fn(() => -100999),
+  getIntroTopicId: jest.fn(() => null),
+  getGateMode: jest.fn(() => 'request'),
+  getRejoinReintroDays: jest.fn(() => null),
+  introLink: jest.fn((channelId) => `https://t.me/c/${String(channelId).replace(/^-100/, '')}`),
+  JOIN_REQUEST_TIMEOUT_MS: 48 * 60 * 60_000,
+  JOIN_REQUEST_SWEEP_INTERVAL_MS: 5 * 60_000,
+  JOIN_REQUEST_MESSAGE: (name, introUrl) => `Hi ${name}! Intro: ${introUrl ?? 'use the button'}`,
+  WIZARD_BUTTON_TEXT: 'Introduce yourself',
+}));
+
+const db = require('../../src/db');
+const config = require('../../src/config');
+const joinRequest = require('../../src/handlers/joinRequest');
+
+const MAIN_GROUP = -100111;
+const NOW = 1_700_000_000_000;
+
+function makeBot() {
+  let requestHandler;
+  return {
+    on: jest.fn((event, fn) => { if (event === 'chat_join_request') requestHandler = fn; }),
+    getHandler: () => requestHandler,
+  };
+}
+
+function makeTelegram() {
+  return {
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+    approveChatJoinRequest: jest.fn().mockResolvedValue(true),
+    declineChatJoinRequest: jest.fn().mockResolvedValue(true),
+  };
+}
+
+function makeCtx({ chatId = MAIN_GROUP, userId = 42, isBot = false } = {}) {
+  return {
+    chatJoinRequest: {
+      chat: { id: chatId },
+      from: { id: userId, is_bot: isBot, username: 'alice', first_name: 'Alice' },
+      user_chat_id: userId,
+    },
+    botInfo: { username: 'guardian_bot' },
+    telegram: makeTelegram(),
+  };
+}
+
+let handler;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  config.getGateMode.mockReturnValue('request');
+  config.getIntroChannelId.mockReturnValue(-100999);
+  config.getRejoinReintroDays.mockReturnValue(null);
+  db.getUser.mockReturnValue(null);
+  db.getJoinRequest.mockReturnValue(null);
+  db.deleteJoinRequest.mockReturnValue(true);
+  db.getExpiredJoinRequests.mockReturnValue([]);
+  const bot = makeBot();
+  joinRequest.register(bot);
+  handler = bot.getHandler();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  joinRequest.stopExpirySweep();
+});
+
+// ---- Incoming requests ----
+
+describe('chat_join_request', () => {
+  test('holds the request open and tracks the requester', async () => {
+    const ctx = makeCtx();
+    await handler(ctx);
+    expect(db.upsertUser).toHaveBeenCalledWith(42, 'alice', 'Alice');
+    expect(db.createJoinRequest).toHaveBeenCalledWith(42, MAIN_GROUP, NOW + config.JOIN_REQUEST_TIMEOUT_MS);
+    expect(ctx.telegram.approveChatJoinRequest).not.toHaveBeenCalled();
+  });
+
+  test('DMs the intro instructions with the wizard button', async () => {
+    const ctx = makeCtx();
+    await handler(ctx);
+    expect(ctx.telegram.sendMessage).toHaveBeenCalledWith(42, 'Hi Alice! Intro: https://t.me/c/999', {
+      reply_markup: {
+        inline_keyboard: [[{ text: 'Introduce yourself', url: 'https://t.me/guardian_bot?start=intro' }]],
+      },
+    });
+  });
+
+  test('points only to the wizard when the intro channel is a topic of the main group', async () => {
+    config.getIntroChannelId.mockReturnValue(MAIN_GROUP);
+    const ctx = makeCtx();
+    await handler(ctx);
+    expect(ctx.telegram.sendMessage).toHaveBeenCalledWith(42, 'Hi Alice! Intro: use the button', expect.anything());
+  });
+
+  test('approves a requester who introduced on an earlier visit', async () => {
+    db.getUser.mockReturnValue({ user_id: 42, introduced: 1 });
+    const ctx = makeCtx();
+    await handler(ctx);
+    expect(ctx.telegram.approveChatJoinRequest).toHaveBeenCalledWith(MAIN_GROUP, 42);
+    expect(db.createJoinRequest).not.toHaveBeenCalled();
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('holds the request of a returning member who must introduce again', async () => {
+    config.getRejoinReintroDays.mockReturnValue(0);
+    const departed = { user_id: 42, introduced: 1, introduced_at: '2023-01-01 00:00:00', left_at: '2023-06-01 00:00:00' };
+    db.getUser.mockReturnValueOnce(departed).mockReturnValue({ ...departed, introduced: 0, introduced_at: null });
+    const ctx = makeCtx();
+    await handler(ctx);
+    expect(db.resetUser).toHaveBeenCalledWith(42);
+    expect(db.markRejoined).not.toHaveBeenCalled();
+    expect(ctx.telegram.approveChatJoinRequest).not.toHaveBeenCalled();
+    expect(db.createJoinRequest).toHaveBeenCalled();
+  });
+
+  test('ignores requests outside request gate mode', async () => {
+    config.getGateMode.mockReturnValue('delete');
+    const ctx = makeCtx();
+    await handler(ctx);
+    expect(db.upsertUser).not.toHaveBeenCalled();
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('ignores requests to other chats', async () => {
+    const ctx = makeCtx({ chatId: -100222 });
+    await handler(ctx);
+    expect(db.createJoinRequest).not.toHaveBeenCalled();
+  });
+});
+
+// ---- Approval ----
+
+describe('approveRequest', () => {
+  test('approves and claims a pending request', async () => {
+    db.getJoinRequest.mockReturnValue({ user_id: 42, chat_id: MAIN_GROUP, expires_at: NOW + 1 });
+    const telegram = makeTelegram();
+    await expect(joinRequest.approveRequest(telegram, 42)).resolves.toBe(true);
+    expect(db.deleteJoinRequest).toHaveBeenCalledWith(42);
+    expect(telegram.approveChatJoinRequest).toHaveBeenCalledWith(MAIN_GROUP, 42);
+  });
+
+  test('does nothing without a pending request', async () => {
+    const telegram = makeTelegram();
+    await expect(joinRequest.approveRequest(telegram, 42)).resolves.toBe(false);
+    expect(telegram.approveChatJoinRequest).not.toHaveBeenCalled();
+  });
+
+  test('does not approve a request the expiry sweep already claimed', async () => {
+    db.getJoinRequest.mockReturnValue({ user_id: 42, chat_id: MAIN_GROUP, expires_at: NOW });
+    db.deleteJoinRequest.mockReturnValue(false);
+    const telegram = makeTelegram();
+    await expect(joinRequest.approveRequest(telegram, 42)).resolves.toBe(false);
+    expect(telegram.approveChatJoinRequest).not.toHaveBeenCalled();
+  });
+});
+
+// ---- Expiry ----
+
+describe('expireRequests', () => {
+  test('declines timed-out requests and forgets the requester', async () => {
+    db.getExpiredJoinRequests.mockReturnValue([{ user_id: 42, chat_id: MAIN_GROUP, expires_at: NOW - 1 }]);
+    db.getUser.mockReturnValue({ user_id: 42, introduced: 0 });
+    const telegram = makeTelegram();
+    await joinRequest.expireRequests(telegram);
+    expect(telegram.declineChatJoinRequest).toHaveBeenCalledWith(MAIN_GROUP, 42);
+    expect(db.recordKick).toHaveBeenCalledWith(42, 'join_request_timeout');
+  });
+
+  test('skips requests approved while the sweep was running', async () => {
+    db.getExpiredJoinRequests.mockReturnValue([{ user_id: 42, chat_id: MAIN_GROUP, expires_at: NOW - 1 }]);
+    db.deleteJoinRequest.mockReturnValue(false);
+    const telegram = makeTelegram();
+    await joinRequest.expireRequests(telegram);
+    expect(telegram.declineChatJoinRequest).not.toHaveBeenCalled();
+    expect(db.recordKick).not.toHaveBeenCalled();
+  });
+
+  test('startExpirySweep runs an immediate pass for requests that expired during downtime', () => {
+    joinRequest.startExpirySweep(makeTelegram());
+    expect(db.getExpiredJoinRequests).toHaveBeenCalledWith(NOW);
+  });
+});
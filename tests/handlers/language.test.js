@@ -0,0 +1,78 @@
+'use strict';
+
+jest.mock('../../src/db');
+jest.mock('../../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  LOCALE_NAMES: { en: 'English', ms: 'Bahasa Melayu', zh: '中文' },
+  getDefaultLocale: jest.fn(() => 'en'),
+  LANGUAGE_CURRENT_MESSAGE: (name, codes) => `Current: ${name} (${codes.join(', ')})`,
+  LANGUAGE_SET_MESSAGE: (name) => `Set to ${name}`,
+  LANGUAGE_AUTO_MESSAGE: 'Following Telegram',
+}));
+
+const db = require('../../src/db');
+const language = require('../../src/handlers/language');
+
+function makeBot() {
+  const commands = {};
+  return {
+    command: jest.fn((cmd, fn) => { commands[cmd] = fn; }),
+    getCommand: (cmd) => commands[cmd],
+  };
+}
+
+function makeCtx({ chatType = 'private', text = '/language', languageCode } = {}) {
+  return {
+    chat: { id: 42, type: chatType },
+    from: { id: 42, first_name: 'Alice', language_code: languageCode },
+    message: { text },
+    reply: jest.fn().mockResolvedValue({ message_id: 1 }),
+  };
+}
+
+let command;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.getUserLocale.mockReturnValue(null);
+  const bot = makeBot();
+  language.register(bot);
+  command = bot.getCommand('language');
+});
+
+describe('/language', () => {
+  test('stores the chosen language and confirms in it', () => {
+    const ctx = makeCtx({ text: '/language ms' });
+    command(ctx);
+    expect(db.setUserLocale).toHaveBeenCalledWith(42, 'ms');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Bahasa Melayu'));
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('mulai sekarang'));
+  });
+
+  test('"auto" clears the preference', () => {
+    const ctx = makeCtx({ text: '/language auto' });
+    command(ctx);
+    expect(db.setUserLocale).toHaveBeenCalledWith(42, null);
+    expect(ctx.reply).toHaveBeenCalledWith('Following Telegram');
+  });
+
+  test('shows the current language and the options without an argument', () => {
+    const ctx = makeCtx({ text: '/language' });
+    command(ctx);
+    expect(db.setUserLocale).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Current: English (en, ms, zh)');
+  });
+
+  test('treats an unsupported code like no argument', () => {
+    const ctx = makeCtx({ text: '/language fr' });
+    command(ctx);
+    expect(db.setUserLocale).not.toHaveBeenCalled();
+  });
+
+  test('is ignored outside private chats', () => {
+    const ctx = makeCtx({ chatType: 'supergroup', text: '/language ms' });
+    command(ctx);
+    expect(db.setUserLocale).not.toHaveBeenCalled();
+    expect(ctx.reply).not.toHaveBeenCalled();
+  });
+});
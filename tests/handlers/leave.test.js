@@ -0,0 +1,165 @@
+'use strict';
+
+jest.mock('../../src/db');
+jest.mock('../../src/handlers/welcome', () => ({ releaseWelcome: jest.fn().mockResolvedValue() }));
+jest.mock('../../src/config', () => ({
+  getMainGroupId: jest.fn(() => -100111),
+}));
+
+const db = require('../../src/db');
+const { releaseWelcome } = require('../../src/handlers/welcome');
+const leave = require('../../src/handlers/leave');
+
+const MAIN_GROUP = -100111;
+const OTHER_CHAT = -100222;
+
+function makeBot() {
+  const handlers = {};
+  return {
+    on: jest.fn((event, fn) => { handlers[event] = fn; }),
+    handlers,
+  };
+}
+
+function makeUser({ id = 42, isBot = false } = {}) {
+  return { id, is_bot: isBot, first_name: 'Alice' };
+}
+
+function makeLeftCtx({ chatId = MAIN_GROUP, member = makeUser(), fromId = member.id } = {}) {
+  return {
+    chat: { id: chatId },
+    from: { id: fromId },
+    message: { left_chat_member: member },
+    telegram: {},
+  };
+}
+
+function makeChatMemberCtx({ chatId = MAIN_GROUP, user = makeUser(), fromId = user.id, oldMember, newMember }) {
+  return {
+    chatMember: {
+      chat: { id: chatId },
+      from: { id: fromId },
+      old_chat_member: { user, ...oldMember },
+      new_chat_member: { user, ...newMember },
+    },
+    telegram: {},
+  };
+}
+
+const trackedUser = { user_id: 42, introduced: 0, welcome_msg_id: 555, left_at: null };
+
+let handlers;
+let next;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  next = jest.fn();
+  db.getUser.mockReturnValue(trackedUser);
+  const bot = makeBot();
+  leave.register(bot);
+  handlers = bot.handlers;
+});
+
+// ---- left_chat_member ----
+
+describe('left_chat_member', () => {
+  test('records a member who left on their own', async () => {
+    const ctx = makeLeftCtx();
+    await handlers.left_chat_member(ctx, next);
+    expect(db.markLeft).toHaveBeenCalledWith(42, 'left');
+    expect(releaseWelcome).toHaveBeenCalledWith(ctx.telegram, trackedUser);
+  });
+
+  test('records a member removed by someone else as kicked', async () => {
+    await handlers.left_chat_member(makeLeftCtx({ fromId: 7 }), next);
+    expect(db.markLeft).toHaveBeenCalledWith(42, 'kicked');
+  });
+
+  test('ignores users the bot does not track', async () => {
+    db.getUser.mockReturnValue(null);
+    await handlers.left_chat_member(makeLeftCtx(), next);
+    expect(db.markLeft).not.toHaveBeenCalled();
+    expect(releaseWelcome).not.toHaveBeenCalled();
+  });
+
+  test('does not record a departure twice', async () => {
+    db.getUser.mockReturnValue({ ...trackedUser, left_at: '2026-01-01 00:00:00' });
+    await handlers.left_chat_member(makeLeftCtx(), next);
+    expect(db.markLeft).not.toHaveBeenCalled();
+  });
+
+  test('passes other chats and bots on', async () => {
+    await handlers.left_chat_member(makeLeftCtx({ chatId: OTHER_CHAT }), next);
+    await handlers.left_chat_member(makeLeftCtx({ member: makeUser({ isBot: true }) }), next);
+    expect(db.markLeft).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ---- chat_member ----
+
+describe('chat_member', () => {
+  test('records a member who left', async () => {
+    await handlers.chat_member(makeChatMemberCtx({ oldMember: { status: 'member' }, newMember: { status: 'left' } }), next);
+    expect(db.markLeft).toHaveBeenCalledWith(42, 'left');
+    expect(releaseWelcome).toHaveBeenCalled();
+  });
+
+  test('records a removal by an admin as kicked', async () => {
+    await handlers.chat_member(makeChatMemberCtx({
+      fromId: 7, oldMember: { status: 'member' }, newMember: { status: 'left' },
+    }), next);
+    expect(db.markLeft).toHaveBeenCalledWith(42, 'kicked');
+  });
+
+  test('records a ban', async () => {
+    await handlers.chat_member(makeChatMemberCtx({
+      fromId: 7, oldMember: { status: 'member' }, newMember: { status: 'kicked' },
+    }), next);
+    expect(db.markLeft).toHaveBeenCalledWith(42, 'banned');
+  });
+
+  test('treats a restricted member as present', async () => {
+    await handlers.chat_member(makeChatMemberCtx({
+      oldMember: { status: 'restricted', is_member: true }, newMember: { status: 'left' },
+    }), next);
+    expect(db.markLeft).toHaveBeenCalledWith(42, 'left');
+  });
+
+  test('records a ban of someone who had already left', async () => {
+    db.getUser.mockReturnValue({ ...trackedUser, left_at: '2026-01-01 00:00:00', left_reason: 'left' });
+    await handlers.chat_member(makeChatMemberCtx({
+      fromId: 7, oldMember: { status: 'left' }, newMember: { status: 'kicked' },
+    }), next);
+    expect(db.markLeft).toHaveBeenCalledWith(42, 'banned');
+    expect(releaseWelcome).not.toHaveBeenCalled();
+  });
+
+  test('turns a lifted ban into a kick', async () => {
+    db.getUser.mockReturnValue({ ...trackedUser, left_at: '2026-01-01 00:00:00', left_reason: 'banned' });
+    await handlers.chat_member(makeChatMemberCtx({
+      fromId: 7, oldMember: { status: 'kicked' }, newMember: { status: 'left' },
+    }), next);
+    expect(db.markLeft).toHaveBeenCalledWith(42, 'kicked');
+  });
+
+  test('ignores members joining or being promoted', async () => {
+    await handlers.chat_member(makeChatMemberCtx({ oldMember: { status: 'left' }, newMember: { status: 'member' } }), next);
+    await handlers.chat_member(makeChatMemberCtx({
+      fromId: 7, oldMember: { status: 'member' }, newMember: { status: 'administrator' },
+    }), next);
+    expect(db.markLeft).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test('passes other chats and bots on', async () => {
+    await handlers.chat_member(makeChatMemberCtx({
+      chatId: OTHER_CHAT, oldMember: { status: 'member' }, newMember: { status: 'left' },
+    }), next);
+    await handlers.chat_member(makeChatMemberCtx({
+      user: makeUser({ isBot: true }), oldMember: { status: 'member' }, newMember: { status: 'left' },
+    }), next);
+    expect(db.markLeft).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
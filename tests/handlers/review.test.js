@@ -0,0 +1,196 @@
+'use strict';
+
+jest.mock('../../src/db');
+jest.mock('../../src/adminCache');
+jest.mock('../../src/adminAlerts', () => ({ notifyAdmins: jest.fn().mockResolvedValue(true) }));
+jest.mock('../../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
+  getMainGroupId: jest.fn(() => -100111),
+  getAdminChatId: jest.fn(() => -100555),
+  getIntroReviewMode: jest.fn(() => 'review'),
+  getIntroPassThreshold: jest.fn(() => 2),
+  INTRO_REVIEW_MARGIN: 1,
+  INTRO_REVIEW_QUOTE_LENGTH: 3000,
+  messageLink: (chatId, messageId) => `https://t.me/c/${String(chatId).replace(/^-100/, '')}/${messageId}`,
+  INTRO_REVIEW_REJECTED_MESSAGE: 'Not accepted.',
+  INTRO_REVIEW_MORE_MESSAGE: 'Tell us more.',
+}));
+
+const db = require('../../src/db');
+const adminCache = require('../../src/adminCache');
+const config = require('../../src/config');
+const { notifyAdmins } = require('../../src/adminAlerts');
+const review = require('../../src/handlers/review');
+
+const INTRO_CHAT = -100999;
+const NOW = Date.UTC(2026, 0, 20, 12, 0);
+const REVIEW = {
+  id: 9, user_id: 42, chat_id: INTRO_CHAT, msg_id: 77, text: 'Hi, I am Ali', score: 2, media: null,
+  submitted_at: NOW - 25 * 60_000, decision: null,
+};
+
+function makeBot() {
+  let actionHandler;
+  return {
+    action: jest.fn((pattern, fn) => { actionHandler = { pattern, fn }; }),
+    getAction: () => actionHandler,
+  };
+}
+
+function makeCallbackCtx(pattern, action = 'approve', { reviewId = 9, fromId = 1 } = {}) {
+  return {
+    from: { id: fromId, username: 'boss', first_name: 'Boss' },
+    match: `review:${reviewId}:${action}`.match(pattern),
+    callbackQuery: { message: { text: 'Intro to review from @ali' } },
+    answerCbQuery: jest.fn().mockResolvedValue(true),
+    editMessageText: jest.fn().mockResolvedValue(true),
+    telegram: { sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }) },
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers({ now: NOW });
+  config.getIntroReviewMode.mockReturnValue('review');
+  config.getAdminChatId.mockReturnValue(-100555);
+  adminCache.isAdmin.mockResolvedValue(true);
+  notifyAdmins.mockResolvedValue(true);
+  db.createIntroReview.mockReturnValue(9);
+  db.getIntroReview.mockReturnValue(REVIEW);
+  db.decideIntroReview.mockReturnValue(true);
+  db.getUser.mockReturnValue({ user_id: 42, first_name: 'Ali', introduced: 0 });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// ---- needsReview ----
+
+describe('needsReview', () => {
+  test('never in auto mode', () => {
+    config.getIntroReviewMode.mockReturnValue('auto');
+    expect(review.needsReview(2)).toBe(false);
+  });
+
+  test('always in review mode', () => {
+    expect(review.needsReview(5)).toBe(true);
+  });
+
+  test('only for scores close to the threshold in hybrid mode', () => {
+    config.getIntroReviewMode.mockReturnValue('hybrid');
+    expect(review.needsReview(2)).toBe(true);
+    expect(review.needsReview(3)).toBe(false);
+  });
+
+  test('measures closeness against the threshold the intro was scored with', () => {
+    config.getIntroReviewMode.mockReturnValue('hybrid');
+    expect(review.needsReview(3, 3)).toBe(true);
+    expect(review.needsReview(4, 3)).toBe(false);
+  });
+
+  test('never without an admin chat to review in, and without logging', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    config.getAdminChatId.mockReturnValue(null);
+    expect(review.needsReview(2)).toBe(false);
+    expect(warnSpy).not.toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+});
+
+// ---- submitForReview ----
+
+describe('submitForReview', () => {
+  const from = { id: 42, username: 'ali', first_name: 'Ali' };
+  const intro = { chatId: INTRO_CHAT, topicId: 4, msgId: 77, text: 'Hi, I am Ali', score: 2, maxScore: 5, media: 'photo' };
+
+  test('records the review and posts it to the admin chat with decision buttons', async () => {
+    const telegram = {};
+    await expect(review.submitForReview(telegram, from, intro)).resolves.toBe(true);
+    expect(db.createIntroReview).toHaveBeenCalledWith(42, INTRO_CHAT, 77, 'Hi, I am Ali', 2, 'photo', 4);
+
+    const [, text, extra] = notifyAdmins.mock.calls[0];
+    expect(text).toContain('@ali (ID 42), score 2 of 5 (photo with caption)');
+    expect(text).toContain('Hi, I am Ali');
+    expect(text).toContain('https://t.me/c/999/77');
+    expect(extra.reply_markup.inline_keyboard[0].map((b) => b.callback_data)).toEqual([
+      'review:9:approve', 'review:9:reject', 'review:9:more',
+    ]);
+  });
+
+  test('withdraws the review when the admin chat cannot be reached', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    notifyAdmins.mockRejectedValue(new Error('chat not found'));
+    await expect(review.submitForReview({}, from, intro)).resolves.toBe(false);
+    expect(db.deleteIntroReview).toHaveBeenCalledWith(9);
+    console.error.mockRestore();
+  });
+});
+
+// ---- Decisions ----
+
+describe('review buttons', () => {
+  let bot;
+  let onApprove;
+
+  beforeEach(() => {
+    bot = makeBot();
+    onApprove = jest.fn().mockResolvedValue(undefined);
+    review.register(bot, onApprove);
+  });
+
+  async function tap(action, options) {
+    const { pattern, fn } = bot.getAction();
+    const ctx = makeCallbackCtx(pattern, action, options);
+    await fn(ctx);
+    return ctx;
+  }
+
+  test('approve lets the member in and records who approved it', async () => {
+    const ctx = await tap('approve');
+    expect(db.decideIntroReview).toHaveBeenCalledWith(9, 'approved', 1);
+    expect(onApprove).toHaveBeenCalledWith(ctx.telegram, expect.objectContaining({ user_id: 42 }), REVIEW);
+    expect(ctx.editMessageText).toHaveBeenCalledWith(
+      'Intro to review from @ali\n\nApproved by @boss after 25 min',
+    );
+  });
+
+  test('reject tells the member, who stays pending', async () => {
+    const ctx = await tap('reject');
+    expect(db.decideIntroReview).toHaveBeenCalledWith(9, 'rejected', 1);
+    expect(onApprove).not.toHaveBeenCalled();
+    expect(ctx.telegram.sendMessage).toHaveBeenCalledWith(INTRO_CHAT, 'Not accepted.', {
+      reply_parameters: { message_id: 77, allow_sending_without_reply: true },
+    });
+  });
+
+  test('ask for more asks the member to add detail', async () => {
+    const ctx = await tap('more');
+    expect(db.decideIntroReview).toHaveBeenCalledWith(9, 'more', 1);
+    expect(ctx.telegram.sendMessage).toHaveBeenCalledWith(INTRO_CHAT, 'Tell us more.', expect.anything());
+    expect(ctx.editMessageText).toHaveBeenCalledWith(expect.stringContaining('Asked for more by @boss'));
+  });
+
+  test('ignores members who are not admins of the main group', async () => {
+    adminCache.isAdmin.mockResolvedValue(false);
+    const ctx = await tap('approve', { fromId: 5 });
+    expect(db.decideIntroReview).not.toHaveBeenCalled();
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith(expect.stringContaining('Only admins'));
+  });
+
+  test('a review already decided by another admin is left alone', async () => {
+    db.decideIntroReview.mockReturnValue(false);
+    const ctx = await tap('approve');
+    expect(onApprove).not.toHaveBeenCalled();
+    expect(ctx.editMessageText).not.toHaveBeenCalled();
+    expect(ctx.answerCbQuery).toHaveBeenCalledWith(expect.stringContaining('already been reviewed'));
+  });
+
+  test('changes nothing for a member introduced while the review waited', async () => {
+    db.getUser.mockReturnValue({ user_id: 42, introduced: 1 });
+    const ctx = await tap('reject');
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+    expect(ctx.editMessageText).toHaveBeenCalledWith(expect.stringContaining('no longer pending'));
+  });
+});
@@ -1,6 +1,9 @@
 'use strict';
 
+jest.mock('../../src/db');
 jest.mock('../../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
   getMainGroupId: jest.fn(() => -100111),
   sanitizeName: (name) => (name || 'there').replace(/[<>&\r\n\t*_`\[\]()~\\]/g, '').trim().slice(0, 64) || 'there',
 }));
@@ -202,6 +205,17 @@ describe('security handler', () => {
     expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('Alice'));
   });
 
+  test('warns in the sender\'s Telegram language', async () => {
+    const ctx = makeCtx({
+      text: 'https://bit.ly/abc',
+      entities: [{ type: 'url', offset: 0, length: 18 }],
+      from: { id: 1, username: 'alice', language_code: 'zh-hans' },
+    });
+    await handler(ctx, next);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('可疑链接'));
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('@alice'));
+  });
+
   test('does not act on clean messages', async () => {
     const ctx = makeCtx({
       text: 'https://solana.com',
@@ -1,23 +1,35 @@
 'use strict';
 
-const mockCooldownInstance = {
-  isLimited: jest.fn().mockReturnValue(false),
-  touch: jest.fn(),
-};
-
 jest.mock('../../src/db');
 jest.mock('../../src/adminCache', () => ({ isAdmin: jest.fn().mockResolvedValue(false) }));
-jest.mock('../../src/CooldownMap', () => jest.fn().mockImplementation(() => mockCooldownInstance));
+jest.mock('../../src/handlers/captcha');
+jest.mock('../../src/permissions');
 jest.mock('../../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
   getMainGroupId: jest.fn(() => -100111),
+  isCaptchaEnabled: jest.fn(() => false),
   getIntroChannelId: jest.fn(() => -100999),
   getIntroTopicId: jest.fn(() => null),
-  WELCOME_COOLDOWN_MS: 5_000,
+  getIntroLocations: jest.fn(() => [{ chatId: -100999, topicId: null, track: null }]),
+  introLink: (chatId, topicId) => `https://t.me/c/${String(chatId).replace(/^-100/, '')}${topicId ? `/${topicId}` : ''}`,
+  getRejoinReintroDays: jest.fn(() => null),
+  WELCOME_BURST_WINDOW_MS: 60_000,
+  INVITE_LINK_CLAIM_TTL_MS: 10 * 60_000,
+  WELCOME_BURST_MAX_MEMBERS: 10,
   MAX_NEW_MEMBERS_PER_EVENT: 10,
+  CAPTCHA_MASS_JOIN_SPACING_MS: 3_000,
   WELCOME_MESSAGE: (name) => `Welcome ${name}!`,
+  WELCOME_BURST_MESSAGE: (mentions) => `Welcome ${mentions.join(', ')}!`,
+  WIZARD_BUTTON_TEXT: 'Introduce yourself',
 }));
 
 const db = require('../../src/db');
+const config = require('../../src/config');
+const adminCache = require('../../src/adminCache');
+const captcha = require('../../src/handlers/captcha');
+const permissions = require('../../src/permissions');
+const invites = require('../../src/handlers/invites');
 const welcome = require('../../src/handlers/welcome');
 
 const MAIN_GROUP = -100111;
@@ -42,18 +54,31 @@ function makeCtx({ chatId = MAIN_GROUP, members = [makeMember()] } = {}) {
     reply: jest.fn().mockResolvedValue({ message_id: 777 }),
     telegram: {
       deleteMessage: jest.fn().mockResolvedValue(true),
+      editMessageText: jest.fn().mockResolvedValue(true),
     },
   };
 }
 
+// Minimal stand-in for the users table, so burst edits see who shares a welcome.
+let users;
 let handler;
 
 beforeEach(() => {
   jest.clearAllMocks();
-  mockCooldownInstance.isLimited.mockReturnValue(false);
-  mockCooldownInstance.touch.mockReset();
+  welcome.clearBursts();
+  invites.clearUnclaimed();
+  users = new Map();
+  db.upsertUser.mockImplementation((id, username, firstName) => {
+    users.set(id, { ...users.get(id), user_id: id, username, first_name: firstName, introduced: 0 });
+  });
+  db.setWelcomeMsgId.mockImplementation((id, msgId) => { users.get(id).welcome_msg_id = msgId; });
+  db.getPendingByWelcomeMsgId.mockImplementation((msgId) =>
+    [...users.values()].filter((u) => u.welcome_msg_id === msgId && !u.introduced));
   // Default: user is not in DB (brand new member).
   db.getUser.mockReturnValue(null);
+  config.isCaptchaEnabled.mockReturnValue(false);
+  config.getRejoinReintroDays.mockReturnValue(null);
+  adminCache.isAdmin.mockResolvedValue(false);
   const bot = makeBot();
   welcome.register(bot);
   handler = bot.getHandler();
@@ -103,42 +128,146 @@ describe('normal join', () => {
   });
 });
 
-// ---- Cooldown ----
+// ---- Wizard button ----
+
+describe('wizard button', () => {
+  test('attaches an "Introduce yourself" deep link when the bot username is known', async () => {
+    const ctx = makeCtx({ members: [makeMember({ id: 1, firstName: 'Alice' })] });
+    ctx.botInfo = { username: 'guardian_bot' };
+    await handler(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith('Welcome Alice!', {
+      reply_markup: {
+        inline_keyboard: [[{ text: 'Introduce yourself', url: 'https://t.me/guardian_bot?start=intro' }]],
+      },
+    });
+  });
+});
+
+describe('buildWizardButton', () => {
+  test('returns a deep-link URL button', () => {
+    const keyboard = welcome.buildWizardButton('guardian_bot');
+    expect(keyboard.inline_keyboard[0][0]).toEqual({
+      text: 'Introduce yourself',
+      url: 'https://t.me/guardian_bot?start=intro',
+    });
+  });
 
-describe('welcome cooldown', () => {
-  test('does not send a second welcome when the cooldown is active', async () => {
-    mockCooldownInstance.isLimited
-      .mockReturnValueOnce(false) // first member: allowed
-      .mockReturnValueOnce(true); // second member: throttled
-    const members = [makeMember({ id: 1 }), makeMember({ id: 2 })];
+  test('returns null when the bot username is unknown', () => {
+    expect(welcome.buildWizardButton(undefined)).toBeNull();
+  });
+});
+
+// ---- Join bursts ----
+
+describe('join bursts', () => {
+  test('greets several members of one join event with a single combined message', async () => {
+    const members = [
+      makeMember({ id: 1, username: 'alice' }),
+      makeMember({ id: 2, username: null, firstName: 'Bob' }),
+    ];
     const ctx = makeCtx({ members });
     await handler(ctx);
-    expect(db.upsertUser).toHaveBeenCalledTimes(2); // both tracked
-    expect(ctx.reply).toHaveBeenCalledTimes(1);     // only one welcome
+    expect(ctx.reply).toHaveBeenCalledTimes(1);
+    expect(ctx.telegram.editMessageText).toHaveBeenCalledWith(MAIN_GROUP, 777, undefined, 'Welcome @alice, Bob!', undefined);
   });
 
-  test('touches the cooldown after sending a welcome', async () => {
-    const ctx = makeCtx();
+  test('records the shared message ID for every member', async () => {
+    const ctx = makeCtx({ members: [makeMember({ id: 1 }), makeMember({ id: 2 })] });
     await handler(ctx);
-    expect(mockCooldownInstance.touch).toHaveBeenCalledWith(MAIN_GROUP);
+    expect(db.setWelcomeMsgId).toHaveBeenCalledWith(1, 777);
+    expect(db.setWelcomeMsgId).toHaveBeenCalledWith(2, 777);
+  });
+
+  test('edits the open welcome when someone joins shortly after', async () => {
+    await handler(makeCtx({ members: [makeMember({ id: 1, username: 'alice' })] }));
+    const ctx = makeCtx({ members: [makeMember({ id: 2, username: 'bob' })] });
+    await handler(ctx);
+    expect(ctx.reply).not.toHaveBeenCalled();
+    expect(ctx.telegram.editMessageText).toHaveBeenCalledWith(MAIN_GROUP, 777, undefined, 'Welcome @alice, @bob!', undefined);
   });
-});
 
-// ---- Mass join ----
+  test('keeps the wizard button when editing the combined message', async () => {
+    const ctx = makeCtx({ members: [makeMember({ id: 1 }), makeMember({ id: 2 })] });
+    ctx.botInfo = { username: 'guardian_bot' };
+    await handler(ctx);
+    const [, , , , extra] = ctx.telegram.editMessageText.mock.calls[0];
+    expect(extra.reply_markup.inline_keyboard[0][0].url).toBe('https://t.me/guardian_bot?start=intro');
+  });
 
-describe('mass join (> MAX_NEW_MEMBERS_PER_EVENT)', () => {
-  test('tracks all users in the DB', async () => {
+  test('sends a new welcome once the burst window has passed', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await handler(makeCtx({ members: [makeMember({ id: 1 })] }));
+    Date.now.mockReturnValue(now + 60_000);
+    const ctx = makeCtx({ members: [makeMember({ id: 2, firstName: 'Bob' })] });
+    await handler(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith('Welcome Bob!');
+    expect(ctx.telegram.editMessageText).not.toHaveBeenCalled();
+    Date.now.mockRestore();
+  });
+
+  test('starts a new message when the burst is full', async () => {
     const members = Array.from({ length: 11 }, (_, i) => makeMember({ id: i + 1 }));
     const ctx = makeCtx({ members });
     await handler(ctx);
+    expect(ctx.reply).toHaveBeenCalledTimes(2);
     expect(db.upsertUser).toHaveBeenCalledTimes(11);
+    expect(db.setWelcomeMsgId).toHaveBeenCalledTimes(11);
   });
 
-  test('sends no welcome messages', async () => {
-    const members = Array.from({ length: 11 }, (_, i) => makeMember({ id: i + 1 }));
-    const ctx = makeCtx({ members });
-    handler(ctx);
-    expect(ctx.reply).not.toHaveBeenCalled();
+  test('does not mention admins who join', async () => {
+    adminCache.isAdmin.mockImplementation(async (telegram, chatId, userId) => userId === 2);
+    const ctx = makeCtx({ members: [makeMember({ id: 1, firstName: 'Alice' }), makeMember({ id: 2 })] });
+    await handler(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith('Welcome Alice!');
+    expect(ctx.telegram.editMessageText).not.toHaveBeenCalled();
+  });
+});
+
+// ---- Releasing a welcome ----
+
+describe('releaseWelcome', () => {
+  test('removes the member from a combined welcome that still greets others', async () => {
+    const ctx = makeCtx({
+      members: [makeMember({ id: 1, username: 'alice' }), makeMember({ id: 2, username: 'bob' }), makeMember({ id: 3, username: 'carol' })],
+    });
+    await handler(ctx);
+    ctx.telegram.editMessageText.mockClear();
+    await welcome.releaseWelcome(ctx.telegram, users.get(2));
+    expect(ctx.telegram.editMessageText).toHaveBeenCalledWith(MAIN_GROUP, 777, undefined, 'Welcome @alice, @carol!', undefined);
+    expect(ctx.telegram.deleteMessage).not.toHaveBeenCalled();
+  });
+
+  test('deletes the welcome once nobody it greets is pending', async () => {
+    const ctx = makeCtx({ members: [makeMember({ id: 1 })] });
+    await handler(ctx);
+    await welcome.releaseWelcome(ctx.telegram, users.get(1));
+    expect(ctx.telegram.deleteMessage).toHaveBeenCalledWith(MAIN_GROUP, 777);
+  });
+
+  test('starts a fresh welcome for the next joiner after the last one was deleted', async () => {
+    const first = makeCtx({ members: [makeMember({ id: 1 })] });
+    await handler(first);
+    await welcome.releaseWelcome(first.telegram, users.get(1));
+    const ctx = makeCtx({ members: [makeMember({ id: 2, firstName: 'Bob' })] });
+    await handler(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith('Welcome Bob!');
+  });
+
+  test('ignores "message is not modified" errors from Telegram', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const ctx = makeCtx({ members: [makeMember({ id: 1 }), makeMember({ id: 2 })] });
+    ctx.telegram.editMessageText.mockRejectedValue(new Error('Bad Request: message is not modified'));
+    await handler(ctx);
+    expect(error).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  test('does nothing for a user without a welcome message', async () => {
+    const telegram = { deleteMessage: jest.fn(), editMessageText: jest.fn() };
+    await welcome.releaseWelcome(telegram, { user_id: 1, welcome_msg_id: null });
+    expect(db.getPendingByWelcomeMsgId).not.toHaveBeenCalled();
+    expect(telegram.deleteMessage).not.toHaveBeenCalled();
   });
 });
 
@@ -188,3 +317,182 @@ describe('rejoin: pending user', () => {
     expect(ctx.reply).toHaveBeenCalledWith('Welcome Alice!');
   });
 });
+
+// ---- Invite links ----
+
+describe('invite-link attribution', () => {
+  test('attaches a link seen before the member was tracked', async () => {
+    db.setInviteLink.mockReturnValueOnce(false);
+    invites.recordInviteLink(1, 'https://t.me/+meetup');
+    await handler(makeCtx({ members: [makeMember({ id: 1 })] }));
+    expect(db.setInviteLink).toHaveBeenLastCalledWith(1, 'https://t.me/+meetup');
+  });
+
+  test('attaches the link once a CAPTCHA-held member is verified', async () => {
+    db.setInviteLink.mockReturnValueOnce(false);
+    invites.recordInviteLink(1, 'https://t.me/+meetup');
+    const ctx = makeCtx();
+    await welcome.welcomeVerifiedMember(ctx, makeMember({ id: 1 }));
+    expect(db.setInviteLink).toHaveBeenLastCalledWith(1, 'https://t.me/+meetup');
+  });
+});
+
+// ---- Rejoin policy ----
+
+describe('rejoin policy', () => {
+  const NOW = Date.parse('2026-03-01T00:00:00Z');
+  const leftUser = (overrides = {}) => ({
+    user_id: 1,
+    introduced: 1,
+    introduced_at: '2026-01-01 00:00:00',
+    left_at: '2026-02-01 00:00:00', // 28 days before NOW
+    ...overrides,
+  });
+
+  test('clears the departure of a member who comes back', async () => {
+    db.getUser.mockReturnValue(leftUser());
+    await handler(makeCtx({ members: [makeMember({ id: 1 })] }));
+    expect(db.markRejoined).toHaveBeenCalledWith(1);
+  });
+
+  test('does not touch members with no recorded departure', async () => {
+    db.getUser.mockReturnValue({ user_id: 1, introduced: 1 });
+    await handler(makeCtx({ members: [makeMember({ id: 1 })] }));
+    expect(db.markRejoined).not.toHaveBeenCalled();
+  });
+
+  test('keeps the introduced status by default', () => {
+    const user = leftUser();
+    expect(welcome.applyRejoinPolicy(user, NOW)).toBe(user);
+    expect(db.resetUser).not.toHaveBeenCalled();
+  });
+
+  test('resets a member who was away for at least the configured days', () => {
+    config.getRejoinReintroDays.mockReturnValue(28);
+    const reset = { ...leftUser(), introduced: 0, introduced_at: null };
+    db.getUser.mockReturnValue(reset);
+    expect(welcome.applyRejoinPolicy(leftUser(), NOW)).toBe(reset);
+    expect(db.resetUser).toHaveBeenCalledWith(1);
+  });
+
+  test('keeps a member whose absence was shorter than the configured days', () => {
+    config.getRejoinReintroDays.mockReturnValue(30);
+    welcome.applyRejoinPolicy(leftUser(), NOW);
+    expect(db.resetUser).not.toHaveBeenCalled();
+  });
+
+  test('keeps an intro posted after the member left', () => {
+    config.getRejoinReintroDays.mockReturnValue(0);
+    welcome.applyRejoinPolicy(leftUser({ introduced_at: '2026-02-15 00:00:00' }), NOW);
+    expect(db.resetUser).not.toHaveBeenCalled();
+  });
+
+  test('welcomes a reset member as a pending joiner', async () => {
+    config.getRejoinReintroDays.mockReturnValue(0);
+    db.getUser
+      .mockReturnValueOnce(leftUser())
+      .mockReturnValue({ ...leftUser(), introduced: 0, introduced_at: null });
+    const ctx = makeCtx({ members: [makeMember({ id: 1, firstName: 'Alice' })] });
+    await handler(ctx);
+    expect(db.resetUser).toHaveBeenCalledWith(1);
+    expect(ctx.reply).toHaveBeenCalledWith('Welcome Alice!');
+  });
+});
+
+// ---- CAPTCHA ----
+
+describe('CAPTCHA enabled', () => {
+  beforeEach(() => {
+    config.isCaptchaEnabled.mockReturnValue(true);
+    captcha.startChallenge.mockResolvedValue(true);
+  });
+
+  test('challenges a new member instead of welcoming them', async () => {
+    const member = makeMember({ id: 1, firstName: 'Alice' });
+    const ctx = makeCtx({ members: [member] });
+    await handler(ctx);
+    expect(captcha.startChallenge).toHaveBeenCalledWith(ctx, member, 0);
+    expect(ctx.reply).not.toHaveBeenCalled();
+  });
+
+  test('does not create a DB record until the challenge is passed', async () => {
+    const ctx = makeCtx({ members: [makeMember({ id: 1 })] });
+    await handler(ctx);
+    expect(db.upsertUser).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the normal welcome when the challenge cannot be started', async () => {
+    captcha.startChallenge.mockResolvedValue(false);
+    const ctx = makeCtx({ members: [makeMember({ id: 1, firstName: 'Alice' })] });
+    await handler(ctx);
+    expect(db.upsertUser).toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Welcome Alice!');
+  });
+
+  test('does not challenge an introduced member who rejoins', async () => {
+    db.getUser.mockReturnValue({ user_id: 1, introduced: 1 });
+    const ctx = makeCtx({ members: [makeMember({ id: 1 })] });
+    await handler(ctx);
+    expect(captcha.startChallenge).not.toHaveBeenCalled();
+  });
+
+  test('does not challenge admins', async () => {
+    adminCache.isAdmin.mockResolvedValue(true);
+    const ctx = makeCtx({ members: [makeMember({ id: 1 })] });
+    await handler(ctx);
+    expect(captcha.startChallenge).not.toHaveBeenCalled();
+  });
+
+  test('challenges every member of a mass join, spacing out the challenges', async () => {
+    const members = Array.from({ length: 11 }, (_, i) => makeMember({ id: i + 1 }));
+    const ctx = makeCtx({ members });
+    await handler(ctx);
+    expect(captcha.startChallenge).toHaveBeenCalledTimes(11);
+    expect(captcha.startChallenge).toHaveBeenNthCalledWith(1, ctx, members[0], 3_000);
+    expect(captcha.startChallenge).toHaveBeenNthCalledWith(11, ctx, members[10], 33_000);
+    expect(db.upsertUser).not.toHaveBeenCalled();
+    expect(ctx.reply).not.toHaveBeenCalled();
+  });
+});
+
+describe('welcomeVerifiedMember', () => {
+  test('tracks the member and sends the welcome message', async () => {
+    const ctx = makeCtx();
+    await welcome.welcomeVerifiedMember(ctx, { id: 5, username: 'eve', first_name: 'Eve' });
+    expect(db.upsertUser).toHaveBeenCalledWith(5, 'eve', 'Eve');
+    expect(ctx.reply).toHaveBeenCalledWith('Welcome Eve!');
+    expect(db.setWelcomeMsgId).toHaveBeenCalledWith(5, 777);
+  });
+});
+
+// ---- Gate ----
+
+describe('gating pending joiners', () => {
+  test('applies the gate to a new pending member', async () => {
+    const ctx = makeCtx({ members: [makeMember({ id: 1 })] });
+    await handler(ctx);
+    expect(permissions.applyGate).toHaveBeenCalledWith(ctx.telegram, 1);
+  });
+
+  test('applies the gate to an admin who gets no welcome', async () => {
+    adminCache.isAdmin.mockResolvedValue(true);
+    const ctx = makeCtx({ members: [makeMember({ id: 1 })] });
+    await handler(ctx);
+    expect(ctx.reply).not.toHaveBeenCalled();
+    expect(permissions.applyGate).toHaveBeenCalledWith(ctx.telegram, 1);
+  });
+
+  test('applies the gate to members of a mass join', async () => {
+    const members = Array.from({ length: 11 }, (_, i) => makeMember({ id: i + 1 }));
+    const ctx = makeCtx({ members });
+    await handler(ctx);
+    expect(permissions.applyGate).toHaveBeenCalledTimes(11);
+  });
+
+  test('does not gate an introduced member who rejoins', async () => {
+    db.getUser.mockReturnValue({ user_id: 1, introduced: 1 });
+    const ctx = makeCtx({ members: [makeMember({ id: 1 })] });
+    await handler(ctx);
+    expect(permissions.applyGate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,362 @@
+'use strict';
+
+jest.mock('../../src/db');
+jest.mock('../../src/handlers/intro', () => ({
+  completeIntro: jest.fn().mockResolvedValue(undefined),
+  archiveIntro: jest.fn(),
+  recordCopiedIntro: jest.fn(),
+}));
+jest.mock('../../src/introFingerprint', () => ({
+  checkCopy: jest.fn(() => ({ signature: [1, 2], copyOf: null, userIds: [] })),
+}));
+jest.mock('../../src/announcements', () => ({ announceIntro: jest.fn() }));
+jest.mock('../../src/handlers/review', () => ({
+  needsReview: jest.fn(() => false),
+  submitForReview: jest.fn().mockResolvedValue(true),
+}));
+jest.mock('../../src/introScore', () => ({
+  scoreIntro: jest.fn(() => ({ passed: true, score: 5, maxScore: 5, threshold: 4 })),
+}));
+jest.mock('../../src/introGuards', () => ({
+  checkIntroGuards: jest.fn(() => null),
+  GUARD_NUDGES: { links: 'INTRO_LINKS_MESSAGE' },
+}));
+jest.mock('../../src/config', () => ({
+  LOCALES: ['en', 'ms', 'zh'],
+  getDefaultLocale: jest.fn(() => 'en'),
+  getIntroChannelId: jest.fn(() => -100999),
+  getIntroTopicId: jest.fn(() => null),
+  getIntroLocations: jest.fn(() => [{ chatId: -100999, topicId: null, track: null, weights: null, threshold: 4 }]),
+  WIZARD_ANSWER_MAX_LENGTH: 500,
+  INTRO_RUBRIC_SECTIONS: ['identity', 'role', 'contribution'],
+  INTRO_WIZARD_PROMPTS: {
+    identity: { prompt: 'Who are you?', label: 'Who are you?' },
+    role: { prompt: 'What do you do?', label: 'What do you do?' },
+    // contribution deliberately has no entry to exercise the fallback
+  },
+  INTRO_SECTION_NAMES: { contribution: 'how you\'d like to contribute' },
+  WIZARD_START_MESSAGE: (count) => `Start: ${count} questions`,
+  WIZARD_NOT_MEMBER_MESSAGE: 'Join the group first.',
+  WIZARD_ALREADY_INTRODUCED_MESSAGE: 'Already introduced.',
+  WIZARD_CANCELLED_MESSAGE: 'Cancelled.',
+  WIZARD_TEXT_ONLY_MESSAGE: 'Text only.',
+  WIZARD_TOO_SHORT_MESSAGE: 'Too short.',
+  WIZARD_INTRO_HEADER: (mention) => `Intro from ${mention}:`,
+  WIZARD_PASTE_MESSAGE: () => 'Please paste this.',
+  WIZARD_POSTED_MESSAGE: (name) => `Posted, ${name}!`,
+  INTRO_IN_REVIEW_MESSAGE: 'Waiting for review',
+  INTRO_LINKS_MESSAGE: 'Mostly links.',
+  INTRO_EXAMPLE_COPY_MESSAGE: 'That is the example',
+  INTRO_COPY_MESSAGE: 'That is someone else\'s intro',
+}));
+
+const db = require('../../src/db');
+const config = require('../../src/config');
+const intro = require('../../src/handlers/intro');
+const introScore = require('../../src/introScore');
+const { checkIntroGuards } = require('../../src/introGuards');
+const { checkCopy } = require('../../src/introFingerprint');
+const review = require('../../src/handlers/review');
+const { announceIntro } = require('../../src/announcements');
+const wizard = require('../../src/handlers/wizard');
+
+const INTRO_CHANNEL = -100999;
+
+function makeBot() {
+  const commands = {};
+  let messageHandler;
+  return {
+    command: jest.fn((cmd, fn) => { commands[cmd] = fn; }),
+    on: jest.fn((event, fn) => { if (event === 'message') messageHandler = fn; }),
+    getCommand: (cmd) => commands[cmd],
+    getHandler: () => messageHandler,
+  };
+}
+
+function makeCtx({ chatType = 'private', text = 'hello', userId = 42 } = {}) {
+  return {
+    chat: { id: userId, type: chatType },
+    from: { id: userId, username: 'alice', first_name: 'Alice' },
+    message: { message_id: 1, text },
+    reply: jest.fn().mockResolvedValue({ message_id: 10 }),
+    telegram: { sendMessage: jest.fn().mockResolvedValue({ message_id: 500 }) },
+  };
+}
+
+let bot;
+let next;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.getUser.mockReturnValue({ user_id: 42, introduced: 0, welcome_msg_id: 7 });
+  db.getWizardSession.mockReturnValue(null);
+  db.getPendingIntroReview.mockReturnValue(null);
+  config.getIntroChannelId.mockReturnValue(INTRO_CHANNEL);
+  config.getIntroTopicId.mockReturnValue(null);
+  introScore.scoreIntro.mockReturnValue({ passed: true, score: 5, maxScore: 5, threshold: 4 });
+  checkIntroGuards.mockReturnValue(null);
+  checkCopy.mockReturnValue({ signature: [1, 2], copyOf: null, userIds: [] });
+  review.needsReview.mockReturnValue(false);
+  review.submitForReview.mockResolvedValue(true);
+  bot = makeBot();
+  wizard.register(bot);
+  next = jest.fn();
+});
+
+// ---- Helpers ----
+
+describe('composeIntro', () => {
+  test('labels each answer, falling back to the section name when no label is configured', () => {
+    expect(wizard.composeIntro(['Ali', 'Dev', 'Tooling'])).toBe(
+      'Who are you? Ali\nWhat do you do? Dev\nHow you\'d like to contribute? Tooling'
+    );
+  });
+});
+
+// ---- /start ----
+
+describe('/start', () => {
+  test('starts a session and asks the first question', async () => {
+    const ctx = makeCtx({ text: '/start intro' });
+    await bot.getCommand('start')(ctx);
+    expect(db.saveWizardSession).toHaveBeenCalledWith(42, 0, []);
+    expect(ctx.reply).toHaveBeenCalledWith('Start: 3 questions');
+    expect(ctx.reply).toHaveBeenCalledWith('(1/3) Who are you?');
+  });
+
+  test('asks the questions in the user\'s language', async () => {
+    const ctx = makeCtx({ text: '/start intro' });
+    ctx.from.language_code = 'ms';
+    await bot.getCommand('start')(ctx);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('3 soalan'));
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringMatching(/^\(1\/3\) Siapa anda\?/));
+  });
+
+  test('ignores /start outside private chats', async () => {
+    const ctx = makeCtx({ chatType: 'supergroup', text: '/start' });
+    await bot.getCommand('start')(ctx);
+    expect(db.saveWizardSession).not.toHaveBeenCalled();
+    expect(ctx.reply).not.toHaveBeenCalled();
+  });
+
+  test('refuses users who are not tracked as group members', async () => {
+    db.getUser.mockReturnValue(null);
+    const ctx = makeCtx({ text: '/start intro' });
+    await bot.getCommand('start')(ctx);
+    expect(db.saveWizardSession).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Join the group first.');
+  });
+
+  test('tells introduced users they are done', async () => {
+    db.getUser.mockReturnValue({ user_id: 42, introduced: 1 });
+    const ctx = makeCtx({ text: '/start intro' });
+    await bot.getCommand('start')(ctx);
+    expect(db.saveWizardSession).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Already introduced.');
+  });
+
+  test('does not start over while an intro waits for review', async () => {
+    db.getPendingIntroReview.mockReturnValue({ id: 9, user_id: 42 });
+    const ctx = makeCtx({ text: '/start intro' });
+    await bot.getCommand('start')(ctx);
+    expect(db.saveWizardSession).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Waiting for review');
+  });
+});
+
+// ---- /cancel ----
+
+describe('/cancel', () => {
+  test('deletes an active session', () => {
+    db.getWizardSession.mockReturnValue({ user_id: 42, step: 1, answers: ['Ali'] });
+    const ctx = makeCtx({ text: '/cancel' });
+    bot.getCommand('cancel')(ctx);
+    expect(db.deleteWizardSession).toHaveBeenCalledWith(42);
+    expect(ctx.reply).toHaveBeenCalledWith('Cancelled.');
+  });
+
+  test('does nothing without a session', () => {
+    const ctx = makeCtx({ text: '/cancel' });
+    bot.getCommand('cancel')(ctx);
+    expect(db.deleteWizardSession).not.toHaveBeenCalled();
+  });
+});
+
+// ---- Answers ----
+
+describe('answers', () => {
+  test('passes through messages outside private chats', async () => {
+    const ctx = makeCtx({ chatType: 'supergroup' });
+    await bot.getHandler()(ctx, next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('passes through private messages without a session', async () => {
+    const ctx = makeCtx();
+    await bot.getHandler()(ctx, next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('passes through commands even during a session', async () => {
+    db.getWizardSession.mockReturnValue({ user_id: 42, step: 0, answers: [] });
+    const ctx = makeCtx({ text: '/help' });
+    await bot.getHandler()(ctx, next);
+    expect(next).toHaveBeenCalled();
+    expect(db.saveWizardSession).not.toHaveBeenCalled();
+  });
+
+  test('stores the answer and asks the next question', async () => {
+    db.getWizardSession.mockReturnValue({ user_id: 42, step: 0, answers: [] });
+    const ctx = makeCtx({ text: '  Ali  ' });
+    await bot.getHandler()(ctx, next);
+    expect(db.saveWizardSession).toHaveBeenCalledWith(42, 1, ['Ali']);
+    expect(ctx.reply).toHaveBeenCalledWith('(2/3) What do you do?');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('truncates overly long answers', async () => {
+    db.getWizardSession.mockReturnValue({ user_id: 42, step: 0, answers: [] });
+    const ctx = makeCtx({ text: 'x'.repeat(600) });
+    await bot.getHandler()(ctx, next);
+    expect(db.saveWizardSession.mock.calls[0][2][0]).toHaveLength(500);
+  });
+
+  test('asks for text when a non-text message arrives', async () => {
+    db.getWizardSession.mockReturnValue({ user_id: 42, step: 0, answers: [] });
+    const ctx = makeCtx();
+    delete ctx.message.text;
+    await bot.getHandler()(ctx, next);
+    expect(ctx.reply).toHaveBeenCalledWith('Text only.');
+    expect(db.saveWizardSession).not.toHaveBeenCalled();
+  });
+});
+
+// ---- Finishing ----
+
+describe('finishing the wizard', () => {
+  const lastStep = { user_id: 42, step: 2, answers: ['Ali', 'Dev'] };
+
+  test('posts the intro to the intro channel and accepts it', async () => {
+    db.getWizardSession.mockReturnValue(lastStep);
+    const ctx = makeCtx({ text: 'Tooling' });
+    await bot.getHandler()(ctx, next);
+
+    expect(db.deleteWizardSession).toHaveBeenCalledWith(42);
+    expect(introScore.scoreIntro).toHaveBeenCalledWith(
+      'Ali\nDev\nTooling',
+      expect.objectContaining({ chatId: INTRO_CHANNEL, threshold: 4 }),
+    );
+    expect(ctx.telegram.sendMessage).toHaveBeenCalledWith(
+      INTRO_CHANNEL,
+      expect.stringContaining('Intro from @alice:'),
+      {},
+    );
+    expect(intro.completeIntro).toHaveBeenCalledWith(ctx.telegram, expect.objectContaining({ user_id: 42 }), 500, 5);
+    expect(checkCopy).toHaveBeenCalledWith('Ali\nDev\nTooling', 42);
+    expect(db.addIntroFingerprint).toHaveBeenCalledWith(42, 500, [1, 2], true);
+    expect(intro.archiveIntro).toHaveBeenCalledWith(42, INTRO_CHANNEL, 500, expect.stringContaining('Who are you? Ali'));
+    expect(announceIntro).toHaveBeenCalledWith(ctx.telegram, expect.objectContaining({ user_id: 42 }), {
+      chatId: INTRO_CHANNEL, msgId: 500, text: expect.stringContaining('Who are you? Ali'),
+    });
+    expect(ctx.reply).toHaveBeenCalledWith('Posted, Alice!');
+  });
+
+  test('queues the posted intro for the admins under review mode', async () => {
+    review.needsReview.mockReturnValue(true);
+    db.getWizardSession.mockReturnValue(lastStep);
+    const ctx = makeCtx({ text: 'Tooling' });
+    await bot.getHandler()(ctx, next);
+    expect(review.needsReview).toHaveBeenCalledWith(5, 4);
+    expect(review.submitForReview).toHaveBeenCalledWith(ctx.telegram, ctx.from, expect.objectContaining({
+      chatId: INTRO_CHANNEL, topicId: null, msgId: 500, score: 5, maxScore: 5,
+    }));
+    expect(intro.completeIntro).not.toHaveBeenCalled();
+    expect(intro.archiveIntro).not.toHaveBeenCalled();
+    expect(announceIntro).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Waiting for review');
+  });
+
+  test('posts into the intro topic when one is configured', async () => {
+    config.getIntroTopicId.mockReturnValue(77);
+    db.getWizardSession.mockReturnValue(lastStep);
+    const ctx = makeCtx({ text: 'Tooling' });
+    await bot.getHandler()(ctx, next);
+    expect(ctx.telegram.sendMessage).toHaveBeenCalledWith(INTRO_CHANNEL, expect.any(String), { message_thread_id: 77 });
+  });
+
+  test('restarts the questions when the composed intro fails validation', async () => {
+    introScore.scoreIntro.mockReturnValue({ passed: false, score: 1 });
+    db.getWizardSession.mockReturnValue(lastStep);
+    const ctx = makeCtx({ text: 'x' });
+    await bot.getHandler()(ctx, next);
+    expect(ctx.reply).toHaveBeenCalledWith('Too short.');
+    expect(db.saveWizardSession).toHaveBeenCalledWith(42, 0, []);
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+    expect(intro.completeIntro).not.toHaveBeenCalled();
+  });
+
+  test('restarts the questions when the composed intro trips a guard, and logs why', async () => {
+    checkIntroGuards.mockReturnValue('links');
+    db.getWizardSession.mockReturnValue(lastStep);
+    const ctx = makeCtx({ text: 'https://example.com' });
+    await bot.getHandler()(ctx, next);
+    expect(checkIntroGuards).toHaveBeenCalledWith(expect.stringContaining('https://example.com'));
+    expect(db.recordIntroRejection).toHaveBeenCalledWith(42, null, null, 'links');
+    expect(ctx.reply).toHaveBeenCalledWith('Mostly links.');
+    expect(db.saveWizardSession).toHaveBeenCalledWith(42, 0, []);
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('restarts the questions when the answers copy the welcome example', async () => {
+    checkCopy.mockReturnValue({ signature: [1, 2], copyOf: 'example', userIds: [] });
+    db.getWizardSession.mockReturnValue(lastStep);
+    const ctx = makeCtx({ text: 'Tooling' });
+    await bot.getHandler()(ctx, next);
+    expect(ctx.reply).toHaveBeenCalledWith('That is the example');
+    expect(db.saveWizardSession).toHaveBeenCalledWith(42, 0, []);
+    expect(intro.recordCopiedIntro).not.toHaveBeenCalled();
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('restarts the questions when the answers copy another member\'s intro, and records the copy', async () => {
+    const copy = { signature: [1, 2], copyOf: 'intro', userIds: [7] };
+    checkCopy.mockReturnValue(copy);
+    db.getWizardSession.mockReturnValue(lastStep);
+    const ctx = makeCtx({ text: 'Tooling' });
+    await bot.getHandler()(ctx, next);
+    expect(ctx.reply).toHaveBeenCalledWith('That is someone else\'s intro');
+    expect(intro.recordCopiedIntro).toHaveBeenCalledWith(ctx.telegram, ctx.from, copy);
+    expect(db.addIntroFingerprint).not.toHaveBeenCalled();
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('asks the user to paste the intro when the bot cannot post it', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.getWizardSession.mockReturnValue(lastStep);
+    const ctx = makeCtx({ text: 'Tooling' });
+    ctx.telegram.sendMessage.mockRejectedValue(new Error('not enough rights'));
+    await bot.getHandler()(ctx, next);
+    expect(intro.completeIntro).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Please paste this.');
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('contribute? Tooling'));
+    console.error.mockRestore();
+  });
+
+  test('asks the user to paste the intro when no intro channel is configured', async () => {
+    config.getIntroChannelId.mockReturnValue(null);
+    db.getWizardSession.mockReturnValue(lastStep);
+    const ctx = makeCtx({ text: 'Tooling' });
+    await bot.getHandler()(ctx, next);
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith('Please paste this.');
+  });
+
+  test('does nothing if the user was introduced while answering', async () => {
+    db.getUser.mockReturnValue({ user_id: 42, introduced: 1 });
+    db.getWizardSession.mockReturnValue(lastStep);
+    const ctx = makeCtx({ text: 'Tooling' });
+    await bot.getHandler()(ctx, next);
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+    expect(db.deleteWizardSession).toHaveBeenCalledWith(42);
+  });
+});
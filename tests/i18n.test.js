@@ -0,0 +1,121 @@
+'use strict';
+
+// Must be set before config.js is required — it exits if missing.
+process.env.BOT_TOKEN = 'test-token';
+
+jest.mock('../src/db');
+
+const db = require('../src/db');
+const config = require('../src/config');
+const i18n = require('../src/i18n');
+const ms = require('../src/locales/ms');
+const zh = require('../src/locales/zh');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.getUserLocale.mockReturnValue(null);
+  config.setDefaultLocale('en');
+});
+
+describe('normalizeLocale', () => {
+  test('maps Telegram language codes to supported locales', () => {
+    expect(i18n.normalizeLocale('ms')).toBe('ms');
+    expect(i18n.normalizeLocale('zh-hans')).toBe('zh');
+    expect(i18n.normalizeLocale('EN-us')).toBe('en');
+  });
+
+  test('returns null for unsupported or missing codes', () => {
+    expect(i18n.normalizeLocale('fr')).toBeNull();
+    expect(i18n.normalizeLocale(undefined)).toBeNull();
+  });
+});
+
+describe('localeFor', () => {
+  test('prefers the /language choice over the Telegram language', () => {
+    db.getUserLocale.mockReturnValue('zh');
+    expect(i18n.localeFor({ id: 1, language_code: 'ms' })).toBe('zh');
+  });
+
+  test('uses the Telegram language when there is no preference', () => {
+    expect(i18n.localeFor({ id: 1, language_code: 'ms-MY' })).toBe('ms');
+  });
+
+  test('falls back to the group default for unsupported languages', () => {
+    config.setDefaultLocale('ms');
+    expect(i18n.localeFor({ id: 1, language_code: 'fr' })).toBe('ms');
+  });
+
+  test('accepts users rows, which have user_id and no language_code', () => {
+    db.getUserLocale.mockReturnValue('ms');
+    expect(i18n.localeFor({ user_id: 7 })).toBe('ms');
+    expect(db.getUserLocale).toHaveBeenCalledWith(7);
+  });
+
+  test('returns the group default without a user', () => {
+    expect(i18n.localeFor(null)).toBe('en');
+  });
+});
+
+describe('localize / messages', () => {
+  test('returns the English table unchanged', () => {
+    const table = { HELLO: 'Hello' };
+    expect(i18n.localize('en', 'security', table)).toBe(table);
+  });
+
+  test('overlays translations and keeps English for missing keys', () => {
+    const table = { LINK_REMOVED: () => 'en', SOMETHING_NEW: 'Only in English' };
+    const localized = i18n.localize('ms', 'security', table);
+    expect(localized.LINK_REMOVED('@ali')).toContain('@ali');
+    expect(localized.LINK_REMOVED('@ali')).toContain('mencurigakan');
+    expect(localized.SOMETHING_NEW).toBe('Only in English');
+  });
+
+  test('messages() translates config.js templates', () => {
+    expect(i18n.messages('en').REMINDER_MESSAGE).toBe(config.REMINDER_MESSAGE);
+    expect(i18n.messages('ms').REMINDER_MESSAGE).toContain('saluran pengenalan');
+    expect(i18n.messages('zh').INTRO_ACCEPTED_MESSAGE('Ali')).toContain('Ali');
+    // Non-message config is untouched.
+    expect(i18n.messages('zh').INTRO_MIN_LENGTH).toBe(config.INTRO_MIN_LENGTH);
+  });
+
+  test('quotes the intro minimum length in the media nudge in every language', () => {
+    for (const locale of config.LOCALES) {
+      expect(i18n.messages(locale).INTRO_MEDIA_NUDGE_MESSAGE).toContain(String(config.INTRO_MIN_LENGTH));
+    }
+  });
+
+  test('renders the intro link in translated messages', () => {
+    const text = i18n.messages('ms').WELCOME_MESSAGE('Ali', [{ track: null, link: config.introLink(-1001234567890, 5) }]);
+    expect(text).toContain('https://t.me/c/1234567890/5');
+  });
+});
+
+describe('catalogs', () => {
+  test.each([['ms', ms], ['zh', zh]])('%s only translates keys that exist in English', (_, catalog) => {
+    for (const key of Object.keys(catalog.messages)) {
+      expect(config).toHaveProperty([key]);
+      expect(typeof catalog.messages[key]).toBe(typeof config[key]);
+    }
+  });
+
+  test.each([['ms', ms], ['zh', zh]])('%s has a wizard prompt for every rubric section', (_, catalog) => {
+    for (const section of config.INTRO_RUBRIC_SECTIONS) {
+      const { label } = catalog.messages.INTRO_WIZARD_PROMPTS[section];
+      // The label heads the answer in the composed intro, so it must count towards its section.
+      const synonyms = catalog.messages.INTRO_RUBRIC_SYNONYMS[section];
+      expect(synonyms.some((phrase) => label.toLowerCase().includes(phrase))).toBe(true);
+      expect(catalog.messages.INTRO_SECTION_NAMES[section]).toBeTruthy();
+    }
+  });
+});
+
+describe('allRubricSynonyms', () => {
+  test('includes synonyms from every language', () => {
+    const synonyms = i18n.allRubricSynonyms('identity');
+    expect(synonyms).toEqual(expect.arrayContaining(['who are you', 'siapa saya', '我是']));
+  });
+
+  test('returns an empty list for an unknown section', () => {
+    expect(i18n.allRubricSynonyms('nope')).toEqual([]);
+  });
+});
@@ -22,12 +22,16 @@ let db, config, adminCache, bot, dbPath;
 function makeMockBot() {
   const commands = {};
   const messageHandlers = [];
+  const editHandlers = [];
   const joinHandlers = [];
+  const actions = [];
 
   return {
     command(cmd, fn) { commands[cmd] = fn; },
+    action(pattern, fn) { actions.push({ pattern, fn }); },
     on(event, fn) {
       if (event === 'message') messageHandlers.push(fn);
+      else if (event === 'edited_message') editHandlers.push(fn);
       else if (event === 'new_chat_members') joinHandlers.push(fn);
     },
     // Runs message handlers in registration order; each handler may call next()
@@ -41,12 +45,32 @@ function makeMockBot() {
       };
       await next();
     },
+    async dispatchEdit(ctx) {
+      let index = 0;
+      const next = async () => {
+        if (index < editHandlers.length) {
+          await editHandlers[index++](ctx, next);
+        }
+      };
+      await next();
+    },
     async dispatchJoin(ctx) {
       for (const fn of joinHandlers) await fn(ctx);
     },
     async dispatchCommand(cmd, ctx) {
       if (commands[cmd]) await commands[cmd](ctx);
     },
+    // Mirrors bot.action(): the first matching pattern handles the callback query.
+    async dispatchAction(ctx) {
+      for (const { pattern, fn } of actions) {
+        const match = ctx.callbackQuery.data.match(pattern);
+        if (match) {
+          ctx.match = match;
+          await fn(ctx);
+          return;
+        }
+      }
+    },
   };
 }
 
@@ -63,10 +87,45 @@ function makeMessageCtx({ chatId, user, text = 'hello' } = {}) {
     message: { message_id: Math.ceil(Math.random() * 9000) + 1000, text },
     reply: jest.fn().mockResolvedValue({ message_id: 88888 }),
     deleteMessage: jest.fn().mockResolvedValue(true),
-    telegram: { deleteMessage: jest.fn().mockResolvedValue(true) },
+    telegram: {
+      deleteMessage: jest.fn().mockResolvedValue(true),
+      editMessageText: jest.fn().mockResolvedValue(true),
+    },
   };
 }
 
+// A message in the user's private chat with the bot, for the DM intro wizard.
+function makePrivateCtx(user, text) {
+  return {
+    chat: { id: user.id, type: 'private' },
+    from: user,
+    message: { message_id: Math.ceil(Math.random() * 9000) + 1000, text },
+    reply: jest.fn().mockResolvedValue({ message_id: 55555 }),
+    telegram: {
+      sendMessage: jest.fn().mockResolvedValue({ message_id: 44444 }),
+      deleteMessage: jest.fn().mockResolvedValue(true),
+      editMessageText: jest.fn().mockResolvedValue(true),
+    },
+  };
+}
+
+// Start the wizard and give one answer per question; returns the context of the last answer.
+async function answerWizard(user, answers) {
+  await bot.dispatchCommand('start', makePrivateCtx(user, '/start'));
+  let ctx;
+  for (const answer of answers) {
+    ctx = makePrivateCtx(user, answer);
+    await bot.dispatchMessage(ctx);
+  }
+  return ctx;
+}
+
+// An edit of a message sent earlier with makeMessageCtx.
+function makeEditCtx(messageCtx, text) {
+  const { message, ...ctx } = messageCtx;
+  return { ...ctx, reply: jest.fn().mockResolvedValue({ message_id: 88889 }), editedMessage: { ...message, text } };
+}
+
 function makeJoinCtx({ chatId, members }) {
   return {
     chat: { id: chatId },
@@ -74,6 +133,7 @@ function makeJoinCtx({ chatId, members }) {
     reply: jest.fn().mockResolvedValue({ message_id: 77777 }),
     telegram: {
       deleteMessage: jest.fn().mockResolvedValue(true),
+      editMessageText: jest.fn().mockResolvedValue(true),
     },
   };
 }
@@ -88,8 +148,8 @@ function makeCommandCtx({ chatId, user, text, replyTo = null } = {}) {
   };
 }
 
-// ---- Intro text that satisfies the real isValidIntro heuristic ----
-// 2 keywords + >= 50 chars total.
+// ---- Intro text that passes the real rubric ----
+// identity + role sections, >= 50 chars total.
 function validIntro() {
   return 'who are you: Alice, a developer. what do you do: I build web apps. extra padding here!';
 }
@@ -121,6 +181,8 @@ beforeEach(() => {
   db.initialize();
   config.setMainGroupId(MAIN_GROUP);
   config.setIntroChannelId(INTRO_CHANNEL);
+  // Most flows below predate the join CAPTCHA; the CAPTCHA suite re-enables it.
+  config.setCaptchaEnabled(false);
 
   adminCache.isAdmin.mockResolvedValue(false);  // regular user by default
   adminCache.destroy.mockImplementation(() => {}); // suppress interval cleanup
@@ -128,9 +190,12 @@ beforeEach(() => {
   bot = makeMockBot();
   // Register handlers in the same order as bot.js
   require('../src/handlers/admin').register(bot);
-  require('../src/handlers/welcome').register(bot);
+  const welcome = require('../src/handlers/welcome');
+  welcome.register(bot);
+  require('../src/handlers/captcha').register(bot, welcome.welcomeVerifiedMember);
   require('../src/handlers/intro').register(bot);
   require('../src/handlers/gatekeeper').register(bot);
+  require('../src/handlers/wizard').register(bot);
 });
 
 afterEach(() => {
@@ -193,23 +258,24 @@ describe('Intro channel validation', () => {
     expect(acceptCtx.reply).toHaveBeenCalled();
   });
 
-  test('bypass: text >= 80 chars is accepted without keyword matches', async () => {
+  test('long gibberish is rejected, with a nudge naming every missing section', async () => {
     const user = makeUser({ id: 103 });
     db.upsertUser(103, user.username, user.first_name);
 
-    const ctx = makeMessageCtx({ chatId: INTRO_CHANNEL, user, text: 'x'.repeat(80) });
+    const ctx = makeMessageCtx({ chatId: INTRO_CHANNEL, user, text: 'x'.repeat(81) });
     await bot.dispatchMessage(ctx);
-    expect(db.getUser(103).introduced).toBe(1);
+    expect(db.getUser(103).introduced).toBe(0);
+    expect(ctx.reply).toHaveBeenCalledWith(expect.stringContaining('who you are, what you do'), expect.anything());
   });
 
-  test('bypass: casual natural intro >= 80 chars is accepted without keyword phrases', async () => {
+  test('casual natural intro covering two sections is accepted and its score stored', async () => {
     const user = makeUser({ id: 104 });
     db.upsertUser(104, user.username, user.first_name);
 
     const text = 'hi i am dahri and i like anime and i dont like to eat sea food since i see food i eat';
     const ctx = makeMessageCtx({ chatId: INTRO_CHANNEL, user, text });
     await bot.dispatchMessage(ctx);
-    expect(db.getUser(104).introduced).toBe(1);
+    expect(db.getUser(104)).toMatchObject({ introduced: 1, intro_score: 2 });
   });
 
   test('intro channel messages do not reach gatekeeper (no deletion)', async () => {
@@ -283,6 +349,46 @@ describe('Gatekeeper', () => {
   });
 });
 
+describe('Grace period', () => {
+  // Move a member's join, and the grace period started with it, back in time, through a
+  // second connection: the db module stamps both with SQLite's clock.
+  function backdateJoin(userId, minutes) {
+    const raw = new (require('better-sqlite3'))(dbPath);
+    const shift = `-${minutes} minutes`;
+    raw.prepare('UPDATE users SET joined_at = datetime(joined_at, ?) WHERE user_id = ?').run(shift, userId);
+    raw.prepare('UPDATE grace_usage SET started_at = datetime(started_at, ?) WHERE user_id = ?').run(shift, userId);
+    raw.close();
+  }
+
+  async function postInMainGroup(user) {
+    const ctx = makeMessageCtx({ chatId: MAIN_GROUP, user });
+    await bot.dispatchMessage(ctx);
+    return ctx;
+  }
+
+  test('leaving and rejoining before posting does not restart the window', async () => {
+    config.setGracePolicy({ messages: 0, minutes: 10 });
+    const user = makeUser({ id: 901, username: 'gina', firstName: 'Gina' });
+    await bot.dispatchJoin(makeJoinCtx({ chatId: MAIN_GROUP, members: [user] }));
+
+    backdateJoin(901, 15);
+    db.markLeft(901, 'left');
+    await bot.dispatchJoin(makeJoinCtx({ chatId: MAIN_GROUP, members: [user] }));
+    expect((await postInMainGroup(user)).deleteMessage).toHaveBeenCalled();
+  });
+
+  test('a removal and rejoin does not restart the window either', async () => {
+    config.setGracePolicy({ messages: 0, minutes: 10 });
+    const user = makeUser({ id: 902, username: 'hank', firstName: 'Hank' });
+    await bot.dispatchJoin(makeJoinCtx({ chatId: MAIN_GROUP, members: [user] }));
+
+    backdateJoin(902, 15);
+    db.recordKick(902, 'violations');
+    await bot.dispatchJoin(makeJoinCtx({ chatId: MAIN_GROUP, members: [user] }));
+    expect((await postInMainGroup(user)).deleteMessage).toHaveBeenCalled();
+  });
+});
+
 describe('Admin: /approve', () => {
   test('manually approving a user allows them to post without an intro', async () => {
     const user = makeUser({ id: 301, username: 'bob', firstName: 'Bob' });
@@ -367,6 +473,141 @@ describe('Admin: /reset', () => {
   });
 });
 
+describe('Admin: /search and /whois', () => {
+  test('an accepted intro can be found by its words and read back', async () => {
+    const user = makeUser({ id: 411, username: 'fern', firstName: 'Fern' });
+    const admin = makeUser({ id: 1 });
+    await bot.dispatchJoin(makeJoinCtx({ chatId: MAIN_GROUP, members: [user] }));
+    await bot.dispatchMessage(makeMessageCtx({ chatId: INTRO_CHANNEL, user, text: validIntro() }));
+
+    adminCache.isAdmin.mockResolvedValue(true);
+    const searchCtx = makeCommandCtx({ chatId: MAIN_GROUP, user: admin, text: '/search develop web' });
+    await bot.dispatchCommand('search', searchCtx);
+    expect(searchCtx.reply).toHaveBeenCalledWith(expect.stringContaining('Fern (@fern) -- ID: 411'));
+
+    const whoisCtx = makeCommandCtx({ chatId: MAIN_GROUP, user: admin, text: '/whois @fern' });
+    await bot.dispatchCommand('whois', whoisCtx);
+    expect(whoisCtx.reply).toHaveBeenCalledWith(expect.stringContaining(validIntro()));
+  });
+
+  test('a member reset to pending drops out of the search', async () => {
+    const user = makeUser({ id: 412, username: 'gus', firstName: 'Gus' });
+    const admin = makeUser({ id: 1 });
+    await bot.dispatchJoin(makeJoinCtx({ chatId: MAIN_GROUP, members: [user] }));
+    await bot.dispatchMessage(makeMessageCtx({ chatId: INTRO_CHANNEL, user, text: validIntro() }));
+
+    adminCache.isAdmin.mockResolvedValue(true);
+    await bot.dispatchCommand('reset', makeCommandCtx({ chatId: MAIN_GROUP, user: admin, text: '/reset 412' }));
+    const searchCtx = makeCommandCtx({ chatId: MAIN_GROUP, user: admin, text: '/search developer' });
+    await bot.dispatchCommand('search', searchCtx);
+    expect(searchCtx.reply).toHaveBeenCalledWith(expect.stringContaining('No intros match'));
+  });
+});
+
+describe('Edited intros', () => {
+  test('a rejected post edited into a good intro lets the member in', async () => {
+    const user = makeUser({ id: 451, username: 'dan', firstName: 'Dan' });
+    await bot.dispatchJoin(makeJoinCtx({ chatId: MAIN_GROUP, members: [user] }));
+
+    const postCtx = makeMessageCtx({ chatId: INTRO_CHANNEL, user, text: 'hi' });
+    await bot.dispatchMessage(postCtx);
+    expect(db.getUser(451).introduced).toBe(0);
+
+    await bot.dispatchEdit(makeEditCtx(postCtx, validIntro()));
+    expect(db.getUser(451)).toMatchObject({ introduced: 1, intro_msg_id: postCtx.message.message_id });
+  });
+
+  test('under the reset policy, gutting an accepted intro blocks the member again', async () => {
+    config.setIntroEditPolicy('reset');
+    jest.spyOn(console, 'warn').mockImplementation(() => {}); // no admin chat set
+    const user = makeUser({ id: 452, username: 'erin', firstName: 'Erin' });
+    await bot.dispatchJoin(makeJoinCtx({ chatId: MAIN_GROUP, members: [user] }));
+
+    const introCtx = makeMessageCtx({ chatId: INTRO_CHANNEL, user, text: validIntro() });
+    await bot.dispatchMessage(introCtx);
+    expect(db.getUser(452).introduced).toBe(1);
+
+    const editCtx = makeEditCtx(introCtx, 'hi');
+    await bot.dispatchEdit(editCtx);
+    expect(db.getUser(452).introduced).toBe(0);
+    expect(editCtx.reply).toHaveBeenCalledWith(expect.stringContaining('no longer'), expect.anything());
+
+    const blockedCtx = makeMessageCtx({ chatId: MAIN_GROUP, user });
+    await bot.dispatchMessage(blockedCtx);
+    expect(blockedCtx.deleteMessage).toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+});
+
+describe('DM intro wizard', () => {
+  test('answers covering the rubric are posted and accepted', async () => {
+    const user = makeUser({ id: 801, username: 'wanda', firstName: 'Wanda' });
+    db.upsertUser(801, 'wanda', 'Wanda');
+    const ctx = await answerWizard(user, [
+      "I'm Wanda, a maker of small tools",
+      'Frontend developer at a fintech startup',
+      'Living in Penang',
+      'I once cycled around the island in a day',
+      'Running workshops for newcomers',
+    ]);
+    expect(ctx.telegram.sendMessage).toHaveBeenCalledWith(INTRO_CHANNEL, expect.stringContaining('Living in Penang'), {});
+    expect(db.getUser(801).introduced).toBe(1);
+  });
+
+  test('junk answers are rejected, whatever the question labels say', async () => {
+    const user = makeUser({ id: 802, username: 'junk', firstName: 'Junk' });
+    db.upsertUser(802, 'junk', 'Junk');
+    const ctx = await answerWizard(user, ['x', 'x', 'x', 'x', 'x']);
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(config.WIZARD_TOO_SHORT_MESSAGE);
+    expect(db.getUser(802).introduced).toBe(0);
+
+    const evasive = await answerWizard(user, [
+      'Nothing to say', 'Not telling you', 'Somewhere on earth', 'Nope, none at all', 'We will see later on',
+    ]);
+    expect(evasive.telegram.sendMessage).not.toHaveBeenCalled();
+    expect(db.getUser(802).introduced).toBe(0);
+  });
+
+  test('copies are caught both ways between the wizard and the intro channel', async () => {
+    const answers = [
+      "I'm Wanda, a maker of small tools",
+      'Frontend developer at a fintech startup',
+      'Living in Penang',
+      'I once cycled around the island in a day',
+      'Running workshops for newcomers',
+    ];
+    db.upsertUser(803, 'wanda', 'Wanda');
+    await answerWizard(makeUser({ id: 803, username: 'wanda', firstName: 'Wanda' }), answers);
+    expect(db.getUser(803).introduced).toBe(1);
+
+    // Wanda's answers, typed into the intro channel by someone else.
+    const copier = makeUser({ id: 804, username: 'copier', firstName: 'Copier' });
+    db.upsertUser(804, 'copier', 'Copier');
+    await bot.dispatchMessage(makeMessageCtx({ chatId: INTRO_CHANNEL, user: copier, text: answers.join('\n') }));
+    expect(db.getUser(804).introduced).toBe(0);
+
+    // ...and pasted into the wizard by a third account.
+    const paster = makeUser({ id: 805, username: 'paster', firstName: 'Paster' });
+    db.upsertUser(805, 'paster', 'Paster');
+    const ctx = await answerWizard(paster, answers);
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(config.INTRO_COPY_MESSAGE);
+    expect(db.getUser(805).introduced).toBe(0);
+  });
+
+  test('the welcome example pasted into the wizard is turned away', async () => {
+    const user = makeUser({ id: 806, username: 'lazy', firstName: 'Lazy' });
+    db.upsertUser(806, 'lazy', 'Lazy');
+    const sentences = config.INTRO_EXAMPLE.match(/[^.!]+[.!]/g);
+    const ctx = await answerWizard(user, [
+      sentences[0], sentences[1], sentences[2], sentences[3], sentences.slice(4).join(' '),
+    ]);
+    expect(ctx.telegram.sendMessage).not.toHaveBeenCalled();
+    expect(ctx.reply).toHaveBeenCalledWith(config.INTRO_EXAMPLE_COPY_MESSAGE);
+  });
+});
+
 describe('Welcome handler', () => {
   test('sends a welcome message and tracks a new member in the DB', async () => {
     const user = makeUser({ id: 501, firstName: 'Dave' });
@@ -384,14 +625,181 @@ describe('Welcome handler', () => {
     expect(db.getUser(502)).toBeNull();
   });
 
-  test('mass join: all users tracked, no welcome messages sent', async () => {
+  test('mass join: all users tracked and greeted in combined welcomes', async () => {
     const members = Array.from({ length: 11 }, (_, i) => makeUser({ id: 600 + i }));
     const ctx = makeJoinCtx({ chatId: MAIN_GROUP, members });
+    ctx.reply.mockResolvedValueOnce({ message_id: 71001 }).mockResolvedValueOnce({ message_id: 71002 });
     await bot.dispatchJoin(ctx);
-    expect(ctx.reply).not.toHaveBeenCalled();
-    for (const m of members) {
-      expect(db.getUser(m.id)).not.toBeNull();
+    expect(ctx.reply).toHaveBeenCalledTimes(2); // a full burst of 10, then a new one
+    expect(db.getPendingByWelcomeMsgId(71001)).toHaveLength(10);
+    expect(db.getPendingByWelcomeMsgId(71002)).toHaveLength(1);
+  });
+
+  test('burst welcome drops each member as they introduce, then is deleted', async () => {
+    const alice = makeUser({ id: 701, username: 'alice' });
+    const bob = makeUser({ id: 702, username: 'bob', firstName: 'Bob' });
+    await bot.dispatchJoin(makeJoinCtx({ chatId: MAIN_GROUP, members: [alice, bob] }));
+
+    const first = makeMessageCtx({ chatId: INTRO_CHANNEL, user: alice, text: validIntro() });
+    await bot.dispatchMessage(first);
+    expect(first.telegram.editMessageText).toHaveBeenCalledWith(
+      MAIN_GROUP, 77777, undefined, expect.stringContaining('Hey Bob!'), undefined,
+    );
+    expect(first.telegram.deleteMessage).not.toHaveBeenCalledWith(MAIN_GROUP, 77777);
+
+    // Bob writes his own intro — posting Alice's again would be rejected as a copy
+    const bobIntro = 'who are you: Bob, a designer from Penang. what do you do: I draw icons and posters for apps.';
+    const second = makeMessageCtx({ chatId: INTRO_CHANNEL, user: bob, text: bobIntro });
+    await bot.dispatchMessage(second);
+    expect(second.telegram.deleteMessage).toHaveBeenCalledWith(MAIN_GROUP, 77777);
+  });
+});
+
+describe('Mute gate mode', () => {
+  test('join → restricted → intro accepted → restriction lifted', async () => {
+    config.setGateMode('mute');
+    const user = makeUser({ id: 801 });
+    const telegramPermissions = () => ({
+      restrictChatMember: jest.fn().mockResolvedValue(true),
+      getChat: jest.fn().mockResolvedValue({ permissions: { can_send_messages: true } }),
+    });
+
+    const joinCtx = makeJoinCtx({ chatId: MAIN_GROUP, members: [user] });
+    Object.assign(joinCtx.telegram, telegramPermissions());
+    await bot.dispatchJoin(joinCtx);
+    expect(joinCtx.telegram.restrictChatMember).toHaveBeenCalledWith(MAIN_GROUP, 801, expect.objectContaining({
+      permissions: expect.objectContaining({ can_send_messages: false }),
+    }));
+
+    const introCtx = makeMessageCtx({ chatId: INTRO_CHANNEL, user, text: validIntro() });
+    Object.assign(introCtx.telegram, telegramPermissions());
+    await bot.dispatchMessage(introCtx);
+    expect(db.getUser(801).introduced).toBe(1);
+    expect(introCtx.telegram.restrictChatMember).toHaveBeenCalledWith(MAIN_GROUP, 801, expect.objectContaining({
+      permissions: { can_send_messages: true },
+    }));
+  });
+
+  test('a member muted before the switch to delete mode is still unmuted on acceptance', async () => {
+    config.setGateMode('mute');
+    const user = makeUser({ id: 802 });
+    const joinCtx = makeJoinCtx({ chatId: MAIN_GROUP, members: [user] });
+    joinCtx.telegram.restrictChatMember = jest.fn().mockResolvedValue(true);
+    await bot.dispatchJoin(joinCtx);
+
+    config.setGateMode('delete');
+    const introCtx = makeMessageCtx({ chatId: INTRO_CHANNEL, user, text: validIntro() });
+    Object.assign(introCtx.telegram, {
+      restrictChatMember: jest.fn().mockResolvedValue(true),
+      getChat: jest.fn().mockResolvedValue({ permissions: { can_send_messages: true } }),
+    });
+    await bot.dispatchMessage(introCtx);
+    expect(db.getUser(802).introduced).toBe(1);
+    expect(introCtx.telegram.restrictChatMember).toHaveBeenCalledWith(MAIN_GROUP, 802, expect.objectContaining({
+      permissions: { can_send_messages: true },
+    }));
+  });
+
+  test('a restriction an admin set by hand is left alone on acceptance', async () => {
+    config.setGateMode('delete');
+    const user = makeUser({ id: 803 });
+    await bot.dispatchJoin(makeJoinCtx({ chatId: MAIN_GROUP, members: [user] }));
+
+    const introCtx = makeMessageCtx({ chatId: INTRO_CHANNEL, user, text: validIntro() });
+    Object.assign(introCtx.telegram, {
+      restrictChatMember: jest.fn().mockResolvedValue(true),
+      getChat: jest.fn().mockResolvedValue({ permissions: { can_send_messages: true } }),
+    });
+    await bot.dispatchMessage(introCtx);
+    expect(db.getUser(803).introduced).toBe(1);
+    expect(introCtx.telegram.restrictChatMember).not.toHaveBeenCalled();
+  });
+});
+
+describe('Join CAPTCHA', () => {
+  function makeCaptchaJoinCtx(members) {
+    const ctx = makeJoinCtx({ chatId: MAIN_GROUP, members });
+    Object.assign(ctx.telegram, {
+      restrictChatMember: jest.fn().mockResolvedValue(true),
+      getChat: jest.fn().mockResolvedValue({ permissions: { can_send_messages: true } }),
+      banChatMember: jest.fn().mockResolvedValue(true),
+      unbanChatMember: jest.fn().mockResolvedValue(true),
+    });
+    return ctx;
+  }
+
+  function makeCallbackCtx(user, data) {
+    return {
+      chat: { id: MAIN_GROUP },
+      from: user,
+      callbackQuery: { data },
+      answerCbQuery: jest.fn().mockResolvedValue(true),
+      deleteMessage: jest.fn().mockResolvedValue(true),
+      reply: jest.fn().mockResolvedValue({ message_id: 55555 }),
+      telegram: {
+        restrictChatMember: jest.fn().mockResolvedValue(true),
+        getChat: jest.fn().mockResolvedValue({ permissions: { can_send_messages: true } }),
+        banChatMember: jest.fn().mockResolvedValue(true),
+        unbanChatMember: jest.fn().mockResolvedValue(true),
+        deleteMessage: jest.fn().mockResolvedValue(true),
+      },
+    };
+  }
+
+  beforeEach(() => {
+    config.setCaptchaEnabled(true);
+  });
+
+  test('join → challenge → correct answer → welcome and DB record', async () => {
+    const user = makeUser({ id: 701, firstName: 'Eve' });
+    const joinCtx = makeCaptchaJoinCtx([user]);
+    await bot.dispatchJoin(joinCtx);
+
+    // Challenged, restricted, not yet tracked
+    expect(joinCtx.telegram.restrictChatMember).toHaveBeenCalled();
+    expect(db.getUser(701)).toBeNull();
+    const challenge = db.getCaptchaChallenge(701);
+    expect(challenge).not.toBeNull();
+
+    const passCtx = makeCallbackCtx(user, `captcha:701:${challenge.answer}`);
+    await bot.dispatchAction(passCtx);
+
+    expect(db.getCaptchaChallenge(701)).toBeNull();
+    expect(db.getUser(701)).toMatchObject({ introduced: 0, welcome_msg_id: 55555 });
+    expect(passCtx.reply).toHaveBeenCalledWith(expect.stringContaining('Eve'));
+  });
+
+  test('mass join: all 15 are restricted and challenged, none welcomed', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const members = Array.from({ length: 15 }, (_, i) => makeUser({ id: 1100 + i }));
+    const joinCtx = makeCaptchaJoinCtx(members);
+    await bot.dispatchJoin(joinCtx);
+
+    expect(joinCtx.telegram.restrictChatMember).toHaveBeenCalledTimes(15);
+    for (const member of members) {
+      expect(db.getCaptchaChallenge(member.id)).not.toBeNull();
+      expect(db.getUser(member.id)).toBeNull();
     }
+
+    // The challenges go out one by one; nobody gets a welcome.
+    await jest.advanceTimersByTimeAsync(15 * config.CAPTCHA_MASS_JOIN_SPACING_MS);
+    expect(joinCtx.reply).toHaveBeenCalledTimes(15);
+    for (const [text] of joinCtx.reply.mock.calls) expect(text).toMatch(/What is \d \+ \d\?/);
+    console.error.mockRestore();
+  });
+
+  test('join → wrong answer → kicked, never tracked', async () => {
+    const user = makeUser({ id: 702 });
+    await bot.dispatchJoin(makeCaptchaJoinCtx([user]));
+    const { answer } = db.getCaptchaChallenge(702);
+
+    const failCtx = makeCallbackCtx(user, `captcha:702:${answer + 1}`);
+    await bot.dispatchAction(failCtx);
+
+    expect(failCtx.telegram.banChatMember).toHaveBeenCalledWith(MAIN_GROUP, 702);
+    expect(failCtx.telegram.unbanChatMember).toHaveBeenCalled();
+    expect(db.getUser(702)).toBeNull();
+    expect(db.getCaptchaChallenge(702)).toBeNull();
   });
 });
 
@@ -414,7 +822,7 @@ describe('Bot setup: /setgroup and /setintro', () => {
     const introCtx = makeCommandCtx({ chatId: -100600, user: admin, text: '/setintro' });
     await bot.dispatchCommand('setintro', introCtx);
     expect(config.getIntroChannelId()).toBe(-100600);
-    expect(db.getSetting('INTRO_CHANNEL_ID')).toBe(String(-100600));
+    expect(JSON.parse(db.getSetting('INTRO_LOCATIONS'))).toMatchObject([{ chatId: -100600, topicId: null }]);
   });
 
   test('DB-persisted chat IDs are loaded on restart (simulated by re-requiring config + db)', async () => {
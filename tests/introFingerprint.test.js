@@ -0,0 +1,89 @@
+'use strict';
+
+// Fingerprints run against the real config and catalogs; config exits without a token.
+process.env.BOT_TOKEN = 'test-token';
+
+jest.mock('../src/db', () => ({
+  getIntroFingerprints: jest.fn(() => []),
+  getUserLocale: jest.fn(() => null),
+}));
+
+const config = require('../src/config');
+const db = require('../src/db');
+const { messages } = require('../src/i18n');
+const { normalize, fingerprint, similarity, checkCopy } = require('../src/introFingerprint');
+
+const ALICE = "Hi, I'm Alice, a backend developer in Penang. I run a small DevOps consultancy and want to " +
+  'help newcomers set up their first CI pipelines.';
+const BOB = "Hello! Bob here, product designer from Johor Bahru. Currently sketching wallet onboarding flows " +
+  'and always happy to review Figma files.';
+
+beforeEach(() => {
+  db.getIntroFingerprints.mockReturnValue([]);
+});
+
+describe('normalize', () => {
+  test('lowercases and collapses punctuation, emoji and line breaks', () => {
+    expect(normalize('Hi!!  I\'m ALI 👋\nFrom KL.')).toBe('hi i m ali from kl');
+  });
+
+  test('keeps letters from other scripts', () => {
+    expect(normalize('我是阿里，来自吉隆坡。')).toBe('我是阿里 来自吉隆坡');
+  });
+});
+
+describe('similarity', () => {
+  test('is 1 for the same text, however it is punctuated', () => {
+    expect(similarity(fingerprint(ALICE), fingerprint(ALICE.toUpperCase().replace(/[.,]/g, '!')))).toBe(1);
+  });
+
+  test('stays high for a copy with a name swapped', () => {
+    const copy = ALICE.replace('Alice', 'Aisha');
+    expect(similarity(fingerprint(ALICE), fingerprint(copy))).toBeGreaterThanOrEqual(config.INTRO_COPY_SIMILARITY);
+  });
+
+  test('is low for unrelated intros', () => {
+    expect(similarity(fingerprint(ALICE), fingerprint(BOB))).toBeLessThan(0.3);
+  });
+});
+
+describe('checkCopy', () => {
+  test('passes an original intro', () => {
+    expect(checkCopy(ALICE, 1)).toEqual({ signature: fingerprint(ALICE), copyOf: null, userIds: [], repeat: false });
+    expect(db.getIntroFingerprints).toHaveBeenCalledWith(config.INTRO_COPY_WINDOW_DAYS);
+  });
+
+  test('flags the welcome example in any language', () => {
+    expect(checkCopy(config.INTRO_EXAMPLE, 1).copyOf).toBe('example');
+    expect(checkCopy(messages('zh').INTRO_EXAMPLE, 1).copyOf).toBe('example');
+  });
+
+  test("flags a copy of another member's accepted intro", () => {
+    db.getIntroFingerprints.mockReturnValue([{ user_id: 2, msg_id: 10, signature: fingerprint(ALICE), accepted: 1 }]);
+    expect(checkCopy(ALICE, 1)).toMatchObject({ copyOf: 'intro', userIds: [2] });
+  });
+
+  test("ignores the member's own earlier posts", () => {
+    db.getIntroFingerprints.mockReturnValue([{ user_id: 1, msg_id: 10, signature: fingerprint(ALICE), accepted: 1 }]);
+    expect(checkCopy(ALICE, 1)).toMatchObject({ copyOf: null, userIds: [] });
+  });
+
+  test('lists accounts behind rejected copies without treating them as the original', () => {
+    db.getIntroFingerprints.mockReturnValue([
+      { user_id: 2, msg_id: 10, signature: fingerprint(ALICE), accepted: 0 },
+      { user_id: 3, msg_id: 11, signature: fingerprint(ALICE), accepted: 0 },
+      { user_id: 3, msg_id: 12, signature: fingerprint(ALICE), accepted: 0 },
+      { user_id: 4, msg_id: 13, signature: fingerprint(BOB), accepted: 1 },
+    ]);
+    expect(checkCopy(ALICE, 1)).toMatchObject({ copyOf: null, userIds: [2, 3] });
+  });
+
+  test("marks a copy the member already had rejected as a repeat", () => {
+    db.getIntroFingerprints.mockReturnValue([
+      { user_id: 2, msg_id: 10, signature: fingerprint(ALICE), accepted: 1 },
+      { user_id: 1, msg_id: 11, signature: fingerprint(ALICE), accepted: 0 },
+    ]);
+    expect(checkCopy(ALICE, 1)).toMatchObject({ copyOf: 'intro', userIds: [2], repeat: true });
+    expect(checkCopy(BOB, 1).repeat).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+// Guards run against the real config and catalogs; config exits without a token.
+process.env.BOT_TOKEN = 'test-token';
+
+const i18n = require('../src/i18n');
+const { checkIntroGuards, GUARD_NUDGES } = require('../src/introGuards');
+
+const INTRO = "Hi all! I'm Alice, a Rust developer from Penang. In my free time I climb, and I'd like to help with hackathons.";
+
+// A message as Telegram sends it, with a url entity for each link in the text.
+function withLinks(text) {
+  const entities = [...text.matchAll(/https?:\/\/\S+/g)].map((m) => ({ type: 'url', offset: m.index, length: m[0].length }));
+  return { text, entities };
+}
+
+describe('checkIntroGuards', () => {
+  test('passes real intros in every language', () => {
+    for (const example of i18n.allIntroExamples()) expect(checkIntroGuards(example)).toBeNull();
+    expect(checkIntroGuards(INTRO, { text: INTRO })).toBeNull();
+  });
+
+  test('rejects forwarded messages', () => {
+    expect(checkIntroGuards(INTRO, { text: INTRO, forward_origin: { type: 'user' } })).toBe('forwarded');
+    expect(checkIntroGuards(INTRO, { text: INTRO, forward_date: 1700000000 })).toBe('forwarded');
+  });
+
+  test('rejects shortened and disguised links', () => {
+    const text = `${INTRO} Portfolio: https://bit.ly/abc123`;
+    expect(checkIntroGuards(text, withLinks(text))).toBe('suspicious_link');
+    // Wizard intros have no entities; bare links are still found.
+    expect(checkIntroGuards(`${INTRO} See bit.ly/abc123`)).toBe('suspicious_link');
+  });
+
+  test('rejects intros that are mostly links or mentions', () => {
+    const text = "I'm Ali https://example.com/portfolio/projects/2024 https://github.com/ali-builds-things @alpha_group @beta_group";
+    expect(checkIntroGuards(text, withLinks(text))).toBe('links');
+    expect(checkIntroGuards(text)).toBe('links');
+  });
+
+  test('lets a link or two through in a real intro', () => {
+    const text = `${INTRO} My work: https://github.com/alice`;
+    expect(checkIntroGuards(text, withLinks(text))).toBeNull();
+  });
+
+  test('rejects intros that are mostly emoji, but not a few emoji', () => {
+    expect(checkIntroGuards(`${'🚀🔥'.repeat(25)} hi I'm Ali`)).toBe('emoji');
+    expect(checkIntroGuards(`${INTRO} 🚀🔥🙌`)).toBeNull();
+  });
+
+  test('rejects repeated characters and keyboard mashing', () => {
+    expect(checkIntroGuards('a'.repeat(60))).toBe('gibberish');
+    expect(checkIntroGuards('hello '.repeat(12))).toBe('gibberish');
+    expect(checkIntroGuards('asdkjfhaskjdfhaksjdhfkajshdfkjahsdkfjhaskdjfhaksjdhf')).toBe('gibberish');
+    expect(checkIntroGuards('qwertyuiopasdfghjklzxcvbnmqwertyuiopasdfghjklzxcvbnm')).toBe('gibberish');
+    expect(checkIntroGuards('xcvbnm sdfghjk wrtyp dfghjk zxcvbn mnbvcx lkjhgf qwrtp')).toBe('gibberish');
+  });
+
+  test('leaves short text to the length check', () => {
+    expect(checkIntroGuards('hi hi hi')).toBeNull();
+  });
+
+  test('has a nudge in every language for each reason', () => {
+    for (const locale of ['en', 'ms', 'zh']) {
+      for (const key of Object.values(GUARD_NUDGES)) expect(i18n.messages(locale)[key]).toEqual(expect.any(String));
+    }
+  });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+// Scoring runs against the real rubric and catalogs; config exits without a token.
+process.env.BOT_TOKEN = 'test-token';
+
+const config = require('../src/config');
+const { detectSections, scoreIntro } = require('../src/introScore');
+
+afterEach(() => {
+  for (const section of config.INTRO_RUBRIC_SECTIONS) config.setIntroRubricWeight(section, 1);
+  config.setIntroPassThreshold(2);
+});
+
+describe('detectSections', () => {
+  test('finds sections by synonym', () => {
+    expect(detectSections('About me: I work as a designer at a startup')).toEqual(['identity', 'role']);
+  });
+
+  test('finds sections by pattern', () => {
+    expect(detectSections("Hi, I'm Ali, based in Penang. I love climbing.")).toEqual(
+      expect.arrayContaining(['identity', 'location', 'fun_fact']),
+    );
+  });
+
+  test('finds synonyms from other languages', () => {
+    expect(detectSections('Nama saya Ali, saya tinggal di Ipoh')).toEqual(['identity', 'location']);
+  });
+
+  test('finds nothing in gibberish', () => {
+    expect(detectSections('asdf '.repeat(40))).toEqual([]);
+  });
+});
+
+describe('scoreIntro', () => {
+  const intro = "Hi everyone, I'm Ali and I'm a software engineer from KL.";
+
+  test('passes an intro that reaches the threshold', () => {
+    const result = scoreIntro(intro);
+    expect(result).toMatchObject({ score: 3, maxScore: 5, passed: true });
+    expect(result.missing).toEqual(['fun_fact', 'contribution']);
+  });
+
+  test('fails an intro below the threshold and lists what it is missing', () => {
+    const result = scoreIntro('Hello there everyone, excited to be here with you all today!');
+    expect(result.passed).toBe(false);
+    expect(result.missing).toEqual(config.INTRO_RUBRIC_SECTIONS);
+  });
+
+  test('applies section weights', () => {
+    config.setIntroRubricWeight('role', 4);
+    expect(scoreIntro(intro)).toMatchObject({ score: 6, maxScore: 8 });
+  });
+
+  test('leaves sections weighted 0 out of the missing list', () => {
+    config.setIntroRubricWeight('fun_fact', 0);
+    expect(scoreIntro(intro).missing).toEqual(['contribution']);
+  });
+
+  test('respects the pass threshold', () => {
+    config.setIntroPassThreshold(4);
+    expect(scoreIntro(intro).passed).toBe(false);
+  });
+
+  test('scores with an intro location\'s own weights and threshold', () => {
+    const location = { weights: { role: 4 }, threshold: 7 };
+    expect(scoreIntro(intro, location)).toMatchObject({ score: 6, maxScore: 8, threshold: 7, passed: false });
+    expect(scoreIntro(intro, { weights: null, threshold: null })).toMatchObject({ maxScore: 5, threshold: 2 });
+  });
+
+  test('never passes an intro outside the length limits', () => {
+    expect(scoreIntro("I'm Ali from KL").passed).toBe(false);
+    expect(scoreIntro(`${intro} ${'x'.repeat(config.INTRO_MAX_LENGTH)}`).passed).toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+// Tags are extracted with the real config and its default dictionary; config exits without a token.
+process.env.BOT_TOKEN = 'test-token';
+
+const config = require('../src/config');
+const { extractTags, resolveTag, formatTagList } = require('../src/introTags');
+
+const tagsOf = (text) => extractTags(text).map((t) => t.tag);
+
+describe('extractTags', () => {
+  test('picks skills, locations and roles out of an intro', () => {
+    expect(extractTags("Hi, I'm Ali, a Rust developer based in Kuala Lumpur. Learning Anchor.")).toEqual([
+      { tag: 'rust', kind: 'skill', match: 'Rust' },
+      { tag: 'anchor', kind: 'skill', match: 'Anchor' },
+      { tag: 'kl', kind: 'location', match: 'Kuala Lumpur' },
+      { tag: 'developer', kind: 'role', match: 'developer' },
+    ]);
+  });
+
+  test('matches keywords as whole words only', () => {
+    expect(tagsOf('I trust my team and work in devops')).toEqual([]);
+  });
+
+  test('ignores case and punctuation around keywords', () => {
+    expect(tagsOf('REACT/Node.js dev (Penang)!')).toEqual(['react', 'typescript', 'penang', 'developer']);
+  });
+
+  test('finds Chinese keywords inside unspaced text', () => {
+    expect(tagsOf('我是来自槟城的设计师')).toEqual(['design', 'penang', 'designer']);
+  });
+
+  test('follows the dictionary admins maintain', () => {
+    const defaults = config.getIntroTags();
+    config.setIntroTags({ solidity: { kind: 'skill', keywords: ['solidity', 'evm'] } });
+    expect(tagsOf('EVM and Rust')).toEqual(['solidity']);
+    config.setIntroTags(defaults);
+  });
+});
+
+describe('resolveTag', () => {
+  test('accepts a tag or one of its keywords, in any case', () => {
+    expect(resolveTag('Penang')).toBe('penang');
+    expect(resolveTag('reactjs')).toBe('react');
+    expect(resolveTag('cobol')).toBeNull();
+  });
+});
+
+describe('formatTagList', () => {
+  test('lists tags by kind, one line each', () => {
+    const list = formatTagList({
+      rust: { kind: 'skill', keywords: ['rust'] },
+      kl: { kind: 'location', keywords: ['kl'] },
+      react: { kind: 'skill', keywords: ['react'] },
+    });
+    expect(list).toBe('skill: rust, react\nlocation: kl');
+  });
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+jest.mock('../src/db');
+jest.mock('../src/config', () => ({
+  getMainGroupId: jest.fn(() => -100111),
+  getGateMode: jest.fn(() => 'mute'),
+}));
+
+const db = require('../src/db');
+const config = require('../src/config');
+const permissions = require('../src/permissions');
+
+const MAIN_GROUP = -100111;
+
+function makeTelegram() {
+  return {
+    restrictChatMember: jest.fn().mockResolvedValue(true),
+    getChat: jest.fn().mockResolvedValue({ permissions: { can_send_messages: true, can_send_polls: false } }),
+    banChatMember: jest.fn().mockResolvedValue(true),
+    unbanChatMember: jest.fn().mockResolvedValue(true),
+  };
+}
+
+let errorSpy;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  config.getMainGroupId.mockReturnValue(MAIN_GROUP);
+  config.getGateMode.mockReturnValue('mute');
+  db.isGateMuted.mockReturnValue(false);
+  db.getViolations.mockReturnValue(null);
+  db.getCaptchaChallenge.mockReturnValue(null);
+  errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  errorSpy.mockRestore();
+});
+
+describe('muteMember / unmuteMember', () => {
+  test('muteMember revokes every send permission', async () => {
+    const telegram = makeTelegram();
+    await permissions.muteMember(telegram, MAIN_GROUP, 1);
+    const [, , extra] = telegram.restrictChatMember.mock.calls[0];
+    expect(Object.values(extra.permissions).every((v) => v === false)).toBe(true);
+    expect(extra).not.toHaveProperty('until_date');
+  });
+
+  test('muteMember can mute until a given time', async () => {
+    const telegram = makeTelegram();
+    await permissions.muteMember(telegram, MAIN_GROUP, 1, 1700003600);
+    expect(telegram.restrictChatMember).toHaveBeenCalledWith(MAIN_GROUP, 1, expect.objectContaining({ until_date: 1700003600 }));
+  });
+
+  test("unmuteMember restores the chat's default permissions", async () => {
+    const telegram = makeTelegram();
+    await permissions.unmuteMember(telegram, MAIN_GROUP, 1);
+    expect(telegram.restrictChatMember).toHaveBeenCalledWith(MAIN_GROUP, 1, expect.objectContaining({
+      permissions: { can_send_messages: true, can_send_polls: false },
+    }));
+  });
+});
+
+describe('kickMember', () => {
+  test('bans and immediately unbans so the member can rejoin', async () => {
+    const telegram = makeTelegram();
+    await permissions.kickMember(telegram, MAIN_GROUP, 1);
+    expect(telegram.banChatMember).toHaveBeenCalledWith(MAIN_GROUP, 1);
+    expect(telegram.unbanChatMember).toHaveBeenCalledWith(MAIN_GROUP, 1, { only_if_banned: true });
+  });
+});
+
+describe('applyGate / liftGate', () => {
+  test('applyGate mutes the member in the main group in mute mode', async () => {
+    const telegram = makeTelegram();
+    await permissions.applyGate(telegram, 1);
+    expect(telegram.restrictChatMember).toHaveBeenCalledWith(MAIN_GROUP, 1, expect.anything());
+  });
+
+  test('applyGate records the mute as the gate\'s', async () => {
+    const telegram = makeTelegram();
+    await permissions.applyGate(telegram, 1);
+    expect(db.recordGateMute).toHaveBeenCalledWith(1);
+  });
+
+  test('liftGate unmutes a member the gate muted, whatever the gate mode is now', async () => {
+    db.isGateMuted.mockReturnValue(true);
+    for (const mode of ['mute', 'delete']) {
+      config.getGateMode.mockReturnValue(mode);
+      const telegram = makeTelegram();
+      await permissions.liftGate(telegram, 1);
+      expect(telegram.getChat).toHaveBeenCalledWith(MAIN_GROUP);
+      expect(telegram.restrictChatMember).toHaveBeenCalled();
+    }
+    expect(db.clearGateMute).toHaveBeenCalledWith(1);
+  });
+
+  test('liftGate unmutes a member the escalation ladder muted', async () => {
+    db.getViolations.mockReturnValue({ count: 3, muted_until: '2999-01-01 00:00:00' });
+    const telegram = makeTelegram();
+    await permissions.liftGate(telegram, 1);
+    expect(telegram.restrictChatMember).toHaveBeenCalled();
+  });
+
+  test('liftGate unmutes a member with a CAPTCHA pending and drops the challenge', async () => {
+    db.getCaptchaChallenge.mockReturnValue({ user_id: 1, answer: 7 });
+    const telegram = makeTelegram();
+    await permissions.liftGate(telegram, 1);
+    expect(telegram.restrictChatMember).toHaveBeenCalled();
+    expect(db.deleteCaptchaChallenge).toHaveBeenCalledWith(1);
+  });
+
+  test('liftGate leaves a restriction the bot did not set alone', async () => {
+    // e.g. an admin restricted the member by hand, or the ladder mute has run out.
+    db.getViolations.mockReturnValue({ count: 3, muted_until: '2000-01-01 00:00:00' });
+    const telegram = makeTelegram();
+    await permissions.liftGate(telegram, 1);
+    expect(telegram.restrictChatMember).not.toHaveBeenCalled();
+  });
+
+  test('liftGate keeps the gate mute on record when the unmute fails', async () => {
+    db.isGateMuted.mockReturnValue(true);
+    const telegram = makeTelegram();
+    telegram.restrictChatMember.mockRejectedValue(new Error('not enough rights'));
+    await expect(permissions.liftGate(telegram, 1)).resolves.toBeUndefined();
+    expect(db.clearGateMute).not.toHaveBeenCalled();
+    expect(errorSpy).toHaveBeenCalled();
+  });
+
+  test('applyGate is a no-op in delete mode', async () => {
+    config.getGateMode.mockReturnValue('delete');
+    const telegram = makeTelegram();
+    await permissions.applyGate(telegram, 1);
+    expect(telegram.restrictChatMember).not.toHaveBeenCalled();
+  });
+
+  test('both are no-ops when the main group is not configured', async () => {
+    config.getMainGroupId.mockReturnValue(null);
+    const telegram = makeTelegram();
+    await permissions.applyGate(telegram, 1);
+    db.isGateMuted.mockReturnValue(true);
+    await permissions.liftGate(telegram, 1);
+    expect(telegram.restrictChatMember).not.toHaveBeenCalled();
+  });
+
+  test('applyGate swallows a missing-rights error so delete-based gating takes over', async () => {
+    const telegram = makeTelegram();
+    telegram.restrictChatMember.mockRejectedValue(new Error('not enough rights'));
+    await expect(permissions.applyGate(telegram, 1)).resolves.toBeUndefined();
+    expect(errorSpy).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+jest.mock('../src/db');
+jest.mock('../src/config', () => ({
+  getIntroChannelId: jest.fn(() => -1001234567890),
+  getIntroTopicId: jest.fn(() => null),
+  getIntroLocations: jest.fn(() => [{ chatId: -1001234567890, topicId: null, track: null }]),
+  introLink: jest.fn((channelId, topicId) =>
+    (channelId ? `https://t.me/c/${String(channelId).replace(/^-100/, '')}${topicId ? `/${topicId}` : ''}` : null)),
+  MESSAGE_MAX_LENGTH: 4096,
+  WELCOME_BURST_MAX_MEMBERS: 10,
+  WELCOME_MESSAGE: (name, introLinks) => `Welcome ${name}! (${introLinks.map((l) => l.link).join(' ')})`,
+  WELCOME_BURST_MESSAGE: (mentions, introLinks) => `Welcome ${mentions.join(' & ')}! (${introLinks.map((l) => l.link).join(' ')})`,
+  REMINDER_MESSAGE: 'Please introduce yourself.',
+  INTRO_ACCEPTED_MESSAGE: (name) => `Thanks ${name}!`,
+  INTRO_NUDGE_MESSAGE: (missing) => `Tell us ${missing.join(' and ')}!`,
+  INTRO_SECTION_NAMES: { role: 'what you do', location: "where you're based" },
+}));
+
+const db = require('../src/db');
+const config = require('../src/config');
+const templates = require('../src/templates');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.getSetting.mockReturnValue(null);
+  config.getIntroChannelId.mockReturnValue(-1001234567890);
+  config.getIntroTopicId.mockReturnValue(null);
+});
+
+// ---- validateTemplate ----
+
+describe('validateTemplate', () => {
+  test('accepts text with known placeholders', () => {
+    expect(templates.validateTemplate('Hi {name}, welcome to {group_title}! Intro: {intro_link}')).toBeNull();
+  });
+
+  test('rejects empty text', () => {
+    expect(templates.validateTemplate('   ')).toMatch(/empty/);
+  });
+
+  test('names every unknown placeholder once', () => {
+    const error = templates.validateTemplate('Hi {nme} and {nme}, see {rules}');
+    expect(error).toContain('{nme}, {rules}');
+    expect(error).toContain('{name}');
+  });
+
+  test('rejects text that could exceed the Telegram limit once placeholders are filled', () => {
+    const text = `${'x'.repeat(4096 - '{group_title}'.length)}{group_title}`;
+    expect(templates.validateTemplate(text)).toMatch(/too long/);
+  });
+
+  test('accepts text that fits even with the longest placeholder values', () => {
+    const text = `${'x'.repeat(4096 - 128)}{group_title}`;
+    expect(templates.validateTemplate(text)).toBeNull();
+  });
+
+  test('accepts {missing} only in the nudge', () => {
+    expect(templates.validateTemplate('Please add {missing}.', 'nudge')).toBeNull();
+    expect(templates.validateTemplate('Please add {missing}.', 'reminder')).toMatch(/Unknown placeholder/);
+  });
+
+  test('allows for a full burst of names in {name} of the welcome template', () => {
+    const text = `${'x'.repeat(4000)}{name}`;
+    expect(templates.validateTemplate(text, 'accepted')).toBeNull();
+    expect(templates.validateTemplate(text, 'welcome')).toMatch(/too long/);
+  });
+});
+
+// ---- Storage ----
+
+describe('setCustomTemplate / resetTemplate', () => {
+  test('stores a valid template under its settings key', () => {
+    templates.setCustomTemplate('welcome', 'Hi {name}!');
+    expect(db.setSetting).toHaveBeenCalledWith('TEMPLATE_WELCOME', 'Hi {name}!');
+  });
+
+  test('refuses to store an invalid template', () => {
+    expect(() => templates.setCustomTemplate('welcome', 'Hi {nickname}!')).toThrow(/Unknown placeholder/);
+    expect(db.setSetting).not.toHaveBeenCalled();
+  });
+
+  test('throws on an unknown template name', () => {
+    expect(() => templates.setCustomTemplate('goodbye', 'Bye!')).toThrow(/Unknown template/);
+  });
+
+  test('reset deletes the stored template', () => {
+    templates.resetTemplate('nudge');
+    expect(db.deleteSetting).toHaveBeenCalledWith('TEMPLATE_NUDGE');
+  });
+});
+
+// ---- render ----
+
+describe('render', () => {
+  test('uses the config default when no custom template is stored', () => {
+    expect(templates.render('welcome', { firstName: 'Ali' })).toBe('Welcome Ali! (https://t.me/c/1234567890)');
+    expect(templates.render('reminder')).toBe('Please introduce yourself.');
+    expect(templates.render('accepted', { firstName: 'Zara' })).toBe('Thanks Zara!');
+  });
+
+  test('fills placeholders in a custom template', () => {
+    db.getSetting.mockImplementation((key) => (key === 'TEMPLATE_WELCOME'
+      ? 'Hi {name}! Welcome to {group_title}. Intro here: {intro_link}'
+      : null));
+    expect(templates.render('welcome', { firstName: 'Ali', groupTitle: 'Superteam MY' }))
+      .toBe('Hi Ali! Welcome to Superteam MY. Intro here: https://t.me/c/1234567890');
+  });
+
+  test('uses the combined default for a burst of several members', () => {
+    expect(templates.render('welcome', { firstName: 'Ali', mentions: ['@ali', 'Zara'] }))
+      .toBe('Welcome @ali & Zara! (https://t.me/c/1234567890)');
+  });
+
+  test('links every intro location in the default welcome, with its track', () => {
+    config.getIntroLocations.mockReturnValueOnce([
+      { chatId: -1001234567890, topicId: 3, track: 'builders' },
+      { chatId: -1001234567890, topicId: 4, track: null },
+    ]);
+    const spy = jest.spyOn(config, 'WELCOME_MESSAGE');
+    templates.render('welcome', { firstName: 'Ali' });
+    expect(spy).toHaveBeenCalledWith('Ali', [
+      { track: 'builders', link: 'https://t.me/c/1234567890/3' },
+      { track: null, link: 'https://t.me/c/1234567890/4' },
+    ]);
+    spy.mockRestore();
+  });
+
+  test('uses the text it is given in place of the saved template', () => {
+    db.getSetting.mockReturnValue('Thanks {name}!');
+    expect(templates.render('accepted', { firstName: 'Zara', text: 'Welcome to the builders, {name}!' }))
+      .toBe('Welcome to the builders, Zara!');
+  });
+
+  test('fills {name} with every mention of a burst in a custom welcome', () => {
+    db.getSetting.mockReturnValue('Hi {name}!');
+    expect(templates.render('welcome', { firstName: 'Ali', mentions: ['@ali', 'Zara'] })).toBe('Hi @ali, Zara!');
+  });
+
+  test('sanitizes the member name', () => {
+    db.getSetting.mockReturnValue('Thanks {name}!');
+    expect(templates.render('accepted', { firstName: '<b>Eve</b>' })).toBe('Thanks bEve/b!');
+  });
+
+  test('names the missing sections in the nudge', () => {
+    expect(templates.render('nudge', { missing: ['role', 'location'] }))
+      .toBe("Tell us what you do and where you're based!");
+  });
+
+  test('fills {missing} in a custom nudge, with a generic fallback', () => {
+    db.getSetting.mockReturnValue('Please add {missing}.');
+    expect(templates.render('nudge', { missing: ['role', 'location'] }))
+      .toBe("Please add what you do, where you're based.");
+    expect(templates.render('nudge', { missing: [] })).toBe('Please add a bit more detail.');
+  });
+
+  test('falls back to generic text for unknown group title and intro channel', () => {
+    config.getIntroChannelId.mockReturnValue(null);
+    db.getSetting.mockReturnValue('Post in {intro_link} to chat in {group_title}.');
+    expect(templates.render('reminder', { firstName: 'Ali' }))
+      .toBe('Post in the intro channel to chat in the group.');
+  });
+});